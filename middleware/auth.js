@@ -1,10 +1,142 @@
 // middleware/auth.js - Authentication middleware
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { dbHelpers } = require('../config/database');
 
-// Verify JWT token
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const IMPERSONATION_AUDIENCE = 'keypoint-impersonation';
+
+// Methods that cannot change anything, allowed under every impersonation
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Scopes that can be granted to company API keys
+const API_KEY_SCOPES = ['jobs:read', 'jobs:write', 'applications:read', 'applications:write', 'company:read'];
+
+// Whether policy forces this user to use two-factor authentication
+const isTwoFactorRequired = (user) => {
+  if (user.user_type !== 'company') {
+    return false;
+  }
+  return process.env.TWO_FACTOR_REQUIRED_FOR_COMPANIES === 'true' || !!user.company_requires_two_factor;
+};
+
+// Look up the session an access token belongs to; returns null if it was revoked
+const getActiveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await dbHelpers.getSession(decoded.sid);
+
+  if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+    return null;
+  }
+
+  // Record activity, at most once a minute per session (fire and forget)
+  if (!session.last_seen_at || Date.now() - new Date(session.last_seen_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    dbHelpers.touchSession(session.session_id)
+      .catch(err => console.error('Failed to update session activity:', err));
+  }
+
+  return session;
+};
+
+// Resolve an X-API-Key header to the company it belongs to
+const authenticateApiKey = async (apiKey, req, res, next) => {
+  const key = await dbHelpers.getApiKeyByHash(hashToken(apiKey));
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or revoked API key, or the company account is suspended'
+    });
+  }
+
+  // Record usage, at most once a minute per key (fire and forget)
+  if (!key.last_used_at || Date.now() - new Date(key.last_used_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    dbHelpers.touchApiKey(key.key_id)
+      .catch(err => console.error('Failed to update API key usage:', err));
+  }
+
+  // API keys act for the company, not for any particular member
+  req.user = {
+    userId: null,
+    email: null,
+    userType: 'company',
+    companyId: key.company_id,
+    companyRole: null,
+    jobseekerId: null,
+    sessionId: null,
+    apiKeyId: key.key_id,
+    scopes: key.scopes ? key.scopes.split(',') : []
+  };
+
+  next();
+};
+
+// Resolve an impersonation token to the impersonated user. Every request is
+// written to the audit log under the real admin's identity, and anything but
+// a read is refused unless the admin allowed writes when starting it.
+const authenticateImpersonation = async (decoded, req, res, next) => {
+  const grant = decoded.aud === IMPERSONATION_AUDIENCE
+    ? await dbHelpers.getActiveImpersonation(decoded.imp)
+    : null;
+  const user = grant && await dbHelpers.getUserById(grant.target_user_id);
+
+  if (!user || user.user_type === 'admin') {
+    return res.status(401).json({
+      success: false,
+      message: 'Impersonation has ended'
+    });
+  }
+
+  req.user = {
+    userId: user.user_id,
+    email: user.email,
+    userType: user.user_type,
+    companyId: user.company_id,
+    companyRole: user.company_role,
+    jobseekerId: user.jobseeker_id,
+    sessionId: null,
+    impersonated: true,
+    impersonator: {
+      impersonationId: grant.impersonation_id,
+      adminUserId: grant.admin_user_id,
+      adminEmail: grant.admin_email,
+      allowDestructive: !!grant.allow_destructive
+    }
+  };
+
+  res.on('finish', () => {
+    dbHelpers.logImpersonatedRequest({
+      impersonationId: grant.impersonation_id,
+      adminUserId: grant.admin_user_id,
+      targetUserId: user.user_id,
+      method: req.method,
+      path: req.originalUrl.substring(0, 500),
+      statusCode: res.statusCode,
+      ipAddress: req.ip || null
+    }).catch(err => console.error('Failed to write impersonation audit log:', err));
+  });
+
+  if (!SAFE_METHODS.includes(req.method) && !grant.allow_destructive) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is blocked while impersonating a user'
+    });
+  }
+
+  next();
+};
+
+// Verify JWT token (or company API key)
 const authenticateToken = async (req, res, next) => {
   try {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+    
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
@@ -18,6 +150,21 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'keypoint_secret_key');
     
+    // Impersonation tokens carry an admin grant instead of a session
+    if (decoded.imp) {
+      return await authenticateImpersonation(decoded, req, res, next);
+    }
+    
+    // Check that the session has not been revoked
+    const session = await getActiveSession(decoded);
+    
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+    
     // Get user from database
     const user = await dbHelpers.getUserById(decoded.userId);
     
@@ -35,13 +182,30 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
+    if (user.suspended_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended'
+      });
+    }
+    
+    // The platform setting can be turned on while sessions are live
+    if (isTwoFactorRequired(user) && !user.totp_enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required. Please log in again to set it up.'
+      });
+    }
+    
     // Add user to request object
     req.user = {
       userId: user.user_id,
       email: user.email,
       userType: user.user_type,
       companyId: user.company_id,
-      jobseekerId: user.jobseeker_id
+      companyRole: user.company_role,
+      jobseekerId: user.jobseeker_id,
+      sessionId: session.session_id
     };
     
     next();
@@ -68,14 +232,81 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Check if user is a company
+// Company member roles, from least to most privileged
+const COMPANY_ROLES = ['viewer', 'recruiter', 'admin', 'owner'];
+
+// Check if user is a company member
 const requireCompany = (req, res, next) => {
-  if (req.user.userType !== 'company') {
+  if (req.user.userType !== 'company' || !req.user.companyId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Company account required'
+    });
+  }
+  next();
+};
+
+// Check if company member has one of the given roles
+const requireCompanyRole = (...roles) => (req, res, next) => {
+  if (req.user.userType !== 'company' || !req.user.companyId) {
     return res.status(403).json({
       success: false,
       message: 'Company account required'
     });
   }
+
+  if (req.user.apiKeyId) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available to API keys'
+    });
+  }
+
+  if (!roles.includes(req.user.companyRole)) {
+    return res.status(403).json({
+      success: false,
+      message: `This action requires one of the following company roles: ${roles.join(', ')}`
+    });
+  }
+  next();
+};
+
+// Check company access: members need one of the roles, API keys need the scope
+const requireCompanyAccess = ({ roles = COMPANY_ROLES, scope }) => (req, res, next) => {
+  if (req.user.apiKeyId) {
+    if (!scope || !req.user.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: scope
+          ? `API key is missing the required scope: ${scope}`
+          : 'This action is not available to API keys'
+      });
+    }
+    return next();
+  }
+
+  return requireCompanyRole(...roles)(req, res, next);
+};
+
+// Check that the request comes from a logged-in user rather than an API key
+const requireUserSession = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires a user login'
+    });
+  }
+  next();
+};
+
+// Refuse account-security actions under impersonation, even when writes are allowed
+const forbidImpersonation = (req, res, next) => {
+  if (req.user.impersonated) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user'
+    });
+  }
   next();
 };
 
@@ -90,6 +321,17 @@ const requireJobSeeker = (req, res, next) => {
   next();
 };
 
+// Check if user is a platform administrator
+const requireAdmin = (req, res, next) => {
+  if (req.user.userType !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Administrator account required'
+    });
+  }
+  next();
+};
+
 // Optional authentication (for public endpoints that can show different content for authenticated users)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -98,15 +340,18 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'keypoint_secret_key');
-      const user = await dbHelpers.getUserById(decoded.userId);
+      const session = await getActiveSession(decoded);
+      const user = session && await dbHelpers.getUserById(decoded.userId);
       
-      if (user && user.is_verified) {
+      if (user && user.is_verified && !user.suspended_at) {
         req.user = {
           userId: user.user_id,
           email: user.email,
           userType: user.user_type,
           companyId: user.company_id,
-          jobseekerId: user.jobseeker_id
+          companyRole: user.company_role,
+          jobseekerId: user.jobseeker_id,
+          sessionId: session.session_id
         };
       }
     }
@@ -119,11 +364,12 @@ const optionalAuth = async (req, res, next) => {
 };
 
 // Generate JWT token
-const generateToken = (userId, userType) => {
+const generateToken = (userId, userType, sessionId) => {
   return jwt.sign(
     { 
       userId, 
       userType,
+      sid: sessionId,
       iat: Math.floor(Date.now() / 1000)
     },
     process.env.JWT_SECRET || 'keypoint_secret_key',
@@ -133,13 +379,88 @@ const generateToken = (userId, userType) => {
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
+// Token that lets an admin act as another user until the grant expires or is ended
+const generateImpersonationToken = (grant, targetUser) => {
+  return jwt.sign(
+    {
+      userId: targetUser.user_id,
+      userType: targetUser.user_type,
+      imp: grant.impersonationId,
+      adminUserId: grant.adminUserId
+    },
+    process.env.JWT_SECRET || 'keypoint_secret_key',
+    {
+      expiresIn: Math.max(1, Math.floor((grant.expiresAt.getTime() - Date.now()) / 1000)),
+      audience: IMPERSONATION_AUDIENCE
+    }
+  );
+};
+
+// One-time and refresh tokens are stored as SHA-256 hashes, never in plain text
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Short-lived token proving the password step of a two-step login.
+// It carries no session, so authenticateToken never accepts it.
+const generateChallengeToken = (userId, purpose) => {
   return jwt.sign(
-    { userId },
+    { userId, purpose },
+    process.env.JWT_SECRET || 'keypoint_secret_key',
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      audience: 'keypoint-2fa'
+    }
+  );
+};
+
+// Verify challenge token and check it was issued for the given purpose
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'keypoint_secret_key', {
+    audience: 'keypoint-2fa'
+  });
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+
+  return decoded;
+};
+
+// Record a new login session for the requesting device
+const createSession = async (userId, req) => {
+  const sessionId = crypto.randomUUID();
+  const userAgent = req.get('user-agent');
+
+  await dbHelpers.createSession({
+    sessionId,
+    userId,
+    userAgent: userAgent ? userAgent.substring(0, 500) : null,
+    ipAddress: req.ip || null
+  });
+
+  return sessionId;
+};
+
+// Generate refresh token and store it so it can be rotated and revoked.
+// Each session is one token family: the family id is the session id, and
+// tokens issued by rotation share the family of the token they replace.
+const generateRefreshToken = async (userId, familyId) => {
+  const token = jwt.sign(
+    { userId, familyId, jti: crypto.randomUUID() },
     process.env.JWT_REFRESH_SECRET || 'keypoint_refresh_secret',
-    { expiresIn: '30d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
   );
+
+  const { exp } = jwt.decode(token);
+  await dbHelpers.createRefreshToken({
+    userId,
+    familyId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return token;
 };
 
 // Verify refresh token
@@ -147,12 +468,67 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET || 'keypoint_refresh_secret');
 };
 
+// Exchange a refresh token for a new one. Returns null if the token is not
+// usable. Presenting a token that was already rotated revokes its whole family,
+// since either the legitimate client or an attacker is holding a stolen copy.
+const rotateRefreshToken = async (token) => {
+  verifyRefreshToken(token);
+
+  const tokenHash = hashToken(token);
+  const consumed = await dbHelpers.consumeRefreshToken(tokenHash);
+
+  if (!consumed) {
+    const stored = await dbHelpers.getRefreshToken(tokenHash);
+    if (stored && stored.used_at) {
+      console.warn(`Refresh token reuse detected for user ${stored.user_id}, revoking session ${stored.family_id}`);
+      await revokeSession(stored.family_id);
+    }
+    return null;
+  }
+
+  const refreshToken = await generateRefreshToken(consumed.user_id, consumed.family_id);
+
+  return {
+    userId: consumed.user_id,
+    sessionId: consumed.family_id,
+    refreshToken
+  };
+};
+
+// Revoke a session and its refresh tokens
+const revokeSession = async (sessionId) => {
+  await dbHelpers.revokeSession(sessionId);
+  await dbHelpers.revokeRefreshTokenFamily(sessionId);
+};
+
+// Revoke every session a user has, optionally keeping the current one
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  await dbHelpers.revokeUserSessions(userId, exceptSessionId);
+  await dbHelpers.revokeUserRefreshTokens(userId, exceptSessionId);
+};
+
 module.exports = {
+  COMPANY_ROLES,
+  API_KEY_SCOPES,
+  isTwoFactorRequired,
   authenticateToken,
   requireCompany,
+  requireCompanyRole,
+  requireCompanyAccess,
+  requireUserSession,
+  forbidImpersonation,
   requireJobSeeker,
+  requireAdmin,
   optionalAuth,
   generateToken,
+  generateImpersonationToken,
   generateRefreshToken,
-  verifyRefreshToken
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  createSession,
+  revokeSession,
+  revokeAllSessions
 };
\ No newline at end of file
@@ -0,0 +1,12 @@
+// middleware/queryContext.js - Attribute database queries to the route that ran them
+const { runWithRequest } = require('../config/queryMetrics');
+
+// Mount before the routers; queries made while handling the request are
+// recorded against its route (see config/queryMetrics.js)
+const queryContext = (req, res, next) => {
+  runWithRequest(req, next);
+};
+
+module.exports = {
+  queryContext
+};
@@ -0,0 +1,24 @@
+-- 0001_initial_schema.down.sql - Drop every table created by the initial schema
+
+DROP TABLE IF EXISTS ImpersonationAuditLog;
+DROP TABLE IF EXISTS Impersonations;
+DROP TABLE IF EXISTS UserIdentities;
+DROP TABLE IF EXISTS OidcAuthRequests;
+DROP TABLE IF EXISTS LoginAttempts;
+DROP TABLE IF EXISTS RecoveryCodes;
+DROP TABLE IF EXISTS RefreshTokens;
+DROP TABLE IF EXISTS Sessions;
+DROP TABLE IF EXISTS ApiKeys;
+DROP TABLE IF EXISTS CompanyInvitations;
+DROP TABLE IF EXISTS CompanyMembers;
+DROP TABLE IF EXISTS WorkExperience;
+DROP TABLE IF EXISTS Education;
+DROP TABLE IF EXISTS SavedJobs;
+DROP TABLE IF EXISTS Applications;
+DROP TABLE IF EXISTS JobSeekerSkills;
+DROP TABLE IF EXISTS JobSkills;
+DROP TABLE IF EXISTS Jobs;
+DROP TABLE IF EXISTS Skills;
+DROP TABLE IF EXISTS JobSeekers;
+DROP TABLE IF EXISTS Companies;
+DROP TABLE IF EXISTS Users;
@@ -0,0 +1,503 @@
+-- 0001_initial_schema.up.sql - Schema assumed by the API routes
+--
+-- Environments used to be built by hand, so every table is only created if it
+-- is missing, and columns added since then are added where they are missing.
+-- Running this against an existing database brings it up to date without
+-- touching its data.
+
+IF OBJECT_ID('Users', 'U') IS NULL
+BEGIN
+  CREATE TABLE Users (
+    user_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_Users PRIMARY KEY,
+    email NVARCHAR(255) NOT NULL CONSTRAINT UQ_Users_email UNIQUE,
+    password_hash NVARCHAR(255) NULL,
+    user_type NVARCHAR(20) NOT NULL
+      CONSTRAINT CK_Users_user_type CHECK (user_type IN ('company', 'jobseeker', 'admin')),
+    is_verified BIT NOT NULL CONSTRAINT DF_Users_is_verified DEFAULT 0,
+    verification_token NVARCHAR(255) NULL,
+    verification_token_expires DATETIME2 NULL,
+    reset_token NVARCHAR(255) NULL,
+    reset_token_expires DATETIME2 NULL,
+    suspended_at DATETIME2 NULL,
+    suspension_reason NVARCHAR(500) NULL,
+    suspended_by INT NULL,
+    totp_secret NVARCHAR(255) NULL,
+    totp_pending_secret NVARCHAR(255) NULL,
+    totp_enabled BIT NOT NULL CONSTRAINT DF_Users_totp_enabled DEFAULT 0,
+    totp_last_step BIGINT NULL,
+    failed_login_count INT NOT NULL CONSTRAINT DF_Users_failed_login_count DEFAULT 0,
+    lockout_count INT NOT NULL CONSTRAINT DF_Users_lockout_count DEFAULT 0,
+    locked_until DATETIME2 NULL,
+    unlock_token NVARCHAR(64) NULL,
+    erasure_requested_at DATETIME2 NULL,
+    erasure_scheduled_for DATETIME2 NULL,
+    erased_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_Users_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_Users_updated_at DEFAULT GETDATE()
+  );
+END
+GO
+
+IF OBJECT_ID('Companies', 'U') IS NULL
+BEGIN
+  CREATE TABLE Companies (
+    company_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_Companies PRIMARY KEY,
+    user_id INT NOT NULL CONSTRAINT FK_Companies_Users REFERENCES Users(user_id),
+    company_name NVARCHAR(255) NOT NULL,
+    company_description NVARCHAR(MAX) NULL,
+    industry NVARCHAR(100) NULL,
+    company_size NVARCHAR(20) NULL
+      CONSTRAINT CK_Companies_company_size CHECK (company_size IN ('1-10', '11-50', '51-200', '201-500', '501-1000', '1000+')),
+    website NVARCHAR(255) NULL,
+    phone NVARCHAR(50) NULL,
+    address NVARCHAR(255) NULL,
+    city NVARCHAR(100) NULL,
+    country NVARCHAR(100) NULL,
+    logo_url NVARCHAR(500) NULL,
+    require_two_factor BIT NOT NULL CONSTRAINT DF_Companies_require_two_factor DEFAULT 0,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_Companies_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_Companies_updated_at DEFAULT GETDATE()
+  );
+END
+GO
+
+IF OBJECT_ID('JobSeekers', 'U') IS NULL
+BEGIN
+  CREATE TABLE JobSeekers (
+    jobseeker_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_JobSeekers PRIMARY KEY,
+    user_id INT NOT NULL CONSTRAINT FK_JobSeekers_Users REFERENCES Users(user_id)
+      CONSTRAINT UQ_JobSeekers_user_id UNIQUE,
+    first_name NVARCHAR(100) NOT NULL,
+    last_name NVARCHAR(100) NOT NULL,
+    email NVARCHAR(255) NULL,
+    phone NVARCHAR(50) NULL,
+    date_of_birth DATE NULL,
+    address NVARCHAR(255) NULL,
+    city NVARCHAR(100) NULL,
+    country NVARCHAR(100) NULL,
+    summary NVARCHAR(MAX) NULL,
+    experience_years INT NULL,
+    current_salary DECIMAL(12, 2) NULL,
+    expected_salary DECIMAL(12, 2) NULL,
+    availability NVARCHAR(20) NULL
+      CONSTRAINT CK_JobSeekers_availability CHECK (availability IN ('immediately', '2_weeks', '1_month', '2_months', '3_months')),
+    cv_url NVARCHAR(500) NULL,
+    profile_picture_url NVARCHAR(500) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_JobSeekers_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_JobSeekers_updated_at DEFAULT GETDATE()
+  );
+END
+GO
+
+IF OBJECT_ID('Skills', 'U') IS NULL
+BEGIN
+  CREATE TABLE Skills (
+    skill_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_Skills PRIMARY KEY,
+    skill_name NVARCHAR(100) NOT NULL CONSTRAINT UQ_Skills_skill_name UNIQUE,
+    category NVARCHAR(100) NULL
+  );
+END
+GO
+
+IF OBJECT_ID('Jobs', 'U') IS NULL
+BEGIN
+  CREATE TABLE Jobs (
+    job_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_Jobs PRIMARY KEY,
+    company_id INT NOT NULL CONSTRAINT FK_Jobs_Companies REFERENCES Companies(company_id),
+    title NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NOT NULL,
+    requirements NVARCHAR(MAX) NULL,
+    responsibilities NVARCHAR(MAX) NULL,
+    location NVARCHAR(255) NOT NULL,
+    remote_work_option NVARCHAR(10) NOT NULL CONSTRAINT DF_Jobs_remote_work_option DEFAULT 'No'
+      CONSTRAINT CK_Jobs_remote_work_option CHECK (remote_work_option IN ('Yes', 'No', 'Hybrid')),
+    salary_min DECIMAL(12, 2) NULL,
+    salary_max DECIMAL(12, 2) NULL,
+    salary_currency NVARCHAR(3) NOT NULL CONSTRAINT DF_Jobs_salary_currency DEFAULT 'USD',
+    job_type NVARCHAR(20) NOT NULL
+      CONSTRAINT CK_Jobs_job_type CHECK (job_type IN ('Full-time', 'Part-time', 'Contract', 'Internship', 'Freelance')),
+    experience_level NVARCHAR(20) NOT NULL
+      CONSTRAINT CK_Jobs_experience_level CHECK (experience_level IN ('Entry-level', 'Mid-level', 'Senior-level', 'Executive')),
+    industry NVARCHAR(100) NULL,
+    department NVARCHAR(100) NULL,
+    application_deadline DATE NULL,
+    max_applications INT NULL,
+    current_applications INT NOT NULL CONSTRAINT DF_Jobs_current_applications DEFAULT 0,
+    views_count INT NOT NULL CONSTRAINT DF_Jobs_views_count DEFAULT 0,
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_Jobs_status DEFAULT 'active'
+      CONSTRAINT CK_Jobs_status CHECK (status IN ('active', 'closed', 'draft', 'paused')),
+    moderated_at DATETIME2 NULL,
+    moderated_by INT NULL CONSTRAINT FK_Jobs_moderated_by REFERENCES Users(user_id),
+    moderation_reason NVARCHAR(500) NULL,
+    posted_date DATETIME2 NOT NULL CONSTRAINT DF_Jobs_posted_date DEFAULT GETDATE(),
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_Jobs_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_Jobs_updated_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_Jobs_company_id ON Jobs (company_id);
+  CREATE INDEX IX_Jobs_status_posted_date ON Jobs (status, posted_date DESC);
+END
+GO
+
+IF OBJECT_ID('JobSkills', 'U') IS NULL
+BEGIN
+  CREATE TABLE JobSkills (
+    job_id INT NOT NULL CONSTRAINT FK_JobSkills_Jobs REFERENCES Jobs(job_id) ON DELETE CASCADE,
+    skill_id INT NOT NULL CONSTRAINT FK_JobSkills_Skills REFERENCES Skills(skill_id),
+    required_level NVARCHAR(20) NOT NULL CONSTRAINT DF_JobSkills_required_level DEFAULT 'Intermediate',
+    is_required BIT NOT NULL CONSTRAINT DF_JobSkills_is_required DEFAULT 1,
+    CONSTRAINT PK_JobSkills PRIMARY KEY (job_id, skill_id)
+  );
+END
+GO
+
+IF OBJECT_ID('JobSeekerSkills', 'U') IS NULL
+BEGIN
+  CREATE TABLE JobSeekerSkills (
+    jobseeker_id INT NOT NULL CONSTRAINT FK_JobSeekerSkills_JobSeekers REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+    skill_id INT NOT NULL CONSTRAINT FK_JobSeekerSkills_Skills REFERENCES Skills(skill_id),
+    proficiency_level NVARCHAR(20) NOT NULL
+      CONSTRAINT CK_JobSeekerSkills_proficiency_level CHECK (proficiency_level IN ('Beginner', 'Intermediate', 'Advanced', 'Expert')),
+    CONSTRAINT PK_JobSeekerSkills PRIMARY KEY (jobseeker_id, skill_id)
+  );
+END
+GO
+
+IF OBJECT_ID('Applications', 'U') IS NULL
+BEGIN
+  CREATE TABLE Applications (
+    application_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_Applications PRIMARY KEY,
+    job_id INT NOT NULL CONSTRAINT FK_Applications_Jobs REFERENCES Jobs(job_id) ON DELETE CASCADE,
+    jobseeker_id INT NOT NULL CONSTRAINT FK_Applications_JobSeekers REFERENCES JobSeekers(jobseeker_id),
+    cover_letter NVARCHAR(MAX) NULL,
+    status NVARCHAR(30) NOT NULL CONSTRAINT DF_Applications_status DEFAULT 'pending'
+      CONSTRAINT CK_Applications_status CHECK (status IN ('pending', 'reviewed', 'shortlisted', 'interview_scheduled', 'rejected', 'hired')),
+    notes NVARCHAR(MAX) NULL,
+    rating TINYINT NULL CONSTRAINT CK_Applications_rating CHECK (rating BETWEEN 1 AND 5),
+    applied_date DATETIME2 NOT NULL CONSTRAINT DF_Applications_applied_date DEFAULT GETDATE(),
+    reviewed_date DATETIME2 NULL,
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_Applications_updated_at DEFAULT GETDATE(),
+    CONSTRAINT UQ_Applications_job_jobseeker UNIQUE (job_id, jobseeker_id)
+  );
+
+  CREATE INDEX IX_Applications_jobseeker_id ON Applications (jobseeker_id, applied_date DESC);
+END
+GO
+
+IF OBJECT_ID('SavedJobs', 'U') IS NULL
+BEGIN
+  CREATE TABLE SavedJobs (
+    jobseeker_id INT NOT NULL CONSTRAINT FK_SavedJobs_JobSeekers REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+    job_id INT NOT NULL CONSTRAINT FK_SavedJobs_Jobs REFERENCES Jobs(job_id) ON DELETE CASCADE,
+    saved_date DATETIME2 NOT NULL CONSTRAINT DF_SavedJobs_saved_date DEFAULT GETDATE(),
+    CONSTRAINT PK_SavedJobs PRIMARY KEY (jobseeker_id, job_id)
+  );
+END
+GO
+
+IF OBJECT_ID('Education', 'U') IS NULL
+BEGIN
+  CREATE TABLE Education (
+    education_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_Education PRIMARY KEY,
+    jobseeker_id INT NOT NULL CONSTRAINT FK_Education_JobSeekers REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+    institution_name NVARCHAR(255) NOT NULL,
+    degree NVARCHAR(255) NULL,
+    field_of_study NVARCHAR(255) NULL,
+    start_date DATE NULL,
+    end_date DATE NULL,
+    is_current BIT NOT NULL CONSTRAINT DF_Education_is_current DEFAULT 0,
+    grade_gpa NVARCHAR(50) NULL,
+    description NVARCHAR(MAX) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_Education_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_Education_updated_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_Education_jobseeker_id ON Education (jobseeker_id);
+END
+GO
+
+IF OBJECT_ID('WorkExperience', 'U') IS NULL
+BEGIN
+  CREATE TABLE WorkExperience (
+    experience_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_WorkExperience PRIMARY KEY,
+    jobseeker_id INT NOT NULL CONSTRAINT FK_WorkExperience_JobSeekers REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+    company_name NVARCHAR(255) NOT NULL,
+    job_title NVARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NULL,
+    is_current BIT NOT NULL CONSTRAINT DF_WorkExperience_is_current DEFAULT 0,
+    description NVARCHAR(MAX) NULL,
+    location NVARCHAR(255) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_WorkExperience_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_WorkExperience_updated_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_WorkExperience_jobseeker_id ON WorkExperience (jobseeker_id);
+END
+GO
+
+-- Columns added to the original tables for account security, moderation and
+-- privacy features. They already exist when the tables were created above.
+
+IF COL_LENGTH('Users', 'verification_token_expires') IS NULL
+  ALTER TABLE Users ADD verification_token_expires DATETIME2 NULL;
+
+IF COL_LENGTH('Users', 'suspended_at') IS NULL
+  ALTER TABLE Users ADD
+    suspended_at DATETIME2 NULL,
+    suspension_reason NVARCHAR(500) NULL,
+    suspended_by INT NULL;
+
+IF COL_LENGTH('Users', 'totp_secret') IS NULL
+  ALTER TABLE Users ADD
+    totp_secret NVARCHAR(255) NULL,
+    totp_pending_secret NVARCHAR(255) NULL,
+    totp_enabled BIT NOT NULL CONSTRAINT DF_Users_totp_enabled DEFAULT 0,
+    totp_last_step BIGINT NULL;
+
+IF COL_LENGTH('Users', 'failed_login_count') IS NULL
+  ALTER TABLE Users ADD
+    failed_login_count INT NOT NULL CONSTRAINT DF_Users_failed_login_count DEFAULT 0,
+    lockout_count INT NOT NULL CONSTRAINT DF_Users_lockout_count DEFAULT 0,
+    locked_until DATETIME2 NULL,
+    unlock_token NVARCHAR(64) NULL;
+
+IF COL_LENGTH('Users', 'erasure_requested_at') IS NULL
+  ALTER TABLE Users ADD
+    erasure_requested_at DATETIME2 NULL,
+    erasure_scheduled_for DATETIME2 NULL,
+    erased_at DATETIME2 NULL;
+
+-- Accounts created through an identity provider have no password
+IF EXISTS (
+  SELECT 1 FROM sys.columns
+  WHERE object_id = OBJECT_ID('Users') AND name = 'password_hash' AND is_nullable = 0
+)
+  ALTER TABLE Users ALTER COLUMN password_hash NVARCHAR(255) NULL;
+
+IF COL_LENGTH('Companies', 'require_two_factor') IS NULL
+  ALTER TABLE Companies ADD
+    require_two_factor BIT NOT NULL CONSTRAINT DF_Companies_require_two_factor DEFAULT 0;
+
+IF COL_LENGTH('Jobs', 'moderated_at') IS NULL
+  ALTER TABLE Jobs ADD
+    moderated_at DATETIME2 NULL,
+    moderated_by INT NULL CONSTRAINT FK_Jobs_moderated_by REFERENCES Users(user_id),
+    moderation_reason NVARCHAR(500) NULL;
+GO
+
+-- Verification tokens used to be stored as sent. Pending ones are hashed in
+-- place (hex SHA-256, as hashToken in middleware/auth.js does) and given a
+-- fresh 48 hour expiry, so links already sent keep working until then.
+
+UPDATE Users
+SET verification_token = LOWER(CONVERT(VARCHAR(64), HASHBYTES('SHA2_256', CAST(verification_token AS VARCHAR(255))), 2)),
+    verification_token_expires = DATEADD(hour, 48, GETDATE())
+WHERE verification_token IS NOT NULL AND verification_token_expires IS NULL;
+GO
+
+-- Company membership and invitations
+
+IF OBJECT_ID('CompanyMembers', 'U') IS NULL
+BEGIN
+  CREATE TABLE CompanyMembers (
+    member_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_CompanyMembers PRIMARY KEY,
+    company_id INT NOT NULL CONSTRAINT FK_CompanyMembers_Companies REFERENCES Companies(company_id) ON DELETE CASCADE,
+    user_id INT NOT NULL CONSTRAINT FK_CompanyMembers_Users REFERENCES Users(user_id)
+      CONSTRAINT UQ_CompanyMembers_user_id UNIQUE,
+    role NVARCHAR(20) NOT NULL
+      CONSTRAINT CK_CompanyMembers_role CHECK (role IN ('viewer', 'recruiter', 'admin', 'owner')),
+    invited_by INT NULL CONSTRAINT FK_CompanyMembers_invited_by REFERENCES Users(user_id),
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_CompanyMembers_created_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_CompanyMembers_company_id ON CompanyMembers (company_id);
+END
+GO
+
+-- Every company's registering user owns it
+INSERT INTO CompanyMembers (company_id, user_id, role)
+SELECT c.company_id, c.user_id, 'owner'
+FROM Companies c
+WHERE NOT EXISTS (SELECT 1 FROM CompanyMembers cm WHERE cm.user_id = c.user_id);
+GO
+
+IF OBJECT_ID('CompanyInvitations', 'U') IS NULL
+BEGIN
+  CREATE TABLE CompanyInvitations (
+    invitation_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_CompanyInvitations PRIMARY KEY,
+    company_id INT NOT NULL CONSTRAINT FK_CompanyInvitations_Companies REFERENCES Companies(company_id) ON DELETE CASCADE,
+    email NVARCHAR(255) NOT NULL,
+    role NVARCHAR(20) NOT NULL
+      CONSTRAINT CK_CompanyInvitations_role CHECK (role IN ('viewer', 'recruiter', 'admin', 'owner')),
+    token_hash CHAR(64) NOT NULL CONSTRAINT UQ_CompanyInvitations_token_hash UNIQUE,
+    invited_by INT NOT NULL CONSTRAINT FK_CompanyInvitations_invited_by REFERENCES Users(user_id),
+    expires_at DATETIME2 NOT NULL,
+    accepted_at DATETIME2 NULL,
+    revoked_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_CompanyInvitations_created_at DEFAULT GETDATE()
+  );
+END
+GO
+
+IF OBJECT_ID('ApiKeys', 'U') IS NULL
+BEGIN
+  CREATE TABLE ApiKeys (
+    key_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_ApiKeys PRIMARY KEY,
+    company_id INT NOT NULL CONSTRAINT FK_ApiKeys_Companies REFERENCES Companies(company_id) ON DELETE CASCADE,
+    name NVARCHAR(100) NOT NULL,
+    key_prefix NVARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL CONSTRAINT UQ_ApiKeys_key_hash UNIQUE,
+    scopes NVARCHAR(500) NOT NULL,
+    created_by INT NULL CONSTRAINT FK_ApiKeys_created_by REFERENCES Users(user_id),
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_ApiKeys_created_at DEFAULT GETDATE(),
+    last_used_at DATETIME2 NULL,
+    expires_at DATETIME2 NULL,
+    revoked_at DATETIME2 NULL
+  );
+END
+GO
+
+-- Sessions and credentials
+
+IF OBJECT_ID('Sessions', 'U') IS NULL
+BEGIN
+  -- Session ids are generated in Node and compared as lowercase strings, so
+  -- they are stored as text rather than UNIQUEIDENTIFIER
+  CREATE TABLE Sessions (
+    session_id NVARCHAR(36) NOT NULL CONSTRAINT PK_Sessions PRIMARY KEY,
+    user_id INT NOT NULL CONSTRAINT FK_Sessions_Users REFERENCES Users(user_id) ON DELETE CASCADE,
+    user_agent NVARCHAR(500) NULL,
+    ip_address NVARCHAR(45) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_Sessions_created_at DEFAULT GETDATE(),
+    last_seen_at DATETIME2 NOT NULL CONSTRAINT DF_Sessions_last_seen_at DEFAULT GETDATE(),
+    revoked_at DATETIME2 NULL
+  );
+
+  CREATE INDEX IX_Sessions_user_id ON Sessions (user_id);
+END
+GO
+
+IF OBJECT_ID('RefreshTokens', 'U') IS NULL
+BEGIN
+  CREATE TABLE RefreshTokens (
+    token_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_RefreshTokens PRIMARY KEY,
+    user_id INT NOT NULL CONSTRAINT FK_RefreshTokens_Users REFERENCES Users(user_id) ON DELETE CASCADE,
+    family_id NVARCHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL CONSTRAINT UQ_RefreshTokens_token_hash UNIQUE,
+    expires_at DATETIME2 NOT NULL,
+    used_at DATETIME2 NULL,
+    revoked_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_RefreshTokens_created_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_RefreshTokens_family_id ON RefreshTokens (family_id);
+  CREATE INDEX IX_RefreshTokens_user_id ON RefreshTokens (user_id);
+END
+GO
+
+IF OBJECT_ID('RecoveryCodes', 'U') IS NULL
+BEGIN
+  CREATE TABLE RecoveryCodes (
+    code_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_RecoveryCodes PRIMARY KEY,
+    user_id INT NOT NULL CONSTRAINT FK_RecoveryCodes_Users REFERENCES Users(user_id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_RecoveryCodes_created_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_RecoveryCodes_user_id ON RecoveryCodes (user_id, code_hash);
+END
+GO
+
+IF OBJECT_ID('LoginAttempts', 'U') IS NULL
+BEGIN
+  -- Kept for review, so user_id is not a foreign key and attempts for
+  -- unknown emails can be recorded too
+  CREATE TABLE LoginAttempts (
+    attempt_id BIGINT IDENTITY(1,1) NOT NULL CONSTRAINT PK_LoginAttempts PRIMARY KEY,
+    email NVARCHAR(255) NOT NULL,
+    user_id INT NULL,
+    ip_address NVARCHAR(45) NULL,
+    user_agent NVARCHAR(500) NULL,
+    succeeded BIT NOT NULL,
+    failure_reason NVARCHAR(50) NULL,
+    attempted_at DATETIME2 NOT NULL CONSTRAINT DF_LoginAttempts_attempted_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_LoginAttempts_ip_address ON LoginAttempts (ip_address, attempted_at);
+  CREATE INDEX IX_LoginAttempts_email ON LoginAttempts (email, attempted_at);
+  CREATE INDEX IX_LoginAttempts_user_id ON LoginAttempts (user_id, attempted_at);
+END
+GO
+
+-- External identity providers
+
+IF OBJECT_ID('OidcAuthRequests', 'U') IS NULL
+BEGIN
+  CREATE TABLE OidcAuthRequests (
+    request_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_OidcAuthRequests PRIMARY KEY,
+    state_hash CHAR(64) NOT NULL CONSTRAINT UQ_OidcAuthRequests_state_hash UNIQUE,
+    provider NVARCHAR(50) NOT NULL,
+    code_verifier NVARCHAR(128) NOT NULL,
+    nonce NVARCHAR(128) NOT NULL,
+    redirect_uri NVARCHAR(500) NOT NULL,
+    expires_at DATETIME2 NOT NULL,
+    used_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_OidcAuthRequests_created_at DEFAULT GETDATE()
+  );
+END
+GO
+
+IF OBJECT_ID('UserIdentities', 'U') IS NULL
+BEGIN
+  CREATE TABLE UserIdentities (
+    identity_id INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_UserIdentities PRIMARY KEY,
+    user_id INT NOT NULL CONSTRAINT FK_UserIdentities_Users REFERENCES Users(user_id) ON DELETE CASCADE,
+    provider NVARCHAR(50) NOT NULL,
+    subject NVARCHAR(255) NOT NULL,
+    email NVARCHAR(255) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_UserIdentities_created_at DEFAULT GETDATE(),
+    last_login_at DATETIME2 NULL,
+    CONSTRAINT UQ_UserIdentities_provider_subject UNIQUE (provider, subject)
+  );
+
+  CREATE INDEX IX_UserIdentities_user_id ON UserIdentities (user_id);
+END
+GO
+
+-- Admin impersonation
+
+IF OBJECT_ID('Impersonations', 'U') IS NULL
+BEGIN
+  CREATE TABLE Impersonations (
+    impersonation_id NVARCHAR(36) NOT NULL CONSTRAINT PK_Impersonations PRIMARY KEY,
+    admin_user_id INT NOT NULL CONSTRAINT FK_Impersonations_admin REFERENCES Users(user_id),
+    target_user_id INT NOT NULL CONSTRAINT FK_Impersonations_target REFERENCES Users(user_id),
+    reason NVARCHAR(500) NOT NULL,
+    allow_destructive BIT NOT NULL CONSTRAINT DF_Impersonations_allow_destructive DEFAULT 0,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_Impersonations_created_at DEFAULT GETDATE(),
+    expires_at DATETIME2 NOT NULL,
+    ended_at DATETIME2 NULL
+  );
+END
+GO
+
+IF OBJECT_ID('ImpersonationAuditLog', 'U') IS NULL
+BEGIN
+  CREATE TABLE ImpersonationAuditLog (
+    log_id BIGINT IDENTITY(1,1) NOT NULL CONSTRAINT PK_ImpersonationAuditLog PRIMARY KEY,
+    impersonation_id NVARCHAR(36) NOT NULL
+      CONSTRAINT FK_ImpersonationAuditLog_Impersonations REFERENCES Impersonations(impersonation_id),
+    admin_user_id INT NOT NULL,
+    target_user_id INT NOT NULL,
+    method NVARCHAR(10) NOT NULL,
+    path NVARCHAR(500) NOT NULL,
+    status_code INT NOT NULL,
+    ip_address NVARCHAR(45) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_ImpersonationAuditLog_created_at DEFAULT GETDATE()
+  );
+
+  CREATE INDEX IX_ImpersonationAuditLog_impersonation_id ON ImpersonationAuditLog (impersonation_id, created_at);
+END
+GO
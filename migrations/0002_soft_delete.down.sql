@@ -0,0 +1,14 @@
+-- 0002_soft_delete.down.sql - Drop the soft delete columns
+--
+-- Rows that were soft-deleted become visible again.
+
+DROP INDEX IF EXISTS IX_Jobs_deleted_at ON Jobs;
+
+IF COL_LENGTH('WorkExperience', 'deleted_at') IS NOT NULL
+  ALTER TABLE WorkExperience DROP COLUMN deleted_at;
+
+IF COL_LENGTH('Education', 'deleted_at') IS NOT NULL
+  ALTER TABLE Education DROP COLUMN deleted_at;
+
+IF COL_LENGTH('Jobs', 'deleted_at') IS NOT NULL
+  ALTER TABLE Jobs DROP COLUMN deleted_at;
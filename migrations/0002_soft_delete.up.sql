@@ -0,0 +1,18 @@
+-- 0002_soft_delete.up.sql - Soft delete for jobs and job seeker profile records
+--
+-- Deleting a job used to remove it and, through the cascades, every
+-- application for it. Deletes now set deleted_at instead so the hiring record
+-- is kept; rows are only removed for good by the admin purge.
+
+IF COL_LENGTH('Jobs', 'deleted_at') IS NULL
+  ALTER TABLE Jobs ADD deleted_at DATETIME2 NULL;
+
+IF COL_LENGTH('Education', 'deleted_at') IS NULL
+  ALTER TABLE Education ADD deleted_at DATETIME2 NULL;
+
+IF COL_LENGTH('WorkExperience', 'deleted_at') IS NULL
+  ALTER TABLE WorkExperience ADD deleted_at DATETIME2 NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Jobs_deleted_at' AND object_id = OBJECT_ID('Jobs'))
+  CREATE INDEX IX_Jobs_deleted_at ON Jobs (deleted_at) WHERE deleted_at IS NOT NULL;
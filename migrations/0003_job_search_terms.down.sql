@@ -0,0 +1,3 @@
+-- 0003_job_search_terms.down.sql - Drop the job search index
+
+DROP TABLE IF EXISTS JobSearchTerms;
@@ -0,0 +1,19 @@
+-- 0003_job_search_terms.up.sql - Search index for full-text job search
+--
+-- One row per job, field and term, written by services/jobSearch.js whenever a
+-- job or its company name changes. Existing jobs are not indexed by this
+-- migration: run `npm run reindex` after applying it.
+
+IF OBJECT_ID('JobSearchTerms', 'U') IS NULL
+BEGIN
+  CREATE TABLE JobSearchTerms (
+    job_id INT NOT NULL CONSTRAINT FK_JobSearchTerms_Jobs REFERENCES Jobs(job_id) ON DELETE CASCADE,
+    field NVARCHAR(20) NOT NULL,
+    term NVARCHAR(64) NOT NULL,
+    hits INT NOT NULL,
+    weight INT NOT NULL,
+    CONSTRAINT PK_JobSearchTerms PRIMARY KEY (job_id, field, term)
+  );
+
+  CREATE INDEX IX_JobSearchTerms_term ON JobSearchTerms (term, job_id) INCLUDE (weight);
+END
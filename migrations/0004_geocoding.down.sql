@@ -0,0 +1,9 @@
+-- 0004_geocoding.down.sql - Drop the job and job seeker coordinates
+
+DROP INDEX IF EXISTS IX_Jobs_latitude_longitude ON Jobs;
+
+IF COL_LENGTH('JobSeekers', 'latitude') IS NOT NULL
+  ALTER TABLE JobSeekers DROP COLUMN latitude, longitude;
+
+IF COL_LENGTH('Jobs', 'latitude') IS NOT NULL
+  ALTER TABLE Jobs DROP COLUMN latitude, longitude;
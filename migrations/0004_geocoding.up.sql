@@ -0,0 +1,16 @@
+-- 0004_geocoding.up.sql - Coordinates for jobs and job seekers
+--
+-- Filled in by services/geocoder.js from the location text whenever a job or
+-- job seeker profile is saved, and left NULL for remote jobs and places the
+-- gazetteer doesn't know. Existing rows are not geocoded by this migration:
+-- run `npm run geocode` after applying it.
+
+IF COL_LENGTH('Jobs', 'latitude') IS NULL
+  ALTER TABLE Jobs ADD latitude DECIMAL(9, 6) NULL, longitude DECIMAL(9, 6) NULL;
+
+IF COL_LENGTH('JobSeekers', 'latitude') IS NULL
+  ALTER TABLE JobSeekers ADD latitude DECIMAL(9, 6) NULL, longitude DECIMAL(9, 6) NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Jobs_latitude_longitude' AND object_id = OBJECT_ID('Jobs'))
+  CREATE INDEX IX_Jobs_latitude_longitude ON Jobs (latitude, longitude) WHERE latitude IS NOT NULL;
@@ -0,0 +1,346 @@
+-- sqlite/schema.sql - Schema for the embedded SQLite backend (DB_CLIENT=sqlite)
+--
+-- The SQL Server migrations in the parent folder are the source of truth. This
+-- file mirrors the schema they produce and is applied whenever the sqlite
+-- backend connects, so keep it in step when adding a migration.
+--
+-- Text columns use NOCASE to match SQL Server's case-insensitive collation.
+-- Dates are stored as ISO 8601 UTC strings; the DATETIME2, DATE and BIT type
+-- names are kept so results can be converted back to Dates and booleans.
+
+CREATE TABLE IF NOT EXISTS Users (
+  user_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email NVARCHAR(255) COLLATE NOCASE NOT NULL UNIQUE,
+  password_hash NVARCHAR(255) NULL,
+  user_type NVARCHAR(20) COLLATE NOCASE NOT NULL CHECK (user_type IN ('company', 'jobseeker', 'admin')),
+  is_verified BIT NOT NULL DEFAULT 0,
+  verification_token NVARCHAR(255) NULL,
+  verification_token_expires DATETIME2 NULL,
+  reset_token NVARCHAR(255) NULL,
+  reset_token_expires DATETIME2 NULL,
+  suspended_at DATETIME2 NULL,
+  suspension_reason NVARCHAR(500) COLLATE NOCASE NULL,
+  suspended_by INT NULL,
+  totp_secret NVARCHAR(255) NULL,
+  totp_pending_secret NVARCHAR(255) NULL,
+  totp_enabled BIT NOT NULL DEFAULT 0,
+  totp_last_step BIGINT NULL,
+  failed_login_count INT NOT NULL DEFAULT 0,
+  lockout_count INT NOT NULL DEFAULT 0,
+  locked_until DATETIME2 NULL,
+  unlock_token NVARCHAR(64) NULL,
+  erasure_requested_at DATETIME2 NULL,
+  erasure_scheduled_for DATETIME2 NULL,
+  erased_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS Companies (
+  company_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INT NOT NULL REFERENCES Users(user_id),
+  company_name NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  company_description NVARCHAR COLLATE NOCASE NULL,
+  industry NVARCHAR(100) COLLATE NOCASE NULL,
+  company_size NVARCHAR(20) NULL CHECK (company_size IN ('1-10', '11-50', '51-200', '201-500', '501-1000', '1000+')),
+  website NVARCHAR(255) COLLATE NOCASE NULL,
+  phone NVARCHAR(50) NULL,
+  address NVARCHAR(255) COLLATE NOCASE NULL,
+  city NVARCHAR(100) COLLATE NOCASE NULL,
+  country NVARCHAR(100) COLLATE NOCASE NULL,
+  logo_url NVARCHAR(500) NULL,
+  require_two_factor BIT NOT NULL DEFAULT 0,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS JobSeekers (
+  jobseeker_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INT NOT NULL UNIQUE REFERENCES Users(user_id),
+  first_name NVARCHAR(100) COLLATE NOCASE NOT NULL,
+  last_name NVARCHAR(100) COLLATE NOCASE NOT NULL,
+  email NVARCHAR(255) COLLATE NOCASE NULL,
+  phone NVARCHAR(50) NULL,
+  date_of_birth DATE NULL,
+  address NVARCHAR(255) COLLATE NOCASE NULL,
+  city NVARCHAR(100) COLLATE NOCASE NULL,
+  country NVARCHAR(100) COLLATE NOCASE NULL,
+  latitude DECIMAL(9, 6) NULL,
+  longitude DECIMAL(9, 6) NULL,
+  summary NVARCHAR COLLATE NOCASE NULL,
+  experience_years INT NULL,
+  current_salary DECIMAL(12, 2) NULL,
+  expected_salary DECIMAL(12, 2) NULL,
+  availability NVARCHAR(20) NULL CHECK (availability IN ('immediately', '2_weeks', '1_month', '2_months', '3_months')),
+  cv_url NVARCHAR(500) NULL,
+  profile_picture_url NVARCHAR(500) NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS Skills (
+  skill_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  skill_name NVARCHAR(100) COLLATE NOCASE NOT NULL UNIQUE,
+  category NVARCHAR(100) COLLATE NOCASE NULL
+);
+
+CREATE TABLE IF NOT EXISTS Jobs (
+  job_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  company_id INT NOT NULL REFERENCES Companies(company_id),
+  title NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  description NVARCHAR COLLATE NOCASE NOT NULL,
+  requirements NVARCHAR COLLATE NOCASE NULL,
+  responsibilities NVARCHAR COLLATE NOCASE NULL,
+  location NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  latitude DECIMAL(9, 6) NULL,
+  longitude DECIMAL(9, 6) NULL,
+  remote_work_option NVARCHAR(10) NOT NULL DEFAULT 'No' CHECK (remote_work_option IN ('Yes', 'No', 'Hybrid')),
+  salary_min DECIMAL(12, 2) NULL,
+  salary_max DECIMAL(12, 2) NULL,
+  salary_currency NVARCHAR(3) COLLATE NOCASE NOT NULL DEFAULT 'USD',
+  job_type NVARCHAR(20) NOT NULL CHECK (job_type IN ('Full-time', 'Part-time', 'Contract', 'Internship', 'Freelance')),
+  experience_level NVARCHAR(20) NOT NULL CHECK (experience_level IN ('Entry-level', 'Mid-level', 'Senior-level', 'Executive')),
+  industry NVARCHAR(100) COLLATE NOCASE NULL,
+  department NVARCHAR(100) COLLATE NOCASE NULL,
+  application_deadline DATE NULL,
+  max_applications INT NULL,
+  current_applications INT NOT NULL DEFAULT 0,
+  views_count INT NOT NULL DEFAULT 0,
+  status NVARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'closed', 'draft', 'paused')),
+  moderated_at DATETIME2 NULL,
+  moderated_by INT NULL REFERENCES Users(user_id),
+  moderation_reason NVARCHAR(500) COLLATE NOCASE NULL,
+  deleted_at DATETIME2 NULL,
+  posted_date DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_Jobs_company_id ON Jobs (company_id);
+CREATE INDEX IF NOT EXISTS IX_Jobs_status_posted_date ON Jobs (status, posted_date DESC);
+CREATE INDEX IF NOT EXISTS IX_Jobs_deleted_at ON Jobs (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS IX_Jobs_latitude_longitude ON Jobs (latitude, longitude) WHERE latitude IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS JobSearchTerms (
+  job_id INT NOT NULL REFERENCES Jobs(job_id) ON DELETE CASCADE,
+  field NVARCHAR(20) NOT NULL,
+  term NVARCHAR(64) NOT NULL,
+  hits INT NOT NULL,
+  weight INT NOT NULL,
+  PRIMARY KEY (job_id, field, term)
+);
+
+CREATE INDEX IF NOT EXISTS IX_JobSearchTerms_term ON JobSearchTerms (term, job_id, weight);
+
+CREATE TABLE IF NOT EXISTS JobSkills (
+  job_id INT NOT NULL REFERENCES Jobs(job_id) ON DELETE CASCADE,
+  skill_id INT NOT NULL REFERENCES Skills(skill_id),
+  required_level NVARCHAR(20) NOT NULL DEFAULT 'Intermediate',
+  is_required BIT NOT NULL DEFAULT 1,
+  PRIMARY KEY (job_id, skill_id)
+);
+
+CREATE TABLE IF NOT EXISTS JobSeekerSkills (
+  jobseeker_id INT NOT NULL REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+  skill_id INT NOT NULL REFERENCES Skills(skill_id),
+  proficiency_level NVARCHAR(20) NOT NULL CHECK (proficiency_level IN ('Beginner', 'Intermediate', 'Advanced', 'Expert')),
+  PRIMARY KEY (jobseeker_id, skill_id)
+);
+
+CREATE TABLE IF NOT EXISTS Applications (
+  application_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INT NOT NULL REFERENCES Jobs(job_id) ON DELETE CASCADE,
+  jobseeker_id INT NOT NULL REFERENCES JobSeekers(jobseeker_id),
+  cover_letter NVARCHAR COLLATE NOCASE NULL,
+  status NVARCHAR(30) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'reviewed', 'shortlisted', 'interview_scheduled', 'rejected', 'hired')),
+  notes NVARCHAR COLLATE NOCASE NULL,
+  rating TINYINT NULL CHECK (rating BETWEEN 1 AND 5),
+  applied_date DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  reviewed_date DATETIME2 NULL,
+  updated_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (job_id, jobseeker_id)
+);
+
+CREATE INDEX IF NOT EXISTS IX_Applications_jobseeker_id ON Applications (jobseeker_id, applied_date DESC);
+
+CREATE TABLE IF NOT EXISTS SavedJobs (
+  jobseeker_id INT NOT NULL REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+  job_id INT NOT NULL REFERENCES Jobs(job_id) ON DELETE CASCADE,
+  saved_date DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (jobseeker_id, job_id)
+);
+
+CREATE TABLE IF NOT EXISTS Education (
+  education_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  jobseeker_id INT NOT NULL REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+  institution_name NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  degree NVARCHAR(255) COLLATE NOCASE NULL,
+  field_of_study NVARCHAR(255) COLLATE NOCASE NULL,
+  start_date DATE NULL,
+  end_date DATE NULL,
+  is_current BIT NOT NULL DEFAULT 0,
+  grade_gpa NVARCHAR(50) NULL,
+  description NVARCHAR COLLATE NOCASE NULL,
+  deleted_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_Education_jobseeker_id ON Education (jobseeker_id);
+
+CREATE TABLE IF NOT EXISTS WorkExperience (
+  experience_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  jobseeker_id INT NOT NULL REFERENCES JobSeekers(jobseeker_id) ON DELETE CASCADE,
+  company_name NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  job_title NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NULL,
+  is_current BIT NOT NULL DEFAULT 0,
+  description NVARCHAR COLLATE NOCASE NULL,
+  location NVARCHAR(255) COLLATE NOCASE NULL,
+  deleted_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_WorkExperience_jobseeker_id ON WorkExperience (jobseeker_id);
+
+CREATE TABLE IF NOT EXISTS CompanyMembers (
+  member_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  company_id INT NOT NULL REFERENCES Companies(company_id) ON DELETE CASCADE,
+  user_id INT NOT NULL UNIQUE REFERENCES Users(user_id),
+  role NVARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'recruiter', 'admin', 'owner')),
+  invited_by INT NULL REFERENCES Users(user_id),
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_CompanyMembers_company_id ON CompanyMembers (company_id);
+
+CREATE TABLE IF NOT EXISTS CompanyInvitations (
+  invitation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  company_id INT NOT NULL REFERENCES Companies(company_id) ON DELETE CASCADE,
+  email NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  role NVARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'recruiter', 'admin', 'owner')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by INT NOT NULL REFERENCES Users(user_id),
+  expires_at DATETIME2 NOT NULL,
+  accepted_at DATETIME2 NULL,
+  revoked_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS ApiKeys (
+  key_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  company_id INT NOT NULL REFERENCES Companies(company_id) ON DELETE CASCADE,
+  name NVARCHAR(100) COLLATE NOCASE NOT NULL,
+  key_prefix NVARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  scopes NVARCHAR(500) NOT NULL,
+  created_by INT NULL REFERENCES Users(user_id),
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_used_at DATETIME2 NULL,
+  expires_at DATETIME2 NULL,
+  revoked_at DATETIME2 NULL
+);
+
+CREATE TABLE IF NOT EXISTS Sessions (
+  session_id NVARCHAR(36) NOT NULL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+  user_agent NVARCHAR(500) NULL,
+  ip_address NVARCHAR(45) NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_seen_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  revoked_at DATETIME2 NULL
+);
+
+CREATE INDEX IF NOT EXISTS IX_Sessions_user_id ON Sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS RefreshTokens (
+  token_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+  family_id NVARCHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at DATETIME2 NOT NULL,
+  used_at DATETIME2 NULL,
+  revoked_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_RefreshTokens_family_id ON RefreshTokens (family_id);
+CREATE INDEX IF NOT EXISTS IX_RefreshTokens_user_id ON RefreshTokens (user_id);
+
+CREATE TABLE IF NOT EXISTS RecoveryCodes (
+  code_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_RecoveryCodes_user_id ON RecoveryCodes (user_id, code_hash);
+
+CREATE TABLE IF NOT EXISTS LoginAttempts (
+  attempt_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email NVARCHAR(255) COLLATE NOCASE NOT NULL,
+  user_id INT NULL,
+  ip_address NVARCHAR(45) NULL,
+  user_agent NVARCHAR(500) NULL,
+  succeeded BIT NOT NULL,
+  failure_reason NVARCHAR(50) NULL,
+  attempted_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_LoginAttempts_ip_address ON LoginAttempts (ip_address, attempted_at);
+CREATE INDEX IF NOT EXISTS IX_LoginAttempts_email ON LoginAttempts (email, attempted_at);
+CREATE INDEX IF NOT EXISTS IX_LoginAttempts_user_id ON LoginAttempts (user_id, attempted_at);
+
+CREATE TABLE IF NOT EXISTS OidcAuthRequests (
+  request_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  state_hash CHAR(64) NOT NULL UNIQUE,
+  provider NVARCHAR(50) COLLATE NOCASE NOT NULL,
+  code_verifier NVARCHAR(128) NOT NULL,
+  nonce NVARCHAR(128) NOT NULL,
+  redirect_uri NVARCHAR(500) NOT NULL,
+  expires_at DATETIME2 NOT NULL,
+  used_at DATETIME2 NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS UserIdentities (
+  identity_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INT NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+  provider NVARCHAR(50) COLLATE NOCASE NOT NULL,
+  subject NVARCHAR(255) NOT NULL,
+  email NVARCHAR(255) COLLATE NOCASE NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_login_at DATETIME2 NULL,
+  UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS IX_UserIdentities_user_id ON UserIdentities (user_id);
+
+CREATE TABLE IF NOT EXISTS Impersonations (
+  impersonation_id NVARCHAR(36) NOT NULL PRIMARY KEY,
+  admin_user_id INT NOT NULL REFERENCES Users(user_id),
+  target_user_id INT NOT NULL REFERENCES Users(user_id),
+  reason NVARCHAR(500) COLLATE NOCASE NOT NULL,
+  allow_destructive BIT NOT NULL DEFAULT 0,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at DATETIME2 NOT NULL,
+  ended_at DATETIME2 NULL
+);
+
+CREATE TABLE IF NOT EXISTS ImpersonationAuditLog (
+  log_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  impersonation_id NVARCHAR(36) NOT NULL REFERENCES Impersonations(impersonation_id),
+  admin_user_id INT NOT NULL,
+  target_user_id INT NOT NULL,
+  method NVARCHAR(10) NOT NULL,
+  path NVARCHAR(500) NOT NULL,
+  status_code INT NOT NULL,
+  ip_address NVARCHAR(45) NULL,
+  created_at DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_ImpersonationAuditLog_impersonation_id ON ImpersonationAuditLog (impersonation_id, created_at);
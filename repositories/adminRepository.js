@@ -0,0 +1,222 @@
+// repositories/adminRepository.js - Data access for platform administration:
+// user moderation, login attempts, impersonations and platform statistics
+//
+// See jobRepository.js for why repositories are built from a query function.
+const { executeQuery } = require('../config/database');
+
+const createAdminRepository = (query = executeQuery) => ({
+  // List users with their company or job seeker profile, newest first, with a total_count column
+  listUsers: async ({ search, userType, status, offset, limit }) => {
+    const params = { offset, limit };
+    let whereClause = 'WHERE 1 = 1';
+
+    if (search) {
+      whereClause += ` AND (u.email LIKE @search OR c.company_name LIKE @search
+        OR js.first_name LIKE @search OR js.last_name LIKE @search)`;
+      params.search = `%${search}%`;
+    }
+
+    if (userType) {
+      whereClause += ' AND u.user_type = @userType';
+      params.userType = userType;
+    }
+
+    if (status === 'suspended') {
+      whereClause += ' AND u.suspended_at IS NOT NULL';
+    } else if (status === 'unverified') {
+      whereClause += ' AND u.is_verified = 0';
+    } else if (status === 'locked') {
+      whereClause += ' AND u.locked_until > GETDATE()';
+    } else if (status === 'active') {
+      whereClause += ' AND u.suspended_at IS NULL AND u.is_verified = 1';
+    }
+
+    const result = await query(`
+      SELECT u.user_id, u.email, u.user_type, u.is_verified, u.created_at,
+             u.suspended_at, u.suspension_reason, u.locked_until,
+             c.company_id, c.company_name, cm.role as company_role,
+             js.jobseeker_id, js.first_name, js.last_name,
+             COUNT(*) OVER() as total_count
+      FROM Users u
+      LEFT JOIN CompanyMembers cm ON u.user_id = cm.user_id
+      LEFT JOIN Companies c ON cm.company_id = c.company_id
+      LEFT JOIN JobSeekers js ON u.user_id = js.user_id
+      ${whereClause}
+      ORDER BY u.created_at DESC
+      OFFSET @offset ROWS
+      FETCH NEXT @limit ROWS ONLY
+    `, params);
+    return result.recordset;
+  },
+
+  // Suspend a user; returns false if there is no such user, they are already
+  // suspended or they are an administrator
+  suspendUser: async (userId, reason, adminId) => {
+    const result = await query(`
+      UPDATE Users
+      SET suspended_at = GETDATE(),
+          suspension_reason = @reason,
+          suspended_by = @adminId,
+          updated_at = GETDATE()
+      OUTPUT INSERTED.user_id
+      WHERE user_id = @userId AND user_type != 'admin' AND suspended_at IS NULL
+    `, { userId, reason, adminId });
+    return result.recordset.length > 0;
+  },
+
+  // Lift a suspension; returns false if the user was not suspended
+  reactivateUser: async (userId) => {
+    const result = await query(`
+      UPDATE Users
+      SET suspended_at = NULL,
+          suspension_reason = NULL,
+          suspended_by = NULL,
+          updated_at = GETDATE()
+      OUTPUT INSERTED.user_id
+      WHERE user_id = @userId AND suspended_at IS NOT NULL
+    `, { userId });
+    return result.recordset.length > 0;
+  },
+
+  // List login attempts, most recent first, with a total_count column
+  listLoginAttempts: async ({ email, ipAddress, userId, succeeded, offset, limit }) => {
+    const params = { offset, limit };
+    let whereClause = 'WHERE 1 = 1';
+
+    if (email) {
+      whereClause += ' AND la.email = @email';
+      params.email = email;
+    }
+
+    if (ipAddress) {
+      whereClause += ' AND la.ip_address = @ipAddress';
+      params.ipAddress = ipAddress;
+    }
+
+    if (userId) {
+      whereClause += ' AND la.user_id = @userId';
+      params.userId = userId;
+    }
+
+    if (succeeded !== undefined) {
+      whereClause += ' AND la.succeeded = @succeeded';
+      params.succeeded = succeeded;
+    }
+
+    const result = await query(`
+      SELECT la.attempt_id, la.email, la.user_id, la.ip_address, la.user_agent,
+             la.succeeded, la.failure_reason, la.attempted_at,
+             COUNT(*) OVER() as total_count
+      FROM LoginAttempts la
+      ${whereClause}
+      ORDER BY la.attempted_at DESC
+      OFFSET @offset ROWS
+      FETCH NEXT @limit ROWS ONLY
+    `, params);
+    return result.recordset;
+  },
+
+  // List impersonations with both accounts' emails and how many requests were
+  // made, most recent first, with a total_count column
+  listImpersonations: async ({ adminUserId, targetUserId, active, offset, limit }) => {
+    const params = { offset, limit };
+    let whereClause = 'WHERE 1 = 1';
+
+    if (adminUserId) {
+      whereClause += ' AND i.admin_user_id = @adminUserId';
+      params.adminUserId = adminUserId;
+    }
+
+    if (targetUserId) {
+      whereClause += ' AND i.target_user_id = @targetUserId';
+      params.targetUserId = targetUserId;
+    }
+
+    if (active !== undefined) {
+      whereClause += active
+        ? ' AND i.ended_at IS NULL AND i.expires_at > GETDATE()'
+        : ' AND (i.ended_at IS NOT NULL OR i.expires_at <= GETDATE())';
+    }
+
+    const result = await query(`
+      SELECT i.impersonation_id, i.reason, i.allow_destructive, i.created_at, i.expires_at, i.ended_at,
+             i.admin_user_id, a.email as admin_email,
+             i.target_user_id, t.email as target_email, t.user_type as target_user_type,
+             (SELECT COUNT(*) FROM ImpersonationAuditLog l WHERE l.impersonation_id = i.impersonation_id) as request_count,
+             COUNT(*) OVER() as total_count
+      FROM Impersonations i
+      INNER JOIN Users a ON i.admin_user_id = a.user_id
+      INNER JOIN Users t ON i.target_user_id = t.user_id
+      ${whereClause}
+      ORDER BY i.created_at DESC
+      OFFSET @offset ROWS
+      FETCH NEXT @limit ROWS ONLY
+    `, params);
+    return result.recordset;
+  },
+
+  // List the requests made during an impersonation, in the order they were made
+  listImpersonationRequests: async (impersonationId) => {
+    const result = await query(`
+      SELECT l.method, l.path, l.status_code, l.ip_address, l.created_at,
+             l.admin_user_id, a.email as admin_email
+      FROM ImpersonationAuditLog l
+      INNER JOIN Users a ON l.admin_user_id = a.user_id
+      WHERE l.impersonation_id = @impersonationId
+      ORDER BY l.created_at
+    `, { impersonationId });
+    return result.recordset;
+  },
+
+  // Get platform-wide user, job and application counts
+  getPlatformStats: async () => {
+    const result = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM Users) as total_users,
+        (SELECT COUNT(*) FROM Users WHERE user_type = 'company') as company_users,
+        (SELECT COUNT(*) FROM Users WHERE user_type = 'jobseeker') as jobseeker_users,
+        (SELECT COUNT(*) FROM Users WHERE user_type = 'admin') as admin_users,
+        (SELECT COUNT(*) FROM Users WHERE is_verified = 0) as unverified_users,
+        (SELECT COUNT(*) FROM Users WHERE suspended_at IS NOT NULL) as suspended_users,
+        (SELECT COUNT(*) FROM Users WHERE created_at >= DATEADD(day, -30, GETDATE())) as new_users_last_30_days,
+        (SELECT COUNT(*) FROM Companies) as total_companies,
+        (SELECT COUNT(*) FROM Jobs WHERE deleted_at IS NULL) as total_jobs,
+        (SELECT COUNT(*) FROM Jobs WHERE status = 'active' AND deleted_at IS NULL) as active_jobs,
+        (SELECT COUNT(*) FROM Jobs WHERE deleted_at IS NOT NULL) as deleted_jobs,
+        (SELECT COUNT(*) FROM Jobs WHERE moderated_at IS NOT NULL) as moderated_jobs,
+        (SELECT COUNT(*) FROM Jobs WHERE posted_date >= DATEADD(day, -30, GETDATE())) as jobs_posted_last_30_days,
+        (SELECT COUNT(*) FROM Applications) as total_applications,
+        (SELECT COUNT(*) FROM Applications WHERE applied_date >= DATEADD(day, -30, GETDATE())) as applications_last_30_days,
+        (SELECT COUNT(*) FROM Applications WHERE status = 'hired') as total_hires
+    `);
+    return result.recordset[0];
+  },
+
+  // Count jobs that aren't deleted by status
+  countJobsByStatus: async () => {
+    const result = await query(`
+      SELECT status, COUNT(*) as count
+      FROM Jobs
+      WHERE deleted_at IS NULL
+      GROUP BY status
+      ORDER BY status
+    `);
+    return result.recordset;
+  },
+
+  // Count applications by status
+  countApplicationsByStatus: async () => {
+    const result = await query(`
+      SELECT status, COUNT(*) as count
+      FROM Applications
+      GROUP BY status
+      ORDER BY status
+    `);
+    return result.recordset;
+  }
+});
+
+module.exports = {
+  createAdminRepository,
+  ...createAdminRepository()
+};
@@ -0,0 +1,123 @@
+// repositories/applicationRepository.js - Data access for job applications
+//
+// See jobRepository.js for why repositories are built from a query function.
+const { executeQuery } = require('../config/database');
+const { sortKey, fetchPage } = require('./keyset');
+
+// Newest applications first
+const APPLICATION_SORT_KEYS = [sortKey('a.applied_date', 'DESC', 'date'), sortKey('a.application_id', 'DESC')];
+
+const createApplicationRepository = (query = executeQuery) => ({
+  // List a page of the applications to a job (see keyset.js for page) with
+  // applicant details. Returns { rows, nextCursor, prevCursor }, or null for
+  // an invalid cursor.
+  listForJob: async (jobId, { status, page }) => {
+    const params = { jobId };
+    let whereClause = 'WHERE a.job_id = @jobId';
+
+    if (status) {
+      whereClause += ' AND a.status = @status';
+      params.status = status;
+    }
+
+    return fetchPage(query, {
+      select: `
+        SELECT a.*,
+               js.first_name, js.last_name, js.phone, js.email,
+               js.cv_url, js.profile_picture_url, js.summary, js.experience_years,
+               u.email as user_email
+      `,
+      from: `
+        FROM Applications a
+        INNER JOIN JobSeekers js ON a.jobseeker_id = js.jobseeker_id
+        INNER JOIN Users u ON js.user_id = u.user_id
+        ${whereClause}
+      `,
+      keys: APPLICATION_SORT_KEYS,
+      page,
+      params
+    });
+  },
+
+  // List a page of a job seeker's applications (see keyset.js for page) with
+  // job details. Returns { rows, nextCursor, prevCursor }, or null for an
+  // invalid cursor.
+  listForJobSeeker: async (jobseekerId, { status, page }) => {
+    const params = { jobseekerId };
+    let whereClause = 'WHERE a.jobseeker_id = @jobseekerId';
+
+    if (status) {
+      whereClause += ' AND a.status = @status';
+      params.status = status;
+    }
+
+    return fetchPage(query, {
+      select: `
+        SELECT a.*, j.title as job_title, j.location, j.job_type, j.salary_min, j.salary_max,
+               j.deleted_at as job_deleted_at, c.company_name, c.logo_url
+      `,
+      from: `
+        FROM Applications a
+        INNER JOIN Jobs j ON a.job_id = j.job_id
+        INNER JOIN Companies c ON j.company_id = c.company_id
+        ${whereClause}
+      `,
+      keys: APPLICATION_SORT_KEYS,
+      page,
+      params
+    });
+  },
+
+  // Check whether a job seeker has already applied for a job
+  exists: async (jobId, jobseekerId) => {
+    const result = await query(`
+      SELECT application_id FROM Applications
+      WHERE job_id = @jobId AND jobseeker_id = @jobseekerId
+    `, { jobId, jobseekerId });
+    return result.recordset.length > 0;
+  },
+
+  // Create an application
+  create: async ({ jobId, jobseekerId, coverLetter }) => {
+    const result = await query(`
+      INSERT INTO Applications (job_id, jobseeker_id, cover_letter)
+      OUTPUT INSERTED.application_id, INSERTED.applied_date
+      VALUES (@jobId, @jobseekerId, @coverLetter)
+    `, { jobId, jobseekerId, coverLetter });
+    return result.recordset[0];
+  },
+
+  // Get an application only if it was made to one of the company's jobs
+  findCompanyApplication: async (applicationId, companyId) => {
+    const result = await query(`
+      SELECT a.application_id, a.job_id, a.status, j.deleted_at as job_deleted_at
+      FROM Applications a
+      INNER JOIN Jobs j ON a.job_id = j.job_id
+      WHERE a.application_id = @applicationId AND j.company_id = @companyId
+    `, { applicationId, companyId });
+    return result.recordset[0];
+  },
+
+  // Record a company's review of an application
+  updateReview: async (applicationId, { status, notes, rating }) => {
+    await query(`
+      UPDATE Applications
+      SET status = @status,
+          notes = @notes,
+          rating = @rating,
+          reviewed_date = CASE WHEN @status != 'pending' THEN GETDATE() ELSE reviewed_date END,
+          updated_at = GETDATE()
+      WHERE application_id = @applicationId
+    `, {
+      applicationId,
+      status,
+      notes: notes || null,
+      rating: rating || null
+    });
+  }
+});
+
+module.exports = {
+  createApplicationRepository,
+  ...createApplicationRepository()
+};
@@ -0,0 +1,277 @@
+// repositories/companyRepository.js - Data access for companies, their members and API keys
+//
+// See jobRepository.js for why repositories are built from a query function.
+const { executeQuery } = require('../config/database');
+
+const createCompanyRepository = (query = executeQuery) => ({
+  // Get a company's full profile with its account email
+  getProfile: async (companyId) => {
+    const result = await query(`
+      SELECT c.*, u.email, u.created_at as user_created_at
+      FROM Companies c
+      INNER JOIN Users u ON c.user_id = u.user_id
+      WHERE c.company_id = @companyId
+    `, { companyId });
+    return result.recordset[0];
+  },
+
+  // Get the part of a company profile shown to the public
+  findPublicById: async (companyId) => {
+    const result = await query(`
+      SELECT company_id, company_name, company_description, logo_url, website, industry, company_size
+      FROM Companies
+      WHERE company_id = @companyId
+    `, { companyId });
+    return result.recordset[0];
+  },
+
+  // Get a company's name
+  getName: async (companyId) => {
+    const result = await query('SELECT company_name FROM Companies WHERE company_id = @companyId', { companyId });
+    return result.recordset[0] && result.recordset[0].company_name;
+  },
+
+  // Get the country a company is based in, as entered on its profile
+  getCountry: async (companyId) => {
+    const result = await query('SELECT country FROM Companies WHERE company_id = @companyId', { companyId });
+    return result.recordset[0] && result.recordset[0].country;
+  },
+
+  // Replace a company's profile fields
+  updateProfile: async (companyId, profile) => {
+    await query(`
+      UPDATE Companies
+      SET company_name = @companyName,
+          company_description = @companyDescription,
+          industry = @industry,
+          company_size = @companySize,
+          website = @website,
+          phone = @phone,
+          address = @address,
+          city = @city,
+          country = @country,
+          updated_at = GETDATE()
+      WHERE company_id = @companyId
+    `, {
+      companyId,
+      companyName: profile.company_name,
+      companyDescription: profile.company_description,
+      industry: profile.industry,
+      companySize: profile.company_size,
+      website: profile.website,
+      phone: profile.phone,
+      address: profile.address,
+      city: profile.city,
+      country: profile.country
+    });
+  },
+
+  // Point a company's logo at an uploaded file
+  setLogoUrl: async (companyId, url) => {
+    await query(`
+      UPDATE Companies
+      SET logo_url = @url, updated_at = GETDATE()
+      WHERE company_id = @companyId
+    `, { companyId, url });
+  },
+
+  // Clear a company's logo, only if it is still the given file
+  clearLogoUrl: async (companyId, url) => {
+    await query(`
+      UPDATE Companies
+      SET logo_url = NULL, updated_at = GETDATE()
+      WHERE company_id = @companyId AND logo_url = @url
+    `, { companyId, url });
+  },
+
+  // Get job and application counts for the company dashboard
+  getDashboardStats: async (companyId) => {
+    const result = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM Jobs WHERE company_id = @companyId AND deleted_at IS NULL) as total_jobs,
+        (SELECT COUNT(*) FROM Jobs WHERE company_id = @companyId AND status = 'active' AND deleted_at IS NULL) as active_jobs,
+        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId) as total_applications,
+        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId AND a.status = 'pending') as pending_applications,
+        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId AND a.status = 'shortlisted') as shortlisted_applications,
+        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId AND a.applied_date >= DATEADD(day, -30, GETDATE())) as applications_last_30_days
+    `, { companyId });
+    return result.recordset[0];
+  },
+
+  // List members, owners first
+  listMembers: async (companyId) => {
+    const result = await query(`
+      SELECT cm.member_id, cm.user_id, cm.role, cm.created_at,
+             u.email, u.is_verified
+      FROM CompanyMembers cm
+      INNER JOIN Users u ON cm.user_id = u.user_id
+      WHERE cm.company_id = @companyId
+      ORDER BY CASE cm.role
+                 WHEN 'owner' THEN 1
+                 WHEN 'admin' THEN 2
+                 WHEN 'recruiter' THEN 3
+                 ELSE 4
+               END, u.email
+    `, { companyId });
+    return result.recordset;
+  },
+
+  // Get a member only if it belongs to the company
+  findMember: async (memberId, companyId) => {
+    const result = await query(`
+      SELECT member_id, user_id, role
+      FROM CompanyMembers
+      WHERE member_id = @memberId AND company_id = @companyId
+    `, { memberId, companyId });
+    return result.recordset[0];
+  },
+
+  // Count owners, so the last one can't be removed or demoted
+  countOwners: async (companyId) => {
+    const result = await query(`
+      SELECT COUNT(*) as owner_count
+      FROM CompanyMembers
+      WHERE company_id = @companyId AND role = 'owner'
+    `, { companyId });
+    return result.recordset[0].owner_count;
+  },
+
+  // Change a member's role
+  updateMemberRole: async (memberId, role) => {
+    await query('UPDATE CompanyMembers SET role = @role WHERE member_id = @memberId', { memberId, role });
+  },
+
+  // Remove a member
+  deleteMember: async (memberId) => {
+    await query('DELETE FROM CompanyMembers WHERE member_id = @memberId', { memberId });
+  },
+
+  // List invitations that can still be accepted
+  listPendingInvitations: async (companyId) => {
+    const result = await query(`
+      SELECT invitation_id, email, role, created_at, expires_at
+      FROM CompanyInvitations
+      WHERE company_id = @companyId
+        AND accepted_at IS NULL
+        AND revoked_at IS NULL
+        AND expires_at > GETDATE()
+      ORDER BY created_at DESC
+    `, { companyId });
+    return result.recordset;
+  },
+
+  // Revoke any pending invitation for an address
+  revokePendingInvitations: async (companyId, email) => {
+    await query(`
+      UPDATE CompanyInvitations
+      SET revoked_at = GETDATE()
+      WHERE company_id = @companyId AND email = @email
+        AND accepted_at IS NULL AND revoked_at IS NULL
+    `, { companyId, email });
+  },
+
+  // Create an invitation; only the token's hash is stored
+  createInvitation: async (invitationData) => {
+    const result = await query(`
+      INSERT INTO CompanyInvitations (company_id, email, role, token_hash, invited_by, expires_at)
+      OUTPUT INSERTED.invitation_id, INSERTED.email, INSERTED.role, INSERTED.expires_at
+      VALUES (@companyId, @email, @role, @tokenHash, @invitedBy, @expiresAt)
+    `, invitationData);
+    return result.recordset[0];
+  },
+
+  // Revoke a pending invitation; returns false if there was none
+  revokeInvitation: async (invitationId, companyId) => {
+    const result = await query(`
+      UPDATE CompanyInvitations
+      SET revoked_at = GETDATE()
+      OUTPUT INSERTED.invitation_id
+      WHERE invitation_id = @invitationId AND company_id = @companyId
+        AND accepted_at IS NULL AND revoked_at IS NULL
+    `, { invitationId, companyId });
+    return result.recordset.length > 0;
+  },
+
+  // Get the two-factor policy and how many members follow it
+  getSecuritySettings: async (companyId) => {
+    const result = await query(`
+      SELECT c.require_two_factor,
+             (SELECT COUNT(*) FROM CompanyMembers cm
+              INNER JOIN Users u ON cm.user_id = u.user_id
+              WHERE cm.company_id = c.company_id AND u.totp_enabled = 1) as members_with_two_factor,
+             (SELECT COUNT(*) FROM CompanyMembers cm
+              WHERE cm.company_id = c.company_id) as total_members
+      FROM Companies c
+      WHERE c.company_id = @companyId
+    `, { companyId });
+    return result.recordset[0];
+  },
+
+  // Turn the company's two-factor requirement on or off
+  setRequireTwoFactor: async (companyId, requireTwoFactor) => {
+    await query(`
+      UPDATE Companies
+      SET require_two_factor = @requireTwoFactor, updated_at = GETDATE()
+      WHERE company_id = @companyId
+    `, { companyId, requireTwoFactor });
+  },
+
+  // Get the user IDs of members who haven't enabled two-factor
+  listMembersWithoutTwoFactor: async (companyId) => {
+    const result = await query(`
+      SELECT cm.user_id
+      FROM CompanyMembers cm
+      INNER JOIN Users u ON cm.user_id = u.user_id
+      WHERE cm.company_id = @companyId AND (u.totp_enabled = 0 OR u.totp_enabled IS NULL)
+    `, { companyId });
+    return result.recordset.map(member => member.user_id);
+  },
+
+  // List API keys, active ones first
+  listApiKeys: async (companyId) => {
+    const result = await query(`
+      SELECT k.key_id, k.name, k.key_prefix, k.scopes, k.created_at, k.last_used_at,
+             k.expires_at, k.revoked_at, u.email as created_by_email
+      FROM ApiKeys k
+      LEFT JOIN Users u ON k.created_by = u.user_id
+      WHERE k.company_id = @companyId
+      ORDER BY k.revoked_at, k.created_at DESC
+    `, { companyId });
+    return result.recordset;
+  },
+
+  // Store a new API key; scopes are saved comma separated
+  createApiKey: async (keyData) => {
+    const result = await query(`
+      INSERT INTO ApiKeys (company_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+      OUTPUT INSERTED.key_id, INSERTED.name, INSERTED.key_prefix, INSERTED.created_at, INSERTED.expires_at
+      VALUES (@companyId, @name, @keyPrefix, @keyHash, @scopes, @createdBy, @expiresAt)
+    `, keyData);
+    return result.recordset[0];
+  },
+
+  // Revoke an API key; returns false if it was not active
+  revokeApiKey: async (keyId, companyId) => {
+    const result = await query(`
+      UPDATE ApiKeys
+      SET revoked_at = GETDATE()
+      OUTPUT INSERTED.key_id
+      WHERE key_id = @keyId AND company_id = @companyId AND revoked_at IS NULL
+    `, { keyId, companyId });
+    return result.recordset.length > 0;
+  },
+
+  // Revoke every active API key a member created for the company
+  revokeApiKeysCreatedBy: async (companyId, userId) => {
+    await query(`
+      UPDATE ApiKeys
+      SET revoked_at = GETDATE()
+      WHERE company_id = @companyId AND created_by = @userId AND revoked_at IS NULL
+    `, { companyId, userId });
+  }
+});
+
+module.exports = {
+  createCompanyRepository,
+  ...createCompanyRepository()
+};
@@ -0,0 +1,972 @@
+// repositories/jobRepository.js - Data access for job postings
+//
+// createJobRepository takes the function used to run queries, so the same
+// methods work inside withTransaction (pass the transaction's query function)
+// and can be unit tested against a stub. The module also exports an instance
+// bound to executeQuery.
+const { executeQuery } = require('../config/database');
+const { KM_PER_DEGREE, boundingBox } = require('../services/geocoder');
+const { sortKey, fetchPage } = require('./keyset');
+
+// Columns a job seeker sees on every listing; expects Jobs aliased as j and @jobseekerId bound
+const JOBSEEKER_FLAGS = `
+  (SELECT COUNT(*) FROM Applications WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as has_applied,
+  (SELECT COUNT(*) FROM SavedJobs WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as is_saved
+`;
+
+// Listings open to applicants: active, not deleted and not past their deadline.
+// Deleted jobs are only kept for the hiring record and never listed.
+const OPEN_JOBS_CLAUSE = `j.status = 'active' AND j.deleted_at IS NULL
+  AND (j.application_deadline IS NULL OR j.application_deadline >= CAST(GETDATE() AS DATE))`;
+
+// Rows per INSERT when writing search terms (five parameters each)
+const SEARCH_TERMS_PER_INSERT = 400;
+
+// Bind a list of values as @prefix0, @prefix1, ... and return the placeholders
+const bindList = (params, prefix, values) => {
+  return values.map((value, index) => {
+    params[`${prefix}${index}`] = value;
+    return `@${prefix}${index}`;
+  }).join(',');
+};
+
+// Add the has_applied/is_saved columns when a job seeker is asking
+const withJobSeekerFlags = (selectClause, params, jobseekerId) => {
+  if (!jobseekerId) {
+    return selectClause;
+  }
+  params.jobseekerId = jobseekerId;
+  return `${selectClause},
+    ${JOBSEEKER_FLAGS}`;
+};
+
+// WHERE conditions for the simple job listing filters, each tagged with the
+// facet it narrows (null for filters that aren't faceted)
+const buildListFilters = (filters, params) => {
+  const conditions = [];
+
+  if (filters.location) {
+    conditions.push({ facet: null, condition: 'j.location LIKE @location' });
+    params.location = `%${filters.location}%`;
+  }
+
+  if (filters.job_type) {
+    conditions.push({ facet: 'job_type', condition: 'j.job_type = @jobType' });
+    params.jobType = filters.job_type;
+  }
+
+  if (filters.experience_level) {
+    conditions.push({ facet: 'experience_level', condition: 'j.experience_level = @experienceLevel' });
+    params.experienceLevel = filters.experience_level;
+  }
+
+  if (filters.remote_work_option) {
+    conditions.push({ facet: 'remote_work_option', condition: 'j.remote_work_option = @remoteWorkOption' });
+    params.remoteWorkOption = filters.remote_work_option;
+  }
+
+  if (filters.salary_min) {
+    conditions.push({ facet: 'salary', condition: '(j.salary_min >= @salaryMin OR j.salary_min IS NULL)' });
+    params.salaryMin = parseFloat(filters.salary_min);
+  }
+
+  if (filters.salary_max) {
+    conditions.push({ facet: 'salary', condition: '(j.salary_max <= @salaryMax OR j.salary_max IS NULL)' });
+    params.salaryMax = parseFloat(filters.salary_max);
+  }
+
+  if (filters.industry) {
+    conditions.push({ facet: 'industry', condition: 'j.industry LIKE @industry' });
+    params.industry = `%${filters.industry}%`;
+  }
+
+  if (filters.company_size) {
+    conditions.push({ facet: 'company_size', condition: 'c.company_size = @companySize' });
+    params.companySize = filters.company_size;
+  }
+
+  if (filters.posted_within_days) {
+    conditions.push({ facet: 'posted_date', condition: 'j.posted_date >= DATEADD(day, -@postedWithinDays, GETDATE())' });
+    params.postedWithinDays = parseInt(filters.posted_within_days);
+  }
+
+  return conditions;
+};
+
+// WHERE conditions for the advanced search criteria, tagged like buildListFilters
+const buildSearchFilters = (criteria, params) => {
+  const conditions = [];
+
+  if (criteria.location) {
+    conditions.push({ facet: null, condition: 'j.location LIKE @location' });
+    params.location = `%${criteria.location}%`;
+  }
+
+  if (criteria.job_types && criteria.job_types.length > 0) {
+    conditions.push({ facet: 'job_type', condition: `j.job_type IN (${bindList(params, 'jobType', criteria.job_types)})` });
+  }
+
+  if (criteria.experience_levels && criteria.experience_levels.length > 0) {
+    conditions.push({
+      facet: 'experience_level',
+      condition: `j.experience_level IN (${bindList(params, 'expLevel', criteria.experience_levels)})`
+    });
+  }
+
+  if (criteria.industries && criteria.industries.length > 0) {
+    conditions.push({ facet: 'industry', condition: `j.industry IN (${bindList(params, 'industry', criteria.industries)})` });
+  }
+
+  if (criteria.salary_range) {
+    if (criteria.salary_range.min) {
+      conditions.push({ facet: 'salary', condition: '(j.salary_min >= @salaryMin OR j.salary_min IS NULL)' });
+      params.salaryMin = criteria.salary_range.min;
+    }
+    if (criteria.salary_range.max) {
+      conditions.push({ facet: 'salary', condition: '(j.salary_max <= @salaryMax OR j.salary_max IS NULL)' });
+      params.salaryMax = criteria.salary_range.max;
+    }
+  }
+
+  if (criteria.remote_only) {
+    conditions.push({ facet: 'remote_work_option', condition: 'j.remote_work_option IN (\'Yes\', \'Hybrid\')' });
+  }
+
+  if (criteria.posted_within_days) {
+    conditions.push({ facet: 'posted_date', condition: 'j.posted_date >= DATEADD(day, -@postedWithinDays, GETDATE())' });
+    params.postedWithinDays = criteria.posted_within_days;
+  }
+
+  if (criteria.company_size && criteria.company_size.length > 0) {
+    conditions.push({ facet: 'company_size', condition: `c.company_size IN (${bindList(params, 'companySize', criteria.company_size)})` });
+  }
+
+  return conditions;
+};
+
+// The conditions of tagged filters, leaving out those on one facet
+const untagged = (filters, exceptFacet) => {
+  return filters.filter(filter => !exceptFacet || filter.facet !== exceptFacet).map(filter => filter.condition);
+};
+
+// Facets counted by value; expect Jobs j and Companies c
+const VALUE_FACETS = {
+  job_type: 'j.job_type',
+  experience_level: 'j.experience_level',
+  industry: 'j.industry',
+  remote_work_option: 'j.remote_work_option',
+  company_size: 'c.company_size'
+};
+
+// Salary bands by the lowest salary offered
+const SALARY_BANDS = [
+  { value: 'under_30000', max: 30000 },
+  { value: '30000_50000', min: 30000, max: 50000 },
+  { value: '50000_75000', min: 50000, max: 75000 },
+  { value: '75000_100000', min: 75000, max: 100000 },
+  { value: '100000_150000', min: 100000, max: 150000 },
+  { value: '150000_plus', min: 150000 }
+];
+
+// Posted-date ranges; each counts every job posted within that many days
+const POSTED_DATE_RANGES = [1, 7, 30, 90];
+
+const FACETS = [...Object.keys(VALUE_FACETS), 'salary', 'posted_date'];
+
+// Count jobs per bucket of each requested facet. Each facet is counted
+// against every filter except its own, so a facet shows what picking
+// another of its values would give. filters are tagged conditions and
+// conditions apply to every facet; both expect Jobs j and Companies c.
+const countFacets = async (query, { facets, conditions, filters, params }) => {
+  const countOne = async (facet) => {
+    const where = [...conditions, ...untagged(filters, facet)].join(' AND ');
+    const from = `FROM Jobs j INNER JOIN Companies c ON j.company_id = c.company_id WHERE ${where}`;
+
+    if (VALUE_FACETS[facet]) {
+      const column = VALUE_FACETS[facet];
+      const result = await query(`
+        SELECT ${column} as value, COUNT(*) as count
+        ${from} AND ${column} IS NOT NULL
+        GROUP BY ${column}
+        ORDER BY COUNT(*) DESC, ${column}
+      `, params);
+      return result.recordset;
+    }
+
+    if (facet === 'salary') {
+      const bands = SALARY_BANDS.map(band => {
+        const checks = [
+          band.min !== undefined ? `j.salary_min >= ${band.min}` : null,
+          band.max !== undefined ? `j.salary_min < ${band.max}` : null
+        ].filter(Boolean).join(' AND ');
+        return `SUM(CASE WHEN ${checks} THEN 1 ELSE 0 END) as [${band.value}]`;
+      });
+      const result = await query(`
+        SELECT ${bands.join(', ')}, SUM(CASE WHEN j.salary_min IS NULL THEN 1 ELSE 0 END) as not_specified
+        ${from}
+      `, params);
+      const row = result.recordset[0];
+      return [
+        ...SALARY_BANDS.map(band => ({ ...band, count: row[band.value] || 0 })),
+        { value: 'not_specified', count: row.not_specified || 0 }
+      ];
+    }
+
+    const ranges = POSTED_DATE_RANGES.map(days =>
+      `SUM(CASE WHEN j.posted_date >= DATEADD(day, -${days}, GETDATE()) THEN 1 ELSE 0 END) as [days_${days}]`);
+    const result = await query(`SELECT ${ranges.join(', ')} ${from}`, params);
+    const row = result.recordset[0];
+    return POSTED_DATE_RANGES.map(days => ({
+      value: `last_${days}_days`,
+      posted_within_days: days,
+      count: row[`days_${days}`] || 0
+    }));
+  };
+
+  const counts = await Promise.all(facets.map(countOne));
+  return Object.fromEntries(facets.map((facet, index) => [facet, counts[index]]));
+};
+
+// Escape LIKE wildcards; patterns using this need ESCAPE '\'
+const escapeLike = (value) => value.replace(/[\\%_[]/g, '\\$&');
+
+// Text columns a phrase is looked for in; expects Jobs j and Companies c
+const PHRASE_COLUMNS = ['j.title', 'j.description', 'j.requirements', 'c.company_name'];
+
+// Extra relevance for a phrase found as written, by column
+const PHRASE_BONUS = { 'j.title': 20, 'c.company_name': 8, 'j.requirements': 4, 'j.description': 2 };
+
+// Condition for one word of a parsed search query (see services/jobSearch.js)
+const termMatch = (item, params, name) => {
+  params[name] = item.prefix ? `${escapeLike(item.term)}%` : item.term;
+  const comparison = item.prefix ? `t.term LIKE @${name} ESCAPE '\\'` : `t.term = @${name}`;
+  return `EXISTS (SELECT 1 FROM JobSearchTerms t WHERE t.job_id = j.job_id AND ${comparison})`;
+};
+
+// Condition for one word or phrase. A phrase needs each of its words in the
+// index, which narrows the rows before the LIKE checks the words are adjacent.
+const itemMatch = (item, params, name) => {
+  if (!item.phrase) {
+    return termMatch(item, params, name);
+  }
+
+  const words = item.terms.map((term, index) => termMatch({ term }, params, `${name}w${index}`));
+  params[name] = `%${escapeLike(item.phrase)}%`;
+  const phrase = PHRASE_COLUMNS.map(column => `${column} LIKE @${name} ESCAPE '\\'`).join(' OR ');
+  return `(${[...words, `(${phrase})`].join(' AND ')})`;
+};
+
+// WHERE conditions and a relevance expression for a parsed search query.
+// Relevance is the summed weight of the matched index terms, plus a bonus
+// for each phrase found as written.
+const buildTextSearch = (textQuery, params) => {
+  const conditions = [];
+
+  textQuery.required.forEach((alternatives, clause) => {
+    const matches = alternatives.map((item, index) => itemMatch(item, params, `text${clause}_${index}`));
+    conditions.push(matches.length > 1 ? `(${matches.join(' OR ')})` : matches[0]);
+  });
+
+  textQuery.excluded.forEach((item, index) => {
+    conditions.push(`NOT ${itemMatch(item, params, `notText${index}`)}`);
+  });
+
+  if (textQuery.terms.length === 0) {
+    return { conditions, relevance: '0' };
+  }
+
+  const termComparisons = textQuery.terms.map((item, index) => {
+    params[`rank${index}`] = item.prefix ? `${escapeLike(item.term)}%` : item.term;
+    return item.prefix ? `t.term LIKE @rank${index} ESCAPE '\\'` : `t.term = @rank${index}`;
+  });
+
+  const phraseBonuses = [];
+  textQuery.required.flat().forEach((item, index) => {
+    if (item.phrase) {
+      params[`rankPhrase${index}`] = `%${escapeLike(item.phrase)}%`;
+      PHRASE_COLUMNS.forEach(column => {
+        phraseBonuses.push(`CASE WHEN ${column} LIKE @rankPhrase${index} ESCAPE '\\' THEN ${PHRASE_BONUS[column]} ELSE 0 END`);
+      });
+    }
+  });
+
+  const relevance = [
+    `(SELECT COALESCE(SUM(t.weight), 0) FROM JobSearchTerms t WHERE t.job_id = j.job_id AND (${termComparisons.join(' OR ')}))`,
+    ...phraseBonuses
+  ].join(' + ');
+
+  return { conditions, relevance };
+};
+
+// WHERE conditions and a distance expression for a search around
+// geo.origin. Distance is in degrees of latitude, squared, by the
+// equirectangular approximation: close enough at search radii and needs no
+// trigonometry in SQL. The bounding box lets the coordinate index narrow the
+// rows first. Fully remote jobs match whatever the distance unless
+// geo.includeRemote is false.
+const buildGeoSearch = (geo, params) => {
+  const { origin, radiusKm, includeRemote = true } = geo;
+  params.originLatitude = origin.latitude;
+  params.originLongitude = origin.longitude;
+  params.longitudeScale = Math.cos(origin.latitude * Math.PI / 180);
+
+  const distance = `((j.latitude - @originLatitude) * (j.latitude - @originLatitude) +
+    (j.longitude - @originLongitude) * @longitudeScale * (j.longitude - @originLongitude) * @longitudeScale)`;
+
+  if (!radiusKm) {
+    return { conditions: [], distance };
+  }
+
+  const box = boundingBox(origin, radiusKm);
+  params.minLatitude = box.minLatitude;
+  params.maxLatitude = box.maxLatitude;
+  params.minLongitude = box.minLongitude;
+  params.maxLongitude = box.maxLongitude;
+  params.maxDistance = (radiusKm / KM_PER_DEGREE) ** 2;
+
+  const nearby = `(j.latitude BETWEEN @minLatitude AND @maxLatitude
+    AND j.longitude BETWEEN @minLongitude AND @maxLongitude
+    AND ${distance} <= @maxDistance)`;
+
+  return {
+    conditions: [includeRemote ? `(${nearby} OR j.remote_work_option = 'Yes')` : nearby],
+    distance
+  };
+};
+
+// Every job list ends on the job ID, so each job has its own position
+const JOB_ID_KEY = sortKey('j.job_id', 'DESC');
+
+const postedDateKey = (direction) => sortKey('j.posted_date', direction, 'date');
+
+// Sort keys for listOpen. A missing salary sorts as the lowest, as NULL
+// would; COALESCE keeps it comparable in a cursor.
+const listSortKeys = (sortBy, sortOrder, text) => {
+  const direction = sortOrder.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  const keys = {
+    relevance: text ? sortKey(text.relevance, direction) : null,
+    posted_date: postedDateKey(direction),
+    salary_min: sortKey('COALESCE(j.salary_min, -1)', direction),
+    title: sortKey('j.title', direction),
+    company_name: sortKey('c.company_name', direction)
+  };
+  return [keys[sortBy] || keys.posted_date, JOB_ID_KEY];
+};
+
+// Sort keys for search
+const searchSortKeys = (sortBy, text, near) => {
+  if (sortBy === 'distance' && near) {
+    return [
+      // Jobs without coordinates (mostly remote ones) go last
+      sortKey('CASE WHEN j.latitude IS NULL THEN 1 ELSE 0 END', 'ASC'),
+      sortKey(`COALESCE(${near.distance}, 0)`, 'ASC'),
+      postedDateKey('DESC'),
+      JOB_ID_KEY
+    ];
+  }
+
+  switch (sortBy) {
+    case 'posted_date':
+      return [postedDateKey('DESC'), JOB_ID_KEY];
+    case 'salary':
+      return [sortKey('COALESCE(j.salary_max, -1)', 'DESC'), sortKey('COALESCE(j.salary_min, -1)', 'DESC'), JOB_ID_KEY];
+    case 'company_name':
+      return [sortKey('c.company_name', 'ASC'), JOB_ID_KEY];
+    default: // relevance
+      return text
+        ? [sortKey(text.relevance, 'DESC'), postedDateKey('DESC'), JOB_ID_KEY]
+        : [postedDateKey('DESC'), JOB_ID_KEY];
+  }
+};
+
+const createJobRepository = (query = executeQuery) => ({
+  // List a page of open jobs (see keyset.js for page) matching the listing
+  // filters and a parsed search query, with a relevance column when
+  // searching. Returns { rows, nextCursor, prevCursor }, or null for an
+  // invalid cursor.
+  listOpen: async ({ filters = {}, textQuery, sortBy = 'posted_date', sortOrder = 'desc', page, jobseekerId }) => {
+    const params = {};
+    const text = textQuery ? buildTextSearch(textQuery, params) : null;
+    const conditions = [OPEN_JOBS_CLAUSE, ...untagged(buildListFilters(filters, params)), ...(text ? text.conditions : [])];
+
+    const selectClause = withJobSeekerFlags(`
+      SELECT j.job_id, j.title, j.description, j.location, j.remote_work_option,
+             j.salary_min, j.salary_max, j.salary_currency, j.job_type, j.experience_level,
+             j.industry, j.department, j.posted_date, j.application_deadline,
+             j.max_applications, j.current_applications, j.views_count,
+             c.company_name, c.logo_url, c.company_size, c.industry as company_industry
+             ${text ? `, ${text.relevance} as relevance` : ''}
+    `, params, jobseekerId);
+
+    return fetchPage(query, {
+      select: selectClause,
+      from: `
+        FROM Jobs j
+        INNER JOIN Companies c ON j.company_id = c.company_id
+        WHERE ${conditions.join(' AND ')}
+      `,
+      keys: listSortKeys(sortBy, sortOrder, text),
+      page,
+      params
+    });
+  },
+
+  // Search a page of active jobs (see keyset.js for page) with the advanced
+  // criteria, a parsed search query and optionally a distance from
+  // geo.origin, with a relevance column when searching. Sorting by distance
+  // needs geo. Returns { rows, nextCursor, prevCursor }, or null for an
+  // invalid cursor.
+  search: async ({ criteria = {}, textQuery, geo, sortBy = 'relevance', page, jobseekerId }) => {
+    const params = {};
+    const text = textQuery ? buildTextSearch(textQuery, params) : null;
+    const near = geo ? buildGeoSearch(geo, params) : null;
+    const conditions = [
+      'j.status = \'active\'',
+      'j.deleted_at IS NULL',
+      ...untagged(buildSearchFilters(criteria, params)),
+      ...(text ? text.conditions : []),
+      ...(near ? near.conditions : [])
+    ];
+
+    const selectClause = withJobSeekerFlags(`
+      SELECT j.job_id, j.title, j.description, j.requirements, j.location, j.latitude, j.longitude, j.remote_work_option,
+             j.salary_min, j.salary_max, j.salary_currency, j.job_type, j.experience_level,
+             j.industry, j.posted_date, j.application_deadline, j.views_count,
+             c.company_name, c.logo_url, c.company_size
+             ${text ? `, ${text.relevance} as relevance` : ''}
+    `, params, jobseekerId);
+
+    return fetchPage(query, {
+      select: selectClause,
+      from: `
+        FROM Jobs j
+        INNER JOIN Companies c ON j.company_id = c.company_id
+        WHERE ${conditions.join(' AND ')}
+      `,
+      keys: searchSortKeys(sortBy, text, near),
+      page,
+      params
+    });
+  },
+
+  // Count the open jobs in each bucket of the given facets, for the same
+  // filters and search query as listOpen
+  countListFacets: async ({ filters = {}, textQuery, facets }) => {
+    const params = {};
+    const text = textQuery ? buildTextSearch(textQuery, params) : null;
+
+    return countFacets(query, {
+      facets,
+      conditions: [OPEN_JOBS_CLAUSE, ...(text ? text.conditions : [])],
+      filters: buildListFilters(filters, params),
+      params
+    });
+  },
+
+  // Count the active jobs in each bucket of the given facets, for the same
+  // criteria, search query and distance as search
+  countSearchFacets: async ({ criteria = {}, textQuery, geo, facets }) => {
+    const params = {};
+    const text = textQuery ? buildTextSearch(textQuery, params) : null;
+    const near = geo ? buildGeoSearch(geo, params) : null;
+
+    return countFacets(query, {
+      facets,
+      conditions: [
+        'j.status = \'active\'',
+        'j.deleted_at IS NULL',
+        ...(text ? text.conditions : []),
+        ...(near ? near.conditions : [])
+      ],
+      filters: buildSearchFilters(criteria, params),
+      params
+    });
+  },
+
+  // Get an active job with its company details
+  findActiveById: async (jobId, jobseekerId) => {
+    const params = { jobId };
+    const selectClause = withJobSeekerFlags(`
+      SELECT j.*,
+             c.company_name, c.company_description, c.industry as company_industry,
+             c.company_size, c.website, c.logo_url, c.city as company_city, c.country as company_country
+    `, params, jobseekerId);
+
+    const result = await query(`
+      ${selectClause}
+      FROM Jobs j
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE j.job_id = @jobId AND j.status = 'active' AND j.deleted_at IS NULL
+    `, params);
+    return result.recordset[0];
+  },
+
+  // Get the skills a job asks for, required ones first
+  getSkills: async (jobId) => {
+    const result = await query(`
+      SELECT s.skill_id, s.skill_name, s.category, js.required_level, js.is_required
+      FROM JobSkills js
+      INNER JOIN Skills s ON js.skill_id = s.skill_id
+      WHERE js.job_id = @jobId
+      ORDER BY js.is_required DESC, s.skill_name
+    `, { jobId });
+    return result.recordset;
+  },
+
+  // Get recent active jobs sharing the industry, type or level of a job
+  findSimilar: async (job) => {
+    const result = await query(`
+      SELECT TOP 5 j.job_id, j.title, j.location, j.job_type, j.salary_min, j.salary_max,
+             c.company_name, c.logo_url
+      FROM Jobs j
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE j.job_id != @jobId
+        AND j.status = 'active' AND j.deleted_at IS NULL
+        AND (j.industry = @industry OR j.job_type = @jobType OR j.experience_level = @experienceLevel)
+      ORDER BY j.posted_date DESC
+    `, {
+      jobId: job.job_id,
+      industry: job.industry,
+      jobType: job.job_type,
+      experienceLevel: job.experience_level
+    });
+    return result.recordset;
+  },
+
+  // Count a view for each of the given jobs
+  incrementViews: async (jobIds) => {
+    if (jobIds.length === 0) {
+      return;
+    }
+    const params = {};
+    await query(`
+      UPDATE Jobs
+      SET views_count = views_count + 1
+      WHERE job_id IN (${bindList(params, 'jobId', jobIds)})
+    `, params);
+  },
+
+  // Get headline numbers for the public job board
+  getOverviewStats: async () => {
+    const result = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM Jobs WHERE status = 'active' AND deleted_at IS NULL) as active_jobs,
+        (SELECT COUNT(DISTINCT company_id) FROM Jobs WHERE status = 'active' AND deleted_at IS NULL) as active_companies,
+        (SELECT COUNT(*) FROM Applications WHERE applied_date >= DATEADD(day, -30, GETDATE())) as applications_last_30_days,
+        (SELECT TOP 1 industry FROM Jobs WHERE status = 'active' AND deleted_at IS NULL GROUP BY industry ORDER BY COUNT(*) DESC) as top_industry,
+        (SELECT TOP 1 location FROM Jobs WHERE status = 'active' AND deleted_at IS NULL GROUP BY location ORDER BY COUNT(*) DESC) as top_location
+    `);
+    return result.recordset[0];
+  },
+
+  // Get the values the job filters can take across active jobs
+  getFilterOptions: async () => {
+    const queries = {
+      industries: `
+        SELECT DISTINCT industry
+        FROM Jobs
+        WHERE status = 'active' AND deleted_at IS NULL AND industry IS NOT NULL
+        ORDER BY industry
+      `,
+      locations: `
+        SELECT DISTINCT location
+        FROM Jobs
+        WHERE status = 'active' AND deleted_at IS NULL AND location IS NOT NULL
+        ORDER BY location
+      `,
+      companies: `
+        SELECT DISTINCT c.company_name, c.company_id
+        FROM Companies c
+        INNER JOIN Jobs j ON c.company_id = j.company_id
+        WHERE j.status = 'active' AND j.deleted_at IS NULL
+        ORDER BY c.company_name
+      `,
+      jobTypes: `
+        SELECT DISTINCT job_type
+        FROM Jobs
+        WHERE status = 'active' AND deleted_at IS NULL
+        ORDER BY job_type
+      `,
+      experienceLevels: `
+        SELECT DISTINCT experience_level
+        FROM Jobs
+        WHERE status = 'active' AND deleted_at IS NULL
+        ORDER BY
+          CASE experience_level
+            WHEN 'Entry-level' THEN 1
+            WHEN 'Mid-level' THEN 2
+            WHEN 'Senior-level' THEN 3
+            WHEN 'Executive' THEN 4
+          END
+      `,
+      salaryRanges: `
+        SELECT
+          MIN(salary_min) as min_salary,
+          MAX(salary_max) as max_salary,
+          AVG(salary_min) as avg_min_salary,
+          AVG(salary_max) as avg_max_salary
+        FROM Jobs
+        WHERE status = 'active' AND deleted_at IS NULL AND salary_min IS NOT NULL AND salary_max IS NOT NULL
+      `
+    };
+
+    const results = {};
+    for (const [key, queryText] of Object.entries(queries)) {
+      const result = await query(queryText);
+      results[key] = result.recordset;
+    }
+    return results;
+  },
+
+  // Get the most viewed and applied-for jobs posted in the last 30 days
+  getTrending: async (limit) => {
+    const result = await query(`
+      SELECT TOP (@limit) j.job_id, j.title, j.location, j.job_type, j.salary_min, j.salary_max,
+             j.posted_date, j.views_count, j.current_applications,
+             c.company_name, c.logo_url
+      FROM Jobs j
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE j.status = 'active' AND j.deleted_at IS NULL
+        AND j.posted_date >= DATEADD(day, -30, GETDATE())
+      ORDER BY (j.views_count * 0.7 + j.current_applications * 0.3) DESC, j.posted_date DESC
+    `, { limit });
+    return result.recordset;
+  },
+
+  // List a company's active jobs for the public, with a total_count column
+  listActiveByCompany: async (companyId, { offset, limit, jobseekerId }) => {
+    const params = { companyId, offset, limit };
+    const selectClause = withJobSeekerFlags(`
+      SELECT j.job_id, j.title, j.description, j.location, j.remote_work_option,
+             j.salary_min, j.salary_max, j.salary_currency, j.job_type, j.experience_level,
+             j.industry, j.posted_date, j.application_deadline, j.current_applications,
+             COUNT(*) OVER() as total_count
+    `, params, jobseekerId);
+
+    const result = await query(`
+      ${selectClause}
+      FROM Jobs j
+      WHERE j.company_id = @companyId AND j.status = 'active' AND j.deleted_at IS NULL
+      ORDER BY j.posted_date DESC
+      OFFSET @offset ROWS
+      FETCH NEXT @limit ROWS ONLY
+    `, params);
+    return result.recordset;
+  },
+
+  // List all of a company's jobs with their application counts
+  listByCompany: async (companyId, { status, offset, limit }) => {
+    const params = { companyId, offset, limit };
+    let whereClause = 'WHERE j.company_id = @companyId AND j.deleted_at IS NULL';
+
+    if (status) {
+      whereClause += ' AND j.status = @status';
+      params.status = status;
+    }
+
+    const result = await query(`
+      SELECT j.*,
+             COUNT(*) OVER() as total_count,
+             (SELECT COUNT(*) FROM Applications WHERE job_id = j.job_id) as application_count
+      FROM Jobs j
+      ${whereClause}
+      ORDER BY j.created_at DESC
+      OFFSET @offset ROWS
+      FETCH NEXT @limit ROWS ONLY
+    `, params);
+    return result.recordset;
+  },
+
+  // Get a job only if it belongs to the company and hasn't been deleted,
+  // unless includeDeleted is set
+  findCompanyJob: async (jobId, companyId, { includeDeleted = false } = {}) => {
+    const result = await query(`
+      SELECT job_id, status, moderated_at, deleted_at FROM Jobs
+      WHERE job_id = @jobId AND company_id = @companyId${includeDeleted ? '' : ' AND deleted_at IS NULL'}
+    `, { jobId, companyId });
+    return result.recordset[0];
+  },
+
+  // Check whether a job exists and hasn't been deleted, whatever its status
+  exists: async (jobId) => {
+    const result = await query('SELECT job_id FROM Jobs WHERE job_id = @jobId AND deleted_at IS NULL', { jobId });
+    return result.recordset.length > 0;
+  },
+
+  // Get the fields needed to decide whether an active job takes applications
+  findForApplication: async (jobId) => {
+    const result = await query(`
+      SELECT job_id, title, max_applications, current_applications, application_deadline
+      FROM Jobs
+      WHERE job_id = @jobId AND status = 'active' AND deleted_at IS NULL
+    `, { jobId });
+    return result.recordset[0];
+  },
+
+  // Take one application place on an active job; false if the job is full.
+  // The conditional update locks the job row, so concurrent applications
+  // can't overshoot max_applications.
+  claimApplicationSlot: async (jobId) => {
+    const result = await query(`
+      UPDATE Jobs
+      SET current_applications = current_applications + 1
+      WHERE job_id = @jobId
+        AND status = 'active' AND deleted_at IS NULL
+        AND (max_applications IS NULL OR current_applications < max_applications)
+    `, { jobId });
+    return result.rowsAffected[0] > 0;
+  },
+
+  // Create a job for a company, at the coordinates of place if given
+  create: async (companyId, job, place) => {
+    const result = await query(`
+      INSERT INTO Jobs (
+        company_id, title, description, requirements, responsibilities,
+        location, latitude, longitude, remote_work_option, salary_min, salary_max, salary_currency,
+        job_type, experience_level, industry, department, application_deadline, max_applications
+      )
+      OUTPUT INSERTED.job_id, INSERTED.title, INSERTED.posted_date
+      VALUES (
+        @companyId, @title, @description, @requirements, @responsibilities,
+        @location, @latitude, @longitude, @remoteWorkOption, @salaryMin, @salaryMax, @salaryCurrency,
+        @jobType, @experienceLevel, @industry, @department, @applicationDeadline, @maxApplications
+      )
+    `, {
+      companyId,
+      title: job.title,
+      description: job.description,
+      requirements: job.requirements,
+      responsibilities: job.responsibilities,
+      location: job.location,
+      latitude: place ? place.latitude : null,
+      longitude: place ? place.longitude : null,
+      remoteWorkOption: job.remote_work_option || 'No',
+      salaryMin: job.salary_min || null,
+      salaryMax: job.salary_max || null,
+      salaryCurrency: job.salary_currency || 'USD',
+      jobType: job.job_type,
+      experienceLevel: job.experience_level,
+      industry: job.industry,
+      department: job.department,
+      applicationDeadline: job.application_deadline || null,
+      maxApplications: job.max_applications || null
+    });
+    return result.recordset[0];
+  },
+
+  // Add a required or nice-to-have skill to a job
+  addSkill: async (jobId, skill) => {
+    await query(`
+      INSERT INTO JobSkills (job_id, skill_id, required_level, is_required)
+      VALUES (@jobId, @skillId, @requiredLevel, @isRequired)
+    `, {
+      jobId,
+      skillId: skill.skill_id,
+      requiredLevel: skill.required_level || 'Intermediate',
+      isRequired: skill.is_required !== false
+    });
+  },
+
+  // Apply an update built by buildUpdate('Jobs', ...)
+  update: async (jobId, update) => {
+    await query(`
+      UPDATE Jobs
+      SET ${update.setClause}, updated_at = GETDATE()
+      WHERE job_id = @jobId
+    `, { ...update.params, jobId });
+  },
+
+  // Set a job's coordinates, or clear them when place is null
+  setCoordinates: async (jobId, place) => {
+    await query(`
+      UPDATE Jobs
+      SET latitude = @latitude, longitude = @longitude
+      WHERE job_id = @jobId
+    `, {
+      jobId,
+      latitude: place ? place.latitude : null,
+      longitude: place ? place.longitude : null
+    });
+  },
+
+  // List job locations in job_id order, a batch at a time, including deleted jobs
+  listLocations: async ({ afterId = 0, limit }) => {
+    const result = await query(`
+      SELECT TOP (@limit) j.job_id, j.location, c.country as company_country
+      FROM Jobs j
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE j.job_id > @afterId
+      ORDER BY j.job_id
+    `, { afterId, limit });
+    return result.recordset;
+  },
+
+  // Get the text a job is searched by
+  getSearchDocument: async (jobId) => {
+    const result = await query(`
+      SELECT j.title, c.company_name as company, j.description, j.requirements
+      FROM Jobs j
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE j.job_id = @jobId
+    `, { jobId });
+    return result.recordset[0];
+  },
+
+  // Replace a job's search terms with rows of { field, term, hits, weight }
+  replaceSearchTerms: async (jobId, terms) => {
+    await query('DELETE FROM JobSearchTerms WHERE job_id = @jobId', { jobId });
+
+    // Stay well under SQL Server's 2100 parameter limit
+    for (let start = 0; start < terms.length; start += SEARCH_TERMS_PER_INSERT) {
+      const params = { jobId };
+      const rows = terms.slice(start, start + SEARCH_TERMS_PER_INSERT).map((row, index) => {
+        params[`field${index}`] = row.field;
+        params[`term${index}`] = row.term;
+        params[`hits${index}`] = row.hits;
+        params[`weight${index}`] = row.weight;
+        return `(@jobId, @field${index}, @term${index}, @hits${index}, @weight${index})`;
+      });
+
+      await query(`
+        INSERT INTO JobSearchTerms (job_id, field, term, hits, weight)
+        VALUES ${rows.join(', ')}
+      `, params);
+    }
+  },
+
+  // List the IDs of a company's jobs, including deleted ones
+  listIdsByCompany: async (companyId) => {
+    const result = await query('SELECT job_id FROM Jobs WHERE company_id = @companyId', { companyId });
+    return result.recordset.map(row => row.job_id);
+  },
+
+  // List job IDs in order, a batch at a time, including deleted jobs
+  listIds: async ({ afterId = 0, limit }) => {
+    const result = await query(`
+      SELECT TOP (@limit) job_id FROM Jobs
+      WHERE job_id > @afterId
+      ORDER BY job_id
+    `, { afterId, limit });
+    return result.recordset.map(row => row.job_id);
+  },
+
+  // Soft-delete a job. Its applications stay as the hiring record.
+  softDelete: async (jobId) => {
+    await query(`
+      UPDATE Jobs
+      SET deleted_at = GETDATE(), updated_at = GETDATE()
+      WHERE job_id = @jobId AND deleted_at IS NULL
+    `, { jobId });
+  },
+
+  // Undo a soft delete of one of the company's jobs; returns false if there was none
+  restore: async (jobId, companyId) => {
+    const result = await query(`
+      UPDATE Jobs
+      SET deleted_at = NULL, updated_at = GETDATE()
+      OUTPUT INSERTED.job_id
+      WHERE job_id = @jobId AND company_id = @companyId AND deleted_at IS NOT NULL
+    `, { jobId, companyId });
+    return result.recordset.length > 0;
+  },
+
+  // List jobs of every company for moderation, including deleted ones unless
+  // filtered out, newest first, with a total_count column
+  listForModeration: async ({ search, status, companyId, moderated, deleted, offset, limit }) => {
+    const params = { offset, limit };
+    let whereClause = 'WHERE 1 = 1';
+
+    if (search) {
+      whereClause += ' AND (j.title LIKE @search OR j.description LIKE @search OR c.company_name LIKE @search)';
+      params.search = `%${search}%`;
+    }
+
+    if (status) {
+      whereClause += ' AND j.status = @status';
+      params.status = status;
+    }
+
+    if (companyId) {
+      whereClause += ' AND j.company_id = @companyId';
+      params.companyId = companyId;
+    }
+
+    if (moderated !== undefined) {
+      whereClause += moderated ? ' AND j.moderated_at IS NOT NULL' : ' AND j.moderated_at IS NULL';
+    }
+
+    if (deleted !== undefined) {
+      whereClause += deleted ? ' AND j.deleted_at IS NOT NULL' : ' AND j.deleted_at IS NULL';
+    }
+
+    const result = await query(`
+      SELECT j.job_id, j.title, j.status, j.location, j.job_type, j.posted_date,
+             j.views_count, j.current_applications,
+             j.moderated_at, j.moderated_by, j.moderation_reason, j.deleted_at,
+             c.company_id, c.company_name,
+             COUNT(*) OVER() as total_count
+      FROM Jobs j
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      ${whereClause}
+      ORDER BY j.posted_date DESC
+      OFFSET @offset ROWS
+      FETCH NEXT @limit ROWS ONLY
+    `, params);
+    return result.recordset;
+  },
+
+  // Close a job as a moderator, which stops its company reopening it; returns
+  // { job_id, status }, or undefined if there is no such job
+  closeByModerator: async (jobId, adminId, reason) => {
+    const result = await query(`
+      UPDATE Jobs
+      SET status = 'closed',
+          moderated_at = GETDATE(),
+          moderated_by = @adminId,
+          moderation_reason = @reason,
+          updated_at = GETDATE()
+      OUTPUT INSERTED.job_id, INSERTED.status
+      WHERE job_id = @jobId
+    `, { jobId, adminId, reason });
+    return result.recordset[0];
+  },
+
+  // Permanently delete jobs soft-deleted before the given time, with their
+  // skills and saved entries; returns how many jobs went. Jobs anyone applied
+  // for are kept: deleting one would cascade to its applications, which are
+  // hiring history we have to keep.
+  purgeDeleted: async (deletedBefore) => {
+    const result = await query(`
+      DELETE FROM Jobs
+      WHERE deleted_at IS NOT NULL AND deleted_at < @deletedBefore
+        AND NOT EXISTS (SELECT 1 FROM Applications a WHERE a.job_id = Jobs.job_id)
+    `, { deletedBefore });
+    return result.rowsAffected[0];
+  },
+
+  // List skills, optionally in one category
+  listSkills: async (category) => {
+    let whereClause = '';
+    const params = {};
+
+    if (category) {
+      whereClause = 'WHERE category = @category';
+      params.category = category;
+    }
+
+    const result = await query(`
+      SELECT skill_id, skill_name, category
+      FROM Skills
+      ${whereClause}
+      ORDER BY category, skill_name
+    `, params);
+    return result.recordset;
+  }
+});
+
+module.exports = {
+  JOBSEEKER_FLAGS,
+  FACETS,
+  createJobRepository,
+  ...createJobRepository()
+};
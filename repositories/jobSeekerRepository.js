@@ -0,0 +1,356 @@
+// repositories/jobSeekerRepository.js - Data access for job seeker profiles and saved jobs
+//
+// See jobRepository.js for why repositories are built from a query function.
+const { executeQuery } = require('../config/database');
+
+const createJobSeekerRepository = (query = executeQuery) => ({
+  // Get a job seeker's profile with their account email
+  getProfile: async (userId) => {
+    const result = await query(`
+      SELECT js.*, u.email, u.created_at as user_created_at
+      FROM JobSeekers js
+      INNER JOIN Users u ON js.user_id = u.user_id
+      WHERE js.user_id = @userId
+    `, { userId });
+    return result.recordset[0];
+  },
+
+  // Replace a job seeker's profile fields, at the coordinates of place if given
+  updateProfile: async (userId, profile, place) => {
+    await query(`
+      UPDATE JobSeekers
+      SET first_name = @firstName,
+          last_name = @lastName,
+          phone = @phone,
+          date_of_birth = @dateOfBirth,
+          address = @address,
+          city = @city,
+          country = @country,
+          latitude = @latitude,
+          longitude = @longitude,
+          summary = @summary,
+          experience_years = @experienceYears,
+          current_salary = @currentSalary,
+          expected_salary = @expectedSalary,
+          availability = @availability,
+          updated_at = GETDATE()
+      WHERE user_id = @userId
+    `, {
+      userId,
+      firstName: profile.first_name,
+      lastName: profile.last_name,
+      phone: profile.phone,
+      dateOfBirth: profile.date_of_birth || null,
+      address: profile.address,
+      city: profile.city,
+      country: profile.country,
+      latitude: place ? place.latitude : null,
+      longitude: place ? place.longitude : null,
+      summary: profile.summary,
+      experienceYears: profile.experience_years || 0,
+      currentSalary: profile.current_salary || null,
+      expectedSalary: profile.expected_salary || null,
+      availability: profile.availability || 'immediately'
+    });
+  },
+
+  // Point a job seeker's CV at an uploaded file, or clear it when url is null
+  setCvUrl: async (userId, url) => {
+    await query(`
+      UPDATE JobSeekers
+      SET cv_url = @url, updated_at = GETDATE()
+      WHERE user_id = @userId
+    `, { userId, url });
+  },
+
+  // Point a job seeker's profile picture at an uploaded file, or clear it when url is null
+  setProfilePictureUrl: async (userId, url) => {
+    await query(`
+      UPDATE JobSeekers
+      SET profile_picture_url = @url, updated_at = GETDATE()
+      WHERE user_id = @userId
+    `, { userId, url });
+  },
+
+  // Get the coordinates a job seeker is at, or undefined if they have none
+  getCoordinates: async (jobseekerId) => {
+    const result = await query(`
+      SELECT latitude, longitude FROM JobSeekers
+      WHERE jobseeker_id = @jobseekerId AND latitude IS NOT NULL
+    `, { jobseekerId });
+    return result.recordset[0];
+  },
+
+  // Set a job seeker's coordinates, or clear them when place is null
+  setCoordinates: async (jobseekerId, place) => {
+    await query(`
+      UPDATE JobSeekers
+      SET latitude = @latitude, longitude = @longitude
+      WHERE jobseeker_id = @jobseekerId
+    `, {
+      jobseekerId,
+      latitude: place ? place.latitude : null,
+      longitude: place ? place.longitude : null
+    });
+  },
+
+  // List job seeker locations in jobseeker_id order, a batch at a time
+  listLocations: async ({ afterId = 0, limit }) => {
+    const result = await query(`
+      SELECT TOP (@limit) jobseeker_id, address, city, country
+      FROM JobSeekers
+      WHERE jobseeker_id > @afterId
+      ORDER BY jobseeker_id
+    `, { afterId, limit });
+    return result.recordset;
+  },
+
+  // Get a job seeker's skills
+  getSkills: async (jobseekerId) => {
+    const result = await query(`
+      SELECT s.skill_id, s.skill_name, s.category, jss.proficiency_level
+      FROM JobSeekerSkills jss
+      INNER JOIN Skills s ON jss.skill_id = s.skill_id
+      WHERE jss.jobseeker_id = @jobseekerId
+    `, { jobseekerId });
+    return result.recordset;
+  },
+
+  // Remove all of a job seeker's skills
+  clearSkills: async (jobseekerId) => {
+    await query('DELETE FROM JobSeekerSkills WHERE jobseeker_id = @jobseekerId', { jobseekerId });
+  },
+
+  // Add a skill to a job seeker
+  addSkill: async (jobseekerId, skill) => {
+    await query(`
+      INSERT INTO JobSeekerSkills (jobseeker_id, skill_id, proficiency_level)
+      VALUES (@jobseekerId, @skillId, @proficiencyLevel)
+    `, {
+      jobseekerId,
+      skillId: skill.skill_id,
+      proficiencyLevel: skill.proficiency_level
+    });
+  },
+
+  // List education, most recent first
+  listEducation: async (jobseekerId) => {
+    const result = await query(`
+      SELECT * FROM Education
+      WHERE jobseeker_id = @jobseekerId AND deleted_at IS NULL
+      ORDER BY end_date DESC, start_date DESC
+    `, { jobseekerId });
+    return result.recordset;
+  },
+
+  // Get an education record only if it belongs to the job seeker
+  findEducation: async (educationId, jobseekerId) => {
+    const result = await query(`
+      SELECT education_id FROM Education
+      WHERE education_id = @educationId AND jobseeker_id = @jobseekerId AND deleted_at IS NULL
+    `, { educationId, jobseekerId });
+    return result.recordset[0];
+  },
+
+  // Add an education record
+  addEducation: async (jobseekerId, education) => {
+    const result = await query(`
+      INSERT INTO Education (
+        jobseeker_id, institution_name, degree, field_of_study,
+        start_date, end_date, is_current, grade_gpa, description
+      )
+      OUTPUT INSERTED.education_id
+      VALUES (
+        @jobseekerId, @institutionName, @degree, @fieldOfStudy,
+        @startDate, @endDate, @isCurrent, @gradeGpa, @description
+      )
+    `, {
+      jobseekerId,
+      institutionName: education.institution_name,
+      degree: education.degree,
+      fieldOfStudy: education.field_of_study,
+      startDate: education.start_date || null,
+      endDate: education.end_date || null,
+      isCurrent: education.is_current || false,
+      gradeGpa: education.grade_gpa,
+      description: education.description
+    });
+    return result.recordset[0];
+  },
+
+  // Apply an update built by buildUpdate('Education', ...)
+  updateEducation: async (educationId, update) => {
+    await query(`
+      UPDATE Education
+      SET ${update.setClause}
+      WHERE education_id = @educationId
+    `, { ...update.params, educationId });
+  },
+
+  // Soft-delete an education record
+  deleteEducation: async (educationId) => {
+    await query(`
+      UPDATE Education SET deleted_at = GETDATE(), updated_at = GETDATE()
+      WHERE education_id = @educationId AND deleted_at IS NULL
+    `, { educationId });
+  },
+
+  // Undo a soft delete of the job seeker's record; returns false if there was none
+  restoreEducation: async (educationId, jobseekerId) => {
+    const result = await query(`
+      UPDATE Education SET deleted_at = NULL, updated_at = GETDATE()
+      OUTPUT INSERTED.education_id
+      WHERE education_id = @educationId AND jobseeker_id = @jobseekerId AND deleted_at IS NOT NULL
+    `, { educationId, jobseekerId });
+    return result.recordset.length > 0;
+  },
+
+  // Permanently delete records soft-deleted before the given time; returns how many went
+  purgeDeletedEducation: async (deletedBefore) => {
+    const result = await query(`
+      DELETE FROM Education
+      WHERE deleted_at IS NOT NULL AND deleted_at < @deletedBefore
+    `, { deletedBefore });
+    return result.rowsAffected[0];
+  },
+
+  // List work experience, most recent first
+  listExperience: async (jobseekerId) => {
+    const result = await query(`
+      SELECT * FROM WorkExperience
+      WHERE jobseeker_id = @jobseekerId AND deleted_at IS NULL
+      ORDER BY end_date DESC, start_date DESC
+    `, { jobseekerId });
+    return result.recordset;
+  },
+
+  // Get a work experience record only if it belongs to the job seeker
+  findExperience: async (experienceId, jobseekerId) => {
+    const result = await query(`
+      SELECT experience_id FROM WorkExperience
+      WHERE experience_id = @experienceId AND jobseeker_id = @jobseekerId AND deleted_at IS NULL
+    `, { experienceId, jobseekerId });
+    return result.recordset[0];
+  },
+
+  // Add a work experience record
+  addExperience: async (jobseekerId, experience) => {
+    const result = await query(`
+      INSERT INTO WorkExperience (
+        jobseeker_id, company_name, job_title, start_date,
+        end_date, is_current, description, location
+      )
+      OUTPUT INSERTED.experience_id
+      VALUES (
+        @jobseekerId, @companyName, @jobTitle, @startDate,
+        @endDate, @isCurrent, @description, @location
+      )
+    `, {
+      jobseekerId,
+      companyName: experience.company_name,
+      jobTitle: experience.job_title,
+      startDate: experience.start_date,
+      endDate: experience.end_date || null,
+      isCurrent: experience.is_current || false,
+      description: experience.description,
+      location: experience.location
+    });
+    return result.recordset[0];
+  },
+
+  // Apply an update built by buildUpdate('WorkExperience', ...)
+  updateExperience: async (experienceId, update) => {
+    await query(`
+      UPDATE WorkExperience
+      SET ${update.setClause}
+      WHERE experience_id = @experienceId
+    `, { ...update.params, experienceId });
+  },
+
+  // Soft-delete a work experience record
+  deleteExperience: async (experienceId) => {
+    await query(`
+      UPDATE WorkExperience SET deleted_at = GETDATE(), updated_at = GETDATE()
+      WHERE experience_id = @experienceId AND deleted_at IS NULL
+    `, { experienceId });
+  },
+
+  // Undo a soft delete of the job seeker's record; returns false if there was none
+  restoreExperience: async (experienceId, jobseekerId) => {
+    const result = await query(`
+      UPDATE WorkExperience SET deleted_at = NULL, updated_at = GETDATE()
+      OUTPUT INSERTED.experience_id
+      WHERE experience_id = @experienceId AND jobseeker_id = @jobseekerId AND deleted_at IS NOT NULL
+    `, { experienceId, jobseekerId });
+    return result.recordset.length > 0;
+  },
+
+  // Permanently delete records soft-deleted before the given time; returns how many went
+  purgeDeletedExperience: async (deletedBefore) => {
+    const result = await query(`
+      DELETE FROM WorkExperience
+      WHERE deleted_at IS NOT NULL AND deleted_at < @deletedBefore
+    `, { deletedBefore });
+    return result.rowsAffected[0];
+  },
+
+  // Check whether a job is on the job seeker's saved list
+  isJobSaved: async (jobseekerId, jobId) => {
+    const result = await query(`
+      SELECT jobseeker_id FROM SavedJobs
+      WHERE job_id = @jobId AND jobseeker_id = @jobseekerId
+    `, { jobId, jobseekerId });
+    return result.recordset.length > 0;
+  },
+
+  // Add a job to the saved list
+  saveJob: async (jobseekerId, jobId) => {
+    await query(`
+      INSERT INTO SavedJobs (job_id, jobseeker_id)
+      VALUES (@jobId, @jobseekerId)
+    `, { jobId, jobseekerId });
+  },
+
+  // Remove a job from the saved list
+  unsaveJob: async (jobseekerId, jobId) => {
+    await query(`
+      DELETE FROM SavedJobs
+      WHERE job_id = @jobId AND jobseeker_id = @jobseekerId
+    `, { jobId, jobseekerId });
+  },
+
+  // List saved jobs, most recently saved first, with a total_count column
+  listSavedJobs: async (jobseekerId, { offset, limit }) => {
+    const result = await query(`
+      SELECT j.*, c.company_name, c.logo_url, sj.saved_date,
+             COUNT(*) OVER() as total_count
+      FROM SavedJobs sj
+      INNER JOIN Jobs j ON sj.job_id = j.job_id
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE sj.jobseeker_id = @jobseekerId AND j.deleted_at IS NULL
+      ORDER BY sj.saved_date DESC
+      OFFSET @offset ROWS
+      FETCH NEXT @limit ROWS ONLY
+    `, { jobseekerId, offset, limit });
+    return result.recordset;
+  },
+
+  // Get application and saved job counts for the job seeker dashboard
+  getDashboardStats: async (jobseekerId) => {
+    const result = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId) as total_applications,
+        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId AND status = 'pending') as pending_applications,
+        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId AND status IN ('shortlisted', 'interview_scheduled')) as shortlisted_applications,
+        (SELECT COUNT(*) FROM SavedJobs sj INNER JOIN Jobs j ON sj.job_id = j.job_id
+         WHERE sj.jobseeker_id = @jobseekerId AND j.deleted_at IS NULL) as saved_jobs,
+        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId AND applied_date >= DATEADD(day, -30, GETDATE())) as applications_last_30_days
+    `, { jobseekerId });
+    return result.recordset[0];
+  }
+});
+
+module.exports = {
+  createJobSeekerRepository,
+  ...createJobSeekerRepository()
+};
@@ -0,0 +1,146 @@
+// repositories/keyset.js - Keyset (cursor) pagination for list queries
+//
+// A list is ordered by sort keys, the last of which is a unique ID, so every
+// row has its own position. The page after a row is then the rows whose keys
+// come after that row's keys: the database can seek straight to it instead
+// of counting past OFFSET rows, and rows added earlier in the list don't
+// shift it. A cursor is that position, base64url-encoded so clients treat it
+// as opaque, with a signature of the sort order it belongs to.
+//
+// The query being paged is wrapped in a CTE that selects each sort key as
+// sort_0, sort_1, ..., so keys can be compared and ordered by name even when
+// they are computed (relevance, distance). Dates are also selected as text:
+// SQL Server keeps them to 100ns, a JS Date only to the millisecond, and a
+// rounded position would skip or repeat rows.
+const crypto = require('crypto');
+
+// A sort key: a SQL expression, its direction, and 'date' for date columns
+const sortKey = (sql, direction = 'DESC', type = null) => ({ sql, direction, type });
+
+const flip = (direction) => direction === 'ASC' ? 'DESC' : 'ASC';
+
+// Identifies a sort order, so a cursor can't be used with another one
+const signatureOf = (keys) => {
+  const order = keys.map(key => `${key.sql} ${key.direction}`).join(',');
+  return crypto.createHash('sha1').update(order).digest('base64url').slice(0, 10);
+};
+
+const encodeCursor = (keys, row, before) => {
+  const values = keys.map((key, index) => key.type === 'date' ? row[`sort_${index}_text`] : row[`sort_${index}`]);
+  const payload = { s: signatureOf(keys), v: values };
+  if (before) {
+    payload.b = 1;
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor into { values, before }, or null if it is malformed or
+// belongs to another sort order
+const decodeCursor = (keys, cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch {
+    return null;
+  }
+
+  if (!payload || payload.s !== signatureOf(keys) || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+    return null;
+  }
+  if (!payload.v.every(value => value === null || ['string', 'number'].includes(typeof value))) {
+    return null;
+  }
+  return { values: payload.v, before: payload.b === 1 };
+};
+
+// Rows past a position in the given order:
+// (k0 > v0) OR (k0 = v0 AND k1 > v1) OR ..., with < for descending keys
+const afterCondition = (keys, values, params) => {
+  const clauses = keys.map((key, index) => {
+    const equal = keys.slice(0, index).map((_, previous) => `sort_${previous} = @after${previous}`);
+    const past = `sort_${index} ${key.direction === 'ASC' ? '>' : '<'} @after${index}`;
+    return `(${[...equal, past].join(' AND ')})`;
+  });
+
+  values.forEach((value, index) => {
+    params[`after${index}`] = value;
+  });
+  return clauses.join(' OR ');
+};
+
+// Drop the sort key columns from the rows handed back to callers
+const withoutSortKeys = (rows, keys) => {
+  return rows.map(row => {
+    const clean = { ...row };
+    keys.forEach((key, index) => {
+      delete clean[`sort_${index}`];
+      delete clean[`sort_${index}_text`];
+    });
+    return clean;
+  });
+};
+
+// Fetch one page of a list. select is the SELECT clause and from the rest of
+// the query up to (not including) ORDER BY; keys is the sort order. page is
+// { offset, limit } for a numbered page or { cursor, limit, withTotal } to
+// continue from a cursor. Numbered pages and withTotal add a total_count
+// column counting every matching row.
+//
+// Returns { rows, nextCursor, prevCursor }, where either cursor is null at
+// that end of the list, or null when the cursor is invalid.
+const fetchPage = async (query, { select, from, keys, page, params }) => {
+  const cursor = page.cursor ? decodeCursor(keys, page.cursor) : null;
+  if (page.cursor && !cursor) {
+    return null;
+  }
+
+  // Paging backwards reads the list in reverse from the cursor
+  const backwards = !!(cursor && cursor.before);
+  const order = backwards ? keys.map(key => ({ ...key, direction: flip(key.direction) })) : keys;
+
+  const columns = keys.map((key, index) => key.type === 'date'
+    ? `${key.sql} as sort_${index}, CAST(${key.sql} AS VARCHAR(27)) as sort_${index}_text`
+    : `${key.sql} as sort_${index}`);
+  if (!cursor || page.withTotal) {
+    columns.push('COUNT(*) OVER() as total_count');
+  }
+
+  // One row more than asked for tells whether the list goes on
+  params.pageOffset = cursor ? 0 : page.offset;
+  params.pageLimit = page.limit + 1;
+
+  const result = await query(`
+    WITH page_rows AS (
+      ${select},
+             ${columns.join(',\n             ')}
+      ${from}
+    )
+    SELECT * FROM page_rows
+    ${cursor ? `WHERE ${afterCondition(order, cursor.values, params)}` : ''}
+    ORDER BY ${order.map((key, index) => `sort_${index} ${key.direction}`).join(', ')}
+    OFFSET @pageOffset ROWS
+    FETCH NEXT @pageLimit ROWS ONLY
+  `, params);
+
+  const hasMore = result.recordset.length > page.limit;
+  const rows = result.recordset.slice(0, page.limit);
+  if (backwards) {
+    rows.reverse();
+  }
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const hasPrevious = backwards ? hasMore : !!cursor || page.offset > 0;
+  const hasNext = backwards || hasMore;
+
+  return {
+    rows: withoutSortKeys(rows, keys),
+    nextCursor: last && hasNext ? encodeCursor(keys, last, false) : null,
+    prevCursor: first && hasPrevious ? encodeCursor(keys, first, true) : null
+  };
+};
+
+module.exports = {
+  sortKey,
+  fetchPage
+};
@@ -0,0 +1,160 @@
+// repositories/privacyRepository.js - Data access for job seeker data exports
+// and account erasure
+//
+// See jobRepository.js for why repositories are built from a query function.
+const { executeQuery } = require('../config/database');
+
+const createPrivacyRepository = (query = executeQuery) => ({
+  // Get the job seeker profile row as stored
+  getProfile: async (userId) => {
+    const result = await query('SELECT * FROM JobSeekers WHERE user_id = @userId', { userId });
+    return result.recordset[0] || null;
+  },
+
+  // List a job seeker's skills with their proficiency
+  listSkills: async (jobseekerId) => {
+    const result = await query(`
+      SELECT s.skill_name, s.category, jss.proficiency_level
+      FROM JobSeekerSkills jss
+      INNER JOIN Skills s ON jss.skill_id = s.skill_id
+      WHERE jss.jobseeker_id = @jobseekerId
+    `, { jobseekerId });
+    return result.recordset;
+  },
+
+  // List every education record, deleted ones included, oldest first
+  listEducation: async (jobseekerId) => {
+    const result = await query('SELECT * FROM Education WHERE jobseeker_id = @jobseekerId ORDER BY start_date', { jobseekerId });
+    return result.recordset;
+  },
+
+  // List every work experience record, deleted ones included, oldest first
+  listExperience: async (jobseekerId) => {
+    const result = await query('SELECT * FROM WorkExperience WHERE jobseeker_id = @jobseekerId ORDER BY start_date', { jobseekerId });
+    return result.recordset;
+  },
+
+  // List a job seeker's applications with the job title and company
+  listApplications: async (jobseekerId) => {
+    const result = await query(`
+      SELECT a.application_id, a.job_id, j.title as job_title, c.company_name,
+             a.status, a.cover_letter, a.applied_date, a.reviewed_date
+      FROM Applications a
+      INNER JOIN Jobs j ON a.job_id = j.job_id
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE a.jobseeker_id = @jobseekerId
+      ORDER BY a.applied_date
+    `, { jobseekerId });
+    return result.recordset;
+  },
+
+  // List a job seeker's saved jobs with the job title and company
+  listSavedJobs: async (jobseekerId) => {
+    const result = await query(`
+      SELECT sj.job_id, j.title as job_title, c.company_name, sj.saved_date
+      FROM SavedJobs sj
+      INNER JOIN Jobs j ON sj.job_id = j.job_id
+      INNER JOIN Companies c ON j.company_id = c.company_id
+      WHERE sj.jobseeker_id = @jobseekerId
+      ORDER BY sj.saved_date
+    `, { jobseekerId });
+    return result.recordset;
+  },
+
+  // List a user's sessions, revoked ones included
+  listSessions: async (userId) => {
+    const result = await query(`
+      SELECT user_agent, ip_address, created_at, last_seen_at, revoked_at
+      FROM Sessions
+      WHERE user_id = @userId
+      ORDER BY created_at
+    `, { userId });
+    return result.recordset;
+  },
+
+  // List the login attempts recorded against a user
+  listLoginAttempts: async (userId) => {
+    const result = await query(`
+      SELECT ip_address, user_agent, succeeded, failure_reason, attempted_at
+      FROM LoginAttempts
+      WHERE user_id = @userId
+      ORDER BY attempted_at
+    `, { userId });
+    return result.recordset;
+  },
+
+  // Get the email and job seeker ID an erasure needs, or undefined if there is no such user
+  findErasureTarget: async (userId) => {
+    const result = await query(`
+      SELECT u.user_id, u.email, js.jobseeker_id
+      FROM Users u
+      LEFT JOIN JobSeekers js ON u.user_id = js.user_id
+      WHERE u.user_id = @userId
+    `, { userId });
+    return result.recordset[0];
+  },
+
+  // Erase a job seeker's personal data. Applications stay for the companies'
+  // records but lose their cover letters, and the profile and account rows
+  // are kept only as anonymous placeholders. Run it in a transaction.
+  eraseJobSeeker: async ({ user_id: userId, email, jobseeker_id: jobseekerId }) => {
+    await query(`
+      DELETE FROM JobSeekerSkills WHERE jobseeker_id = @jobseekerId;
+      DELETE FROM Education WHERE jobseeker_id = @jobseekerId;
+      DELETE FROM WorkExperience WHERE jobseeker_id = @jobseekerId;
+      DELETE FROM SavedJobs WHERE jobseeker_id = @jobseekerId;
+
+      UPDATE Applications
+      SET cover_letter = NULL, updated_at = GETDATE()
+      WHERE jobseeker_id = @jobseekerId;
+
+      UPDATE JobSeekers
+      SET first_name = 'Deleted',
+          last_name = 'User',
+          email = @placeholderEmail,
+          phone = NULL,
+          date_of_birth = NULL,
+          address = NULL,
+          city = NULL,
+          country = NULL,
+          latitude = NULL,
+          longitude = NULL,
+          summary = NULL,
+          current_salary = NULL,
+          expected_salary = NULL,
+          cv_url = NULL,
+          profile_picture_url = NULL,
+          updated_at = GETDATE()
+      WHERE jobseeker_id = @jobseekerId;
+
+      DELETE FROM UserIdentities WHERE user_id = @userId;
+      DELETE FROM RefreshTokens WHERE user_id = @userId;
+      DELETE FROM Sessions WHERE user_id = @userId;
+      DELETE FROM LoginAttempts WHERE user_id = @userId OR email = @email;
+
+      UPDATE Users
+      SET email = @placeholderEmail,
+          password_hash = NULL,
+          verification_token = NULL,
+          verification_token_expires = NULL,
+          reset_token = NULL,
+          reset_token_expires = NULL,
+          unlock_token = NULL,
+          locked_until = NULL,
+          erasure_scheduled_for = NULL,
+          erased_at = GETDATE(),
+          updated_at = GETDATE()
+      WHERE user_id = @userId;
+    `, {
+      userId,
+      jobseekerId,
+      email,
+      placeholderEmail: `erased-${userId}@erased.invalid`
+    });
+  }
+});
+
+module.exports = {
+  createPrivacyRepository,
+  ...createPrivacyRepository()
+};
@@ -0,0 +1,605 @@
+// routes/admin.js - Platform administration and moderation routes
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { getQueryStats, resetQueryStats } = require('../config/queryMetrics');
+const adminService = require('../services/adminService');
+
+const router = express.Router();
+
+const IMPERSONATION_DEFAULT_MINUTES = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES) || 15;
+const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+// How long soft-deleted records are kept before a purge removes them, and the
+// shortest time a purge may be asked to keep them, so a deletion can still be
+// undone for a while
+const MIN_SOFT_DELETE_RETENTION_DAYS = 30;
+const SOFT_DELETE_RETENTION_DAYS = Math.max(parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 365, MIN_SOFT_DELETE_RETENTION_DAYS);
+
+// An optional boolean query filter: undefined when absent
+const optionalBoolean = (value) => value === undefined ? undefined : value === 'true';
+
+// All routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// List and search users
+router.get('/users', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().trim(),
+  query('user_type').optional().isIn(['company', 'jobseeker', 'admin']),
+  query('status').optional().isIn(['active', 'suspended', 'unverified', 'locked'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, search, user_type, status } = req.query;
+    const result = await adminService.listUsers({ search, userType: user_type, status, page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get users'
+    });
+  }
+});
+
+// Get user details
+router.get('/users/:userId', [
+  param('userId').isInt().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await adminService.getUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user'
+    });
+  }
+});
+
+// Suspend a user account
+router.post('/users/:userId/suspend', [
+  param('userId').isInt().withMessage('Invalid user ID'),
+  body('reason').notEmpty().trim().withMessage('Suspension reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await adminService.suspendUser(req.user.userId, parseInt(req.params.userId), req.body.reason);
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user'
+    });
+  }
+});
+
+// Reactivate a suspended user account
+router.post('/users/:userId/reactivate', [
+  param('userId').isInt().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reactivated = await adminService.reactivateUser(req.params.userId);
+
+    if (!reactivated) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found or not suspended'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user'
+    });
+  }
+});
+
+// Unlock an account locked by failed logins
+router.post('/users/:userId/unlock', [
+  param('userId').isInt().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const unlocked = await adminService.unlockUser(req.params.userId);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+});
+
+// Start impersonating a user to see what they see
+router.post('/users/:userId/impersonate', [
+  param('userId').isInt().withMessage('Invalid user ID'),
+  body('reason').notEmpty().trim().withMessage('Impersonation reason is required'),
+  body('duration_minutes').optional().isInt({ min: 1, max: IMPERSONATION_MAX_MINUTES })
+    .withMessage(`Duration must be between 1 and ${IMPERSONATION_MAX_MINUTES} minutes`),
+  body('allow_destructive').optional().isBoolean().withMessage('allow_destructive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await adminService.startImpersonation(req.user, req.params.userId, {
+      reason: req.body.reason,
+      durationMinutes: parseInt(req.body.duration_minutes) || IMPERSONATION_DEFAULT_MINUTES,
+      allowDestructive: req.body.allow_destructive === true || req.body.allow_destructive === 'true'
+    });
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { grant, token, user } = result;
+
+    res.status(201).json({
+      success: true,
+      message: grant.allowDestructive
+        ? 'Impersonation started. Changes made with this token affect the real account.'
+        : 'Impersonation started in read-only mode',
+      data: {
+        impersonationId: grant.impersonationId,
+        token,
+        expiresAt: grant.expiresAt,
+        allowDestructive: grant.allowDestructive,
+        user: {
+          userId: user.user_id,
+          email: user.email,
+          userType: user.user_type
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start impersonation'
+    });
+  }
+});
+
+// Review login attempts
+router.get('/login-attempts', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('email').optional().trim(),
+  query('ip').optional().trim(),
+  query('user_id').optional().isInt(),
+  query('succeeded').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, email, ip, user_id, succeeded } = req.query;
+    const result = await adminService.listLoginAttempts({
+      email,
+      ipAddress: ip,
+      userId: user_id,
+      succeeded: optionalBoolean(succeeded),
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Admin list login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get login attempts'
+    });
+  }
+});
+
+// List impersonations
+router.get('/impersonations', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('admin_user_id').optional().isInt(),
+  query('target_user_id').optional().isInt(),
+  query('active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, admin_user_id, target_user_id, active } = req.query;
+    const result = await adminService.listImpersonations({
+      adminUserId: admin_user_id,
+      targetUserId: target_user_id,
+      active: optionalBoolean(active),
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Admin list impersonations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get impersonations'
+    });
+  }
+});
+
+// Get the requests made during an impersonation
+router.get('/impersonations/:impersonationId/requests', [
+  param('impersonationId').isUUID().withMessage('Invalid impersonation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const requests = await adminService.getImpersonationRequests(req.params.impersonationId);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Admin get impersonation log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get impersonation log'
+    });
+  }
+});
+
+// End an impersonation before it expires
+router.post('/impersonations/:impersonationId/end', [
+  param('impersonationId').isUUID().withMessage('Invalid impersonation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ended = await adminService.endImpersonation(req.params.impersonationId);
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found or already ended'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+
+  } catch (error) {
+    console.error('Admin end impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end impersonation'
+    });
+  }
+});
+
+// List and search jobs for moderation
+router.get('/jobs', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().trim(),
+  query('status').optional().isIn(['active', 'closed', 'draft', 'paused']),
+  query('company_id').optional().isInt(),
+  query('moderated').optional().isBoolean(),
+  query('deleted').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, search, status, company_id, moderated, deleted } = req.query;
+    const result = await adminService.listJobs({
+      search,
+      status,
+      companyId: company_id,
+      moderated: optionalBoolean(moderated),
+      deleted: optionalBoolean(deleted),
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Admin list jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get jobs'
+    });
+  }
+});
+
+// Force-close a job
+router.post('/jobs/:jobId/close', [
+  param('jobId').isInt().withMessage('Invalid job ID'),
+  body('reason').notEmpty().trim().withMessage('Moderation reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await adminService.closeJob(req.user.userId, req.params.jobId, req.body.reason);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job closed successfully',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Admin close job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close job'
+    });
+  }
+});
+
+// Permanently remove soft-deleted jobs, education and work experience that
+// were deleted more than older_than_days ago. Jobs with applications are
+// never purged.
+router.post('/purge-deleted', [
+  body('older_than_days').optional().isInt({ min: MIN_SOFT_DELETE_RETENTION_DAYS })
+    .withMessage(`older_than_days must be at least ${MIN_SOFT_DELETE_RETENTION_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const olderThanDays = req.body.older_than_days !== undefined
+      ? parseInt(req.body.older_than_days)
+      : SOFT_DELETE_RETENTION_DAYS;
+    const deletedBefore = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+    const purged = await adminService.purgeDeletedRecords(deletedBefore);
+
+    res.json({
+      success: true,
+      message: 'Deleted records purged successfully',
+      data: {
+        deleted_before: deletedBefore,
+        ...purged
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin purge deleted records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge deleted records'
+    });
+  }
+});
+
+// Slowest query fingerprints since startup or the last reset
+router.get('/query-stats', [
+  query('sort_by').optional().isIn(['total', 'avg', 'max', 'p95', 'calls']),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('route').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sort_by = 'total', limit = 20, route } = req.query;
+
+    res.json({
+      success: true,
+      data: getQueryStats({ sortBy: sort_by, limit: parseInt(limit), route })
+    });
+
+  } catch (error) {
+    console.error('Admin query stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get query statistics'
+    });
+  }
+});
+
+// Start collecting query statistics afresh
+router.delete('/query-stats', async (req, res) => {
+  resetQueryStats();
+
+  res.json({
+    success: true,
+    message: 'Query statistics reset successfully'
+  });
+});
+
+// Get platform-wide statistics
+router.get('/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await adminService.getPlatformStats()
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get platform statistics'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1367 @@
+// routes/auth.js - Authentication routes
+const express = require('express');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { body, validationResult, param } = require('express-validator');
+const {
+  authenticateToken,
+  requireUserSession,
+  forbidImpersonation,
+  generateToken,
+  generateRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken,
+  rotateRefreshToken,
+  createSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../middleware/auth');
+const { dbHelpers, createDbHelpers, withTransaction } = require('../config/database');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailer');
+const {
+  getLockRemainingSeconds,
+  getIpThrottleSeconds,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginProtection');
+const {
+  getProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('../services/oidc');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor
+} = require('../services/twoFactor');
+const { geocodeFirst } = require('../services/geocoder');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS) || 48;
+const OIDC_REQUEST_TTL_MINUTES = parseInt(process.env.OIDC_REQUEST_TTL_MINUTES) || 10;
+
+// Shape the user object returned to the client
+const formatUser = (user) => ({
+  userId: user.user_id,
+  email: user.email,
+  userType: user.user_type,
+  isVerified: !!user.is_verified,
+  companyId: user.company_id || null,
+  companyName: user.company_name || null,
+  companyRole: user.company_role || null,
+  jobseekerId: user.jobseeker_id || null,
+  firstName: user.first_name || null,
+  lastName: user.last_name || null,
+  twoFactorEnabled: !!user.totp_enabled
+});
+
+// A new email verification token and its expiry
+const newVerificationToken = () => ({
+  token: crypto.randomBytes(32).toString('hex'),
+  expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+});
+
+// Send the verification mail without waiting for it: a mail failure
+// shouldn't fail the request, and the user can ask for a resend
+const sendVerificationInBackground = (email, token) => {
+  sendVerificationEmail(email, token, VERIFICATION_TOKEN_TTL_HOURS)
+    .catch(err => console.error('Failed to send verification email:', err));
+};
+
+// Create the Users row shared by both registration flows, with the helpers
+// of the transaction that creates the rest of the account. Returns the user
+// and the verification token to mail once that transaction has committed.
+const createAccount = async (helpers, email, passwordHash, userType) => {
+  const verification = newVerificationToken();
+
+  const user = await helpers.createUser({
+    email,
+    passwordHash,
+    userType,
+    verificationTokenHash: hashToken(verification.token),
+    verificationTokenExpires: verification.expiresAt
+  });
+
+  return { user, verificationToken: verification.token };
+};
+
+// Start a session for a fully authenticated user and issue its tokens
+const issueSessionTokens = async (user, req) => {
+  const sessionId = await createSession(user.user_id, req);
+  return {
+    token: generateToken(user.user_id, user.user_type, sessionId),
+    refreshToken: await generateRefreshToken(user.user_id, sessionId)
+  };
+};
+
+// Resolve the user behind a two-factor challenge token, or null if it is unusable
+const getChallengeUser = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(challengeToken, purpose);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await dbHelpers.getUserById(decoded.userId);
+  if (!user || !user.is_verified || user.suspended_at || getLockRemainingSeconds(user) > 0) {
+    return null;
+  }
+  return user;
+};
+
+// Find the user linked to an external identity, linking or creating a job seeker
+// account on first login. Returns { user } or { status, message } on refusal.
+const resolveOidcUser = async (provider, claims) => {
+  const email = claims.email ? claims.email.toLowerCase() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  const identity = await dbHelpers.getUserIdentity(provider.name, claims.sub);
+  if (identity) {
+    await dbHelpers.touchUserIdentity(identity.identity_id, email);
+    return { user: await dbHelpers.getUserById(identity.user_id) };
+  }
+
+  if (!email || !emailVerified) {
+    return { status: 400, message: 'Your identity provider did not share a verified email address' };
+  }
+
+  let user = await dbHelpers.getUserByEmail(email);
+
+  if (user && user.user_type !== 'jobseeker') {
+    return { status: 409, message: 'An account with this email already exists. Please log in with your password.' };
+  }
+
+  const identityData = {
+    provider: provider.name,
+    subject: claims.sub,
+    email
+  };
+
+  if (!user) {
+    const nameParts = (claims.name || '').trim().split(/\s+/);
+    // Providers share the address claim when the "address" scope is configured
+    const address = claims.address || {};
+    const city = address.locality || null;
+    const country = address.country || null;
+    const place = geocodeFirst([city], country);
+
+    // The account, its profile and the identity link are created together
+    const userId = await withTransaction(async (transactionQuery) => {
+      const helpers = createDbHelpers(transactionQuery);
+      const newUser = await helpers.createExternalUser({
+        email,
+        userType: 'jobseeker',
+        isVerified: true
+      });
+
+      await helpers.createJobSeeker({
+        userId: newUser.user_id,
+        firstName: claims.given_name || nameParts[0] || email.split('@')[0],
+        lastName: claims.family_name || nameParts.slice(1).join(' ') || '',
+        email,
+        phone: null,
+        city,
+        country,
+        latitude: place ? place.latitude : null,
+        longitude: place ? place.longitude : null
+      });
+
+      await helpers.createUserIdentity({ userId: newUser.user_id, ...identityData });
+      return newUser.user_id;
+    });
+
+    return { user: await dbHelpers.getUserById(userId) };
+  }
+
+  if (!user.is_verified) {
+    // The provider has proven ownership of the address. Whoever registered it
+    // without confirming it may not be the owner, so their password is dropped.
+    await dbHelpers.verifyUser(user.user_id);
+    await dbHelpers.updatePassword(user.user_id, null);
+    user.is_verified = true;
+    user.password_hash = null;
+  }
+
+  await dbHelpers.createUserIdentity({ userId: user.user_id, ...identityData });
+
+  return { user };
+};
+
+const passwordRules = body('password')
+  .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
+  .matches(/\d/).withMessage('Password must contain a number')
+  .matches(/[a-zA-Z]/).withMessage('Password must contain a letter');
+
+// Register company
+router.post('/register/company', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  passwordRules,
+  body('company_name').notEmpty().trim().withMessage('Company name is required'),
+  body('industry').optional().trim(),
+  body('company_size').optional().isIn(['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+']).withMessage('Invalid company size'),
+  body('website').optional().isURL().withMessage('Invalid website URL'),
+  body('phone').optional().trim(),
+  body('city').optional().trim(),
+  body('country').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      email,
+      password,
+      company_name,
+      industry,
+      company_size,
+      website,
+      phone,
+      city,
+      country
+    } = req.body;
+
+    const existingUser = await dbHelpers.getUserByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Create the account, company and membership together, so a failure part
+    // way can't leave an account that blocks its email from registering again
+    const { user, company, verificationToken } = await withTransaction(async (transactionQuery) => {
+      const helpers = createDbHelpers(transactionQuery);
+      const account = await createAccount(helpers, email, passwordHash, 'company');
+
+      const created = await helpers.createCompany({
+        userId: account.user.user_id,
+        companyName: company_name,
+        industry: industry || null,
+        companySize: company_size || null,
+        website: website || null,
+        phone: phone || null,
+        city: city || null,
+        country: country || null
+      });
+
+      await helpers.addCompanyMember({
+        companyId: created.company_id,
+        userId: account.user.user_id,
+        role: 'owner',
+        invitedBy: null
+      });
+
+      return { ...account, company: created };
+    });
+
+    sendVerificationInBackground(user.email, verificationToken);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful. Please verify your email address.',
+      data: {
+        user: {
+          userId: user.user_id,
+          email: user.email,
+          userType: user.user_type,
+          companyId: company.company_id,
+          companyRole: 'owner',
+          companyName: company.company_name
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Company registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed'
+    });
+  }
+});
+
+// Register job seeker
+router.post('/register/jobseeker', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  passwordRules,
+  body('first_name').notEmpty().trim().withMessage('First name is required'),
+  body('last_name').notEmpty().trim().withMessage('Last name is required'),
+  body('phone').optional().trim(),
+  body('city').optional().trim(),
+  body('country').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      email,
+      password,
+      first_name,
+      last_name,
+      phone,
+      city,
+      country
+    } = req.body;
+
+    const existingUser = await dbHelpers.getUserByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Located like a profile update, so distance searches work from the start
+    const place = geocodeFirst([city], country);
+
+    // As for companies, the account and profile are created together
+    const { user, jobSeeker, verificationToken } = await withTransaction(async (transactionQuery) => {
+      const helpers = createDbHelpers(transactionQuery);
+      const account = await createAccount(helpers, email, passwordHash, 'jobseeker');
+
+      const created = await helpers.createJobSeeker({
+        userId: account.user.user_id,
+        firstName: first_name,
+        lastName: last_name,
+        email: account.user.email,
+        phone: phone || null,
+        city: city || null,
+        country: country || null,
+        latitude: place ? place.latitude : null,
+        longitude: place ? place.longitude : null
+      });
+
+      return { ...account, jobSeeker: created };
+    });
+
+    sendVerificationInBackground(user.email, verificationToken);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful. Please verify your email address.',
+      data: {
+        user: {
+          userId: user.user_id,
+          email: user.email,
+          userType: user.user_type,
+          jobseekerId: jobSeeker.jobseeker_id,
+          firstName: jobSeeker.first_name,
+          lastName: jobSeeker.last_name
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Job seeker registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed'
+    });
+  }
+});
+
+// Get company invitation details
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await dbHelpers.getCompanyInvitation(hashToken(req.params.token));
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        company_name: invitation.company_name,
+        expires_at: invitation.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitation'
+    });
+  }
+});
+
+// Accept company invitation by creating a company member account
+router.post('/invitations/accept', [
+  body('token').notEmpty().withMessage('Invitation token is required'),
+  passwordRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const invitation = await dbHelpers.getCompanyInvitation(hashToken(token));
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    const existingUser = await dbHelpers.getUserByEmail(invitation.email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Claim the invitation and create the member together: if creating the
+    // account fails, the invitation is still there to accept again
+    const user = await withTransaction(async (transactionQuery) => {
+      const helpers = createDbHelpers(transactionQuery);
+
+      // Claim the invitation first so it can't be accepted twice concurrently
+      const accepted = await helpers.acceptCompanyInvitation(invitation.invitation_id);
+      if (!accepted) {
+        return null;
+      }
+
+      const created = await helpers.createUser({
+        email: invitation.email,
+        passwordHash,
+        userType: 'company',
+        verificationTokenHash: null,
+        verificationTokenExpires: null
+      });
+
+      // The invitation link proves ownership of the email address
+      await helpers.verifyUser(created.user_id);
+
+      await helpers.addCompanyMember({
+        companyId: invitation.company_id,
+        userId: created.user_id,
+        role: invitation.role,
+        invitedBy: invitation.invited_by
+      });
+
+      return created;
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. You can now log in.',
+      data: {
+        user: {
+          userId: user.user_id,
+          email: user.email,
+          userType: user.user_type,
+          companyId: invitation.company_id,
+          companyName: invitation.company_name,
+          companyRole: invitation.role
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+});
+
+// Login
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    const throttleSeconds = await getIpThrottleSeconds(req.ip);
+    if (throttleSeconds > 0) {
+      res.set('Retry-After', String(throttleSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
+    const user = await dbHelpers.getUserByEmail(email);
+
+    // Locked accounts are rejected before the password is checked, with the
+    // same response as a wrong password so the lock does not reveal the
+    // account. The owner learns of the lock from the unlock email.
+    if (getLockRemainingSeconds(user) > 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    // Same response for unknown email and wrong password
+    const passwordMatches = user && user.password_hash && await bcrypt.compare(password, user.password_hash);
+    if (!passwordMatches) {
+      await recordFailedLogin({
+        email,
+        user,
+        req,
+        reason: user ? 'invalid_password' : 'unknown_email'
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (!user.is_verified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please verify your email address'
+      });
+    }
+
+    if (user.suspended_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended'
+      });
+    }
+
+    // Password is correct, but a second factor is still needed
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user.user_id, 'login')
+        }
+      });
+    }
+
+    await recordSuccessfulLogin({ user, req });
+
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'Your company requires two-factor authentication. Please set it up to continue.',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(user.user_id, 'setup')
+        }
+      });
+    }
+
+    const { token, refreshToken } = await issueSessionTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Complete login with a TOTP or recovery code
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await getChallengeUser(challengeToken, 'login');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin({ email: user.email, user, req, reason: 'invalid_second_factor' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordSuccessfulLogin({ user, req });
+
+    const { token, refreshToken } = await issueSessionTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Start mandatory two-factor enrollment during login
+router.post('/login/2fa/setup', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await getChallengeUser(req.body.challengeToken, 'setup');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const enrollment = await startEnrollment(user);
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Two-factor login setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm mandatory two-factor enrollment and complete login
+router.post('/login/2fa/enable', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await getChallengeUser(req.body.challengeToken, 'setup');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const recoveryCodes = await completeEnrollment(user, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { token, refreshToken } = await issueSessionTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        token,
+        refreshToken,
+        recoveryCodes,
+        user: formatUser({ ...user, totp_enabled: true })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// List the configured external identity providers
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: getProviders().map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName
+    }))
+  });
+});
+
+// Start an external login: returns the provider URL to redirect the browser to
+router.get('/oidc/:provider/authorize', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown identity provider'
+      });
+    }
+
+    const request = await createAuthorizationRequest(provider);
+
+    await dbHelpers.createOidcAuthRequest({
+      stateHash: hashToken(request.state),
+      provider: provider.name,
+      codeVerifier: request.codeVerifier,
+      nonce: request.nonce,
+      redirectUri: request.redirectUri,
+      expiresAt: new Date(Date.now() + OIDC_REQUEST_TTL_MINUTES * 60 * 1000)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl: request.authorizationUrl,
+        state: request.state
+      }
+    });
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start external login'
+    });
+  }
+});
+
+// Complete an external login with the code and state from the provider redirect
+router.post('/oidc/:provider/callback', [
+  body('code').notEmpty().withMessage('Authorization code is required'),
+  body('state').notEmpty().withMessage('State is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown identity provider'
+      });
+    }
+
+    const authRequest = await dbHelpers.consumeOidcAuthRequest(hashToken(req.body.state), provider.name);
+
+    if (!authRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login request'
+      });
+    }
+
+    let claims;
+    try {
+      claims = await completeAuthorization(provider, {
+        code: req.body.code,
+        codeVerifier: authRequest.code_verifier,
+        nonce: authRequest.nonce,
+        redirectUri: authRequest.redirect_uri
+      });
+    } catch (error) {
+      console.error('OIDC token exchange error:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'External login could not be verified'
+      });
+    }
+
+    const { user, status, message } = await resolveOidcUser(provider, claims);
+
+    if (!user) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (user.suspended_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended'
+      });
+    }
+
+    await recordSuccessfulLogin({ user, req });
+
+    const { token, refreshToken } = await issueSessionTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'External login failed'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let rotated;
+    try {
+      rotated = await rotateRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      if (error.name !== 'JsonWebTokenError' && error.name !== 'TokenExpiredError') {
+        throw error;
+      }
+    }
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await dbHelpers.getUserById(rotated.userId);
+
+    if (!user || !user.is_verified || user.suspended_at) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Sessions from before a two-factor requirement end at their next refresh
+    if (isTwoFactorRequired(user) && !user.totp_enabled) {
+      await revokeSession(rotated.sessionId);
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor authentication is required. Please log in again to set it up.'
+      });
+    }
+
+    const token = generateToken(user.user_id, user.user_type, rotated.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken: rotated.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// Confirm email address
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await dbHelpers.getUserByVerificationToken(hashToken(req.body.token));
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid, expired or already used verification token'
+      });
+    }
+
+    await dbHelpers.verifyUser(user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+// Unlock an account using the link from the lockout email
+router.post('/unlock-account', [
+  body('token').notEmpty().withMessage('Unlock token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const unlocked = await dbHelpers.unlockUserWithToken(hashToken(req.body.token));
+
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or already used unlock token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can log in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await dbHelpers.getUserByEmail(req.body.email);
+
+    if (user && !user.is_verified) {
+      const verification = newVerificationToken();
+      await dbHelpers.setVerificationToken(user.user_id, hashToken(verification.token), verification.expiresAt);
+      sendVerificationInBackground(user.email, verification.token);
+    }
+
+    // Same response whether or not the account exists, so a mail failure
+    // mustn't fail it either
+    res.json({
+      success: true,
+      message: 'If the account exists and is not yet verified, a verification email has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// Request password reset
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await dbHelpers.getUserByEmail(req.body.email);
+
+    if (user) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+      await dbHelpers.setResetToken(user.user_id, hashToken(resetToken), expiresAt);
+      sendPasswordResetEmail(user.email, resetToken, RESET_TOKEN_TTL_MINUTES)
+        .catch(err => console.error('Failed to send password reset email:', err));
+    }
+
+    // Same response whether or not the account exists, so a mail failure
+    // mustn't fail it either
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset'
+    });
+  }
+});
+
+// Complete password reset
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  passwordRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const user = await dbHelpers.resetPasswordWithToken(hashToken(token), passwordHash);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Sign out everywhere, in case the old password was compromised
+    await revokeAllSessions(user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Change password
+router.post('/change-password', authenticateToken, requireUserSession, forbidImpersonation, [
+  body('current_password').notEmpty().withMessage('Current password is required'),
+  passwordRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { current_password, password } = req.body;
+
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    if (!user.password_hash) {
+      return res.status(400).json({
+        success: false,
+        message: 'No password is set for this account. Use forgot password to create one.'
+      });
+    }
+
+    if (!await bcrypt.compare(current_password, user.password_hash)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await dbHelpers.updatePassword(user.user_id, passwordHash);
+    await revokeAllSessions(user.user_id, req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Please log in again on your other devices.'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, requireUserSession, forbidImpersonation, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const sessions = await dbHelpers.getActiveSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        is_current: session.session_id === req.user.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+// Revoke a session
+router.delete('/sessions/:sessionId', authenticateToken, requireUserSession, forbidImpersonation, [
+  param('sessionId').isUUID().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId } = req.params;
+
+    // Check if session belongs to user
+    const session = await dbHelpers.getSession(sessionId);
+
+    if (!session || session.user_id !== req.user.userId || session.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// Get current user
+router.get('/me', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatUser(user),
+        hasPassword: !!user.password_hash,
+        identities: await dbHelpers.getUserIdentities(user.user_id),
+        impersonatedBy: req.user.impersonated
+          ? { userId: req.user.impersonator.adminUserId, email: req.user.impersonator.adminEmail }
+          : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user'
+    });
+  }
+});
+
+module.exports = router;
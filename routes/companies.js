@@ -1,39 +1,54 @@
 // routes/companies.js - Company routes
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
-const { authenticateToken, requireCompany } = require('../middleware/auth');
-const { executeQuery, sql } = require('../config/database');
+const { body, validationResult, param, query } = require('express-validator');
+const {
+  COMPANY_ROLES,
+  API_KEY_SCOPES,
+  authenticateToken,
+  requireCompany,
+  requireCompanyRole,
+  requireCompanyAccess,
+  requireUserSession,
+  forbidImpersonation
+} = require('../middleware/auth');
+const companyService = require('../services/companyService');
+const jobService = require('../services/jobService');
+const applicationService = require('../services/applicationService');
 
 const router = express.Router();
 
-// All routes require authentication and company role
+// Role guards: viewers are read-only, recruiters manage jobs and applicants,
+// admins and owners also manage the company profile and its members.
+// API keys are limited by their scopes and can never manage the company itself.
+const canViewCompany = requireCompanyAccess({ scope: 'company:read' });
+const canViewJobs = requireCompanyAccess({ scope: 'jobs:read' });
+const canEditJobs = requireCompanyAccess({ roles: ['owner', 'admin', 'recruiter'], scope: 'jobs:write' });
+const canDeleteJobs = requireCompanyAccess({ roles: ['owner', 'admin'], scope: 'jobs:write' });
+const canViewApplications = requireCompanyAccess({ scope: 'applications:read' });
+const canReviewApplications = requireCompanyAccess({ roles: ['owner', 'admin', 'recruiter'], scope: 'applications:write' });
+const canManageCompany = requireCompanyRole('owner', 'admin');
+
+// All routes require authentication and company membership
 router.use(authenticateToken);
 router.use(requireCompany);
 
 // Get company profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', canViewCompany, async (req, res) => {
   try {
-    const query = `
-      SELECT c.*, u.email, u.created_at as user_created_at
-      FROM Companies c
-      INNER JOIN Users u ON c.user_id = u.user_id
-      WHERE c.user_id = @userId
-    `;
-    
-    const result = await executeQuery(query, { userId: req.user.userId });
-    
-    if (result.recordset.length === 0) {
+    const profile = await companyService.getProfile(req.user.companyId);
+
+    if (!profile) {
       return res.status(404).json({
         success: false,
         message: 'Company profile not found'
       });
     }
-    
+
     res.json({
       success: true,
-      data: result.recordset[0]
+      data: profile
     });
-    
+
   } catch (error) {
     console.error('Get company profile error:', error);
     res.status(500).json({
@@ -44,7 +59,7 @@ router.get('/profile', async (req, res) => {
 });
 
 // Update company profile
-router.put('/profile', [
+router.put('/profile', canManageCompany, [
   body('company_name').notEmpty().trim().withMessage('Company name is required'),
   body('industry').optional().trim(),
   body('company_size').optional().isIn(['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+']).withMessage('Invalid company size'),
@@ -65,45 +80,7 @@ router.put('/profile', [
       });
     }
 
-    const {
-      company_name,
-      company_description,
-      industry,
-      company_size,
-      website,
-      phone,
-      address,
-      city,
-      country
-    } = req.body;
-
-    const query = `
-      UPDATE Companies 
-      SET company_name = @companyName,
-          company_description = @companyDescription,
-          industry = @industry,
-          company_size = @companySize,
-          website = @website,
-          phone = @phone,
-          address = @address,
-          city = @city,
-          country = @country,
-          updated_at = GETDATE()
-      WHERE user_id = @userId
-    `;
-
-    await executeQuery(query, {
-      userId: req.user.userId,
-      companyName: company_name,
-      companyDescription: company_description,
-      industry,
-      companySize: company_size,
-      website,
-      phone,
-      address,
-      city,
-      country
-    });
+    await companyService.updateProfile(req.user.companyId, req.body);
 
     res.json({
       success: true,
@@ -120,48 +97,15 @@ router.put('/profile', [
 });
 
 // Get company's jobs
-router.get('/jobs', async (req, res) => {
+router.get('/jobs', canViewJobs, async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let whereClause = 'WHERE j.company_id = @companyId';
-    const params = { companyId: req.user.companyId };
-
-    if (status) {
-      whereClause += ' AND j.status = @status';
-      params.status = status;
-    }
-
-    const query = `
-      SELECT j.*, 
-             COUNT(*) OVER() as total_count,
-             (SELECT COUNT(*) FROM Applications WHERE job_id = j.job_id) as application_count
-      FROM Jobs j
-      ${whereClause}
-      ORDER BY j.created_at DESC
-      OFFSET @offset ROWS
-      FETCH NEXT @limit ROWS ONLY
-    `;
-
-    params.offset = offset;
-    params.limit = parseInt(limit);
-
-    const result = await executeQuery(query, params);
 
-    const totalCount = result.recordset.length > 0 ? result.recordset[0].total_count : 0;
+    const result = await jobService.listCompanyJobs(req.user.companyId, { status, page, limit });
 
     res.json({
       success: true,
-      data: {
-        jobs: result.recordset,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / limit)
-        }
-      }
+      data: result
     });
 
   } catch (error) {
@@ -174,7 +118,7 @@ router.get('/jobs', async (req, res) => {
 });
 
 // Create new job
-router.post('/jobs', [
+router.post('/jobs', canEditJobs, [
   body('title').notEmpty().trim().withMessage('Job title is required'),
   body('description').notEmpty().trim().withMessage('Job description is required'),
   body('location').notEmpty().trim().withMessage('Location is required'),
@@ -194,75 +138,7 @@ router.post('/jobs', [
       });
     }
 
-    const {
-      title,
-      description,
-      requirements,
-      responsibilities,
-      location,
-      remote_work_option,
-      salary_min,
-      salary_max,
-      salary_currency,
-      job_type,
-      experience_level,
-      industry,
-      department,
-      application_deadline,
-      max_applications,
-      skills
-    } = req.body;
-
-    const query = `
-      INSERT INTO Jobs (
-        company_id, title, description, requirements, responsibilities,
-        location, remote_work_option, salary_min, salary_max, salary_currency,
-        job_type, experience_level, industry, department, application_deadline, max_applications
-      )
-      OUTPUT INSERTED.job_id, INSERTED.title, INSERTED.posted_date
-      VALUES (
-        @companyId, @title, @description, @requirements, @responsibilities,
-        @location, @remoteWorkOption, @salaryMin, @salaryMax, @salaryCurrency,
-        @jobType, @experienceLevel, @industry, @department, @applicationDeadline, @maxApplications
-      )
-    `;
-
-    const result = await executeQuery(query, {
-      companyId: req.user.companyId,
-      title,
-      description,
-      requirements,
-      responsibilities,
-      location,
-      remoteWorkOption: remote_work_option || 'No',
-      salaryMin: salary_min || null,
-      salaryMax: salary_max || null,
-      salaryCurrency: salary_currency || 'USD',
-      jobType: job_type,
-      experienceLevel: experience_level,
-      industry,
-      department,
-      applicationDeadline: application_deadline || null,
-      maxApplications: max_applications || null
-    });
-
-    const newJob = result.recordset[0];
-
-    // Add skills if provided
-    if (skills && Array.isArray(skills)) {
-      for (const skill of skills) {
-        const skillQuery = `
-          INSERT INTO JobSkills (job_id, skill_id, required_level, is_required)
-          VALUES (@jobId, @skillId, @requiredLevel, @isRequired)
-        `;
-        await executeQuery(skillQuery, {
-          jobId: newJob.job_id,
-          skillId: skill.skill_id,
-          requiredLevel: skill.required_level || 'Intermediate',
-          isRequired: skill.is_required !== false
-        });
-      }
-    }
+    const newJob = await jobService.createJob(req.user.companyId, req.body);
 
     res.status(201).json({
       success: true,
@@ -280,7 +156,7 @@ router.post('/jobs', [
 });
 
 // Update job
-router.put('/jobs/:jobId', [
+router.put('/jobs/:jobId', canEditJobs, [
   param('jobId').isInt().withMessage('Invalid job ID'),
   body('title').optional().notEmpty().trim(),
   body('description').optional().notEmpty().trim(),
@@ -299,53 +175,16 @@ router.put('/jobs/:jobId', [
       });
     }
 
-    const { jobId } = req.params;
-
-    // Check if job belongs to company
-    const checkQuery = `
-      SELECT job_id FROM Jobs 
-      WHERE job_id = @jobId AND company_id = @companyId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      jobId,
-      companyId: req.user.companyId
-    });
-
-    if (checkResult.recordset.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
-
-    // Build dynamic update query
-    const updateFields = [];
-    const params = { jobId };
-
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
-        updateFields.push(`${key} = @${key}`);
-        params[key] = req.body[key];
-      }
-    });
+    const result = await jobService.updateJob(req.user.companyId, req.params.jobId, req.body);
 
-    if (updateFields.length === 0) {
-      return res.status(400).json({
+    if (result.status) {
+      return res.status(result.status).json({
         success: false,
-        message: 'No fields to update'
+        message: result.message,
+        errors: result.errors
       });
     }
 
-    updateFields.push('updated_at = GETDATE()');
-
-    const updateQuery = `
-      UPDATE Jobs 
-      SET ${updateFields.join(', ')}
-      WHERE job_id = @jobId
-    `;
-
-    await executeQuery(updateQuery, params);
-
     res.json({
       success: true,
       message: 'Job updated successfully'
@@ -361,7 +200,7 @@ router.put('/jobs/:jobId', [
 });
 
 // Delete job
-router.delete('/jobs/:jobId', [
+router.delete('/jobs/:jobId', canDeleteJobs, [
   param('jobId').isInt().withMessage('Invalid job ID')
 ], async (req, res) => {
   try {
@@ -374,29 +213,15 @@ router.delete('/jobs/:jobId', [
       });
     }
 
-    const { jobId } = req.params;
-
-    // Check if job belongs to company
-    const checkQuery = `
-      SELECT job_id FROM Jobs 
-      WHERE job_id = @jobId AND company_id = @companyId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      jobId,
-      companyId: req.user.companyId
-    });
+    const deleted = await jobService.deleteJob(req.user.companyId, req.params.jobId);
 
-    if (checkResult.recordset.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
       });
     }
 
-    // Delete job (cascade will handle related records)
-    const deleteQuery = `DELETE FROM Jobs WHERE job_id = @jobId`;
-    await executeQuery(deleteQuery, { jobId });
-
     res.json({
       success: true,
       message: 'Job deleted successfully'
@@ -411,8 +236,8 @@ router.delete('/jobs/:jobId', [
   }
 });
 
-// Get applications for a job
-router.get('/jobs/:jobId/applications', [
+// Restore a deleted job
+router.post('/jobs/:jobId/restore', canDeleteJobs, [
   param('jobId').isInt().withMessage('Invalid job ID')
 ], async (req, res) => {
   try {
@@ -425,68 +250,67 @@ router.get('/jobs/:jobId/applications', [
       });
     }
 
-    const { jobId } = req.params;
-    const { status, page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-
-    // Check if job belongs to company
-    const checkQuery = `
-      SELECT job_id FROM Jobs 
-      WHERE job_id = @jobId AND company_id = @companyId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      jobId,
-      companyId: req.user.companyId
-    });
+    const restored = await jobService.restoreJob(req.user.companyId, req.params.jobId);
 
-    if (checkResult.recordset.length === 0) {
+    if (!restored) {
       return res.status(404).json({
         success: false,
-        message: 'Job not found'
+        message: 'Deleted job not found'
       });
     }
 
-    let whereClause = 'WHERE a.job_id = @jobId';
-    const params = { jobId };
+    res.json({
+      success: true,
+      message: 'Job restored successfully'
+    });
 
-    if (status) {
-      whereClause += ' AND a.status = @status';
-      params.status = status;
-    }
+  } catch (error) {
+    console.error('Restore job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore job'
+    });
+  }
+});
 
-    const query = `
-      SELECT a.*, 
-             js.first_name, js.last_name, js.phone, js.email, 
-             js.cv_url, js.profile_picture_url, js.summary, js.experience_years,
-             u.email as user_email,
-             COUNT(*) OVER() as total_count
-      FROM Applications a
-      INNER JOIN JobSeekers js ON a.jobseeker_id = js.jobseeker_id
-      INNER JOIN Users u ON js.user_id = u.user_id
-      ${whereClause}
-      ORDER BY a.applied_date DESC
-      OFFSET @offset ROWS
-      FETCH NEXT @limit ROWS ONLY
-    `;
+// Get applications for a job
+router.get('/jobs/:jobId/applications', canViewApplications, [
+  param('jobId').isInt().withMessage('Invalid job ID'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('cursor').optional().isString().isLength({ max: 1000 }).withMessage('Invalid cursor'),
+  query('include_total').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    params.offset = offset;
-    params.limit = parseInt(limit);
+    const { status, page = 1, limit = 10, cursor, include_total } = req.query;
 
-    const result = await executeQuery(query, params);
+    const result = await applicationService.listJobApplications(req.user.companyId, req.params.jobId, {
+      status,
+      page,
+      limit,
+      cursor,
+      includeTotal: include_total === 'true'
+    });
 
-    const totalCount = result.recordset.length > 0 ? result.recordset[0].total_count : 0;
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        applications: result.recordset,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / limit)
-        }
-      }
+      data: result
     });
 
   } catch (error) {
@@ -499,7 +323,7 @@ router.get('/jobs/:jobId/applications', [
 });
 
 // Update application status
-router.put('/applications/:applicationId', [
+router.put('/applications/:applicationId', canReviewApplications, [
   param('applicationId').isInt().withMessage('Invalid application ID'),
   body('status').isIn(['pending', 'reviewed', 'shortlisted', 'interview_scheduled', 'rejected', 'hired']).withMessage('Invalid status'),
   body('notes').optional().trim(),
@@ -515,45 +339,21 @@ router.put('/applications/:applicationId', [
       });
     }
 
-    const { applicationId } = req.params;
     const { status, notes, rating } = req.body;
 
-    // Check if application belongs to company's job
-    const checkQuery = `
-      SELECT a.application_id 
-      FROM Applications a
-      INNER JOIN Jobs j ON a.job_id = j.job_id
-      WHERE a.application_id = @applicationId AND j.company_id = @companyId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      applicationId,
-      companyId: req.user.companyId
+    const result = await applicationService.reviewApplication(req.user.companyId, req.params.applicationId, {
+      status,
+      notes,
+      rating
     });
 
-    if (checkResult.recordset.length === 0) {
-      return res.status(404).json({
+    if (result.status) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Application not found'
+        message: result.message
       });
     }
 
-    const updateQuery = `
-      UPDATE Applications 
-      SET status = @status,
-          notes = @notes,
-          rating = @rating,
-          reviewed_date = CASE WHEN @status != 'pending' THEN GETDATE() ELSE reviewed_date END,
-          updated_at = GETDATE()
-      WHERE application_id = @applicationId
-    `;
-
-    await executeQuery(updateQuery, {
-      applicationId,
-      status,
-      notes: notes || null,
-      rating: rating || null
-    });
-
     res.json({
       success: true,
       message: 'Application status updated successfully'
@@ -569,23 +369,13 @@ router.put('/applications/:applicationId', [
 });
 
 // Get company dashboard statistics
-router.get('/dashboard/stats', async (req, res) => {
+router.get('/dashboard/stats', canViewCompany, async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        (SELECT COUNT(*) FROM Jobs WHERE company_id = @companyId) as total_jobs,
-        (SELECT COUNT(*) FROM Jobs WHERE company_id = @companyId AND status = 'active') as active_jobs,
-        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId) as total_applications,
-        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId AND a.status = 'pending') as pending_applications,
-        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId AND a.status = 'shortlisted') as shortlisted_applications,
-        (SELECT COUNT(*) FROM Applications a INNER JOIN Jobs j ON a.job_id = j.job_id WHERE j.company_id = @companyId AND a.applied_date >= DATEADD(day, -30, GETDATE())) as applications_last_30_days
-    `;
-
-    const result = await executeQuery(query, { companyId: req.user.companyId });
+    const stats = await companyService.getDashboardStats(req.user.companyId);
 
     res.json({
       success: true,
-      data: result.recordset[0]
+      data: stats
     });
 
   } catch (error) {
@@ -597,4 +387,329 @@ router.get('/dashboard/stats', async (req, res) => {
   }
 });
 
+// Get company members and pending invitations
+router.get('/members', requireUserSession, async (req, res) => {
+  try {
+    const result = await companyService.listMembers(req.user.companyId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get company members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get company members'
+    });
+  }
+});
+
+// Invite a new member by email
+router.post('/members/invitations', canManageCompany, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').isIn(COMPANY_ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+
+    const result = await companyService.inviteMember(req.user, { email, role });
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: result.invitation
+    });
+
+  } catch (error) {
+    console.error('Invite company member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitation'
+    });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/members/invitations/:invitationId', canManageCompany, [
+  param('invitationId').isInt().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await companyService.revokeInvitation(req.user.companyId, req.params.invitationId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation'
+    });
+  }
+});
+
+// Change a member's role
+router.put('/members/:memberId', canManageCompany, [
+  param('memberId').isInt().withMessage('Invalid member ID'),
+  body('role').isIn(COMPANY_ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await companyService.changeMemberRole(req.user, req.params.memberId, req.body.role);
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update member role'
+    });
+  }
+});
+
+// Remove a member from the company
+router.delete('/members/:memberId', canManageCompany, [
+  param('memberId').isInt().withMessage('Invalid member ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await companyService.removeMember(req.user, req.params.memberId);
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+// Get company security settings
+router.get('/security', requireUserSession, async (req, res) => {
+  try {
+    const settings = await companyService.getSecuritySettings(req.user.companyId);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings,
+        enforced_platform_wide: process.env.TWO_FACTOR_REQUIRED_FOR_COMPANIES === 'true'
+      }
+    });
+
+  } catch (error) {
+    console.error('Get company security error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get security settings'
+    });
+  }
+});
+
+// Update company security settings
+router.put('/security', canManageCompany, forbidImpersonation, [
+  body('require_two_factor').isBoolean().withMessage('require_two_factor must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const requireTwoFactor = req.body.require_two_factor === true || req.body.require_two_factor === 'true';
+
+    await companyService.updateSecuritySettings(req.user.companyId, requireTwoFactor);
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update company security error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update security settings'
+    });
+  }
+});
+
+// List API keys
+router.get('/api-keys', canManageCompany, async (req, res) => {
+  try {
+    const keys = await companyService.listApiKeys(req.user.companyId);
+
+    res.json({
+      success: true,
+      data: keys
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get API keys'
+    });
+  }
+});
+
+// Create API key
+router.post('/api-keys', canManageCompany, forbidImpersonation, [
+  body('name').notEmpty().trim().isLength({ max: 100 }).withMessage('Key name is required (max 100 characters)'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage('Invalid scope'),
+  body('expires_at').optional().isISO8601().withMessage('Invalid expiry date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expires_at } = req.body;
+
+    if (expires_at && new Date(expires_at) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const key = await companyService.createApiKey(req.user, { name, scopes, expiresAt: expires_at });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: key
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/api-keys/:keyId', canManageCompany, forbidImpersonation, [
+  param('keyId').isInt().withMessage('Invalid key ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await companyService.revokeApiKey(req.user.companyId, req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
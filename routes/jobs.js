@@ -2,15 +2,37 @@
 const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const { optionalAuth, authenticateToken } = require('../middleware/auth');
-const { executeQuery, dbHelpers, sql } = require('../config/database');
+const jobService = require('../services/jobService');
 
 const router = express.Router();
 
+// facets=true asks for every facet; a list (comma-separated in a query
+// string) asks for some of them
+const parseFacets = (value) => {
+  if (value === true || value === 'true') {
+    return jobService.FACETS;
+  }
+  if (value === false || value === 'false' || value === '') {
+    return [];
+  }
+  const names = Array.isArray(value) ? value : String(value).split(',');
+  return names.map(name => String(name).trim()).filter(Boolean);
+};
+
+const isKnownFacetList = (names) => names.every(name => jobService.FACETS.includes(name));
+
+// The job seeker to personalise listings for, if the caller is one
+const viewerJobSeekerId = (req) => {
+  return req.user && req.user.userType === 'jobseeker' ? req.user.jobseekerId : null;
+};
+
 // Get all jobs (public endpoint with optional authentication)
 router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('search').optional().trim(),
+  query('cursor').optional().isString().isLength({ max: 1000 }).withMessage('Invalid cursor'),
+  query('include_total').optional().isBoolean(),
+  query('search').optional().trim().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
   query('location').optional().trim(),
   query('job_type').optional().isIn(['Full-time', 'Part-time', 'Contract', 'Internship', 'Freelance']),
   query('experience_level').optional().isIn(['Entry-level', 'Mid-level', 'Senior-level', 'Executive']),
@@ -18,7 +40,11 @@ router.get('/', optionalAuth, [
   query('salary_min').optional().isNumeric(),
   query('salary_max').optional().isNumeric(),
   query('industry').optional().trim(),
-  query('sort_by').optional().isIn(['posted_date', 'salary_min', 'title', 'company_name']),
+  query('company_size').optional().isIn(['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+']),
+  query('posted_within_days').optional().isInt({ min: 1, max: 365 }),
+  query('facets').optional().customSanitizer(parseFacets).custom(isKnownFacetList)
+    .withMessage(`Facets must be true or a list of: ${jobService.FACETS.join(', ')}`),
+  query('sort_by').optional().isIn(['relevance', 'posted_date', 'salary_min', 'title', 'company_name']),
   query('sort_order').optional().isIn(['asc', 'desc'])
 ], async (req, res) => {
   try {
@@ -34,6 +60,8 @@ router.get('/', optionalAuth, [
     const {
       page = 1,
       limit = 20,
+      cursor,
+      include_total,
       search,
       location,
       job_type,
@@ -42,135 +70,48 @@ router.get('/', optionalAuth, [
       salary_min,
       salary_max,
       industry,
-      sort_by = 'posted_date',
+      company_size,
+      posted_within_days,
+      facets,
+      // Searches are ranked by relevance unless asked otherwise
+      sort_by = search ? 'relevance' : 'posted_date',
       sort_order = 'desc'
     } = req.query;
 
-    const offset = (page - 1) * limit;
-
-    // Build dynamic WHERE clause
-    let whereClause = 'WHERE j.status = \'active\'';
-    const params = {};
-
-    if (search) {
-      whereClause += ' AND (j.title LIKE @search OR j.description LIKE @search OR c.company_name LIKE @search)';
-      params.search = `%${search}%`;
-    }
-
-    if (location) {
-      whereClause += ' AND j.location LIKE @location';
-      params.location = `%${location}%`;
-    }
-
-    if (job_type) {
-      whereClause += ' AND j.job_type = @jobType';
-      params.jobType = job_type;
-    }
-
-    if (experience_level) {
-      whereClause += ' AND j.experience_level = @experienceLevel';
-      params.experienceLevel = experience_level;
-    }
-
-    if (remote_work_option) {
-      whereClause += ' AND j.remote_work_option = @remoteWorkOption';
-      params.remoteWorkOption = remote_work_option;
-    }
-
-    if (salary_min) {
-      whereClause += ' AND (j.salary_min >= @salaryMin OR j.salary_min IS NULL)';
-      params.salaryMin = parseFloat(salary_min);
-    }
-
-    if (salary_max) {
-      whereClause += ' AND (j.salary_max <= @salaryMax OR j.salary_max IS NULL)';
-      params.salaryMax = parseFloat(salary_max);
-    }
-
-    if (industry) {
-      whereClause += ' AND j.industry LIKE @industry';
-      params.industry = `%${industry}%`;
-    }
-
-    // Check if application deadline has not passed
-    whereClause += ' AND (j.application_deadline IS NULL OR j.application_deadline >= CAST(GETDATE() AS DATE))';
-
-    // Build ORDER BY clause
-    let orderBy = 'ORDER BY ';
-    switch (sort_by) {
-      case 'salary_min':
-        orderBy += 'j.salary_min';
-        break;
-      case 'title':
-        orderBy += 'j.title';
-        break;
-      case 'company_name':
-        orderBy += 'c.company_name';
-        break;
-      default:
-        orderBy += 'j.posted_date';
-    }
-    orderBy += ` ${sort_order.toUpperCase()}`;
-
-    // Main query
-    let selectClause = `
-      SELECT j.job_id, j.title, j.description, j.location, j.remote_work_option,
-             j.salary_min, j.salary_max, j.salary_currency, j.job_type, j.experience_level,
-             j.industry, j.department, j.posted_date, j.application_deadline,
-             j.max_applications, j.current_applications, j.views_count,
-             c.company_name, c.logo_url, c.company_size, c.industry as company_industry,
-             COUNT(*) OVER() as total_count
-    `;
-
-    // Add user-specific fields if authenticated
-    if (req.user && req.user.userType === 'jobseeker') {
-      selectClause += `,
-        (SELECT COUNT(*) FROM Applications WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as has_applied,
-        (SELECT COUNT(*) FROM SavedJobs WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as is_saved
-      `;
-      params.jobseekerId = req.user.jobseekerId;
-    }
-
-    const query = `
-      ${selectClause}
-      FROM Jobs j
-      INNER JOIN Companies c ON j.company_id = c.company_id
-      ${whereClause}
-      ${orderBy}
-      OFFSET @offset ROWS
-      FETCH NEXT @limit ROWS ONLY
-    `;
-
-    params.offset = offset;
-    params.limit = parseInt(limit);
-
-    const result = await executeQuery(query, params);
-
-    // Update view counts for the jobs (fire and forget)
-    if (result.recordset.length > 0) {
-      const jobIds = result.recordset.map(job => job.job_id).join(',');
-      const updateViewsQuery = `
-        UPDATE Jobs 
-        SET views_count = views_count + 1 
-        WHERE job_id IN (${jobIds})
-      `;
-      executeQuery(updateViewsQuery).catch(err => 
-        console.error('Failed to update view counts:', err)
-      );
+    const result = await jobService.listJobs({
+      filters: {
+        search,
+        location,
+        job_type,
+        experience_level,
+        remote_work_option,
+        salary_min,
+        salary_max,
+        industry,
+        company_size,
+        posted_within_days
+      },
+      sortBy: sort_by,
+      sortOrder: sort_order,
+      page,
+      limit,
+      cursor,
+      includeTotal: include_total === 'true',
+      // Sanitizers can't write back to req.query, so parse the list again here
+      facets: facets === undefined ? null : parseFacets(facets)
+    }, viewerJobSeekerId(req));
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
     }
 
-    const totalCount = result.recordset.length > 0 ? result.recordset[0].total_count : 0;
-
     res.json({
       success: true,
       data: {
-        jobs: result.recordset,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / limit)
-        },
+        ...result,
         filters: {
           search,
           location,
@@ -180,6 +121,8 @@ router.get('/', optionalAuth, [
           salary_min,
           salary_max,
           industry,
+          company_size,
+          posted_within_days,
           sort_by,
           sort_order
         }
@@ -209,84 +152,18 @@ router.get('/:jobId', optionalAuth, [
       });
     }
 
-    const { jobId } = req.params;
-
-    let selectClause = `
-      SELECT j.*, 
-             c.company_name, c.company_description, c.industry as company_industry,
-             c.company_size, c.website, c.logo_url, c.city as company_city, c.country as company_country
-    `;
-
-    // Add user-specific fields if authenticated
-    let joinClause = '';
-    const params = { jobId };
-
-    if (req.user && req.user.userType === 'jobseeker') {
-      selectClause += `,
-        (SELECT COUNT(*) FROM Applications WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as has_applied,
-        (SELECT COUNT(*) FROM SavedJobs WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as is_saved
-      `;
-      params.jobseekerId = req.user.jobseekerId;
-    }
-
-    const query = `
-      ${selectClause}
-      FROM Jobs j
-      INNER JOIN Companies c ON j.company_id = c.company_id
-      ${joinClause}
-      WHERE j.job_id = @jobId AND j.status = 'active'
-    `;
+    const job = await jobService.getJobDetails(req.params.jobId, viewerJobSeekerId(req));
 
-    const result = await executeQuery(query, params);
-
-    if (result.recordset.length === 0) {
+    if (!job) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
       });
     }
 
-    const job = result.recordset[0];
-
-    // Get required skills for the job
-    const skillsQuery = `
-      SELECT s.skill_id, s.skill_name, s.category, js.required_level, js.is_required
-      FROM JobSkills js
-      INNER JOIN Skills s ON js.skill_id = s.skill_id
-      WHERE js.job_id = @jobId
-      ORDER BY js.is_required DESC, s.skill_name
-    `;
-    const skillsResult = await executeQuery(skillsQuery, { jobId });
-
-    // Get similar jobs
-    const similarJobsQuery = `
-      SELECT TOP 5 j.job_id, j.title, j.location, j.job_type, j.salary_min, j.salary_max,
-             c.company_name, c.logo_url
-      FROM Jobs j
-      INNER JOIN Companies c ON j.company_id = c.company_id
-      WHERE j.job_id != @jobId 
-        AND j.status = 'active'
-        AND (j.industry = @industry OR j.job_type = @jobType OR j.experience_level = @experienceLevel)
-      ORDER BY j.posted_date DESC
-    `;
-    const similarJobsResult = await executeQuery(similarJobsQuery, {
-      jobId,
-      industry: job.industry,
-      jobType: job.job_type,
-      experienceLevel: job.experience_level
-    });
-
-    // Update view count (fire and forget)
-    executeQuery('UPDATE Jobs SET views_count = views_count + 1 WHERE job_id = @jobId', { jobId })
-      .catch(err => console.error('Failed to update view count:', err));
-
     res.json({
       success: true,
-      data: {
-        ...job,
-        skills: skillsResult.recordset,
-        similar_jobs: similarJobsResult.recordset
-      }
+      data: job
     });
 
   } catch (error) {
@@ -301,20 +178,11 @@ router.get('/:jobId', optionalAuth, [
 // Get job statistics (public)
 router.get('/stats/overview', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        (SELECT COUNT(*) FROM Jobs WHERE status = 'active') as active_jobs,
-        (SELECT COUNT(DISTINCT company_id) FROM Jobs WHERE status = 'active') as active_companies,
-        (SELECT COUNT(*) FROM Applications WHERE applied_date >= DATEADD(day, -30, GETDATE())) as applications_last_30_days,
-        (SELECT TOP 1 industry FROM Jobs WHERE status = 'active' GROUP BY industry ORDER BY COUNT(*) DESC) as top_industry,
-        (SELECT TOP 1 location FROM Jobs WHERE status = 'active' GROUP BY location ORDER BY COUNT(*) DESC) as top_location
-    `;
-
-    const result = await executeQuery(query);
+    const stats = await jobService.getOverviewStats();
 
     res.json({
       success: true,
-      data: result.recordset[0]
+      data: stats
     });
 
   } catch (error) {
@@ -329,65 +197,11 @@ router.get('/stats/overview', async (req, res) => {
 // Get filter options (public)
 router.get('/filters/options', async (req, res) => {
   try {
-    const queries = {
-      industries: `
-        SELECT DISTINCT industry 
-        FROM Jobs 
-        WHERE status = 'active' AND industry IS NOT NULL 
-        ORDER BY industry
-      `,
-      locations: `
-        SELECT DISTINCT location 
-        FROM Jobs 
-        WHERE status = 'active' AND location IS NOT NULL 
-        ORDER BY location
-      `,
-      companies: `
-        SELECT DISTINCT c.company_name, c.company_id
-        FROM Companies c
-        INNER JOIN Jobs j ON c.company_id = j.company_id
-        WHERE j.status = 'active'
-        ORDER BY c.company_name
-      `,
-      jobTypes: `
-        SELECT DISTINCT job_type 
-        FROM Jobs 
-        WHERE status = 'active' 
-        ORDER BY job_type
-      `,
-      experienceLevels: `
-        SELECT DISTINCT experience_level 
-        FROM Jobs 
-        WHERE status = 'active' 
-        ORDER BY 
-          CASE experience_level
-            WHEN 'Entry-level' THEN 1
-            WHEN 'Mid-level' THEN 2
-            WHEN 'Senior-level' THEN 3
-            WHEN 'Executive' THEN 4
-          END
-      `,
-      salaryRanges: `
-        SELECT 
-          MIN(salary_min) as min_salary,
-          MAX(salary_max) as max_salary,
-          AVG(salary_min) as avg_min_salary,
-          AVG(salary_max) as avg_max_salary
-        FROM Jobs 
-        WHERE status = 'active' AND salary_min IS NOT NULL AND salary_max IS NOT NULL
-      `
-    };
-
-    const results = {};
-    
-    for (const [key, query] of Object.entries(queries)) {
-      const result = await executeQuery(query);
-      results[key] = result.recordset;
-    }
+    const options = await jobService.getFilterOptions();
 
     res.json({
       success: true,
-      data: results
+      data: options
     });
 
   } catch (error) {
@@ -401,9 +215,14 @@ router.get('/filters/options', async (req, res) => {
 
 // Search jobs with advanced filters (public)
 router.post('/search', optionalAuth, [
-  body('keywords').optional().trim(),
+  body('keywords').optional().trim().isLength({ max: 200 }).withMessage('Keywords must be at most 200 characters'),
   body('location').optional().trim(),
   body('radius').optional().isInt({ min: 1, max: 100 }).withMessage('Radius must be between 1 and 100 km'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('latitude').if(body('longitude').exists()).exists().withMessage('Latitude and longitude must be given together'),
+  body('longitude').if(body('latitude').exists()).exists().withMessage('Latitude and longitude must be given together'),
+  body('include_remote').optional().isBoolean().toBoolean(),
   body('job_types').optional().isArray(),
   body('experience_levels').optional().isArray(),
   body('industries').optional().isArray(),
@@ -412,9 +231,13 @@ router.post('/search', optionalAuth, [
   body('remote_only').optional().isBoolean(),
   body('posted_within_days').optional().isInt({ min: 1, max: 365 }),
   body('company_size').optional().isArray(),
-  body('sort_by').optional().isIn(['relevance', 'posted_date', 'salary', 'company_name']),
+  body('facets').optional().customSanitizer(parseFacets).custom(isKnownFacetList)
+    .withMessage(`Facets must be true or a list of: ${jobService.FACETS.join(', ')}`),
+  body('sort_by').optional().isIn(['relevance', 'posted_date', 'salary', 'company_name', 'distance']),
   body('page').optional().isInt({ min: 1 }),
-  body('limit').optional().isInt({ min: 1, max: 50 })
+  body('limit').optional().isInt({ min: 1, max: 50 }),
+  body('cursor').optional().isString().isLength({ max: 1000 }).withMessage('Invalid cursor'),
+  body('include_total').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -430,6 +253,9 @@ router.post('/search', optionalAuth, [
       keywords,
       location,
       radius,
+      latitude,
+      longitude,
+      include_remote,
       job_types,
       experience_levels,
       industries,
@@ -437,154 +263,56 @@ router.post('/search', optionalAuth, [
       remote_only,
       posted_within_days,
       company_size,
+      facets,
       sort_by = 'relevance',
       page = 1,
-      limit = 20
+      limit = 20,
+      cursor,
+      include_total
     } = req.body;
 
-    const offset = (page - 1) * limit;
-
-    // Build dynamic WHERE clause
-    let whereClause = 'WHERE j.status = \'active\'';
-    const params = {};
-
-    if (keywords) {
-      whereClause += ' AND (j.title LIKE @keywords OR j.description LIKE @keywords OR j.requirements LIKE @keywords OR c.company_name LIKE @keywords)';
-      params.keywords = `%${keywords}%`;
-    }
-
-    if (location) {
-      whereClause += ' AND j.location LIKE @location';
-      params.location = `%${location}%`;
-    }
-
-    if (job_types && job_types.length > 0) {
-      const placeholders = job_types.map((_, index) => `@jobType${index}`).join(',');
-      whereClause += ` AND j.job_type IN (${placeholders})`;
-      job_types.forEach((type, index) => {
-        params[`jobType${index}`] = type;
-      });
-    }
-
-    if (experience_levels && experience_levels.length > 0) {
-      const placeholders = experience_levels.map((_, index) => `@expLevel${index}`).join(',');
-      whereClause += ` AND j.experience_level IN (${placeholders})`;
-      experience_levels.forEach((level, index) => {
-        params[`expLevel${index}`] = level;
-      });
-    }
-
-    if (industries && industries.length > 0) {
-      const placeholders = industries.map((_, index) => `@industry${index}`).join(',');
-      whereClause += ` AND j.industry IN (${placeholders})`;
-      industries.forEach((industry, index) => {
-        params[`industry${index}`] = industry;
-      });
-    }
-
-    if (salary_range) {
-      if (salary_range.min) {
-        whereClause += ' AND (j.salary_min >= @salaryMin OR j.salary_min IS NULL)';
-        params.salaryMin = salary_range.min;
-      }
-      if (salary_range.max) {
-        whereClause += ' AND (j.salary_max <= @salaryMax OR j.salary_max IS NULL)';
-        params.salaryMax = salary_range.max;
-      }
-    }
-
-    if (remote_only) {
-      whereClause += ' AND j.remote_work_option IN (\'Yes\', \'Hybrid\')';
-    }
-
-    if (posted_within_days) {
-      whereClause += ' AND j.posted_date >= DATEADD(day, -@postedWithinDays, GETDATE())';
-      params.postedWithinDays = posted_within_days;
-    }
-
-    if (company_size && company_size.length > 0) {
-      const placeholders = company_size.map((_, index) => `@companySize${index}`).join(',');
-      whereClause += ` AND c.company_size IN (${placeholders})`;
-      company_size.forEach((size, index) => {
-        params[`companySize${index}`] = size;
+    const result = await jobService.searchJobs({
+      criteria: {
+        keywords,
+        location,
+        radius,
+        latitude,
+        longitude,
+        include_remote,
+        job_types,
+        experience_levels,
+        industries,
+        salary_range,
+        remote_only,
+        posted_within_days,
+        company_size
+      },
+      sortBy: sort_by,
+      page,
+      limit,
+      cursor,
+      includeTotal: include_total,
+      facets
+    }, viewerJobSeekerId(req));
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
       });
     }
 
-    // Build ORDER BY clause
-    let orderBy = 'ORDER BY ';
-    switch (sort_by) {
-      case 'posted_date':
-        orderBy += 'j.posted_date DESC';
-        break;
-      case 'salary':
-        orderBy += 'j.salary_max DESC, j.salary_min DESC';
-        break;
-      case 'company_name':
-        orderBy += 'c.company_name ASC';
-        break;
-      default: // relevance
-        if (keywords) {
-          orderBy += `
-            CASE 
-              WHEN j.title LIKE @keywords THEN 1
-              WHEN c.company_name LIKE @keywords THEN 2
-              WHEN j.description LIKE @keywords THEN 3
-              ELSE 4
-            END ASC, j.posted_date DESC
-          `;
-        } else {
-          orderBy += 'j.posted_date DESC';
-        }
-    }
-
-    let selectClause = `
-      SELECT j.job_id, j.title, j.description, j.location, j.remote_work_option,
-             j.salary_min, j.salary_max, j.salary_currency, j.job_type, j.experience_level,
-             j.industry, j.posted_date, j.application_deadline, j.views_count,
-             c.company_name, c.logo_url, c.company_size,
-             COUNT(*) OVER() as total_count
-    `;
-
-    // Add user-specific fields if authenticated
-    if (req.user && req.user.userType === 'jobseeker') {
-      selectClause += `,
-        (SELECT COUNT(*) FROM Applications WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as has_applied,
-        (SELECT COUNT(*) FROM SavedJobs WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as is_saved
-      `;
-      params.jobseekerId = req.user.jobseekerId;
-    }
-
-    const query = `
-      ${selectClause}
-      FROM Jobs j
-      INNER JOIN Companies c ON j.company_id = c.company_id
-      ${whereClause}
-      ${orderBy}
-      OFFSET @offset ROWS
-      FETCH NEXT @limit ROWS ONLY
-    `;
-
-    params.offset = offset;
-    params.limit = parseInt(limit);
-
-    const result = await executeQuery(query, params);
-
-    const totalCount = result.recordset.length > 0 ? result.recordset[0].total_count : 0;
-
     res.json({
       success: true,
       data: {
-        jobs: result.recordset,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / limit)
-        },
+        ...result,
         search_criteria: {
           keywords,
           location,
           radius,
+          latitude,
+          longitude,
+          include_remote,
           job_types,
           experience_levels,
           industries,
@@ -611,22 +339,11 @@ router.get('/trending/popular', async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
-    const query = `
-      SELECT TOP (@limit) j.job_id, j.title, j.location, j.job_type, j.salary_min, j.salary_max,
-             j.posted_date, j.views_count, j.current_applications,
-             c.company_name, c.logo_url
-      FROM Jobs j
-      INNER JOIN Companies c ON j.company_id = c.company_id
-      WHERE j.status = 'active'
-        AND j.posted_date >= DATEADD(day, -30, GETDATE())
-      ORDER BY (j.views_count * 0.7 + j.current_applications * 0.3) DESC, j.posted_date DESC
-    `;
-
-    const result = await executeQuery(query, { limit: parseInt(limit) });
+    const jobs = await jobService.getTrendingJobs(limit);
 
     res.json({
       success: true,
-      data: result.recordset
+      data: jobs
     });
 
   } catch (error) {
@@ -654,70 +371,20 @@ router.get('/company/:companyId', optionalAuth, [
       });
     }
 
-    const { companyId } = req.params;
     const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
 
-    // Check if company exists
-    const companyQuery = `
-      SELECT company_id, company_name, company_description, logo_url, website, industry, company_size
-      FROM Companies 
-      WHERE company_id = @companyId
-    `;
-    const companyResult = await executeQuery(companyQuery, { companyId });
+    const result = await jobService.getCompanyJobs(req.params.companyId, { page, limit }, viewerJobSeekerId(req));
 
-    if (companyResult.recordset.length === 0) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Company not found'
       });
     }
 
-    const company = companyResult.recordset[0];
-
-    let selectClause = `
-      SELECT j.job_id, j.title, j.description, j.location, j.remote_work_option,
-             j.salary_min, j.salary_max, j.salary_currency, j.job_type, j.experience_level,
-             j.industry, j.posted_date, j.application_deadline, j.current_applications,
-             COUNT(*) OVER() as total_count
-    `;
-
-    // Add user-specific fields if authenticated
-    const params = { companyId, offset, limit: parseInt(limit) };
-
-    if (req.user && req.user.userType === 'jobseeker') {
-      selectClause += `,
-        (SELECT COUNT(*) FROM Applications WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as has_applied,
-        (SELECT COUNT(*) FROM SavedJobs WHERE job_id = j.job_id AND jobseeker_id = @jobseekerId) as is_saved
-      `;
-      params.jobseekerId = req.user.jobseekerId;
-    }
-
-    const jobsQuery = `
-      ${selectClause}
-      FROM Jobs j
-      WHERE j.company_id = @companyId AND j.status = 'active'
-      ORDER BY j.posted_date DESC
-      OFFSET @offset ROWS
-      FETCH NEXT @limit ROWS ONLY
-    `;
-
-    const jobsResult = await executeQuery(jobsQuery, params);
-
-    const totalCount = jobsResult.recordset.length > 0 ? jobsResult.recordset[0].total_count : 0;
-
     res.json({
       success: true,
-      data: {
-        company,
-        jobs: jobsResult.recordset,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / limit)
-        }
-      }
+      data: result
     });
 
   } catch (error) {
@@ -732,44 +399,11 @@ router.get('/company/:companyId', optionalAuth, [
 // Get all available skills (public)
 router.get('/skills/all', async (req, res) => {
   try {
-    const { category } = req.query;
-    
-    let whereClause = '';
-    const params = {};
-    
-    if (category) {
-      whereClause = 'WHERE category = @category';
-      params.category = category;
-    }
-
-    const query = `
-      SELECT skill_id, skill_name, category
-      FROM Skills
-      ${whereClause}
-      ORDER BY category, skill_name
-    `;
-
-    const result = await executeQuery(query, params);
-
-    // Group by category
-    const skillsByCategory = result.recordset.reduce((acc, skill) => {
-      const category = skill.category || 'Other';
-      if (!acc[category]) {
-        acc[category] = [];
-      }
-      acc[category].push({
-        skill_id: skill.skill_id,
-        skill_name: skill.skill_name
-      });
-      return acc;
-    }, {});
+    const skills = await jobService.getSkills(req.query.category);
 
     res.json({
       success: true,
-      data: {
-        skills: result.recordset,
-        skills_by_category: skillsByCategory
-      }
+      data: skills
     });
 
   } catch (error) {
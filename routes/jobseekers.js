@@ -1,8 +1,12 @@
 // routes/jobseekers.js - Job Seeker routes
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
-const { authenticateToken, requireJobSeeker } = require('../middleware/auth');
-const { executeQuery, sql } = require('../config/database');
+const bcrypt = require('bcrypt');
+const { body, validationResult, param, query } = require('express-validator');
+const { authenticateToken, requireJobSeeker, forbidImpersonation } = require('../middleware/auth');
+const { dbHelpers } = require('../config/database');
+const { writeDataExport, scheduleErasure } = require('../services/privacy');
+const jobSeekerService = require('../services/jobSeekerService');
+const applicationService = require('../services/applicationService');
 
 const router = express.Router();
 
@@ -13,59 +17,20 @@ router.use(requireJobSeeker);
 // Get job seeker profile
 router.get('/profile', async (req, res) => {
   try {
-    const query = `
-      SELECT js.*, u.email, u.created_at as user_created_at
-      FROM JobSeekers js
-      INNER JOIN Users u ON js.user_id = u.user_id
-      WHERE js.user_id = @userId
-    `;
-    
-    const result = await executeQuery(query, { userId: req.user.userId });
-    
-    if (result.recordset.length === 0) {
+    const profile = await jobSeekerService.getProfile(req.user.userId);
+
+    if (!profile) {
       return res.status(404).json({
         success: false,
         message: 'Job seeker profile not found'
       });
     }
-    
-    const profile = result.recordset[0];
-    
-    // Get skills
-    const skillsQuery = `
-      SELECT s.skill_id, s.skill_name, s.category, jss.proficiency_level
-      FROM JobSeekerSkills jss
-      INNER JOIN Skills s ON jss.skill_id = s.skill_id
-      WHERE jss.jobseeker_id = @jobseekerId
-    `;
-    const skillsResult = await executeQuery(skillsQuery, { jobseekerId: profile.jobseeker_id });
-    
-    // Get education
-    const educationQuery = `
-      SELECT * FROM Education 
-      WHERE jobseeker_id = @jobseekerId 
-      ORDER BY end_date DESC, start_date DESC
-    `;
-    const educationResult = await executeQuery(educationQuery, { jobseekerId: profile.jobseeker_id });
-    
-    // Get work experience
-    const experienceQuery = `
-      SELECT * FROM WorkExperience 
-      WHERE jobseeker_id = @jobseekerId 
-      ORDER BY end_date DESC, start_date DESC
-    `;
-    const experienceResult = await executeQuery(experienceQuery, { jobseekerId: profile.jobseeker_id });
-    
+
     res.json({
       success: true,
-      data: {
-        ...profile,
-        skills: skillsResult.recordset,
-        education: educationResult.recordset,
-        experience: experienceResult.recordset
-      }
+      data: profile
     });
-    
+
   } catch (error) {
     console.error('Get job seeker profile error:', error);
     res.status(500).json({
@@ -100,54 +65,7 @@ router.put('/profile', [
       });
     }
 
-    const {
-      first_name,
-      last_name,
-      phone,
-      date_of_birth,
-      address,
-      city,
-      country,
-      summary,
-      experience_years,
-      current_salary,
-      expected_salary,
-      availability
-    } = req.body;
-
-    const query = `
-      UPDATE JobSeekers 
-      SET first_name = @firstName,
-          last_name = @lastName,
-          phone = @phone,
-          date_of_birth = @dateOfBirth,
-          address = @address,
-          city = @city,
-          country = @country,
-          summary = @summary,
-          experience_years = @experienceYears,
-          current_salary = @currentSalary,
-          expected_salary = @expectedSalary,
-          availability = @availability,
-          updated_at = GETDATE()
-      WHERE user_id = @userId
-    `;
-
-    await executeQuery(query, {
-      userId: req.user.userId,
-      firstName: first_name,
-      lastName: last_name,
-      phone,
-      dateOfBirth: date_of_birth || null,
-      address,
-      city,
-      country,
-      summary,
-      experienceYears: experience_years || 0,
-      currentSalary: current_salary || null,
-      expectedSalary: expected_salary || null,
-      availability: availability || 'immediately'
-    });
+    await jobSeekerService.updateProfile(req.user.userId, req.body);
 
     res.json({
       success: true,
@@ -179,24 +97,7 @@ router.post('/skills', [
       });
     }
 
-    const { skills } = req.body;
-
-    // First, remove existing skills
-    const deleteQuery = `DELETE FROM JobSeekerSkills WHERE jobseeker_id = @jobseekerId`;
-    await executeQuery(deleteQuery, { jobseekerId: req.user.jobseekerId });
-
-    // Add new skills
-    for (const skill of skills) {
-      const insertQuery = `
-        INSERT INTO JobSeekerSkills (jobseeker_id, skill_id, proficiency_level)
-        VALUES (@jobseekerId, @skillId, @proficiencyLevel)
-      `;
-      await executeQuery(insertQuery, {
-        jobseekerId: req.user.jobseekerId,
-        skillId: skill.skill_id,
-        proficiencyLevel: skill.proficiency_level
-      });
-    }
+    await jobSeekerService.replaceSkills(req.user.jobseekerId, req.body.skills);
 
     res.json({
       success: true,
@@ -233,45 +134,12 @@ router.post('/education', [
       });
     }
 
-    const {
-      institution_name,
-      degree,
-      field_of_study,
-      start_date,
-      end_date,
-      is_current,
-      grade_gpa,
-      description
-    } = req.body;
-
-    const query = `
-      INSERT INTO Education (
-        jobseeker_id, institution_name, degree, field_of_study,
-        start_date, end_date, is_current, grade_gpa, description
-      )
-      OUTPUT INSERTED.education_id
-      VALUES (
-        @jobseekerId, @institutionName, @degree, @fieldOfStudy,
-        @startDate, @endDate, @isCurrent, @gradeGpa, @description
-      )
-    `;
-
-    const result = await executeQuery(query, {
-      jobseekerId: req.user.jobseekerId,
-      institutionName: institution_name,
-      degree,
-      fieldOfStudy: field_of_study,
-      startDate: start_date || null,
-      endDate: end_date || null,
-      isCurrent: is_current || false,
-      gradeGpa: grade_gpa,
-      description
-    });
+    const education = await jobSeekerService.addEducation(req.user.jobseekerId, req.body);
 
     res.status(201).json({
       success: true,
       message: 'Education added successfully',
-      data: { education_id: result.recordset[0].education_id }
+      data: { education_id: education.education_id }
     });
 
   } catch (error) {
@@ -305,57 +173,16 @@ router.put('/education/:educationId', [
       });
     }
 
-    const { educationId } = req.params;
-
-    // Check if education belongs to job seeker
-    const checkQuery = `
-      SELECT education_id FROM Education 
-      WHERE education_id = @educationId AND jobseeker_id = @jobseekerId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      educationId,
-      jobseekerId: req.user.jobseekerId
-    });
+    const result = await jobSeekerService.updateEducation(req.user.jobseekerId, req.params.educationId, req.body);
 
-    if (checkResult.recordset.length === 0) {
-      return res.status(404).json({
+    if (result.status) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Education record not found'
+        message: result.message,
+        errors: result.errors
       });
     }
 
-    // Build dynamic update query
-    const updateFields = [];
-    const params = { educationId };
-
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
-        const dbKey = key === 'institution_name' ? 'institutionName' : 
-                     key === 'field_of_study' ? 'fieldOfStudy' :
-                     key === 'start_date' ? 'startDate' :
-                     key === 'end_date' ? 'endDate' :
-                     key === 'is_current' ? 'isCurrent' :
-                     key === 'grade_gpa' ? 'gradeGpa' : key;
-        updateFields.push(`${key} = @${dbKey}`);
-        params[dbKey] = req.body[key];
-      }
-    });
-
-    if (updateFields.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No fields to update'
-      });
-    }
-
-    const updateQuery = `
-      UPDATE Education 
-      SET ${updateFields.join(', ')}
-      WHERE education_id = @educationId
-    `;
-
-    await executeQuery(updateQuery, params);
-
     res.json({
       success: true,
       message: 'Education updated successfully'
@@ -384,28 +211,15 @@ router.delete('/education/:educationId', [
       });
     }
 
-    const { educationId } = req.params;
-
-    // Check if education belongs to job seeker
-    const checkQuery = `
-      SELECT education_id FROM Education 
-      WHERE education_id = @educationId AND jobseeker_id = @jobseekerId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      educationId,
-      jobseekerId: req.user.jobseekerId
-    });
+    const deleted = await jobSeekerService.deleteEducation(req.user.jobseekerId, req.params.educationId);
 
-    if (checkResult.recordset.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         message: 'Education record not found'
       });
     }
 
-    const deleteQuery = `DELETE FROM Education WHERE education_id = @educationId`;
-    await executeQuery(deleteQuery, { educationId });
-
     res.json({
       success: true,
       message: 'Education deleted successfully'
@@ -420,6 +234,43 @@ router.delete('/education/:educationId', [
   }
 });
 
+// Restore a deleted education record
+router.post('/education/:educationId/restore', [
+  param('educationId').isInt().withMessage('Invalid education ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const restored = await jobSeekerService.restoreEducation(req.user.jobseekerId, req.params.educationId);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted education record not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Education restored successfully'
+    });
+
+  } catch (error) {
+    console.error('Restore education error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore education'
+    });
+  }
+});
+
 // Add work experience
 router.post('/experience', [
   body('company_name').notEmpty().trim().withMessage('Company name is required'),
@@ -440,43 +291,12 @@ router.post('/experience', [
       });
     }
 
-    const {
-      company_name,
-      job_title,
-      start_date,
-      end_date,
-      is_current,
-      description,
-      location
-    } = req.body;
-
-    const query = `
-      INSERT INTO WorkExperience (
-        jobseeker_id, company_name, job_title, start_date, 
-        end_date, is_current, description, location
-      )
-      OUTPUT INSERTED.experience_id
-      VALUES (
-        @jobseekerId, @companyName, @jobTitle, @startDate,
-        @endDate, @isCurrent, @description, @location
-      )
-    `;
-
-    const result = await executeQuery(query, {
-      jobseekerId: req.user.jobseekerId,
-      companyName: company_name,
-      jobTitle: job_title,
-      startDate: start_date,
-      endDate: end_date || null,
-      isCurrent: is_current || false,
-      description,
-      location
-    });
+    const experience = await jobSeekerService.addExperience(req.user.jobseekerId, req.body);
 
     res.status(201).json({
       success: true,
       message: 'Work experience added successfully',
-      data: { experience_id: result.recordset[0].experience_id }
+      data: { experience_id: experience.experience_id }
     });
 
   } catch (error) {
@@ -509,56 +329,16 @@ router.put('/experience/:experienceId', [
       });
     }
 
-    const { experienceId } = req.params;
-
-    // Check if experience belongs to job seeker
-    const checkQuery = `
-      SELECT experience_id FROM WorkExperience 
-      WHERE experience_id = @experienceId AND jobseeker_id = @jobseekerId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      experienceId,
-      jobseekerId: req.user.jobseekerId
-    });
+    const result = await jobSeekerService.updateExperience(req.user.jobseekerId, req.params.experienceId, req.body);
 
-    if (checkResult.recordset.length === 0) {
-      return res.status(404).json({
+    if (result.status) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Work experience not found'
+        message: result.message,
+        errors: result.errors
       });
     }
 
-    // Build dynamic update query
-    const updateFields = [];
-    const params = { experienceId };
-
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
-        const dbKey = key === 'company_name' ? 'companyName' : 
-                     key === 'job_title' ? 'jobTitle' :
-                     key === 'start_date' ? 'startDate' :
-                     key === 'end_date' ? 'endDate' :
-                     key === 'is_current' ? 'isCurrent' : key;
-        updateFields.push(`${key} = @${dbKey}`);
-        params[dbKey] = req.body[key];
-      }
-    });
-
-    if (updateFields.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No fields to update'
-      });
-    }
-
-    const updateQuery = `
-      UPDATE WorkExperience 
-      SET ${updateFields.join(', ')}
-      WHERE experience_id = @experienceId
-    `;
-
-    await executeQuery(updateQuery, params);
-
     res.json({
       success: true,
       message: 'Work experience updated successfully'
@@ -587,28 +367,15 @@ router.delete('/experience/:experienceId', [
       });
     }
 
-    const { experienceId } = req.params;
+    const deleted = await jobSeekerService.deleteExperience(req.user.jobseekerId, req.params.experienceId);
 
-    // Check if experience belongs to job seeker
-    const checkQuery = `
-      SELECT experience_id FROM WorkExperience 
-      WHERE experience_id = @experienceId AND jobseeker_id = @jobseekerId
-    `;
-    const checkResult = await executeQuery(checkQuery, {
-      experienceId,
-      jobseekerId: req.user.jobseekerId
-    });
-
-    if (checkResult.recordset.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         message: 'Work experience not found'
       });
     }
 
-    const deleteQuery = `DELETE FROM WorkExperience WHERE experience_id = @experienceId`;
-    await executeQuery(deleteQuery, { experienceId });
-
     res.json({
       success: true,
       message: 'Work experience deleted successfully'
@@ -623,66 +390,49 @@ router.delete('/experience/:experienceId', [
   }
 });
 
-// Get job seeker's applications
-router.get('/applications', async (req, res) => {
+// Restore a deleted work experience record
+router.post('/experience/:experienceId/restore', [
+  param('experienceId').isInt().withMessage('Invalid experience ID')
+], async (req, res) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let whereClause = 'WHERE a.jobseeker_id = @jobseekerId';
-    const params = { jobseekerId: req.user.jobseekerId };
-
-    if (status) {
-      whereClause += ' AND a.status = @status';
-      params.status = status;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    const query = `
-      SELECT a.*, j.title as job_title, j.location, j.job_type, j.salary_min, j.salary_max,
-             c.company_name, c.logo_url,
-             COUNT(*) OVER() as total_count
-      FROM Applications a
-      INNER JOIN Jobs j ON a.job_id = j.job_id
-      INNER JOIN Companies c ON j.company_id = c.company_id
-      ${whereClause}
-      ORDER BY a.applied_date DESC
-      OFFSET @offset ROWS
-      FETCH NEXT @limit ROWS ONLY
-    `;
-
-    params.offset = offset;
-    params.limit = parseInt(limit);
-
-    const result = await executeQuery(query, params);
+    const restored = await jobSeekerService.restoreExperience(req.user.jobseekerId, req.params.experienceId);
 
-    const totalCount = result.recordset.length > 0 ? result.recordset[0].total_count : 0;
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted work experience not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        applications: result.recordset,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / limit)
-        }
-      }
+      message: 'Work experience restored successfully'
     });
 
   } catch (error) {
-    console.error('Get applications error:', error);
+    console.error('Restore work experience error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get applications'
+      message: 'Failed to restore work experience'
     });
   }
 });
 
-// Apply for a job
-router.post('/apply/:jobId', [
-  param('jobId').isInt().withMessage('Invalid job ID'),
-  body('cover_letter').optional().trim()
+// Get job seeker's applications
+router.get('/applications', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('cursor').optional().isString().isLength({ max: 1000 }).withMessage('Invalid cursor'),
+  query('include_total').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -694,76 +444,65 @@ router.post('/apply/:jobId', [
       });
     }
 
-    const { jobId } = req.params;
-    const { cover_letter } = req.body;
+    const { status, page = 1, limit = 10, cursor, include_total } = req.query;
 
-    // Check if job exists and is active
-    const jobQuery = `
-      SELECT job_id, title, max_applications, current_applications, application_deadline
-      FROM Jobs 
-      WHERE job_id = @jobId AND status = 'active'
-    `;
-    const jobResult = await executeQuery(jobQuery, { jobId });
+    const result = await applicationService.listJobSeekerApplications(req.user.jobseekerId, {
+      status,
+      page,
+      limit,
+      cursor,
+      includeTotal: include_total === 'true'
+    });
 
-    if (jobResult.recordset.length === 0) {
-      return res.status(404).json({
+    if (result.status) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Job not found or not active'
+        message: result.message
       });
     }
 
-    const job = jobResult.recordset[0];
+    res.json({
+      success: true,
+      data: result
+    });
 
-    // Check application deadline
-    if (job.application_deadline && new Date(job.application_deadline) < new Date()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Application deadline has passed'
-      });
-    }
+  } catch (error) {
+    console.error('Get applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get applications'
+    });
+  }
+});
 
-    // Check max applications limit
-    if (job.max_applications && job.current_applications >= job.max_applications) {
+// Apply for a job
+router.post('/apply/:jobId', [
+  param('jobId').isInt().withMessage('Invalid job ID'),
+  body('cover_letter').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Maximum number of applications reached for this job'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if already applied
-    const existingQuery = `
-      SELECT application_id FROM Applications 
-      WHERE job_id = @jobId AND jobseeker_id = @jobseekerId
-    `;
-    const existingResult = await executeQuery(existingQuery, {
-      jobId,
-      jobseekerId: req.user.jobseekerId
-    });
+    const result = await applicationService.applyForJob(req.user.jobseekerId, req.params.jobId, req.body.cover_letter);
 
-    if (existingResult.recordset.length > 0) {
-      return res.status(409).json({
+    if (result.status) {
+      return res.status(result.status).json({
         success: false,
-        message: 'You have already applied for this job'
+        message: result.message
       });
     }
 
-    // Create application
-    const applicationQuery = `
-      INSERT INTO Applications (job_id, jobseeker_id, cover_letter)
-      OUTPUT INSERTED.application_id, INSERTED.applied_date
-      VALUES (@jobId, @jobseekerId, @coverLetter)
-    `;
-
-    const applicationResult = await executeQuery(applicationQuery, {
-      jobId,
-      jobseekerId: req.user.jobseekerId,
-      coverLetter: cover_letter
-    });
-
     res.status(201).json({
       success: true,
       message: 'Application submitted successfully',
-      data: applicationResult.recordset[0]
+      data: result.application
     });
 
   } catch (error) {
@@ -789,62 +528,20 @@ router.post('/save-job/:jobId', [
       });
     }
 
-    const { jobId } = req.params;
+    const saved = await jobSeekerService.toggleSavedJob(req.user.jobseekerId, req.params.jobId);
 
-    // Check if job exists
-    const jobQuery = `SELECT job_id FROM Jobs WHERE job_id = @jobId`;
-    const jobResult = await executeQuery(jobQuery, { jobId });
-
-    if (jobResult.recordset.length === 0) {
+    if (saved === null) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
       });
     }
 
-    // Check if already saved
-    const existingQuery = `
-      SELECT jobseeker_id FROM SavedJobs 
-      WHERE job_id = @jobId AND jobseeker_id = @jobseekerId
-    `;
-    const existingResult = await executeQuery(existingQuery, {
-      jobId,
-      jobseekerId: req.user.jobseekerId
-    });
-
-    if (existingResult.recordset.length > 0) {
-      // Unsave job
-      const deleteQuery = `
-        DELETE FROM SavedJobs 
-        WHERE job_id = @jobId AND jobseeker_id = @jobseekerId
-      `;
-      await executeQuery(deleteQuery, {
-        jobId,
-        jobseekerId: req.user.jobseekerId
-      });
-
-      res.json({
-        success: true,
-        message: 'Job removed from saved jobs',
-        saved: false
-      });
-    } else {
-      // Save job
-      const insertQuery = `
-        INSERT INTO SavedJobs (job_id, jobseeker_id)
-        VALUES (@jobId, @jobseekerId)
-      `;
-      await executeQuery(insertQuery, {
-        jobId,
-        jobseekerId: req.user.jobseekerId
-      });
-
-      res.json({
-        success: true,
-        message: 'Job saved successfully',
-        saved: true
-      });
-    }
+    res.json({
+      success: true,
+      message: saved ? 'Job saved successfully' : 'Job removed from saved jobs',
+      saved
+    });
 
   } catch (error) {
     console.error('Save/unsave job error:', error);
@@ -859,39 +556,12 @@ router.post('/save-job/:jobId', [
 router.get('/saved-jobs', async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
 
-    const query = `
-      SELECT j.*, c.company_name, c.logo_url, sj.saved_date,
-             COUNT(*) OVER() as total_count
-      FROM SavedJobs sj
-      INNER JOIN Jobs j ON sj.job_id = j.job_id
-      INNER JOIN Companies c ON j.company_id = c.company_id
-      WHERE sj.jobseeker_id = @jobseekerId
-      ORDER BY sj.saved_date DESC
-      OFFSET @offset ROWS
-      FETCH NEXT @limit ROWS ONLY
-    `;
-
-    const result = await executeQuery(query, {
-      jobseekerId: req.user.jobseekerId,
-      offset,
-      limit: parseInt(limit)
-    });
-
-    const totalCount = result.recordset.length > 0 ? result.recordset[0].total_count : 0;
+    const result = await jobSeekerService.listSavedJobs(req.user.jobseekerId, { page, limit });
 
     res.json({
       success: true,
-      data: {
-        jobs: result.recordset,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / limit)
-        }
-      }
+      data: result
     });
 
   } catch (error) {
@@ -906,20 +576,11 @@ router.get('/saved-jobs', async (req, res) => {
 // Get job seeker dashboard statistics
 router.get('/dashboard/stats', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId) as total_applications,
-        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId AND status = 'pending') as pending_applications,
-        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId AND status IN ('shortlisted', 'interview_scheduled')) as shortlisted_applications,
-        (SELECT COUNT(*) FROM SavedJobs WHERE jobseeker_id = @jobseekerId) as saved_jobs,
-        (SELECT COUNT(*) FROM Applications WHERE jobseeker_id = @jobseekerId AND applied_date >= DATEADD(day, -30, GETDATE())) as applications_last_30_days
-    `;
-
-    const result = await executeQuery(query, { jobseekerId: req.user.jobseekerId });
+    const stats = await jobSeekerService.getDashboardStats(req.user.jobseekerId);
 
     res.json({
       success: true,
-      data: result.recordset[0]
+      data: stats
     });
 
   } catch (error) {
@@ -931,4 +592,126 @@ router.get('/dashboard/stats', async (req, res) => {
   }
 });
 
+// Download all personal data as a zip archive
+router.get('/data-export', forbidImpersonation, async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.user.userId);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`keypoint-data-${date}.zip`);
+    res.type('application/zip');
+
+    await writeDataExport(user, res);
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export data'
+    });
+  }
+});
+
+// Get account erasure status
+router.get('/account/erasure', async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        scheduled: !!user.erasure_scheduled_for,
+        requested_at: user.erasure_requested_at || null,
+        scheduled_for: user.erasure_scheduled_for || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get erasure status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get erasure status'
+    });
+  }
+});
+
+// Request account erasure after a grace period
+router.post('/account/erasure', forbidImpersonation, [
+  body('password').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    if (user.erasure_scheduled_for) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account erasure is already scheduled'
+      });
+    }
+
+    // Accounts that only sign in through an identity provider have no password to confirm
+    if (user.password_hash && !(req.body.password && await bcrypt.compare(req.body.password, user.password_hash))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const scheduledFor = await scheduleErasure(user);
+
+    res.json({
+      success: true,
+      message: 'Your account and personal data will be erased at the end of the grace period. You can cancel until then.',
+      data: {
+        scheduled_for: scheduledFor
+      }
+    });
+
+  } catch (error) {
+    console.error('Request erasure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule account erasure'
+    });
+  }
+});
+
+// Cancel a pending account erasure
+router.delete('/account/erasure', forbidImpersonation, async (req, res) => {
+  try {
+    const cancelled = await dbHelpers.cancelUserErasure(req.user.userId);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account erasure is scheduled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account erasure cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel erasure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel account erasure'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,234 @@
+// routes/twoFactor.js - Two-factor authentication management routes
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireUserSession, forbidImpersonation, revokeAllSessions } = require('../middleware/auth');
+const { dbHelpers } = require('../config/database');
+const {
+  TWO_FACTOR_USER_TYPES,
+  isTwoFactorRequired,
+  startEnrollment,
+  completeEnrollment,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+// All routes require a logged-in user
+router.use(authenticateToken);
+router.use(requireUserSession);
+router.use(forbidImpersonation);
+
+// Check if the account type supports two-factor authentication
+const requireTwoFactorCapable = (req, res, next) => {
+  if (!TWO_FACTOR_USER_TYPES.includes(req.user.userType)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is not available for this account type'
+    });
+  }
+  next();
+};
+
+router.use(requireTwoFactorCapable);
+
+// Get two-factor status
+router.get('/', async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!user.totp_enabled,
+        required: isTwoFactorRequired(user),
+        recovery_codes_remaining: user.totp_enabled
+          ? await dbHelpers.countRecoveryCodes(user.user_id)
+          : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+});
+
+// Start enrollment: returns the secret, provisioning URI and QR code
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await startEnrollment(user);
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/enable', [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await completeEnrollment(user, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/disable', [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your company requires two-factor authentication'
+      });
+    }
+
+    if (!await bcrypt.compare(password, user.password_hash) || !await verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await dbHelpers.disableTotp(user.user_id);
+    await revokeAllSessions(user.user_id, req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Replace recovery codes
+router.post('/recovery-codes', [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await dbHelpers.getUserById(req.user.userId);
+
+    if (!await verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.user_id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Your previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+module.exports = router;
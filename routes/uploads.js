@@ -3,7 +3,9 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireUserSession, requireCompanyRole } = require('../middleware/auth');
+const companyService = require('../services/companyService');
+const jobSeekerService = require('../services/jobSeekerService');
 
 const router = express.Router();
 
@@ -94,7 +96,7 @@ const profileUpload = multer({
 });
 
 // Upload CV
-router.post('/cv', authenticateToken, cvUpload.single('cv'), async (req, res) => {
+router.post('/cv', authenticateToken, requireUserSession, cvUpload.single('cv'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -103,20 +105,9 @@ router.post('/cv', authenticateToken, cvUpload.single('cv'), async (req, res) =>
       });
     }
 
-    const { executeQuery } = require('../config/database');
-    
     // Update job seeker profile with CV URL
     const cvUrl = `/uploads/cv/${req.file.filename}`;
-    const query = `
-      UPDATE JobSeekers 
-      SET cv_url = @cvUrl, updated_at = GETDATE()
-      WHERE user_id = @userId
-    `;
-    
-    await executeQuery(query, {
-      cvUrl,
-      userId: req.user.userId
-    });
+    await jobSeekerService.setCvUrl(req.user.userId, cvUrl);
 
     res.json({
       success: true,
@@ -145,7 +136,7 @@ router.post('/cv', authenticateToken, cvUpload.single('cv'), async (req, res) =>
 });
 
 // Upload company logo
-router.post('/logo', authenticateToken, logoUpload.single('logo'), async (req, res) => {
+router.post('/logo', authenticateToken, requireUserSession, requireCompanyRole('owner', 'admin'), logoUpload.single('logo'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -154,20 +145,9 @@ router.post('/logo', authenticateToken, logoUpload.single('logo'), async (req, r
       });
     }
 
-    const { executeQuery } = require('../config/database');
-    
     // Update company profile with logo URL
     const logoUrl = `/uploads/logos/${req.file.filename}`;
-    const query = `
-      UPDATE Companies 
-      SET logo_url = @logoUrl, updated_at = GETDATE()
-      WHERE user_id = @userId
-    `;
-    
-    await executeQuery(query, {
-      logoUrl,
-      userId: req.user.userId
-    });
+    await companyService.setLogoUrl(req.user.companyId, logoUrl);
 
     res.json({
       success: true,
@@ -196,7 +176,7 @@ router.post('/logo', authenticateToken, logoUpload.single('logo'), async (req, r
 });
 
 // Upload profile picture
-router.post('/profile-picture', authenticateToken, profileUpload.single('profilePicture'), async (req, res) => {
+router.post('/profile-picture', authenticateToken, requireUserSession, profileUpload.single('profilePicture'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -205,20 +185,9 @@ router.post('/profile-picture', authenticateToken, profileUpload.single('profile
       });
     }
 
-    const { executeQuery } = require('../config/database');
-    
     // Update job seeker profile with profile picture URL
     const profilePictureUrl = `/uploads/profiles/${req.file.filename}`;
-    const query = `
-      UPDATE JobSeekers 
-      SET profile_picture_url = @profilePictureUrl, updated_at = GETDATE()
-      WHERE user_id = @userId
-    `;
-    
-    await executeQuery(query, {
-      profilePictureUrl,
-      userId: req.user.userId
-    });
+    await jobSeekerService.setProfilePictureUrl(req.user.userId, profilePictureUrl);
 
     res.json({
       success: true,
@@ -247,7 +216,7 @@ router.post('/profile-picture', authenticateToken, profileUpload.single('profile
 });
 
 // Delete file
-router.delete('/:type/:filename', authenticateToken, async (req, res) => {
+router.delete('/:type/:filename', authenticateToken, requireUserSession, async (req, res) => {
   try {
     const { type, filename } = req.params;
     
@@ -281,29 +250,16 @@ router.delete('/:type/:filename', authenticateToken, async (req, res) => {
     // Delete file from filesystem
     fs.unlinkSync(filePath);
     
-    // Update database to remove file reference
-    const { executeQuery } = require('../config/database');
-    let query, column, table;
-    
-    if (type === 'cv') {
-      table = 'JobSeekers';
-      column = 'cv_url';
-    } else if (type === 'logos') {
-      table = 'Companies';
-      column = 'logo_url';
-    } else if (type === 'profiles') {
-      table = 'JobSeekers';
-      column = 'profile_picture_url';
+    // Update database to remove file reference. Company logos belong to the
+    // company rather than the uploading member, so only clear the one deleted
+    if (type === 'logos') {
+      await companyService.clearLogoUrl(req.user.companyId, `/uploads/${type}/${filename}`);
+    } else if (type === 'cv') {
+      await jobSeekerService.setCvUrl(req.user.userId, null);
+    } else {
+      await jobSeekerService.setProfilePictureUrl(req.user.userId, null);
     }
     
-    query = `
-      UPDATE ${table} 
-      SET ${column} = NULL, updated_at = GETDATE()
-      WHERE user_id = @userId
-    `;
-    
-    await executeQuery(query, { userId: req.user.userId });
-    
     res.json({
       success: true,
       message: 'File deleted successfully'
@@ -319,7 +275,7 @@ router.delete('/:type/:filename', authenticateToken, async (req, res) => {
 });
 
 // Get file info
-router.get('/info/:type/:filename', authenticateToken, (req, res) => {
+router.get('/info/:type/:filename', authenticateToken, requireUserSession, (req, res) => {
   try {
     const { type, filename } = req.params;
     
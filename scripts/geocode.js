@@ -0,0 +1,78 @@
+// scripts/geocode.js - Fill in coordinates for existing jobs and job seekers
+//
+// Usage:
+//   node scripts/geocode.js
+//
+// Jobs and job seeker profiles are geocoded when they are saved, so this is
+// only needed after migration 0004 or a change to the gazetteer
+// (data/gazetteer.json). Every row is geocoded again, and rows whose
+// location is no longer recognised have their coordinates cleared.
+require('dotenv').config();
+const { closeDB } = require('../config/database');
+const jobRepository = require('../repositories/jobRepository');
+const jobSeekerRepository = require('../repositories/jobSeekerRepository');
+const { geocode, geocodeFirst } = require('../services/geocoder');
+
+const BATCH_SIZE = 500;
+
+// Geocode every row a repository lists, a batch at a time. Returns how many
+// rows there were and how many got coordinates.
+const geocodeAll = async ({ label, list, idOf, locate, save }) => {
+  const counts = { total: 0, located: 0 };
+  let afterId = 0;
+
+  for (;;) {
+    const rows = await list({ afterId, limit: BATCH_SIZE });
+    if (rows.length === 0) {
+      return counts;
+    }
+
+    for (const row of rows) {
+      const place = locate(row);
+      await save(idOf(row), place);
+      counts.located += place ? 1 : 0;
+    }
+
+    counts.total += rows.length;
+    afterId = idOf(rows[rows.length - 1]);
+    console.log(`Geocoded ${counts.total} ${label}...`);
+  }
+};
+
+const geocodeRecords = async () => {
+  const jobs = await geocodeAll({
+    label: 'jobs',
+    list: jobRepository.listLocations,
+    idOf: row => row.job_id,
+    locate: row => geocode(row.location, row.company_country),
+    save: jobRepository.setCoordinates
+  });
+
+  const jobSeekers = await geocodeAll({
+    label: 'job seekers',
+    list: jobSeekerRepository.listLocations,
+    idOf: row => row.jobseeker_id,
+    locate: row => geocodeFirst([row.city, row.address], row.country),
+    save: jobSeekerRepository.setCoordinates
+  });
+
+  return { jobs, jobSeekers };
+};
+
+const main = async () => {
+  const { jobs, jobSeekers } = await geocodeRecords();
+  console.log(`Located ${jobs.located} of ${jobs.total} jobs and ${jobSeekers.located} of ${jobSeekers.total} job seekers`);
+  await closeDB();
+};
+
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('Geocoding failed:', error.message);
+    await closeDB().catch(() => {});
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  geocodeRecords
+};
@@ -0,0 +1,292 @@
+// scripts/migrate.js - Versioned schema migrations
+//
+// Usage:
+//   node scripts/migrate.js up [count]        apply pending migrations (all by default)
+//   node scripts/migrate.js down [count|all]  roll back applied migrations (1 by default)
+//   node scripts/migrate.js status            list applied and pending migrations
+//   node scripts/migrate.js create <name>     add an empty up/down migration pair
+//
+// Migrations live in migrations/ as NNNN_name.up.sql and NNNN_name.down.sql.
+// Batches inside a file are separated by GO lines, like in SSMS, and each
+// migration runs in its own transaction together with its history entry.
+// When a migration changes the schema, update migrations/sqlite/schema.sql to
+// match so the embedded sqlite backend stays in step.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DB_CLIENT, getDB, closeDB, sql } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Read the migration files, ordered by version
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name} and ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`);
+      }
+      return {
+        ...migration,
+        checksum: crypto.createHash('sha256').update(migration.up).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+// Split a script into batches on GO lines
+const splitBatches = (script) => {
+  return script
+    .split(/^\s*GO\s*;?\s*$/im)
+    .map(batch => batch.trim())
+    .filter(batch => batch && !/^(--[^\n]*\s*)+$/.test(batch));
+};
+
+const ensureHistoryTable = async (pool) => {
+  await pool.request().batch(`
+    IF OBJECT_ID('SchemaMigrations', 'U') IS NULL
+      CREATE TABLE SchemaMigrations (
+        version NVARCHAR(20) NOT NULL CONSTRAINT PK_SchemaMigrations PRIMARY KEY,
+        name NVARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at DATETIME2 NOT NULL CONSTRAINT DF_SchemaMigrations_applied_at DEFAULT GETDATE()
+      );
+  `);
+};
+
+const getAppliedMigrations = async (pool) => {
+  const result = await pool.request().query(`
+    SELECT version, name, checksum, applied_at
+    FROM SchemaMigrations
+    ORDER BY version
+  `);
+  return result.recordset;
+};
+
+// Run one migration in a transaction. An application lock keeps two runners
+// from applying the same migration at once.
+const runMigration = async (pool, migration, direction) => {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    await new sql.Request(transaction).query(`
+      EXEC sp_getapplock @Resource = 'SchemaMigrations', @LockMode = 'Exclusive',
+        @LockOwner = 'Transaction', @LockTimeout = 60000
+    `);
+
+    const existing = await new sql.Request(transaction)
+      .input('version', migration.version)
+      .query('SELECT version FROM SchemaMigrations WHERE version = @version');
+    const isApplied = existing.recordset.length > 0;
+
+    if (isApplied === (direction === 'up')) {
+      await transaction.rollback();
+      return false;
+    }
+
+    for (const batch of splitBatches(migration[direction])) {
+      await new sql.Request(transaction).batch(batch);
+    }
+
+    const history = new sql.Request(transaction).input('version', migration.version);
+    if (direction === 'up') {
+      await history
+        .input('name', migration.name)
+        .input('checksum', migration.checksum)
+        .query('INSERT INTO SchemaMigrations (version, name, checksum) VALUES (@version, @name, @checksum)');
+    } else {
+      await history.query('DELETE FROM SchemaMigrations WHERE version = @version');
+    }
+
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    await transaction.rollback().catch(() => {});
+    throw error;
+  }
+};
+
+// Apply pending migrations in order; returns the ones that were applied
+const migrateUp = async (count = Infinity) => {
+  const pool = await getDB();
+  await ensureHistoryTable(pool);
+
+  const applied = new Set((await getAppliedMigrations(pool)).map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version)).slice(0, count);
+  const done = [];
+
+  for (const migration of pending) {
+    console.log(`Applying ${migration.version}_${migration.name}...`);
+    if (await runMigration(pool, migration, 'up')) {
+      done.push(migration);
+    }
+  }
+
+  return done;
+};
+
+// Roll back the most recently applied migrations; returns the ones rolled back
+const migrateDown = async (count = 1) => {
+  const pool = await getDB();
+  await ensureHistoryTable(pool);
+
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const applied = (await getAppliedMigrations(pool)).reverse().slice(0, count);
+  const done = [];
+
+  for (const row of applied) {
+    const migration = migrations.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: its migration files are missing`);
+    }
+
+    console.log(`Rolling back ${migration.version}_${migration.name}...`);
+    if (await runMigration(pool, migration, 'down')) {
+      done.push(migration);
+    }
+  }
+
+  return done;
+};
+
+// Applied and pending migrations, flagging applied ones whose up file changed since
+const getStatus = async () => {
+  const pool = await getDB();
+  await ensureHistoryTable(pool);
+
+  const applied = new Map((await getAppliedMigrations(pool)).map(row => [row.version, row]));
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(migration => migration.version));
+
+  const status = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: row ? 'applied' : 'pending',
+      applied_at: row ? row.applied_at : null,
+      modified: !!row && row.checksum !== migration.checksum
+    };
+  });
+
+  // History entries whose files were deleted
+  for (const row of applied.values()) {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at, modified: false });
+    }
+  }
+
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+};
+
+// Add an empty migration pair with the next version number
+const createMigration = (name) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) {
+    throw new Error('Migration name is required');
+  }
+
+  const versions = loadMigrations().map(migration => parseInt(migration.version));
+  const version = String(Math.max(0, ...versions) + 1).padStart(4, '0');
+
+  const files = ['up', 'down'].map(direction => {
+    const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.${direction}.sql`);
+    fs.writeFileSync(file, `-- ${version}_${slug}.${direction}.sql\n\n`);
+    return file;
+  });
+
+  return files;
+};
+
+const parseCount = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (value === 'all') {
+    return Infinity;
+  }
+  const count = parseInt(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid migration count: ${value}`);
+  }
+  return count;
+};
+
+const main = async () => {
+  const [command, arg] = process.argv.slice(2);
+
+  if (DB_CLIENT !== 'mssql' && ['up', 'down', 'status'].includes(command)) {
+    throw new Error('Migrations target SQL Server; the sqlite backend builds its schema from migrations/sqlite/schema.sql when it connects');
+  }
+
+  switch (command) {
+    case 'up': {
+      const done = await migrateUp(parseCount(arg, Infinity));
+      console.log(done.length ? `Applied ${done.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const done = await migrateDown(parseCount(arg, 1));
+      console.log(done.length ? `Rolled back ${done.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const status = await getStatus();
+      if (status.length === 0) {
+        console.log('No migrations found');
+      }
+      for (const row of status) {
+        const appliedAt = row.applied_at ? new Date(row.applied_at).toISOString() : '';
+        const note = row.modified ? '  (modified since applied)' : '';
+        console.log(`${row.state.padEnd(8)} ${row.version}_${row.name} ${appliedAt}${note}`);
+      }
+      break;
+    }
+    case 'create': {
+      createMigration(arg || '').forEach(file => console.log(`Created ${path.relative(process.cwd(), file)}`));
+      return;
+    }
+    default:
+      console.log('Usage: node scripts/migrate.js <up [count] | down [count|all] | status | create <name>>');
+      process.exitCode = command ? 1 : 0;
+      return;
+  }
+
+  await closeDB();
+};
+
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('Migration failed:', error.message);
+    await closeDB().catch(() => {});
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus
+};
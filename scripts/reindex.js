@@ -0,0 +1,53 @@
+// scripts/reindex.js - Rebuild the full-text job search index
+//
+// Usage:
+//   node scripts/reindex.js
+//
+// Jobs are indexed when they are created or edited, so this is only needed
+// after migration 0003 or a change to how text is tokenized (see
+// services/jobSearch.js). Jobs are reindexed one at a time, each in its own
+// transaction, so the search keeps working while it runs.
+require('dotenv').config();
+const { closeDB } = require('../config/database');
+const jobRepository = require('../repositories/jobRepository');
+const { indexJob } = require('../services/jobSearch');
+
+const BATCH_SIZE = 500;
+
+const reindex = async () => {
+  let count = 0;
+  let afterId = 0;
+
+  for (;;) {
+    const jobIds = await jobRepository.listIds({ afterId, limit: BATCH_SIZE });
+    if (jobIds.length === 0) {
+      return count;
+    }
+
+    for (const jobId of jobIds) {
+      await indexJob(jobId);
+    }
+
+    count += jobIds.length;
+    afterId = jobIds[jobIds.length - 1];
+    console.log(`Indexed ${count} jobs...`);
+  }
+};
+
+const main = async () => {
+  const count = await reindex();
+  console.log(`Reindexed ${count} jobs`);
+  await closeDB();
+};
+
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('Reindexing failed:', error.message);
+    await closeDB().catch(() => {});
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  reindex
+};
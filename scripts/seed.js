@@ -0,0 +1,587 @@
+// scripts/seed.js - Generate demo and load-test data
+//
+// Usage:
+//   node scripts/seed.js [options]
+//
+// Options:
+//   --seed <n>          random seed; the same seed and volume give the same data (default 1)
+//   --companies <n>     companies to create (default 10)
+//   --jobs <n>          jobs per company (default 8)
+//   --jobseekers <n>    job seekers to create (default 50)
+//   --applications <n>  applications per job seeker, at most (default 5)
+//   --saved <n>         saved jobs per job seeker, at most (default 3)
+//   --reset             delete ALL users and their data first, then seed
+//
+// Every seeded account uses the password in SEED_PASSWORD (default
+// Password123) and an address at seed.example.com: company owners are
+// company<N>@..., job seekers jobseeker<N>@..., and there is one admin,
+// admin@seed.example.com. Dates are offsets from the time of seeding, so the
+// data always looks recent.
+require('dotenv').config();
+const bcrypt = require('bcrypt');
+const { DB_CLIENT, withTransaction, closeDB } = require('../config/database');
+const { createJobRepository } = require('../repositories/jobRepository');
+const { createJobSeekerRepository } = require('../repositories/jobSeekerRepository');
+const { indexJob } = require('../services/jobSearch');
+const { geocode } = require('../services/geocoder');
+
+const SEED_EMAIL_DOMAIN = 'seed.example.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  seed: 1,
+  companies: 10,
+  jobs: 8,
+  jobseekers: 50,
+  applications: 5,
+  saved: 3,
+  reset: false
+};
+
+// Tables holding user data, children before parents
+const USER_DATA_TABLES = [
+  'ImpersonationAuditLog',
+  'Impersonations',
+  'UserIdentities',
+  'OidcAuthRequests',
+  'LoginAttempts',
+  'RecoveryCodes',
+  'RefreshTokens',
+  'Sessions',
+  'ApiKeys',
+  'CompanyInvitations',
+  'CompanyMembers',
+  'SavedJobs',
+  'JobSearchTerms',
+  'Applications',
+  'JobSkills',
+  'JobSeekerSkills',
+  'Education',
+  'WorkExperience',
+  'Jobs',
+  'JobSeekers',
+  'Companies',
+  'Users'
+];
+
+const SKILLS = {
+  Programming: ['JavaScript', 'TypeScript', 'Python', 'Java', 'C#', 'Go', 'SQL'],
+  Frameworks: ['React', 'Node.js', 'Express', 'Django', '.NET', 'Spring Boot'],
+  Cloud: ['AWS', 'Azure', 'Docker', 'Kubernetes', 'Terraform'],
+  Data: ['Data Analysis', 'Machine Learning', 'Power BI', 'Excel'],
+  Design: ['Figma', 'UX Research', 'Adobe Photoshop'],
+  Business: ['Project Management', 'Agile', 'Sales', 'Customer Service', 'Accounting', 'Marketing', 'Negotiation'],
+  Languages: ['English', 'French', 'Spanish', 'German']
+};
+
+// Job titles by industry, with the skill categories they draw on
+const INDUSTRIES = {
+  Technology: {
+    titles: ['Software Engineer', 'Frontend Developer', 'Backend Developer', 'DevOps Engineer', 'QA Engineer', 'Product Manager'],
+    skills: ['Programming', 'Frameworks', 'Cloud']
+  },
+  Finance: {
+    titles: ['Financial Analyst', 'Accountant', 'Risk Analyst', 'Payroll Specialist'],
+    skills: ['Data', 'Business']
+  },
+  Healthcare: {
+    titles: ['Clinic Administrator', 'Health Data Analyst', 'Medical Receptionist'],
+    skills: ['Business', 'Data', 'Languages']
+  },
+  Marketing: {
+    titles: ['Marketing Coordinator', 'Content Strategist', 'SEO Specialist', 'Brand Designer'],
+    skills: ['Business', 'Design', 'Languages']
+  },
+  Retail: {
+    titles: ['Store Manager', 'Sales Associate', 'Merchandiser', 'Customer Service Representative'],
+    skills: ['Business', 'Languages']
+  },
+  Logistics: {
+    titles: ['Supply Chain Analyst', 'Warehouse Supervisor', 'Fleet Coordinator'],
+    skills: ['Business', 'Data']
+  }
+};
+
+const COMPANY_NAME_PARTS = {
+  first: ['Blue', 'North', 'Bright', 'Summit', 'Green', 'Silver', 'Harbor', 'Nova', 'Cedar', 'Atlas', 'Pioneer', 'Granite'],
+  second: ['Ridge', 'Wave', 'Field', 'Peak', 'Bridge', 'Stone', 'Point', 'Line', 'Works', 'Path'],
+  suffix: ['Ltd', 'Group', 'Solutions', 'Labs', 'Partners', 'Holdings']
+};
+
+const CITIES = [
+  { city: 'Johannesburg', country: 'South Africa' },
+  { city: 'Cape Town', country: 'South Africa' },
+  { city: 'Nairobi', country: 'Kenya' },
+  { city: 'Lagos', country: 'Nigeria' },
+  { city: 'London', country: 'United Kingdom' },
+  { city: 'Manchester', country: 'United Kingdom' },
+  { city: 'Berlin', country: 'Germany' },
+  { city: 'Amsterdam', country: 'Netherlands' },
+  { city: 'New York', country: 'United States' },
+  { city: 'Toronto', country: 'Canada' }
+];
+
+const FIRST_NAMES = ['Amara', 'Ben', 'Chloe', 'Daniel', 'Efua', 'Farah', 'George', 'Hana', 'Isaac', 'Jade', 'Kofi', 'Lerato',
+  'Mateo', 'Nadia', 'Omar', 'Priya', 'Quinn', 'Rosa', 'Sipho', 'Tariq', 'Uma', 'Victor', 'Wanjiru', 'Yusuf', 'Zoe'];
+const LAST_NAMES = ['Adeyemi', 'Botha', 'Chen', 'Dlamini', 'Evans', 'Fischer', 'Garcia', 'Hughes', 'Ivanova', 'Jansen',
+  'Khumalo', 'Lopez', 'Mensah', 'Nkosi', 'Okafor', 'Patel', 'Rossi', 'Smith', 'Taylor', 'Van der Merwe', 'Williams'];
+
+const INSTITUTIONS = ['University of Cape Town', 'University of the Witwatersrand', 'University of Nairobi', 'University of Lagos',
+  'University of Manchester', 'Technical University of Berlin', 'University of Toronto', 'Open University'];
+const DEGREES = [
+  { degree: 'BSc', fields: ['Computer Science', 'Information Systems', 'Statistics', 'Mathematics'] },
+  { degree: 'BCom', fields: ['Accounting', 'Finance', 'Marketing', 'Supply Chain Management'] },
+  { degree: 'BA', fields: ['Communications', 'Psychology', 'Graphic Design'] },
+  { degree: 'MSc', fields: ['Data Science', 'Software Engineering'] },
+  { degree: 'Diploma', fields: ['Business Administration', 'Logistics', 'Health Administration'] }
+];
+
+const JOB_TYPES = ['Full-time', 'Full-time', 'Full-time', 'Part-time', 'Contract', 'Internship', 'Freelance'];
+const EXPERIENCE_LEVELS = ['Entry-level', 'Mid-level', 'Mid-level', 'Senior-level', 'Executive'];
+const REMOTE_OPTIONS = ['No', 'No', 'Hybrid', 'Yes'];
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+const JOB_STATUSES = ['active', 'active', 'active', 'active', 'active', 'active', 'closed', 'paused', 'draft'];
+const APPLICATION_STATUSES = ['pending', 'reviewed', 'shortlisted', 'interview_scheduled', 'rejected', 'hired'];
+const PROFICIENCY_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+const AVAILABILITY = ['immediately', '2_weeks', '1_month', '2_months', '3_months'];
+
+// Small seedable PRNG (mulberry32); Math.random can't be seeded
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[Math.floor(next() * items.length)];
+  const chance = (probability) => next() < probability;
+
+  // n distinct items, in random order
+  const sample = (items, n) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy.slice(0, Math.min(n, copy.length));
+  };
+
+  return { next, int, pick, chance, sample };
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const name = flag.replace(/^--/, '');
+
+    if (name === 'reset') {
+      options.reset = true;
+      continue;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_OPTIONS, name) || !flag.startsWith('--')) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    const number = parseInt(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`--${name} must be a whole number`);
+    }
+    options[name] = number;
+  }
+
+  return options;
+};
+
+// Delete every user and everything that hangs off them. Skills are kept.
+// Identity counters restart too, so a reseed gives the same IDs.
+const wipe = async (query) => {
+  for (const table of USER_DATA_TABLES) {
+    await query(`DELETE FROM ${table}`);
+  }
+
+  if (DB_CLIENT === 'sqlite') {
+    const placeholders = USER_DATA_TABLES.map((table, index) => `@table${index}`).join(',');
+    const params = Object.fromEntries(USER_DATA_TABLES.map((table, index) => [`table${index}`, table]));
+    await query(`DELETE FROM sqlite_sequence WHERE name IN (${placeholders})`, params);
+    return;
+  }
+
+  for (const table of USER_DATA_TABLES) {
+    // A table that never had rows would otherwise start again at 0
+    await query(`
+      IF EXISTS (SELECT 1 FROM sys.identity_columns WHERE object_id = OBJECT_ID('${table}') AND last_value IS NOT NULL)
+        DBCC CHECKIDENT ('${table}', RESEED, 0) WITH NO_INFOMSGS
+    `);
+  }
+};
+
+// Add any catalog skills that are missing; returns skill IDs by category
+const ensureSkills = async (query) => {
+  const skillIds = {};
+
+  for (const [category, names] of Object.entries(SKILLS)) {
+    skillIds[category] = [];
+
+    for (const skillName of names) {
+      await query(`
+        INSERT INTO Skills (skill_name, category)
+        SELECT @skillName, @category
+        WHERE NOT EXISTS (SELECT 1 FROM Skills WHERE skill_name = @skillName)
+      `, { skillName, category });
+
+      const result = await query('SELECT skill_id FROM Skills WHERE skill_name = @skillName', { skillName });
+      skillIds[category].push(result.recordset[0].skill_id);
+    }
+  }
+
+  return skillIds;
+};
+
+const createUser = async (query, { email, passwordHash, userType, createdAt }) => {
+  const result = await query(`
+    INSERT INTO Users (email, password_hash, user_type, is_verified, created_at, updated_at)
+    OUTPUT INSERTED.user_id
+    VALUES (@email, @passwordHash, @userType, 1, @createdAt, @createdAt)
+  `, { email, passwordHash, userType, createdAt });
+  return result.recordset[0].user_id;
+};
+
+const seedCompany = async (query, random, index, passwordHash) => {
+  const industry = random.pick(Object.keys(INDUSTRIES));
+  const companyName = `${random.pick(COMPANY_NAME_PARTS.first)}${random.pick(COMPANY_NAME_PARTS.second)} ${random.pick(COMPANY_NAME_PARTS.suffix)}`;
+  const location = random.pick(CITIES);
+  const createdAt = daysAgo(random.int(120, 720));
+
+  const userId = await createUser(query, {
+    email: `company${index}@${SEED_EMAIL_DOMAIN}`,
+    passwordHash,
+    userType: 'company',
+    createdAt
+  });
+
+  const result = await query(`
+    INSERT INTO Companies (
+      user_id, company_name, company_description, industry, company_size,
+      website, phone, city, country, created_at, updated_at
+    )
+    OUTPUT INSERTED.company_id
+    VALUES (
+      @userId, @companyName, @companyDescription, @industry, @companySize,
+      @website, @phone, @city, @country, @createdAt, @createdAt
+    )
+  `, {
+    userId,
+    companyName,
+    companyDescription: `${companyName} is a ${industry.toLowerCase()} company based in ${location.city}.`,
+    industry,
+    companySize: random.pick(COMPANY_SIZES),
+    website: `https://${slugify(companyName)}-${index}.example.com`,
+    phone: `+1 555 ${String(random.int(0, 9999999)).padStart(7, '0')}`,
+    city: location.city,
+    country: location.country,
+    createdAt
+  });
+
+  await query(`
+    INSERT INTO CompanyMembers (company_id, user_id, role)
+    VALUES (@companyId, @userId, 'owner')
+  `, { companyId: result.recordset[0].company_id, userId });
+
+  return { companyId: result.recordset[0].company_id, industry, location };
+};
+
+const seedJob = async (query, random, company, skillIds) => {
+  const profile = INDUSTRIES[company.industry];
+  const title = random.pick(profile.titles);
+  const experienceLevel = random.pick(EXPERIENCE_LEVELS);
+  const remoteWorkOption = random.pick(REMOTE_OPTIONS);
+  const location = random.chance(0.7) ? company.location : random.pick(CITIES);
+  const place = geocode(`${location.city}, ${location.country}`);
+  const salaryMin = random.chance(0.8) ? random.int(20, 120) * 1000 : null;
+  const postedDaysAgo = random.int(0, 90);
+
+  // Most deadlines are ahead, a few have passed
+  let applicationDeadline = null;
+  if (random.chance(0.6)) {
+    applicationDeadline = toDateString(daysAgo(random.int(-60, 10)));
+  }
+
+  const result = await query(`
+    INSERT INTO Jobs (
+      company_id, title, description, requirements, responsibilities,
+      location, latitude, longitude, remote_work_option, salary_min, salary_max, salary_currency,
+      job_type, experience_level, industry, department, application_deadline,
+      max_applications, views_count, status, posted_date, created_at, updated_at
+    )
+    OUTPUT INSERTED.job_id, INSERTED.status
+    VALUES (
+      @companyId, @title, @description, @requirements, @responsibilities,
+      @location, @latitude, @longitude, @remoteWorkOption, @salaryMin, @salaryMax, @salaryCurrency,
+      @jobType, @experienceLevel, @industry, @department, @applicationDeadline,
+      @maxApplications, @viewsCount, @status, @postedDate, @postedDate, @postedDate
+    )
+  `, {
+    companyId: company.companyId,
+    title,
+    description: `We are looking for a ${experienceLevel.toLowerCase()} ${title} to join our ${company.industry.toLowerCase()} team in ${location.city}.`,
+    requirements: `Relevant experience as a ${title} or in a similar role. Strong communication skills.`,
+    responsibilities: `Work with the team to deliver on ${company.industry.toLowerCase()} projects and report on progress.`,
+    location: `${location.city}, ${location.country}`,
+    latitude: place && place.latitude,
+    longitude: place && place.longitude,
+    remoteWorkOption,
+    salaryMin,
+    salaryMax: salaryMin ? salaryMin + random.int(5, 40) * 1000 : null,
+    salaryCurrency: 'USD',
+    jobType: random.pick(JOB_TYPES),
+    experienceLevel,
+    industry: company.industry,
+    department: company.industry === 'Technology' ? 'Engineering' : 'Operations',
+    applicationDeadline,
+    maxApplications: random.chance(0.2) ? random.int(20, 200) : null,
+    viewsCount: random.int(0, 500),
+    status: random.pick(JOB_STATUSES),
+    postedDate: daysAgo(postedDaysAgo)
+  });
+
+  const job = result.recordset[0];
+  const categorySkills = profile.skills.flatMap(category => skillIds[category]);
+  const jobs = createJobRepository(query);
+
+  for (const skillId of random.sample(categorySkills, random.int(2, 5))) {
+    await jobs.addSkill(job.job_id, {
+      skill_id: skillId,
+      required_level: random.pick(PROFICIENCY_LEVELS),
+      is_required: random.chance(0.7)
+    });
+  }
+
+  await indexJob(job.job_id, jobs);
+  return job;
+};
+
+const seedJobSeeker = async (query, random, index, passwordHash, skillIds) => {
+  const firstName = random.pick(FIRST_NAMES);
+  const lastName = random.pick(LAST_NAMES);
+  const email = `jobseeker${index}@${SEED_EMAIL_DOMAIN}`;
+  const location = random.pick(CITIES);
+  const place = geocode(location.city, location.country);
+  const industry = random.pick(Object.keys(INDUSTRIES));
+  const experienceYears = random.int(0, 20);
+  const createdAt = daysAgo(random.int(30, 540));
+
+  const userId = await createUser(query, { email, passwordHash, userType: 'jobseeker', createdAt });
+
+  const result = await query(`
+    INSERT INTO JobSeekers (
+      user_id, first_name, last_name, email, phone, date_of_birth, city, country, latitude, longitude,
+      summary, experience_years, current_salary, expected_salary, availability,
+      created_at, updated_at
+    )
+    OUTPUT INSERTED.jobseeker_id
+    VALUES (
+      @userId, @firstName, @lastName, @email, @phone, @dateOfBirth, @city, @country, @latitude, @longitude,
+      @summary, @experienceYears, @currentSalary, @expectedSalary, @availability,
+      @createdAt, @createdAt
+    )
+  `, {
+    userId,
+    firstName,
+    lastName,
+    email,
+    phone: `+1 555 ${String(random.int(0, 9999999)).padStart(7, '0')}`,
+    dateOfBirth: toDateString(daysAgo((22 + experienceYears + random.int(0, 8)) * 365)),
+    city: location.city,
+    country: location.country,
+    latitude: place && place.latitude,
+    longitude: place && place.longitude,
+    summary: `${industry} professional with ${experienceYears} year(s) of experience.`,
+    experienceYears,
+    currentSalary: experienceYears > 0 ? random.int(15, 110) * 1000 : null,
+    expectedSalary: random.int(20, 130) * 1000,
+    availability: random.pick(AVAILABILITY),
+    createdAt
+  });
+
+  const jobseekerId = result.recordset[0].jobseeker_id;
+  const jobSeekers = createJobSeekerRepository(query);
+
+  const categorySkills = INDUSTRIES[industry].skills.flatMap(category => skillIds[category]);
+  for (const skillId of random.sample(categorySkills, random.int(3, 7))) {
+    await jobSeekers.addSkill(jobseekerId, { skill_id: skillId, proficiency_level: random.pick(PROFICIENCY_LEVELS) });
+  }
+
+  // Education ends where the working years start
+  const careerStartYearsAgo = experienceYears + random.int(0, 1);
+  const study = random.pick(DEGREES);
+  await jobSeekers.addEducation(jobseekerId, {
+    institution_name: random.pick(INSTITUTIONS),
+    degree: study.degree,
+    field_of_study: random.pick(study.fields),
+    start_date: toDateString(daysAgo((careerStartYearsAgo + 3) * 365)),
+    end_date: toDateString(daysAgo(careerStartYearsAgo * 365)),
+    is_current: false,
+    grade_gpa: random.chance(0.5) ? `${random.int(60, 85)}%` : null
+  });
+
+  // Split the working years over one to three roles, the last one current
+  const roles = experienceYears === 0 ? 0 : random.int(1, Math.min(3, experienceYears));
+  let yearsAgo = experienceYears;
+  for (let role = 0; role < roles; role++) {
+    const isCurrent = role === roles - 1;
+    const length = isCurrent ? yearsAgo : random.int(1, Math.max(1, yearsAgo - (roles - role - 1)));
+    const company = `${random.pick(COMPANY_NAME_PARTS.first)}${random.pick(COMPANY_NAME_PARTS.second)} ${random.pick(COMPANY_NAME_PARTS.suffix)}`;
+
+    await jobSeekers.addExperience(jobseekerId, {
+      company_name: company,
+      job_title: random.pick(INDUSTRIES[industry].titles),
+      start_date: toDateString(daysAgo(yearsAgo * 365)),
+      end_date: isCurrent ? null : toDateString(daysAgo((yearsAgo - length) * 365)),
+      is_current: isCurrent,
+      description: `Worked in the ${industry.toLowerCase()} sector.`,
+      location: `${location.city}, ${location.country}`
+    });
+
+    yearsAgo -= length;
+  }
+
+  return jobseekerId;
+};
+
+// Applications and saved jobs for one job seeker. applicationCount is the
+// running total so far, used to cover every status early on.
+const seedActivity = async (query, random, jobseekerId, jobs, options, applicationCount) => {
+  const openJobs = jobs.filter(job => job.status !== 'draft');
+  let created = 0;
+
+  for (const job of random.sample(openJobs, random.int(0, options.applications))) {
+    const index = applicationCount + created;
+    const status = index < APPLICATION_STATUSES.length ? APPLICATION_STATUSES[index] : random.pick(APPLICATION_STATUSES);
+    const appliedDaysAgo = random.int(0, 60);
+
+    await query(`
+      INSERT INTO Applications (
+        job_id, jobseeker_id, cover_letter, status, notes, rating,
+        applied_date, reviewed_date, updated_at
+      )
+      VALUES (
+        @jobId, @jobseekerId, @coverLetter, @status, @notes, @rating,
+        @appliedDate, @reviewedDate, @updatedAt
+      )
+    `, {
+      jobId: job.job_id,
+      jobseekerId,
+      coverLetter: random.chance(0.7) ? 'I would like to apply for this role. My CV is attached to my profile.' : null,
+      status,
+      notes: status !== 'pending' && random.chance(0.5) ? 'Reviewed by the hiring team.' : null,
+      rating: status !== 'pending' && random.chance(0.6) ? random.int(1, 5) : null,
+      appliedDate: daysAgo(appliedDaysAgo),
+      reviewedDate: status !== 'pending' ? daysAgo(Math.max(0, appliedDaysAgo - random.int(1, 10))) : null,
+      updatedAt: daysAgo(Math.max(0, appliedDaysAgo - random.int(0, 10)))
+    });
+    created++;
+  }
+
+  for (const job of random.sample(openJobs, random.int(0, options.saved))) {
+    await query(`
+      INSERT INTO SavedJobs (jobseeker_id, job_id, saved_date)
+      VALUES (@jobseekerId, @jobId, @savedDate)
+    `, { jobseekerId, jobId: job.job_id, savedDate: daysAgo(random.int(0, 30)) });
+  }
+
+  return created;
+};
+
+// Seed a database; returns the number of rows created per kind
+const seed = async (options) => {
+  const random = createRandom(options.seed);
+  const passwordHash = await bcrypt.hash(process.env.SEED_PASSWORD || 'Password123', 10);
+
+  // Everything is seeded in one transaction, so a failed run leaves nothing behind
+  return withTransaction(async (query) => {
+    if (options.reset) {
+      await wipe(query);
+    } else {
+      const existing = await query(`SELECT COUNT(*) as count FROM Users WHERE email LIKE '%@${SEED_EMAIL_DOMAIN}'`);
+      if (existing.recordset[0].count > 0) {
+        throw new Error('The database already holds seeded data; run with --reset to replace it');
+      }
+    }
+
+    const skillIds = await ensureSkills(query);
+
+    await createUser(query, {
+      email: `admin@${SEED_EMAIL_DOMAIN}`,
+      passwordHash,
+      userType: 'admin',
+      createdAt: daysAgo(720)
+    });
+
+    const jobs = [];
+    for (let i = 1; i <= options.companies; i++) {
+      const company = await seedCompany(query, random, i, passwordHash);
+      for (let j = 0; j < options.jobs; j++) {
+        jobs.push(await seedJob(query, random, company, skillIds));
+      }
+    }
+
+    let applications = 0;
+    for (let i = 1; i <= options.jobseekers; i++) {
+      const jobseekerId = await seedJobSeeker(query, random, i, passwordHash, skillIds);
+      applications += await seedActivity(query, random, jobseekerId, jobs, options, applications);
+    }
+
+    await query(`
+      UPDATE Jobs
+      SET current_applications = (SELECT COUNT(*) FROM Applications a WHERE a.job_id = Jobs.job_id)
+    `);
+
+    return {
+      companies: options.companies,
+      jobs: jobs.length,
+      jobseekers: options.jobseekers,
+      applications
+    };
+  });
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.reset && process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to wipe a production database');
+  }
+
+  const counts = await seed(options);
+  console.log(`Seeded ${counts.companies} companies, ${counts.jobs} jobs, ${counts.jobseekers} job seekers and ${counts.applications} applications (seed ${options.seed})`);
+
+  await closeDB();
+};
+
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error('Seeding failed:', error.message);
+    await closeDB().catch(() => {});
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createRandom,
+  seed
+};
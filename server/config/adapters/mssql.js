@@ -0,0 +1,244 @@
+// config/adapters/mssql.js - SQL Server backend
+//
+// The pool is created lazily and retried with exponential backoff. A failed
+// connection attempt is never cached: the next caller starts a new one, and a
+// pool that loses its connection to the server is thrown away and rebuilt.
+// Queries run outside a transaction are retried when SQL Server reports a
+// transient failure. Transactions are not, because only the caller knows
+// whether its work can safely run twice.
+const sql = require('mssql');
+const { TypedParam } = require('./typedParam');
+
+// SQL Server error numbers that are safe to retry: the statement was rolled
+// back or never ran. 1205 deadlock victim, 1222 lock request timeout, the rest
+// are Azure SQL throttling and failover errors.
+const TRANSIENT_ERROR_NUMBERS = new Set([
+  1205, 1222, 4060, 4221, 10928, 10929, 40143, 40197, 40501, 40613, 49918, 49919, 49920
+]);
+
+// Driver error codes meaning the connection itself is unusable
+const CONNECTION_ERROR_CODES = new Set(['ESOCKET', 'ECONNCLOSED', 'ECONNRESET', 'ENOTOPEN']);
+
+const isConnectionError = (error) => {
+  return error instanceof sql.ConnectionError || CONNECTION_ERROR_CODES.has(error.code);
+};
+
+// Errors worth retrying outside a transaction. A ConnectionError means no
+// connection could be taken from the pool, so the statement never reached
+// the server. Other failures on a live connection are not retried: the
+// statement may have run before the connection dropped. Nor are request
+// timeouts (ETIMEOUT): cancelling rolls back only the statement running at
+// the time, so earlier statements of a batch, or an INSERT that finished
+// just as the timeout fired, would run twice.
+const isTransientError = (error) => {
+  return TRANSIENT_ERROR_NUMBERS.has(error.number) ||
+    error instanceof sql.ConnectionError;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, so instances that lost the server together
+// don't all come back at the same moment
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+const createMssqlAdapter = (config, {
+  connectRetries = 5,
+  queryRetries = 2,
+  baseDelayMs = 500,
+  maxDelayMs = 30000
+} = {}) => {
+  let poolPromise;
+  // The pool poolPromise resolved to, for stats without waiting on a reconnect
+  let connectedPool = null;
+
+  const stats = {
+    connects: 0,
+    connectFailures: 0,
+    poolResets: 0,
+    queryRetries: 0,
+    lastError: null,
+    lastErrorAt: null
+  };
+
+  const recordError = (error) => {
+    stats.lastError = error.message;
+    stats.lastErrorAt = new Date();
+  };
+
+  // Drop the pool so the next query builds a new one. Only the pool that
+  // failed is dropped, in case another caller already replaced it.
+  const resetPool = (failedPromise) => {
+    if (!poolPromise || poolPromise !== failedPromise) {
+      return;
+    }
+
+    poolPromise = null;
+    connectedPool = null;
+    stats.poolResets++;
+    failedPromise
+      .then(pool => pool.close())
+      .catch(() => {});
+  };
+
+  const openPool = async () => {
+    for (let attempt = 0; ; attempt++) {
+      const pool = new sql.ConnectionPool(config);
+
+      try {
+        await pool.connect();
+        stats.connects++;
+        return pool;
+      } catch (error) {
+        stats.connectFailures++;
+        recordError(error);
+        pool.close().catch(() => {});
+
+        if (attempt >= connectRetries) {
+          throw error;
+        }
+
+        const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+        console.error(`SQL Server connection failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  // Returns the shared pool promise itself, so callers can hand it back to
+  // resetPool when the pool turns out to be broken
+  const connect = () => {
+    if (!poolPromise) {
+      const attempt = openPool();
+      poolPromise = attempt;
+
+      attempt.then(pool => {
+        console.log('Connected to SQL Server database');
+        connectedPool = pool;
+
+        // Errors on idle connections are emitted rather than thrown; without
+        // a listener they would crash the process
+        pool.on('error', error => {
+          console.error('SQL Server pool error:', error);
+          recordError(error);
+          resetPool(attempt);
+        });
+      }, () => {
+        // Forget the failed attempt so the next caller tries again
+        if (poolPromise === attempt) {
+          poolPromise = null;
+        }
+      });
+    }
+
+    return poolPromise;
+  };
+
+  const getPool = () => connect();
+
+  const close = async () => {
+    if (poolPromise) {
+      const pool = await poolPromise.catch(() => null);
+      poolPromise = null;
+      connectedPool = null;
+      if (pool) {
+        await pool.close();
+      }
+    }
+  };
+
+  const runRequest = (request, query, params) => {
+    Object.keys(params).forEach(key => {
+      const value = params[key];
+      if (value instanceof TypedParam) {
+        request.input(key, value.type, value.value);
+      } else {
+        request.input(key, value);
+      }
+    });
+    return request.query(query);
+  };
+
+  const query = async (queryText, params = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      // Connecting already retries, so a failure here is final
+      const current = connect();
+      const pool = await current;
+
+      try {
+        return await runRequest(pool.request(), queryText, params);
+      } catch (error) {
+        recordError(error);
+
+        if (isConnectionError(error)) {
+          resetPool(current);
+        }
+
+        if (attempt >= queryRetries || !isTransientError(error)) {
+          throw error;
+        }
+
+        stats.queryRetries++;
+        await sleep(backoffDelay(attempt, { baseDelayMs, maxDelayMs }));
+      }
+    }
+  };
+
+  const transaction = async (fn) => {
+    const current = connect();
+    const pool = await current;
+    const tx = new sql.Transaction(pool);
+    await tx.begin();
+
+    try {
+      const result = await fn((queryText, params = {}) => runRequest(new sql.Request(tx), queryText, params));
+      await tx.commit();
+      return result;
+    } catch (error) {
+      if (isConnectionError(error)) {
+        resetPool(current);
+      }
+
+      // SQL Server may already have rolled back after a severe error
+      await tx.rollback().catch(rollbackError => {
+        if (rollbackError.code !== 'ENOTBEGUN' && rollbackError.code !== 'EABORT') {
+          console.error('Transaction rollback failed:', rollbackError);
+        }
+      });
+      throw error;
+    }
+  };
+
+  // Pool and retry counters for the health endpoint. Never connects or
+  // waits for a connection attempt.
+  const getStats = () => {
+    const pool = connectedPool;
+
+    return {
+      client: 'mssql',
+      connected: !!(pool && pool.connected),
+      connecting: !!poolPromise && !pool,
+      healthy: !!(pool && pool.healthy),
+      pool: pool && pool.connected
+        ? { size: pool.size, available: pool.available, borrowed: pool.borrowed, pending: pool.pending, max: config.pool.max }
+        : null,
+      ...stats
+    };
+  };
+
+  return {
+    client: 'mssql',
+    connect,
+    getPool,
+    close,
+    query,
+    transaction,
+    getStats
+  };
+};
+
+module.exports = {
+  createMssqlAdapter
+};
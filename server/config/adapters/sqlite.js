@@ -0,0 +1,147 @@
+// config/adapters/sqlite.js - Embedded SQLite backend for local runs and tests
+//
+// Queries are written in T-SQL for SQL Server and translated on the fly (see
+// tsqlToSqlite.js). Results mimic mssql: recordset, recordsets and
+// rowsAffected, with DATETIME2/DATE columns returned as Dates and BIT columns
+// as booleans.
+const fs = require('fs');
+const path = require('path');
+const { translate } = require('./tsqlToSqlite');
+const { TypedParam } = require('./typedParam');
+
+const SCHEMA_FILE = path.join(__dirname, '..', '..', 'migrations', 'sqlite', 'schema.sql');
+
+// Bind values the way mssql would send them
+const toSqliteValue = (value) => {
+  if (value instanceof TypedParam) return toSqliteValue(value.value);
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const fromSqliteValue = (value, type) => {
+  if (value === null || !type) return value;
+  if (/^(DATETIME2?|DATE)$/i.test(type)) return new Date(value);
+  if (/^BIT$/i.test(type)) return value === 1;
+  return value;
+};
+
+const createSqliteAdapter = ({ filename }) => {
+  // Only needed when this backend is selected, so it is a dev dependency
+  const Database = require('better-sqlite3');
+
+  let db;
+
+  // better-sqlite3 is synchronous, but a transaction spans awaits in route
+  // code. Work is queued so other requests can't run statements inside an
+  // open transaction. Inside withTransaction use the query function it
+  // provides; calling executeQuery there would wait forever.
+  let queue = Promise.resolve();
+  const exclusive = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const connect = async () => {
+    if (!db) {
+      db = new Database(filename);
+      db.pragma('foreign_keys = ON');
+      if (filename !== ':memory:') {
+        db.pragma('journal_mode = WAL');
+      }
+      db.exec(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+      console.log(`Connected to SQLite database (${filename})`);
+    }
+    return db;
+  };
+
+  const getPool = async () => {
+    if (!db) {
+      await connect();
+    }
+    return db;
+  };
+
+  const close = async () => {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  };
+
+  const run = (queryText, params) => {
+    const bound = {};
+    Object.keys(params).forEach(key => {
+      bound[key] = toSqliteValue(params[key]);
+    });
+
+    const result = { recordsets: [], recordset: undefined, rowsAffected: [], output: {} };
+
+    for (const statementText of translate(queryText)) {
+      const statement = db.prepare(statementText);
+
+      if (statement.reader) {
+        const columns = statement.columns();
+        const rows = statement.all(bound).map(row => {
+          columns.forEach(column => {
+            row[column.name] = fromSqliteValue(row[column.name], column.type);
+          });
+          return row;
+        });
+        result.recordsets.push(rows);
+        result.rowsAffected.push(rows.length);
+      } else {
+        result.rowsAffected.push(statement.run(bound).changes);
+      }
+    }
+
+    result.recordset = result.recordsets[0];
+    return result;
+  };
+
+  const query = async (queryText, params = {}) => {
+    await getPool();
+    return exclusive(() => run(queryText, params));
+  };
+
+  const transaction = async (fn) => {
+    await getPool();
+
+    return exclusive(async () => {
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(async (queryText, params = {}) => run(queryText, params));
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (db.inTransaction) {
+          db.exec('ROLLBACK');
+        }
+        throw error;
+      }
+    });
+  };
+
+  // There is no pool; report whether the database is open
+  const getStats = () => ({
+    client: 'sqlite',
+    connected: !!db,
+    filename
+  });
+
+  return {
+    client: 'sqlite',
+    connect,
+    getPool,
+    close,
+    query,
+    transaction,
+    getStats
+  };
+};
+
+module.exports = {
+  createSqliteAdapter
+};
@@ -0,0 +1,205 @@
+// config/adapters/tsqlToSqlite.js - Rewrite the T-SQL used by the API for SQLite
+//
+// Only the constructs the routes and helpers actually use are handled:
+// GETDATE(), DATEADD(), ISNULL(), LEN(), CAST(... AS DATE), TOP (n),
+// OFFSET ... FETCH NEXT ... ROWS ONLY and OUTPUT INSERTED.* (as RETURNING).
+// Dates are stored as ISO 8601 UTC strings, the same format JS Dates are bound
+// in, so they compare correctly as text.
+
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const DATEADD_UNITS = {
+  year: 'years', yy: 'years', yyyy: 'years',
+  month: 'months', mm: 'months', m: 'months',
+  week: 'weeks', wk: 'weeks', ww: 'weeks',
+  day: 'days', dd: 'days', d: 'days',
+  hour: 'hours', hh: 'hours',
+  minute: 'minutes', mi: 'minutes', n: 'minutes',
+  second: 'seconds', ss: 'seconds', s: 'seconds'
+};
+
+// Replace string literals with numbered placeholders and drop comments, so the
+// rewrites below never touch quoted text
+const maskLiterals = (text) => {
+  const literals = [];
+  let masked = '';
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] === "'") {
+      let end = i + 1;
+      while (end < text.length && !(text[end] === "'" && text[end + 1] !== "'")) {
+        end += text[end] === "'" ? 2 : 1;
+      }
+      literals.push(text.slice(i, end + 1));
+      masked += `'${literals.length - 1}'`;
+      i = end + 1;
+    } else if (text.startsWith('--', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      masked += text[i];
+      i += 1;
+    }
+  }
+
+  // N'...' literals are plain strings in SQLite
+  return { masked: masked.replace(/\bN'(\d+)'/g, "'$1'"), literals };
+};
+
+const restoreLiterals = (text, literals) => text.replace(/'(\d+)'/g, (match, index) => literals[index]);
+
+// Index of the parenthesis closing the one at openIndex
+const findClosingParen = (text, openIndex) => {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return i;
+  }
+  throw new Error('Unbalanced parentheses in query');
+};
+
+// Index where the query scope containing position ends: the parenthesis that
+// closes an enclosing subquery, or the end of the statement
+const findScopeEnd = (text, position) => {
+  let depth = 0;
+  for (let i = position; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth < 0) return i;
+  }
+  return text.length;
+};
+
+// Split on a separator that is not inside parentheses
+const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')') depth--;
+    if (depth === 0 && text.slice(i, i + separator.length).toUpperCase() === separator) {
+      parts.push(text.slice(start, i));
+      start = i + separator.length;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim());
+};
+
+// Rewrite every call of a function, innermost calls first
+const rewriteCalls = (text, name, rewrite) => {
+  const pattern = new RegExp(`\\b${name}\\s*\\(`, 'gi');
+  const starts = [...text.matchAll(pattern)].map(match => match.index).reverse();
+
+  for (const start of starts) {
+    const open = text.indexOf('(', start);
+    const close = findClosingParen(text, open);
+    const replacement = rewrite(text.slice(open + 1, close));
+    text = text.slice(0, start) + replacement + text.slice(close + 1);
+  }
+  return text;
+};
+
+const rewriteDateAdd = (args) => {
+  const [unit, amount, date] = splitTopLevel(args, ',');
+  const modifier = DATEADD_UNITS[unit.toLowerCase()];
+  if (!modifier) {
+    throw new Error(`DATEADD unit '${unit}' is not supported by the sqlite backend`);
+  }
+  if (modifier === 'weeks') {
+    return `strftime('%Y-%m-%dT%H:%M:%fZ', ${date}, ((${amount}) * 7) || ' days')`;
+  }
+  return `strftime('%Y-%m-%dT%H:%M:%fZ', ${date}, (${amount}) || ' ${modifier}')`;
+};
+
+const rewriteCast = (args) => {
+  const parts = splitTopLevel(args, ' AS ');
+  const type = parts.pop();
+  const value = parts.join(' AS ');
+
+  if (/^DATE$/i.test(type)) {
+    return `date(${value})`;
+  }
+  if (/^N?VARCHAR\b/i.test(type)) {
+    return `CAST(${value} AS TEXT)`;
+  }
+  return `CAST(${value} AS ${type})`;
+};
+
+// SELECT TOP (n) becomes a LIMIT at the end of the same SELECT
+const rewriteTop = (text) => {
+  const pattern = /\bSELECT\s+(DISTINCT\s+)?TOP\s*(\([^()]*\)|\d+)\s+/gi;
+  const matches = [...text.matchAll(pattern)].reverse();
+
+  for (const match of matches) {
+    const end = findScopeEnd(text, match.index + match[0].length);
+    const limit = match[2].replace(/^\(|\)$/g, '').trim();
+    text = text.slice(0, match.index) +
+      `SELECT ${match[1] || ''}` +
+      text.slice(match.index + match[0].length, end).trimEnd() +
+      ` LIMIT ${limit}` +
+      (end < text.length ? ' ' : '') +
+      text.slice(end);
+  }
+  return text;
+};
+
+// OUTPUT INSERTED.col, ... becomes RETURNING col, ... at the end of the statement
+const rewriteOutput = (statement) => {
+  const match = statement.match(/\bOUTPUT\b/i);
+  if (!match) {
+    return statement;
+  }
+
+  const rest = statement.slice(match.index + match[0].length);
+  let depth = 0;
+  let end = rest.length;
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '(') depth++;
+    if (rest[i] === ')') depth--;
+    if (depth === 0 && /^\s(VALUES|WHERE|SELECT|FROM|DEFAULT\s+VALUES)\b/i.test(rest.slice(i))) {
+      end = i;
+      break;
+    }
+  }
+
+  const columns = rest.slice(0, end).trim();
+  if (/^\s*UPDATE\b/i.test(statement) && /\bDELETED\./i.test(columns)) {
+    throw new Error('OUTPUT DELETED in an UPDATE is not supported by the sqlite backend');
+  }
+
+  const body = statement.slice(0, match.index) + rest.slice(end);
+  return `${body.trim()} RETURNING ${columns.replace(/\b(INSERTED|DELETED)\./gi, '')}`;
+};
+
+// Translate a T-SQL query into the list of SQLite statements it consists of
+const translate = (query) => {
+  const { masked, literals } = maskLiterals(query);
+
+  return masked
+    .split(';')
+    .map(statement => statement.trim())
+    .filter(Boolean)
+    .map(statement => {
+      let text = statement.replace(/\bGETDATE\s*\(\s*\)/gi, NOW);
+      text = text.replace(/\bISNULL\s*\(/gi, 'IFNULL(');
+      text = text.replace(/\bLEN\s*\(/gi, 'LENGTH(');
+      text = rewriteCalls(text, 'DATEADD', rewriteDateAdd);
+      text = rewriteCalls(text, 'CAST', rewriteCast);
+      text = text.replace(
+        /\bOFFSET\s+(.+?)\s+ROWS?\s+FETCH\s+(?:NEXT|FIRST)\s+(.+?)\s+ROWS?\s+ONLY\b/gi,
+        'LIMIT $2 OFFSET $1'
+      );
+      text = rewriteTop(text);
+      text = rewriteOutput(text);
+      return restoreLiterals(text, literals);
+    });
+};
+
+module.exports = {
+  translate
+};
@@ -0,0 +1,18 @@
+// config/adapters/typedParam.js - Query parameters with an explicit mssql type
+//
+// executeQuery normally lets mssql infer each parameter's type from its JS
+// value. Wrap a value with typedParam(sql.NVarChar(255), value) to bind it
+// with a declared type instead.
+class TypedParam {
+  constructor(type, value) {
+    this.type = type;
+    this.value = value;
+  }
+}
+
+const typedParam = (type, value) => new TypedParam(type, value);
+
+module.exports = {
+  TypedParam,
+  typedParam
+};
@@ -1,5 +1,15 @@
 // config/database.js - Database configuration and connection
+//
+// DB_CLIENT selects the backend: 'mssql' (default) talks to SQL Server and
+// 'sqlite' runs the same T-SQL against an embedded SQLite database, which is
+// enough to exercise every route locally or in tests without SQL Server.
 const sql = require('mssql');
+const { createMssqlAdapter } = require('./adapters/mssql');
+const { typedParam } = require('./adapters/typedParam');
+const { timed } = require('./queryMetrics');
+const { intSetting } = require('./settings');
+
+const DB_CLIENT = process.env.DB_CLIENT || 'mssql';
 
 // Database configuration
 const dbConfig = {
@@ -21,70 +31,120 @@ const dbConfig = {
   }
 };
 
-let poolPromise;
+// Connection and query retries for SQL Server (see adapters/mssql.js)
+const retryOptions = {
+  connectRetries: intSetting('DB_CONNECT_RETRIES', 5),
+  queryRetries: intSetting('DB_QUERY_RETRIES', 2),
+  baseDelayMs: intSetting('DB_RETRY_BASE_DELAY_MS', 500),
+  maxDelayMs: intSetting('DB_RETRY_MAX_DELAY_MS', 30000)
+};
+
+// Pick the backend. Every adapter exposes connect, getPool, close, query,
+// transaction and getStats, where query(text, params) resolves to an
+// mssql-style result.
+const createAdapter = () => {
+  switch (DB_CLIENT) {
+    case 'mssql':
+      return createMssqlAdapter(dbConfig, retryOptions);
+    case 'sqlite': {
+      const { createSqliteAdapter } = require('./adapters/sqlite');
+      return createSqliteAdapter({ filename: process.env.DB_SQLITE_FILE || ':memory:' });
+    }
+    default:
+      throw new Error(`Unknown DB_CLIENT '${DB_CLIENT}', expected 'mssql' or 'sqlite'`);
+  }
+};
+
+const adapter = createAdapter();
+
+// Queries the application runs are timed; see queryMetrics.js
+const timedQuery = timed(adapter.query);
 
 // Connect to database
 const connectDB = async () => {
   try {
-    if (!poolPromise) {
-      poolPromise = new sql.ConnectionPool(dbConfig).connect();
-    }
-    
-    const pool = await poolPromise;
-    console.log('Connected to SQL Server database');
-    return pool;
+    return await adapter.connect();
   } catch (error) {
     console.error('Database connection failed:', error);
     throw error;
   }
 };
 
-// Get database connection
+// Get database connection (the mssql pool, or the SQLite database handle)
 const getDB = async () => {
   try {
-    if (!poolPromise) {
-      await connectDB();
-    }
-    return await poolPromise;
+    return await adapter.getPool();
   } catch (error) {
     console.error('Failed to get database connection:', error);
     throw error;
   }
 };
 
+// Close the connection pool (used by command-line scripts so they can exit)
+const closeDB = async () => {
+  await adapter.close();
+};
+
+// Check the database answers a trivial query. Resolves to { ok, latencyMs }
+// and never throws, so the health endpoint can report a broken connection.
+const pingDB = async (timeoutMs = 5000) => {
+  const started = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      adapter.query('SELECT 1 as ok'),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Connection pool and retry statistics
+const getDBStats = () => adapter.getStats();
+
 // Execute query with error handling
 const executeQuery = async (query, params = {}) => {
   try {
-    const pool = await getDB();
-    const request = pool.request();
-    
-    // Add parameters to request
-    Object.keys(params).forEach(key => {
-      request.input(key, params[key]);
-    });
-    
-    const result = await request.query(query);
-    return result;
+    return await timedQuery(query, params);
   } catch (error) {
     console.error('Query execution failed:', error);
     throw error;
   }
 };
 
-// Database helper functions
-const dbHelpers = {
+// Run fn inside a transaction. fn gets a query function with the same
+// signature as executeQuery, bound to the transaction. The transaction commits
+// when fn resolves and rolls back if it throws. Queries on one transaction
+// must run one after another, so await each call instead of using Promise.all.
+const withTransaction = async (fn) => {
+  return adapter.transaction(transactionQuery => fn(timed(transactionQuery)));
+};
+
+// Database helper functions, built from a query function like the
+// repositories are, so a withTransaction callback can run them on its
+// transaction: createDbHelpers(transactionQuery)
+const createDbHelpers = (runQuery = executeQuery) => ({
   // Get user by email
   getUserByEmail: async (email) => {
     const query = `
       SELECT u.*, 
-             c.company_id, c.company_name,
+             c.company_id, c.company_name, c.require_two_factor as company_requires_two_factor,
+             cm.role as company_role,
              js.jobseeker_id, js.first_name, js.last_name
       FROM Users u
-      LEFT JOIN Companies c ON u.user_id = c.user_id
+      LEFT JOIN CompanyMembers cm ON u.user_id = cm.user_id
+      LEFT JOIN Companies c ON cm.company_id = c.company_id
       LEFT JOIN JobSeekers js ON u.user_id = js.user_id
       WHERE u.email = @email
     `;
-    const result = await executeQuery(query, { email });
+    const result = await runQuery(query, { email });
     return result.recordset[0];
   },
 
@@ -92,25 +152,99 @@ const dbHelpers = {
   getUserById: async (userId) => {
     const query = `
       SELECT u.*, 
-             c.company_id, c.company_name,
+             c.company_id, c.company_name, c.require_two_factor as company_requires_two_factor,
+             cm.role as company_role,
              js.jobseeker_id, js.first_name, js.last_name
       FROM Users u
-      LEFT JOIN Companies c ON u.user_id = c.user_id
+      LEFT JOIN CompanyMembers cm ON u.user_id = cm.user_id
+      LEFT JOIN Companies c ON cm.company_id = c.company_id
       LEFT JOIN JobSeekers js ON u.user_id = js.user_id
       WHERE u.user_id = @userId
     `;
-    const result = await executeQuery(query, { userId });
+    const result = await runQuery(query, { userId });
     return result.recordset[0];
   },
 
   // Create new user
   createUser: async (userData) => {
     const query = `
-      INSERT INTO Users (email, password_hash, user_type, verification_token)
+      INSERT INTO Users (email, password_hash, user_type, verification_token, verification_token_expires)
       OUTPUT INSERTED.user_id, INSERTED.email, INSERTED.user_type, INSERTED.created_at
-      VALUES (@email, @passwordHash, @userType, @verificationToken)
+      VALUES (@email, @passwordHash, @userType, @verificationTokenHash, @verificationTokenExpires)
+    `;
+    const result = await runQuery(query, userData);
+    return result.recordset[0];
+  },
+
+  // Create a user who signs in through an external identity provider only
+  createExternalUser: async (userData) => {
+    const query = `
+      INSERT INTO Users (email, password_hash, user_type, is_verified)
+      OUTPUT INSERTED.user_id, INSERTED.email, INSERTED.user_type, INSERTED.created_at
+      VALUES (@email, NULL, @userType, @isVerified)
+    `;
+    const result = await runQuery(query, userData);
+    return result.recordset[0];
+  },
+
+  // Create company profile for a user
+  createCompany: async (companyData) => {
+    const query = `
+      INSERT INTO Companies (user_id, company_name, industry, company_size, website, phone, city, country)
+      OUTPUT INSERTED.company_id, INSERTED.company_name
+      VALUES (@userId, @companyName, @industry, @companySize, @website, @phone, @city, @country)
+    `;
+    const result = await runQuery(query, companyData);
+    return result.recordset[0];
+  },
+
+  // Create job seeker profile for a user
+  createJobSeeker: async (jobSeekerData) => {
+    const query = `
+      INSERT INTO JobSeekers (user_id, first_name, last_name, email, phone, city, country, latitude, longitude)
+      OUTPUT INSERTED.jobseeker_id, INSERTED.first_name, INSERTED.last_name
+      VALUES (@userId, @firstName, @lastName, @email, @phone, @city, @country, @latitude, @longitude)
+    `;
+    const result = await runQuery(query, jobSeekerData);
+    return result.recordset[0];
+  },
+
+  // Add a user to a company with the given role
+  addCompanyMember: async (memberData) => {
+    const query = `
+      INSERT INTO CompanyMembers (company_id, user_id, role, invited_by)
+      OUTPUT INSERTED.member_id, INSERTED.role
+      VALUES (@companyId, @userId, @role, @invitedBy)
+    `;
+    const result = await runQuery(query, memberData);
+    return result.recordset[0];
+  },
+
+  // Get a pending, unexpired company invitation by token hash
+  getCompanyInvitation: async (tokenHash) => {
+    const query = `
+      SELECT ci.invitation_id, ci.company_id, ci.email, ci.role, ci.invited_by, ci.expires_at,
+             c.company_name
+      FROM CompanyInvitations ci
+      INNER JOIN Companies c ON ci.company_id = c.company_id
+      WHERE ci.token_hash = @tokenHash
+        AND ci.accepted_at IS NULL
+        AND ci.revoked_at IS NULL
+        AND ci.expires_at > GETDATE()
     `;
-    const result = await executeQuery(query, userData);
+    const result = await runQuery(query, { tokenHash });
+    return result.recordset[0];
+  },
+
+  // Mark an invitation as accepted; returns nothing if it was already used
+  acceptCompanyInvitation: async (invitationId) => {
+    const query = `
+      UPDATE CompanyInvitations
+      SET accepted_at = GETDATE()
+      OUTPUT INSERTED.invitation_id
+      WHERE invitation_id = @invitationId AND accepted_at IS NULL AND revoked_at IS NULL
+    `;
+    const result = await runQuery(query, { invitationId });
     return result.recordset[0];
   },
 
@@ -118,10 +252,10 @@ const dbHelpers = {
   verifyUser: async (userId) => {
     const query = `
       UPDATE Users 
-      SET is_verified = 1, verification_token = NULL, updated_at = GETDATE()
+      SET is_verified = 1, verification_token = NULL, verification_token_expires = NULL, updated_at = GETDATE()
       WHERE user_id = @userId
     `;
-    await executeQuery(query, { userId });
+    await runQuery(query, { userId });
   },
 
   // Update password reset token
@@ -131,14 +265,536 @@ const dbHelpers = {
       SET reset_token = @resetToken, reset_token_expires = @expiresAt, updated_at = GETDATE()
       WHERE user_id = @userId
     `;
-    await executeQuery(query, { userId, resetToken, expiresAt });
+    await runQuery(query, { userId, resetToken, expiresAt });
+  },
+
+  // Replace verification token hash (used when resending verification mail)
+  setVerificationToken: async (userId, tokenHash, expiresAt) => {
+    const query = `
+      UPDATE Users
+      SET verification_token = @tokenHash, verification_token_expires = @expiresAt, updated_at = GETDATE()
+      WHERE user_id = @userId
+    `;
+    await runQuery(query, { userId, tokenHash, expiresAt });
+  },
+
+  // Get user by pending, unexpired verification token hash
+  getUserByVerificationToken: async (tokenHash) => {
+    const query = `
+      SELECT user_id, email, is_verified
+      FROM Users
+      WHERE verification_token = @tokenHash AND verification_token_expires > GETDATE()
+    `;
+    const result = await runQuery(query, { tokenHash });
+    return result.recordset[0];
+  },
+
+  // Consume an unexpired reset token and set the new password in one statement
+  resetPasswordWithToken: async (resetToken, passwordHash) => {
+    const query = `
+      UPDATE Users
+      SET password_hash = @passwordHash, reset_token = NULL, reset_token_expires = NULL, updated_at = GETDATE()
+      OUTPUT INSERTED.user_id, INSERTED.email
+      WHERE reset_token = @resetToken AND reset_token_expires > GETDATE()
+    `;
+    const result = await runQuery(query, { resetToken, passwordHash });
+    return result.recordset[0];
+  },
+
+  // Set new password and consume any outstanding reset token
+  updatePassword: async (userId, passwordHash) => {
+    const query = `
+      UPDATE Users
+      SET password_hash = @passwordHash, reset_token = NULL, reset_token_expires = NULL, updated_at = GETDATE()
+      WHERE user_id = @userId
+    `;
+    await runQuery(query, { userId, passwordHash });
+  },
+
+  // Record a login attempt for later review
+  recordLoginAttempt: async (attemptData) => {
+    const query = `
+      INSERT INTO LoginAttempts (email, user_id, ip_address, user_agent, succeeded, failure_reason)
+      VALUES (@email, @userId, @ipAddress, @userAgent, @succeeded, @failureReason)
+    `;
+    await runQuery(query, attemptData);
+  },
+
+  // Count failed logins from an IP address within the last few minutes
+  countRecentFailedLogins: async (ipAddress, minutes) => {
+    const query = `
+      SELECT COUNT(*) as failures
+      FROM LoginAttempts
+      WHERE ip_address = @ipAddress
+        AND succeeded = 0
+        AND attempted_at >= DATEADD(minute, -@minutes, GETDATE())
+    `;
+    const result = await runQuery(query, { ipAddress, minutes });
+    return result.recordset[0].failures;
+  },
+
+  // Increment the failed login counter and return the new counters
+  incrementFailedLogins: async (userId) => {
+    const query = `
+      UPDATE Users
+      SET failed_login_count = ISNULL(failed_login_count, 0) + 1
+      OUTPUT INSERTED.failed_login_count, ISNULL(INSERTED.lockout_count, 0) as lockout_count
+      WHERE user_id = @userId
+    `;
+    const result = await runQuery(query, { userId });
+    return result.recordset[0];
+  },
+
+  // Lock an account until the given time
+  lockUser: async (userId, lockedUntil, unlockTokenHash) => {
+    const query = `
+      UPDATE Users
+      SET locked_until = @lockedUntil,
+          lockout_count = ISNULL(lockout_count, 0) + 1,
+          failed_login_count = 0,
+          unlock_token = @unlockTokenHash,
+          updated_at = GETDATE()
+      WHERE user_id = @userId
+    `;
+    await runQuery(query, { userId, lockedUntil, unlockTokenHash });
+  },
+
+  // Clear lockout state after a successful login or an unlock
+  resetLoginFailures: async (userId) => {
+    const query = `
+      UPDATE Users
+      SET failed_login_count = 0,
+          lockout_count = 0,
+          locked_until = NULL,
+          unlock_token = NULL,
+          updated_at = GETDATE()
+      WHERE user_id = @userId
+    `;
+    await runQuery(query, { userId });
+  },
+
+  // Unlock an account using the token from the lockout email
+  unlockUserWithToken: async (unlockTokenHash) => {
+    const query = `
+      UPDATE Users
+      SET failed_login_count = 0,
+          lockout_count = 0,
+          locked_until = NULL,
+          unlock_token = NULL,
+          updated_at = GETDATE()
+      OUTPUT INSERTED.user_id
+      WHERE unlock_token = @unlockTokenHash
+    `;
+    const result = await runQuery(query, { unlockTokenHash });
+    return result.recordset[0];
+  },
+
+  // Store the state of a pending OIDC authorization request
+  createOidcAuthRequest: async (requestData) => {
+    const query = `
+      INSERT INTO OidcAuthRequests (state_hash, provider, code_verifier, nonce, redirect_uri, expires_at)
+      VALUES (@stateHash, @provider, @codeVerifier, @nonce, @redirectUri, @expiresAt)
+    `;
+    await runQuery(query, requestData);
+  },
+
+  // Consume a pending OIDC authorization request; each state is usable once
+  consumeOidcAuthRequest: async (stateHash, provider) => {
+    const query = `
+      UPDATE OidcAuthRequests
+      SET used_at = GETDATE()
+      OUTPUT INSERTED.code_verifier, INSERTED.nonce, INSERTED.redirect_uri
+      WHERE state_hash = @stateHash
+        AND provider = @provider
+        AND used_at IS NULL
+        AND expires_at > GETDATE()
+    `;
+    const result = await runQuery(query, { stateHash, provider });
+    return result.recordset[0];
+  },
+
+  // Get the external identity linked for a provider subject
+  getUserIdentity: async (provider, subject) => {
+    const query = `
+      SELECT identity_id, user_id, provider, subject, email
+      FROM UserIdentities
+      WHERE provider = @provider AND subject = @subject
+    `;
+    const result = await runQuery(query, { provider, subject });
+    return result.recordset[0];
+  },
+
+  // Link an external identity to a user
+  createUserIdentity: async (identityData) => {
+    const query = `
+      INSERT INTO UserIdentities (user_id, provider, subject, email, last_login_at)
+      VALUES (@userId, @provider, @subject, @email, GETDATE())
+    `;
+    await runQuery(query, identityData);
+  },
+
+  // Record a login through an external identity
+  touchUserIdentity: async (identityId, email) => {
+    const query = `
+      UPDATE UserIdentities
+      SET last_login_at = GETDATE(), email = @email
+      WHERE identity_id = @identityId
+    `;
+    await runQuery(query, { identityId, email });
+  },
+
+  // Get the external identities linked to a user
+  getUserIdentities: async (userId) => {
+    const query = `
+      SELECT provider, email, created_at, last_login_at
+      FROM UserIdentities
+      WHERE user_id = @userId
+      ORDER BY created_at
+    `;
+    const result = await runQuery(query, { userId });
+    return result.recordset;
+  },
+
+  // Schedule a user's account for erasure
+  scheduleUserErasure: async (userId, scheduledFor) => {
+    const query = `
+      UPDATE Users
+      SET erasure_requested_at = GETDATE(),
+          erasure_scheduled_for = @scheduledFor,
+          updated_at = GETDATE()
+      WHERE user_id = @userId AND erased_at IS NULL
+    `;
+    await runQuery(query, { userId, scheduledFor });
+  },
+
+  // Cancel a pending erasure; returns false if none was scheduled
+  cancelUserErasure: async (userId) => {
+    const query = `
+      UPDATE Users
+      SET erasure_requested_at = NULL,
+          erasure_scheduled_for = NULL,
+          updated_at = GETDATE()
+      OUTPUT INSERTED.user_id
+      WHERE user_id = @userId AND erasure_scheduled_for IS NOT NULL AND erased_at IS NULL
+    `;
+    const result = await runQuery(query, { userId });
+    return result.recordset.length > 0;
+  },
+
+  // Get users whose erasure grace period has ended
+  getDueErasures: async () => {
+    const query = `
+      SELECT user_id, user_type
+      FROM Users
+      WHERE erasure_scheduled_for <= GETDATE() AND erased_at IS NULL
+    `;
+    const result = await runQuery(query);
+    return result.recordset;
+  },
+
+  // Record an admin's grant to act as another user
+  createImpersonation: async (grantData) => {
+    const query = `
+      INSERT INTO Impersonations (impersonation_id, admin_user_id, target_user_id, reason, allow_destructive, expires_at)
+      VALUES (@impersonationId, @adminUserId, @targetUserId, @reason, @allowDestructive, @expiresAt)
+    `;
+    await runQuery(query, grantData);
+  },
+
+  // Get an impersonation grant that is unexpired, not ended and held by an active admin
+  getActiveImpersonation: async (impersonationId) => {
+    const query = `
+      SELECT i.impersonation_id, i.admin_user_id, i.target_user_id, i.allow_destructive,
+             i.expires_at, a.email as admin_email
+      FROM Impersonations i
+      INNER JOIN Users a ON i.admin_user_id = a.user_id
+      WHERE i.impersonation_id = @impersonationId
+        AND i.ended_at IS NULL
+        AND i.expires_at > GETDATE()
+        AND a.user_type = 'admin'
+        AND a.suspended_at IS NULL
+    `;
+    const result = await runQuery(query, { impersonationId });
+    return result.recordset[0];
+  },
+
+  // End an impersonation grant early; returns false if it was not active
+  endImpersonation: async (impersonationId) => {
+    const query = `
+      UPDATE Impersonations
+      SET ended_at = GETDATE()
+      OUTPUT INSERTED.impersonation_id
+      WHERE impersonation_id = @impersonationId AND ended_at IS NULL AND expires_at > GETDATE()
+    `;
+    const result = await runQuery(query, { impersonationId });
+    return result.recordset.length > 0;
+  },
+
+  // Audit a request made under impersonation
+  logImpersonatedRequest: async (logData) => {
+    const query = `
+      INSERT INTO ImpersonationAuditLog (impersonation_id, admin_user_id, target_user_id, method, path, status_code, ip_address)
+      VALUES (@impersonationId, @adminUserId, @targetUserId, @method, @path, @statusCode, @ipAddress)
+    `;
+    await runQuery(query, logData);
+  },
+
+  // Store a TOTP secret that is awaiting confirmation
+  setPendingTotpSecret: async (userId, encryptedSecret) => {
+    const query = `
+      UPDATE Users
+      SET totp_pending_secret = @encryptedSecret, updated_at = GETDATE()
+      WHERE user_id = @userId
+    `;
+    await runQuery(query, { userId, encryptedSecret });
+  },
+
+  // Promote the pending TOTP secret and enable two-factor authentication
+  enableTotp: async (userId, lastStep) => {
+    const query = `
+      UPDATE Users
+      SET totp_secret = totp_pending_secret,
+          totp_pending_secret = NULL,
+          totp_enabled = 1,
+          totp_last_step = @lastStep,
+          updated_at = GETDATE()
+      WHERE user_id = @userId AND totp_pending_secret IS NOT NULL
+    `;
+    await runQuery(query, { userId, lastStep });
+  },
+
+  // Disable two-factor authentication and drop recovery codes
+  disableTotp: async (userId) => {
+    const query = `
+      UPDATE Users
+      SET totp_secret = NULL,
+          totp_pending_secret = NULL,
+          totp_enabled = 0,
+          totp_last_step = NULL,
+          updated_at = GETDATE()
+      WHERE user_id = @userId;
+
+      DELETE FROM RecoveryCodes WHERE user_id = @userId;
+    `;
+    await runQuery(query, { userId });
+  },
+
+  // Record the time step of an accepted code; fails if that step (or a later one) was already used
+  useTotpStep: async (userId, step) => {
+    const query = `
+      UPDATE Users
+      SET totp_last_step = @step
+      OUTPUT INSERTED.user_id
+      WHERE user_id = @userId AND (totp_last_step IS NULL OR totp_last_step < @step)
+    `;
+    const result = await runQuery(query, { userId, step });
+    return result.recordset.length > 0;
+  },
+
+  // Replace a user's recovery codes (hashed)
+  replaceRecoveryCodes: async (userId, codeHashes) => {
+    await runQuery('DELETE FROM RecoveryCodes WHERE user_id = @userId', { userId });
+
+    for (const codeHash of codeHashes) {
+      await runQuery(`
+        INSERT INTO RecoveryCodes (user_id, code_hash)
+        VALUES (@userId, @codeHash)
+      `, { userId, codeHash });
+    }
+  },
+
+  // Use up a recovery code; returns false if it doesn't exist or was already used
+  consumeRecoveryCode: async (userId, codeHash) => {
+    const query = `
+      UPDATE RecoveryCodes
+      SET used_at = GETDATE()
+      OUTPUT INSERTED.code_id
+      WHERE user_id = @userId AND code_hash = @codeHash AND used_at IS NULL
+    `;
+    const result = await runQuery(query, { userId, codeHash });
+    return result.recordset.length > 0;
+  },
+
+  // Count unused recovery codes
+  countRecoveryCodes: async (userId) => {
+    const query = `
+      SELECT COUNT(*) as remaining
+      FROM RecoveryCodes
+      WHERE user_id = @userId AND used_at IS NULL
+    `;
+    const result = await runQuery(query, { userId });
+    return result.recordset[0].remaining;
+  },
+
+  // Get an active, unexpired API key by hash
+  // A key only works while its company has an owner who isn't suspended
+  // and, if a member created it, while that member is still active in the
+  // company
+  getApiKeyByHash: async (keyHash) => {
+    const query = `
+      SELECT k.key_id, k.company_id, k.scopes, k.last_used_at
+      FROM ApiKeys k
+      WHERE k.key_hash = @keyHash
+        AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > GETDATE())
+        AND EXISTS (
+          SELECT 1 FROM CompanyMembers cm
+          INNER JOIN Users u ON cm.user_id = u.user_id
+          WHERE cm.company_id = k.company_id AND cm.role = 'owner' AND u.suspended_at IS NULL
+        )
+        AND (k.created_by IS NULL OR EXISTS (
+          SELECT 1 FROM CompanyMembers cm
+          INNER JOIN Users u ON cm.user_id = u.user_id
+          WHERE cm.company_id = k.company_id AND cm.user_id = k.created_by AND u.suspended_at IS NULL
+        ))
+    `;
+    const result = await runQuery(query, { keyHash });
+    return result.recordset[0];
+  },
+
+  // Update API key last-used time
+  touchApiKey: async (keyId) => {
+    const query = `
+      UPDATE ApiKeys
+      SET last_used_at = GETDATE()
+      WHERE key_id = @keyId
+    `;
+    await runQuery(query, { keyId });
+  },
+
+  // Store a newly issued refresh token (hashed)
+  createRefreshToken: async (tokenData) => {
+    const query = `
+      INSERT INTO RefreshTokens (user_id, family_id, token_hash, expires_at)
+      VALUES (@userId, @familyId, @tokenHash, @expiresAt)
+    `;
+    await runQuery(query, tokenData);
+  },
+
+  // Get a stored refresh token by hash
+  getRefreshToken: async (tokenHash) => {
+    const query = `
+      SELECT token_id, user_id, family_id, expires_at, used_at, revoked_at
+      FROM RefreshTokens
+      WHERE token_hash = @tokenHash
+    `;
+    const result = await runQuery(query, { tokenHash });
+    return result.recordset[0];
+  },
+
+  // Mark a live refresh token as used; returns nothing if it was already used, revoked or expired
+  consumeRefreshToken: async (tokenHash) => {
+    const query = `
+      UPDATE RefreshTokens
+      SET used_at = GETDATE()
+      OUTPUT INSERTED.user_id, INSERTED.family_id
+      WHERE token_hash = @tokenHash
+        AND used_at IS NULL
+        AND revoked_at IS NULL
+        AND expires_at > GETDATE()
+    `;
+    const result = await runQuery(query, { tokenHash });
+    return result.recordset[0];
+  },
+
+  // Revoke every token in a refresh token family
+  revokeRefreshTokenFamily: async (familyId) => {
+    const query = `
+      UPDATE RefreshTokens
+      SET revoked_at = GETDATE()
+      WHERE family_id = @familyId AND revoked_at IS NULL
+    `;
+    await runQuery(query, { familyId });
+  },
+
+  // Revoke every refresh token belonging to a user, optionally sparing one session's family
+  revokeUserRefreshTokens: async (userId, exceptFamilyId = null) => {
+    const query = `
+      UPDATE RefreshTokens
+      SET revoked_at = GETDATE()
+      WHERE user_id = @userId AND revoked_at IS NULL
+        AND (@exceptFamilyId IS NULL OR family_id <> @exceptFamilyId)
+    `;
+    await runQuery(query, { userId, exceptFamilyId });
+  },
+
+  // Record a new login session
+  createSession: async (sessionData) => {
+    const query = `
+      INSERT INTO Sessions (session_id, user_id, user_agent, ip_address)
+      VALUES (@sessionId, @userId, @userAgent, @ipAddress)
+    `;
+    await runQuery(query, sessionData);
+  },
+
+  // Get session by ID
+  getSession: async (sessionId) => {
+    const query = `
+      SELECT session_id, user_id, last_seen_at, revoked_at
+      FROM Sessions
+      WHERE session_id = @sessionId
+    `;
+    const result = await runQuery(query, { sessionId });
+    return result.recordset[0];
+  },
+
+  // Update session last-seen time
+  touchSession: async (sessionId) => {
+    const query = `
+      UPDATE Sessions
+      SET last_seen_at = GETDATE()
+      WHERE session_id = @sessionId
+    `;
+    await runQuery(query, { sessionId });
+  },
+
+  // List a user's active sessions, most recently used first
+  getActiveSessions: async (userId) => {
+    const query = `
+      SELECT session_id, user_agent, ip_address, created_at, last_seen_at
+      FROM Sessions
+      WHERE user_id = @userId AND revoked_at IS NULL
+      ORDER BY last_seen_at DESC
+    `;
+    const result = await runQuery(query, { userId });
+    return result.recordset;
+  },
+
+  // Revoke a single session
+  revokeSession: async (sessionId) => {
+    const query = `
+      UPDATE Sessions
+      SET revoked_at = GETDATE()
+      WHERE session_id = @sessionId AND revoked_at IS NULL
+    `;
+    await runQuery(query, { sessionId });
+  },
+
+  // Revoke every session belonging to a user, optionally sparing one
+  revokeUserSessions: async (userId, exceptSessionId = null) => {
+    const query = `
+      UPDATE Sessions
+      SET revoked_at = GETDATE()
+      WHERE user_id = @userId AND revoked_at IS NULL
+        AND (@exceptSessionId IS NULL OR session_id <> @exceptSessionId)
+    `;
+    await runQuery(query, { userId, exceptSessionId });
   }
-};
+});
+
+const dbHelpers = createDbHelpers();
 
 module.exports = {
+  DB_CLIENT,
   connectDB,
   getDB,
+  closeDB,
+  pingDB,
+  getDBStats,
   executeQuery,
+  withTransaction,
+  typedParam,
+  createDbHelpers,
   dbHelpers,
   sql
 };
\ No newline at end of file
@@ -0,0 +1,251 @@
+// config/queryMetrics.js - Query timing and the slow-query log
+//
+// Every query run through executeQuery or withTransaction is timed and
+// aggregated in memory by fingerprint: the SQL with literals, bound list
+// placeholders and whitespace normalized, so the same statement with
+// different values counts once. The route that ran it comes from the request
+// context set by middleware/queryContext.js.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { TypedParam } = require('./adapters/typedParam');
+const { intSetting } = require('./settings');
+
+const SLOW_QUERY_MS = intSetting('SLOW_QUERY_MS', 500);
+// Fingerprints kept before the least recently seen ones are dropped
+const MAX_FINGERPRINTS = intSetting('QUERY_STATS_MAX_FINGERPRINTS', 500);
+// Recent durations kept per fingerprint for the p95
+const DURATION_SAMPLES = 100;
+// Routes counted per fingerprint; calls from any further routes count as OTHER_ROUTES
+const MAX_ROUTES_PER_FINGERPRINT = 50;
+const OTHER_ROUTES = '<other>';
+const MAX_SQL_LENGTH = 2000;
+
+const requestContext = new AsyncLocalStorage();
+
+// Queries of requests that have not matched a route yet, by request
+const unrouted = new WeakMap();
+
+let fingerprints = new Map();
+let collectingSince = new Date();
+
+// Normalize a statement so queries that only differ in values match
+const normalizeSql = (queryText) => {
+  return queryText
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/N?'(?:[^']|'')*'/g, '?')
+    // @jobType0, @jobType1, ... from bindList become one placeholder
+    .replace(/(@[A-Za-z_]+)\d+(\s*,\s*@[A-Za-z_]+\d+)*/g, '$1...')
+    .replace(/\b\d+(\.\d+)?\b/g, '?')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const fingerprintOf = (normalizedSql) => {
+  return crypto.createHash('sha1').update(normalizedSql).digest('hex').slice(0, 12);
+};
+
+// Describe parameters without their values, for the slow-query log
+const redactParams = (params = {}) => {
+  const redacted = {};
+  Object.keys(params).forEach(key => {
+    const value = params[key] instanceof TypedParam ? params[key].value : params[key];
+    if (value === null || value === undefined) {
+      redacted[key] = null;
+    } else if (typeof value === 'string') {
+      redacted[key] = `<string(${value.length})>`;
+    } else if (value instanceof Date) {
+      redacted[key] = '<date>';
+    } else {
+      redacted[key] = `<${typeof value}>`;
+    }
+  });
+  return redacted;
+};
+
+// The route pattern of a request, e.g. GET /api/jobs/:jobId. A request that
+// never matched a route (refused by router.use(authenticateToken), or a path
+// that matches nothing) is put down to the router it stopped in, e.g.
+// GET /api/admin <middleware>: never the raw URL, which would make a route
+// of every ID.
+const routeOf = (req) => {
+  if (!req) {
+    return 'background';
+  }
+
+  const path = req.route ? req.baseUrl + req.route.path : `${req.baseUrl || ''} <middleware>`.trim();
+  return `${req.method} ${path}`;
+};
+
+// Run next() with req as the context for the queries it makes
+const runWithRequest = (req, next) => requestContext.run(req, next);
+
+const rowCount = (result) => {
+  if (!result) {
+    return 0;
+  }
+  if (result.recordsets && result.recordsets.length > 0) {
+    return result.recordsets.reduce((total, recordset) => total + recordset.length, 0);
+  }
+  return (result.rowsAffected || []).reduce((total, count) => total + count, 0);
+};
+
+const addSample = ({ queryText, params, durationMs, rows, failed }, route) => {
+  const normalizedSql = normalizeSql(queryText);
+  const id = fingerprintOf(normalizedSql);
+
+  let entry = fingerprints.get(id);
+  if (entry) {
+    // Re-insert so the map stays ordered by last use
+    fingerprints.delete(id);
+  } else {
+    entry = {
+      fingerprint: id,
+      sql: normalizedSql.slice(0, MAX_SQL_LENGTH),
+      calls: 0,
+      errors: 0,
+      slow_calls: 0,
+      total_ms: 0,
+      max_ms: 0,
+      total_rows: 0,
+      durations: [],
+      routes: {}
+    };
+
+    if (fingerprints.size >= MAX_FINGERPRINTS) {
+      fingerprints.delete(fingerprints.keys().next().value);
+    }
+  }
+
+  entry.calls++;
+  entry.total_ms += durationMs;
+  entry.max_ms = Math.max(entry.max_ms, durationMs);
+  entry.total_rows += rows;
+  const routeKey = entry.routes[route] !== undefined || Object.keys(entry.routes).length < MAX_ROUTES_PER_FINGERPRINT
+    ? route
+    : OTHER_ROUTES;
+  entry.routes[routeKey] = (entry.routes[routeKey] || 0) + 1;
+  entry.last_seen_at = new Date();
+  entry.durations.push(durationMs);
+  if (entry.durations.length > DURATION_SAMPLES) {
+    entry.durations.shift();
+  }
+  if (failed) {
+    entry.errors++;
+  }
+
+  if (durationMs >= SLOW_QUERY_MS) {
+    entry.slow_calls++;
+    console.warn(`Slow query ${id} took ${Math.round(durationMs)}ms (${rows} rows) on ${route}: ${entry.sql.slice(0, 500)}`,
+      redactParams(params));
+  }
+
+  fingerprints.set(id, entry);
+};
+
+// Queries run before the request has matched a route, such as the session
+// lookup in authenticateToken, are recorded when the response is done, by
+// which time the route that handled it is known. If none did, each query
+// stays with the router it ran in.
+const recordWhenRouted = (req, sample) => {
+  let pending = unrouted.get(req);
+  if (!pending) {
+    pending = [];
+    unrouted.set(req, pending);
+    req.res.once('close', () => {
+      unrouted.delete(req);
+      const route = req.route ? routeOf(req) : null;
+      pending.forEach(queued => addSample(queued, route || queued.router));
+    });
+  }
+  pending.push({ ...sample, router: routeOf(req) });
+};
+
+const record = (queryText, params, durationMs, result, error) => {
+  const sample = { queryText, params, durationMs, rows: rowCount(result), failed: !!error };
+  const req = requestContext.getStore();
+
+  if (req && !req.route && req.res && !req.res.writableFinished && !req.res.destroyed) {
+    recordWhenRouted(req, sample);
+  } else {
+    addSample(sample, routeOf(req));
+  }
+};
+
+// Wrap a query function (executeQuery's signature) so its calls are recorded
+const timed = (queryFn) => async (queryText, params = {}) => {
+  const started = process.hrtime.bigint();
+  let result;
+  let error;
+
+  try {
+    result = await queryFn(queryText, params);
+    return result;
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    try {
+      record(queryText, params, durationMs, result, error);
+    } catch (recordError) {
+      console.error('Failed to record query timing:', recordError);
+    }
+  }
+};
+
+const percentile = (values, p) => {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+};
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+const SORT_KEYS = {
+  total: entry => entry.total_ms,
+  avg: entry => entry.avg_ms,
+  max: entry => entry.max_ms,
+  p95: entry => entry.p95_ms,
+  calls: entry => entry.calls
+};
+
+// Aggregated stats, slowest first by the chosen measure (total, avg, max, p95 or calls)
+const getQueryStats = ({ sortBy = 'total', limit = 20, route } = {}) => {
+  const sortKey = SORT_KEYS[sortBy] || SORT_KEYS.total;
+
+  const entries = [...fingerprints.values()]
+    .filter(entry => !route || Object.keys(entry.routes).some(name => name.includes(route)))
+    .map(({ durations, ...entry }) => ({
+      ...entry,
+      total_ms: round(entry.total_ms),
+      max_ms: round(entry.max_ms),
+      avg_ms: round(entry.total_ms / entry.calls),
+      p95_ms: round(percentile(durations, 0.95)),
+      avg_rows: round(entry.total_rows / entry.calls)
+    }))
+    .sort((a, b) => sortKey(b) - sortKey(a));
+
+  return {
+    since: collectingSince,
+    slow_query_ms: SLOW_QUERY_MS,
+    fingerprint_count: entries.length,
+    queries: entries.slice(0, limit)
+  };
+};
+
+const resetQueryStats = () => {
+  fingerprints = new Map();
+  collectingSince = new Date();
+};
+
+module.exports = {
+  normalizeSql,
+  redactParams,
+  runWithRequest,
+  timed,
+  getQueryStats,
+  resetQueryStats
+};
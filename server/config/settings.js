@@ -0,0 +1,23 @@
+// config/settings.js - Reading numeric settings from the environment
+
+// A whole-number setting, or the default when it is unset. Zero is a
+// setting: DB_QUERY_RETRIES=0 turns retries off and SLOW_QUERY_MS=0 logs
+// every query. Anything else that is not a whole number is ignored with a
+// warning rather than quietly replaced by the default.
+const intSetting = (name, defaultValue) => {
+  const text = process.env[name];
+  if (text === undefined || text.trim() === '') {
+    return defaultValue;
+  }
+
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < 0) {
+    console.warn(`Ignoring ${name}=${text}: expected a whole number, using ${defaultValue}`);
+    return defaultValue;
+  }
+  return value;
+};
+
+module.exports = {
+  intSetting
+};
@@ -0,0 +1,143 @@
+// config/updateBuilder.js - Build UPDATE statements from request bodies
+//
+// Only columns declared here can be updated through the API. Each column has
+// its mssql type, and values are checked and converted to that type before
+// they are bound, so a request body can never name a column or smuggle SQL
+// into the statement.
+const { sql, typedParam } = require('./database');
+
+const UPDATABLE_COLUMNS = {
+  Jobs: {
+    title: { type: sql.NVarChar(255) },
+    description: { type: sql.NVarChar(sql.MAX) },
+    requirements: { type: sql.NVarChar(sql.MAX), nullable: true },
+    responsibilities: { type: sql.NVarChar(sql.MAX), nullable: true },
+    location: { type: sql.NVarChar(255) },
+    remote_work_option: { type: sql.NVarChar(10), values: ['Yes', 'No', 'Hybrid'] },
+    salary_min: { type: sql.Decimal(12, 2), nullable: true },
+    salary_max: { type: sql.Decimal(12, 2), nullable: true },
+    salary_currency: { type: sql.NVarChar(3) },
+    job_type: { type: sql.NVarChar(20), values: ['Full-time', 'Part-time', 'Contract', 'Internship', 'Freelance'] },
+    experience_level: { type: sql.NVarChar(20), values: ['Entry-level', 'Mid-level', 'Senior-level', 'Executive'] },
+    industry: { type: sql.NVarChar(100), nullable: true },
+    department: { type: sql.NVarChar(100), nullable: true },
+    application_deadline: { type: sql.Date, nullable: true },
+    max_applications: { type: sql.Int, nullable: true },
+    status: { type: sql.NVarChar(20), values: ['active', 'closed', 'draft', 'paused'] }
+  },
+
+  Education: {
+    institution_name: { type: sql.NVarChar(255) },
+    degree: { type: sql.NVarChar(255), nullable: true },
+    field_of_study: { type: sql.NVarChar(255), nullable: true },
+    start_date: { type: sql.Date, nullable: true },
+    end_date: { type: sql.Date, nullable: true },
+    is_current: { type: sql.Bit },
+    grade_gpa: { type: sql.NVarChar(50), nullable: true },
+    description: { type: sql.NVarChar(sql.MAX), nullable: true }
+  },
+
+  WorkExperience: {
+    company_name: { type: sql.NVarChar(255) },
+    job_title: { type: sql.NVarChar(255) },
+    start_date: { type: sql.Date },
+    end_date: { type: sql.Date, nullable: true },
+    is_current: { type: sql.Bit },
+    description: { type: sql.NVarChar(sql.MAX), nullable: true },
+    location: { type: sql.NVarChar(255), nullable: true }
+  }
+};
+
+// Check a value against a column definition; returns { value } converted for
+// binding, or { error } describing why it doesn't fit
+const convertValue = (column, value) => {
+  if (value === null) {
+    return column.nullable ? { value: null } : { error: 'Cannot be null' };
+  }
+
+  const type = column.type.type || column.type;
+
+  switch (type) {
+    case sql.NVarChar: {
+      if (typeof value !== 'string') {
+        return { error: 'Must be a string' };
+      }
+      if (column.type.length !== sql.MAX && value.length > column.type.length) {
+        return { error: `Must be at most ${column.type.length} characters` };
+      }
+      if (column.values && !column.values.includes(value)) {
+        return { error: `Must be one of: ${column.values.join(', ')}` };
+      }
+      return { value };
+    }
+    case sql.Int: {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return Number.isInteger(number) ? { value: number } : { error: 'Must be an integer' };
+    }
+    case sql.Decimal: {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? { value: number } : { error: 'Must be a number' };
+    }
+    case sql.Bit: {
+      if (value === true || value === 'true' || value === 1 || value === '1') return { value: true };
+      if (value === false || value === 'false' || value === 0 || value === '0') return { value: false };
+      return { error: 'Must be a boolean' };
+    }
+    case sql.Date: {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        return { error: 'Must be a date' };
+      }
+      return { value };
+    }
+    default:
+      throw new Error('Unsupported column type in UPDATABLE_COLUMNS');
+  }
+};
+
+// Turn a request body into the SET clause of an UPDATE on the given table.
+// Returns { setClause, params, errors }; errors follow express-validator's
+// format and list unknown fields and values that don't fit their column.
+// Parameters are named after their columns, so they can't clash with
+// camelCase route parameters such as @jobId.
+const buildUpdate = (table, body) => {
+  const columns = UPDATABLE_COLUMNS[table];
+  if (!columns) {
+    throw new Error(`No updatable columns declared for ${table}`);
+  }
+
+  const assignments = [];
+  const params = {};
+  const errors = [];
+
+  for (const [field, rawValue] of Object.entries(body || {})) {
+    if (rawValue === undefined) {
+      continue;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(columns, field)) {
+      errors.push({ type: 'field', value: rawValue, msg: 'Unknown field', path: field, location: 'body' });
+      continue;
+    }
+
+    const column = columns[field];
+    const { value, error } = convertValue(column, rawValue);
+    if (error) {
+      errors.push({ type: 'field', value: rawValue, msg: error, path: field, location: 'body' });
+      continue;
+    }
+
+    assignments.push(`${field} = @${field}`);
+    params[field] = typedParam(column.type, value);
+  }
+
+  return {
+    setClause: assignments.join(', '),
+    params,
+    errors
+  };
+};
+
+module.exports = {
+  UPDATABLE_COLUMNS,
+  buildUpdate
+};
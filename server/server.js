@@ -8,16 +8,22 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const companyRoutes = require('./routes/companies');
 const jobSeekerRoutes = require('./routes/jobseekers');
 const jobRoutes = require('./routes/jobs');
 const uploadRoutes = require('./routes/upload');
+const adminRoutes = require('./routes/admin');
 
 // Import database connection
-const { connectDB } = require('./config/database');
+const { connectDB, pingDB, getDBStats } = require('./config/database');
+const { queryContext } = require('./middleware/queryContext');
+const { processDueErasures } = require('./services/privacy');
+const { getTransport } = require('./services/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const ERASURE_SWEEP_INTERVAL_MINUTES = parseInt(process.env.ERASURE_SWEEP_INTERVAL_MINUTES) || 60;
 
 // Security middleware
 app.use(helmet());
@@ -43,19 +49,36 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+// Record which route each database query came from
+app.use(queryContext);
+
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/companies', companyRoutes);
 app.use('/api/jobseekers', jobSeekerRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/upload', uploadRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Keypoint API is running',
-    timestamp: new Date().toISOString()
+app.use('/api/admin', adminRoutes);
+
+// Health check endpoint. Answers 503 while the database is unreachable so load
+// balancers stop routing here until the pool has reconnected.
+app.get('/api/health', async (req, res) => {
+  const database = await pingDB();
+  const { lastError, ...stats } = getDBStats();
+  const showErrors = process.env.NODE_ENV !== 'production';
+
+  res.status(database.ok ? 200 : 503).json({
+    success: database.ok,
+    message: database.ok ? 'Keypoint API is running' : 'Database unavailable',
+    timestamp: new Date().toISOString(),
+    database: {
+      status: database.ok ? 'up' : 'down',
+      latency_ms: database.latencyMs,
+      error: showErrors ? database.error : undefined,
+      ...stats,
+      lastError: showErrors ? lastError : undefined
+    }
   });
 });
 
@@ -97,9 +120,19 @@ app.use('*', (req, res) => {
 // Start server
 const startServer = async () => {
   try {
+    // Fail now rather than on the first email if mail isn't configured
+    getTransport();
+
     // Connect to database
     await connectDB();
     console.log('✅ Database connected successfully');
+
+    // Erase accounts whose deletion grace period has ended
+    const sweepErasures = () => processDueErasures()
+      .then(count => count > 0 && console.log(`🗑️  Erased ${count} account(s)`))
+      .catch(err => console.error('Erasure sweep failed:', err));
+    sweepErasures();
+    setInterval(sweepErasures, ERASURE_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
     
     app.listen(PORT, () => {
       console.log(`🚀 Keypoint server running on port ${PORT}`);
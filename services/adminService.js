@@ -0,0 +1,186 @@
+// services/adminService.js - User moderation, impersonation, job moderation and platform statistics
+const crypto = require('crypto');
+const { dbHelpers } = require('../config/database');
+const { revokeAllSessions, generateImpersonationToken } = require('../middleware/auth');
+const adminRepository = require('../repositories/adminRepository');
+const jobRepository = require('../repositories/jobRepository');
+const jobService = require('./jobService');
+const jobSeekerService = require('./jobSeekerService');
+const { pageOffset, buildPagination } = require('./pagination');
+
+const listUsers = async ({ search, userType, status, page, limit }) => {
+  const users = await adminRepository.listUsers({
+    search,
+    userType,
+    status,
+    offset: pageOffset(page, limit),
+    limit: parseInt(limit)
+  });
+
+  return { users, pagination: buildPagination(users, page, limit) };
+};
+
+// Get a user's account without credentials or one-time tokens
+const getUser = async (userId) => {
+  const user = await dbHelpers.getUserById(userId);
+  if (!user) {
+    return undefined;
+  }
+
+  const {
+    password_hash,
+    verification_token,
+    verification_token_expires,
+    reset_token,
+    reset_token_expires,
+    totp_secret,
+    totp_pending_secret,
+    unlock_token,
+    ...safeUser
+  } = user;
+  return safeUser;
+};
+
+// Suspend a user and sign them out everywhere. Returns { userId } or
+// { status, message } on refusal.
+const suspendUser = async (adminId, userId, reason) => {
+  if (userId === adminId) {
+    return { status: 400, message: 'You cannot suspend your own account' };
+  }
+
+  if (!await adminRepository.suspendUser(userId, reason, adminId)) {
+    return { status: 404, message: 'User not found, already suspended or not suspendable' };
+  }
+
+  await revokeAllSessions(userId);
+  return { userId };
+};
+
+// Lift a suspension; returns false if the user was not suspended
+const reactivateUser = (userId) => adminRepository.reactivateUser(userId);
+
+// Clear the failed logins that locked an account; returns false if there is no such user
+const unlockUser = async (userId) => {
+  const user = await dbHelpers.getUserById(userId);
+  if (!user) {
+    return false;
+  }
+
+  await dbHelpers.resetLoginFailures(user.user_id);
+  return true;
+};
+
+// Record an impersonation grant and sign a token for it. Returns
+// { grant, token, user } or { status, message } on refusal.
+const startImpersonation = async (admin, userId, { reason, durationMinutes, allowDestructive }) => {
+  const user = await dbHelpers.getUserById(userId);
+  if (!user) {
+    return { status: 404, message: 'User not found' };
+  }
+
+  if (user.user_type === 'admin') {
+    return { status: 403, message: 'Administrator accounts cannot be impersonated' };
+  }
+
+  const grant = {
+    impersonationId: crypto.randomUUID(),
+    adminUserId: admin.userId,
+    targetUserId: user.user_id,
+    reason,
+    allowDestructive,
+    expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000)
+  };
+
+  await dbHelpers.createImpersonation(grant);
+
+  console.warn(`Admin ${admin.email} started impersonating user ${user.user_id} (${grant.impersonationId}): ${grant.reason}`);
+
+  return { grant, token: generateImpersonationToken(grant, user), user };
+};
+
+// End an impersonation early; returns false if it had already ended
+const endImpersonation = (impersonationId) => dbHelpers.endImpersonation(impersonationId);
+
+const listLoginAttempts = async ({ email, ipAddress, userId, succeeded, page, limit }) => {
+  const attempts = await adminRepository.listLoginAttempts({
+    email: email && email.toLowerCase(),
+    ipAddress,
+    userId,
+    succeeded,
+    offset: pageOffset(page, limit),
+    limit: parseInt(limit)
+  });
+
+  return { attempts, pagination: buildPagination(attempts, page, limit) };
+};
+
+const listImpersonations = async ({ adminUserId, targetUserId, active, page, limit }) => {
+  const impersonations = await adminRepository.listImpersonations({
+    adminUserId,
+    targetUserId,
+    active,
+    offset: pageOffset(page, limit),
+    limit: parseInt(limit)
+  });
+
+  return { impersonations, pagination: buildPagination(impersonations, page, limit) };
+};
+
+const getImpersonationRequests = (impersonationId) => adminRepository.listImpersonationRequests(impersonationId);
+
+const listJobs = async ({ search, status, companyId, moderated, deleted, page, limit }) => {
+  const jobs = await jobRepository.listForModeration({
+    search,
+    status,
+    companyId,
+    moderated,
+    deleted,
+    offset: pageOffset(page, limit),
+    limit: parseInt(limit)
+  });
+
+  return { jobs, pagination: buildPagination(jobs, page, limit) };
+};
+
+// Close a job as a moderator; returns undefined if there is no such job
+const closeJob = (adminId, jobId, reason) => jobRepository.closeByModerator(jobId, adminId, reason);
+
+// Permanently remove jobs, education and work experience deleted before the
+// given time; returns how many of each went
+const purgeDeletedRecords = async (deletedBefore) => {
+  const jobs = await jobService.purgeDeletedJobs(deletedBefore);
+  const { education, experience } = await jobSeekerService.purgeDeletedRecords(deletedBefore);
+
+  return { jobs, education, experience };
+};
+
+const getPlatformStats = async () => {
+  const [totals, jobsByStatus, applicationsByStatus] = await Promise.all([
+    adminRepository.getPlatformStats(),
+    adminRepository.countJobsByStatus(),
+    adminRepository.countApplicationsByStatus()
+  ]);
+
+  return {
+    ...totals,
+    jobs_by_status: jobsByStatus,
+    applications_by_status: applicationsByStatus
+  };
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  unlockUser,
+  startImpersonation,
+  endImpersonation,
+  listLoginAttempts,
+  listImpersonations,
+  getImpersonationRequests,
+  listJobs,
+  closeJob,
+  purgeDeletedRecords,
+  getPlatformStats
+};
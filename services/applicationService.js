@@ -0,0 +1,107 @@
+// services/applicationService.js - Applying for jobs and reviewing applications
+const { withTransaction } = require('../config/database');
+const jobRepository = require('../repositories/jobRepository');
+const applicationRepository = require('../repositories/applicationRepository');
+const { pageRequest, buildCursorPagination } = require('./pagination');
+
+// Apply for an active job. Returns { application } or { status, message } on refusal.
+const applyForJob = async (jobseekerId, jobId, coverLetter) => {
+  const job = await jobRepository.findForApplication(jobId);
+  if (!job) {
+    return { status: 404, message: 'Job not found or not active' };
+  }
+
+  if (job.application_deadline && new Date(job.application_deadline) < new Date()) {
+    return { status: 400, message: 'Application deadline has passed' };
+  }
+
+  if (job.max_applications && job.current_applications >= job.max_applications) {
+    return { status: 400, message: 'Maximum number of applications reached for this job' };
+  }
+
+  if (await applicationRepository.exists(jobId, jobseekerId)) {
+    return { status: 409, message: 'You have already applied for this job' };
+  }
+
+  // Claim a place and create the application together, so a job that fills
+  // up in the meantime is never overshot
+  const application = await withTransaction(async (transactionQuery) => {
+    const claimed = await jobRepository.createJobRepository(transactionQuery).claimApplicationSlot(jobId);
+    if (!claimed) {
+      return null;
+    }
+
+    return applicationRepository.createApplicationRepository(transactionQuery).create({
+      jobId,
+      jobseekerId,
+      coverLetter
+    });
+  });
+
+  if (!application) {
+    return { status: 400, message: 'Maximum number of applications reached for this job' };
+  }
+
+  return { application };
+};
+
+// List a job seeker's applications, newest first. A cursor from an earlier
+// page continues from there in place of page (see pageRequest). Returns
+// { applications, pagination } or { status, message } for an invalid cursor.
+const listJobSeekerApplications = async (jobseekerId, { status, page, limit, cursor, includeTotal }) => {
+  const request = pageRequest({ page, limit, cursor, includeTotal });
+  const result = await applicationRepository.listForJobSeeker(jobseekerId, { status, page: request });
+  if (!result) {
+    return { status: 400, message: 'Invalid cursor' };
+  }
+
+  return { applications: result.rows, pagination: buildCursorPagination(result, request, page) };
+};
+
+// List the applications to one of a company's jobs, newest first, paged as
+// for listJobSeekerApplications. A deleted job's applications stay readable,
+// with job_deleted_at set, so a mistaken delete doesn't lose the applicants.
+// Returns { job_deleted_at, applications, pagination } or { status, message }
+// if the company has no such job or the cursor is invalid.
+const listJobApplications = async (companyId, jobId, { status, page, limit, cursor, includeTotal }) => {
+  const job = await jobRepository.findCompanyJob(jobId, companyId, { includeDeleted: true });
+  if (!job) {
+    return { status: 404, message: 'Job not found' };
+  }
+
+  const request = pageRequest({ page, limit, cursor, includeTotal });
+  const result = await applicationRepository.listForJob(jobId, { status, page: request });
+  if (!result) {
+    return { status: 400, message: 'Invalid cursor' };
+  }
+
+  return {
+    job_deleted_at: job.deleted_at,
+    applications: result.rows,
+    pagination: buildCursorPagination(result, request, page)
+  };
+};
+
+// Record a review of an application to one of the company's jobs. Returns
+// { application } or { status, message } if the company has no such
+// application or its job is deleted, which leaves it read-only.
+const reviewApplication = async (companyId, applicationId, review) => {
+  const application = await applicationRepository.findCompanyApplication(applicationId, companyId);
+  if (!application) {
+    return { status: 404, message: 'Application not found' };
+  }
+
+  if (application.job_deleted_at) {
+    return { status: 409, message: 'This job has been deleted. Restore it to review its applications.' };
+  }
+
+  await applicationRepository.updateReview(applicationId, review);
+  return { application };
+};
+
+module.exports = {
+  applyForJob,
+  listJobSeekerApplications,
+  listJobApplications,
+  reviewApplication
+};
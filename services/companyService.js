@@ -0,0 +1,192 @@
+// services/companyService.js - Company profile, members, security and API keys
+const crypto = require('crypto');
+const { dbHelpers } = require('../config/database');
+const { COMPANY_ROLES, hashToken, revokeAllSessions } = require('../middleware/auth');
+const companyRepository = require('../repositories/companyRepository');
+const { sendCompanyInvitationEmail } = require('./mailer');
+const { indexCompanyJobs } = require('./jobSearch');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+// Admins may only grant or change roles below their own; owners may do anything
+const canAssignRole = (actorRole, role) => {
+  return actorRole === 'owner' || COMPANY_ROLES.indexOf(role) < COMPANY_ROLES.indexOf(actorRole);
+};
+
+const getProfile = (companyId) => companyRepository.getProfile(companyId);
+
+// Update the profile; the company name is part of its jobs' search index
+const updateProfile = async (companyId, profile) => {
+  const previousName = await companyRepository.getName(companyId);
+  await companyRepository.updateProfile(companyId, profile);
+
+  if (profile.company_name !== previousName) {
+    await indexCompanyJobs(companyId);
+  }
+};
+
+const setLogoUrl = (companyId, url) => companyRepository.setLogoUrl(companyId, url);
+
+const clearLogoUrl = (companyId, url) => companyRepository.clearLogoUrl(companyId, url);
+
+const getDashboardStats = (companyId) => companyRepository.getDashboardStats(companyId);
+
+// List members and invitations that are still pending
+const listMembers = async (companyId) => {
+  const [members, invitations] = await Promise.all([
+    companyRepository.listMembers(companyId),
+    companyRepository.listPendingInvitations(companyId)
+  ]);
+
+  return { members, invitations };
+};
+
+// Invite someone to join the company by email. actor is the inviting
+// member's { userId, companyId, companyRole }. Returns { invitation } or
+// { status, message } on refusal.
+const inviteMember = async (actor, { email, role }) => {
+  if (!canAssignRole(actor.companyRole, role)) {
+    return { status: 403, message: 'You cannot invite members with this role' };
+  }
+
+  // Invitations create a new account, so the email must not be registered yet
+  if (await dbHelpers.getUserByEmail(email)) {
+    return { status: 409, message: 'An account with this email already exists' };
+  }
+
+  // Replace any pending invitation for the same address
+  await companyRepository.revokePendingInvitations(actor.companyId, email);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const invitation = await companyRepository.createInvitation({
+    companyId: actor.companyId,
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: actor.userId,
+    expiresAt
+  });
+
+  // The invitation stands even if the mail fails; inviting again replaces it
+  const companyName = await companyRepository.getName(actor.companyId);
+  sendCompanyInvitationEmail(email, companyName, role, token, INVITATION_TTL_DAYS)
+    .catch(err => console.error('Failed to send company invitation email:', err));
+
+  return { invitation };
+};
+
+const revokeInvitation = (companyId, invitationId) => companyRepository.revokeInvitation(invitationId, companyId);
+
+// Change a member's role. Returns { member } or { status, message } on refusal.
+const changeMemberRole = async (actor, memberId, role) => {
+  const member = await companyRepository.findMember(memberId, actor.companyId);
+  if (!member) {
+    return { status: 404, message: 'Member not found' };
+  }
+
+  if (!canAssignRole(actor.companyRole, member.role) || !canAssignRole(actor.companyRole, role)) {
+    return { status: 403, message: 'You cannot change this member\'s role' };
+  }
+
+  if (member.role === 'owner' && role !== 'owner' && await companyRepository.countOwners(actor.companyId) <= 1) {
+    return { status: 400, message: 'A company must have at least one owner' };
+  }
+
+  await companyRepository.updateMemberRole(memberId, role);
+  return { member: { ...member, role } };
+};
+
+// Remove a member, sign them out everywhere and revoke the API keys they
+// created. Returns { member } or { status, message } on refusal.
+const removeMember = async (actor, memberId) => {
+  const member = await companyRepository.findMember(memberId, actor.companyId);
+  if (!member) {
+    return { status: 404, message: 'Member not found' };
+  }
+
+  if (!canAssignRole(actor.companyRole, member.role)) {
+    return { status: 403, message: 'You cannot remove this member' };
+  }
+
+  if (member.role === 'owner' && await companyRepository.countOwners(actor.companyId) <= 1) {
+    return { status: 400, message: 'A company must have at least one owner' };
+  }
+
+  await companyRepository.deleteMember(memberId);
+  await revokeAllSessions(member.user_id);
+  await companyRepository.revokeApiKeysCreatedBy(actor.companyId, member.user_id);
+
+  return { member };
+};
+
+const getSecuritySettings = (companyId) => companyRepository.getSecuritySettings(companyId);
+
+// Change the two-factor requirement. Members without two-factor must log in
+// again when it is turned on, which walks them through enrollment.
+const updateSecuritySettings = async (companyId, requireTwoFactor) => {
+  await companyRepository.setRequireTwoFactor(companyId, requireTwoFactor);
+
+  if (requireTwoFactor) {
+    const userIds = await companyRepository.listMembersWithoutTwoFactor(companyId);
+    for (const userId of userIds) {
+      await revokeAllSessions(userId);
+    }
+  }
+};
+
+// List API keys with their scopes as arrays
+const listApiKeys = async (companyId) => {
+  const keys = await companyRepository.listApiKeys(companyId);
+
+  return keys.map(key => ({
+    ...key,
+    scopes: key.scopes ? key.scopes.split(',') : []
+  }));
+};
+
+// Create an API key. The key itself is only returned here; the prefix
+// identifies it in listings and only its hash is stored.
+const createApiKey = async (actor, { name, scopes, expiresAt }) => {
+  const keyPrefix = `kp_${crypto.randomBytes(4).toString('hex')}`;
+  const apiKey = `${keyPrefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  const uniqueScopes = [...new Set(scopes)];
+
+  const key = await companyRepository.createApiKey({
+    companyId: actor.companyId,
+    name,
+    keyPrefix,
+    keyHash: hashToken(apiKey),
+    scopes: uniqueScopes.join(','),
+    createdBy: actor.userId,
+    expiresAt: expiresAt || null
+  });
+
+  return {
+    ...key,
+    scopes: uniqueScopes,
+    api_key: apiKey
+  };
+};
+
+const revokeApiKey = (companyId, keyId) => companyRepository.revokeApiKey(keyId, companyId);
+
+module.exports = {
+  canAssignRole,
+  getProfile,
+  updateProfile,
+  setLogoUrl,
+  clearLogoUrl,
+  getDashboardStats,
+  listMembers,
+  inviteMember,
+  revokeInvitation,
+  changeMemberRole,
+  removeMember,
+  getSecuritySettings,
+  updateSecuritySettings,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,237 @@
+// services/geocoder.js - Offline geocoding of job and job seeker locations
+//
+// Locations are resolved against the gazetteer bundled in data/gazetteer.json:
+// major cities with their aliases, country names, and postcode prefixes that
+// map to one of those cities. Nothing is looked up over the network, so a
+// location the gazetteer doesn't know simply has no coordinates.
+const gazetteer = require('../data/gazetteer.json');
+
+// Mean radius of the earth, and the length of one degree of latitude
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+// Lowercase, drop accents and punctuation, so "München" finds "munchen"
+const normalizePlace = (text) => {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const countryCodes = new Map();
+Object.keys(gazetteer.countries).forEach(code => {
+  countryCodes.set(code.toLowerCase(), code);
+  gazetteer.countries[code].forEach(name => countryCodes.set(normalizePlace(name), code));
+});
+
+// Cities by every name they go by. A name can belong to several cities, in
+// which case the gazetteer lists the better known one first.
+const citiesByName = new Map();
+gazetteer.cities.forEach(city => {
+  [city.name, ...(city.aliases || [])].forEach(name => {
+    const key = normalizePlace(name);
+    if (!citiesByName.has(key)) {
+      citiesByName.set(key, []);
+    }
+    citiesByName.get(key).push(city);
+  });
+});
+
+// Longest names first, for finding a city inside text like "Berlin Mitte"
+const cityNames = [...citiesByName.keys()].sort((a, b) => b.length - a.length);
+
+const postcodeFormats = Object.keys(gazetteer.postcodes).map(country => ({
+  country,
+  pattern: new RegExp(gazetteer.postcodes[country].pattern),
+  prefixes: gazetteer.postcodes[country].prefixes
+}));
+
+// Bits of location text that say a job isn't tied to a place
+const REMOTE_PATTERN = /^(remote|anywhere|worldwide|work from home|wfh|home based|distributed)( only)?$/;
+
+const toResult = (city, source) => ({
+  latitude: city.latitude,
+  longitude: city.longitude,
+  name: city.name,
+  country: city.country,
+  source
+});
+
+// Turn free text or an ISO code into an ISO 3166 country code, or null
+const resolveCountry = (text) => {
+  if (!text) {
+    return null;
+  }
+  return countryCodes.get(normalizePlace(text)) || null;
+};
+
+const pickCity = (candidates, country) => {
+  if (!candidates) {
+    return null;
+  }
+  if (country) {
+    return candidates.find(city => city.country === country) || null;
+  }
+  return candidates[0];
+};
+
+const findCity = (part, country) => {
+  const exact = pickCity(citiesByName.get(part), country);
+  if (exact) {
+    return exact;
+  }
+
+  // A known city name as whole words somewhere in the text
+  for (const name of cityNames) {
+    const index = part.indexOf(name);
+    if (index !== -1 &&
+        (index === 0 || part[index - 1] === ' ') &&
+        (index + name.length === part.length || part[index + name.length] === ' ')) {
+      const city = pickCity(citiesByName.get(name), country);
+      if (city) {
+        return city;
+      }
+    }
+  }
+
+  return null;
+};
+
+// The city a postcode belongs to, by its longest known prefix
+const cityForPostcode = (format, postcode) => {
+  const compact = postcode.replace(/\s+/g, '');
+  // British postcodes are keyed by their area letters, the rest by leading digits
+  const key = format.country === 'GB' ? compact.match(/^[A-Z]+/)[0] : compact;
+
+  for (let length = key.length; length > 0; length--) {
+    const name = format.prefixes[key.slice(0, length)];
+    if (name) {
+      return pickCity(citiesByName.get(normalizePlace(name)), format.country);
+    }
+  }
+  return null;
+};
+
+// Find a postcode in the text. Numeric postcodes look alike across countries
+// (10115 could be Berlin or New York), so without a country one only counts
+// if exactly one country's postcodes can place it.
+const findPostcode = (text, country) => {
+  const upper = text.toUpperCase();
+  // Postcodes may contain a space ("SW1A 1AA", "1011 AB"), so try word pairs first
+  const words = upper.split(/[\s,;]+/).filter(Boolean);
+  const candidates = [];
+  for (let i = 0; i < words.length; i++) {
+    if (i + 1 < words.length) {
+      candidates.push(`${words[i]} ${words[i + 1]}`);
+    }
+    candidates.push(words[i]);
+  }
+
+  for (const candidate of candidates) {
+    const matches = postcodeFormats
+      .filter(format => (!country || format.country === country) && format.pattern.test(candidate))
+      .map(format => cityForPostcode(format, candidate))
+      .filter(Boolean);
+
+    if (matches.length === 1) {
+      return matches[0];
+    }
+  }
+  return null;
+};
+
+// Geocode a location such as "Cape Town, South Africa", "10115 Berlin" or
+// "SW1A 1AA". countryHint (a name or ISO code) settles ambiguous names and
+// postcodes when the text doesn't name a country itself. Returns { latitude, longitude, name, country, source } or null
+// when the location is remote or unknown.
+const geocode = (text, countryHint) => {
+  if (!text || !String(text).trim()) {
+    return null;
+  }
+
+  const parts = String(text)
+    .split(/[,;/|()]|\s+-\s+/)
+    .map(normalizePlace)
+    .filter(part => part && !REMOTE_PATTERN.test(part));
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  // A part naming a country narrows down the rest, and beats the hint
+  let country = null;
+  const places = parts.filter(part => {
+    const code = countryCodes.get(part);
+    if (code && !citiesByName.has(part)) {
+      country = country || code;
+      return false;
+    }
+    return true;
+  });
+  const hinted = !country;
+  country = country || resolveCountry(countryHint);
+
+  for (const part of places) {
+    // The hint only breaks ties: "London" is London even for a German company
+    const city = findCity(part, country) || (hinted && country ? findCity(part, null) : null);
+    if (city) {
+      return toResult(city, 'city');
+    }
+  }
+
+  const postcodeCity = findPostcode(String(text), country);
+  if (postcodeCity) {
+    return toResult(postcodeCity, 'postcode');
+  }
+
+  return null;
+};
+
+// Geocode the first of several location fields that resolves, e.g. a job
+// seeker's city before their full address
+const geocodeFirst = (texts, countryHint) => {
+  for (const text of texts) {
+    const place = geocode(text, countryHint);
+    if (place) {
+      return place;
+    }
+  }
+  return null;
+};
+
+// Great-circle distance in kilometres
+const distanceKm = (from, to) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// The latitude/longitude box that contains every point within radiusKm of
+// origin, for narrowing a search down before distances are worked out
+const boundingBox = (origin, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const lonScale = Math.max(Math.cos(origin.latitude * Math.PI / 180), 0.01);
+  const lonDelta = Math.min(180, radiusKm / (KM_PER_DEGREE * lonScale));
+
+  return {
+    minLatitude: origin.latitude - latDelta,
+    maxLatitude: origin.latitude + latDelta,
+    minLongitude: origin.longitude - lonDelta,
+    maxLongitude: origin.longitude + lonDelta
+  };
+};
+
+module.exports = {
+  KM_PER_DEGREE,
+  resolveCountry,
+  geocode,
+  geocodeFirst,
+  distanceKm,
+  boundingBox
+};
@@ -0,0 +1,287 @@
+// services/jobSearch.js - Full-text job search: query parsing, the search index and snippets
+//
+// Each job's title, company name, description and requirements are split into
+// terms and stored in JobSearchTerms, so a search looks terms up by index
+// instead of scanning every row with LIKE '%...%'. Each row carries a weight
+// (field weight times the number of hits, capped), and a job's relevance is
+// the sum of the weights of the terms it matched.
+//
+// Query syntax:
+//   node developer       both words, anywhere
+//   "node developer"     the exact phrase
+//   -php, -"team lead"   leave out jobs with the word or phrase
+//   react OR vue         either word
+//   dev*                 words starting with dev
+const { withTransaction } = require('../config/database');
+const jobRepository = require('../repositories/jobRepository');
+
+// Title matches count ten times a description match
+const FIELD_WEIGHTS = {
+  title: 10,
+  company: 4,
+  requirements: 2,
+  description: 1
+};
+
+// Repeated words stop adding weight after this many hits in one field
+const MAX_COUNTED_HITS = 3;
+const MAX_TERM_LENGTH = 64;
+const MAX_QUERY_ITEMS = 20;
+const SNIPPET_WORDS = 30;
+const SNIPPET_LEAD_WORDS = 5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'our', 'the', 'to', 'we', 'with', 'you', 'your'
+]);
+
+// Letters and digits, keeping the + and # in names like C++ and C#
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'s)?[+#]*/gu;
+
+// Lowercase and drop accents and plurals, so "Résumés" finds "resume"
+const normalizeWord = (word) => {
+  let term = word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+  if (term.endsWith('\'s')) {
+    term = term.slice(0, -2);
+  } else if (term.length > 4 && term.endsWith('s') && !term.endsWith('ss')) {
+    term = term.slice(0, -1);
+  }
+
+  return term.slice(0, MAX_TERM_LENGTH);
+};
+
+// Split text into terms with their positions in the original text
+const tokenize = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  return [...String(text).matchAll(WORD_PATTERN)].map(match => ({
+    term: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+// The search terms a job's text produces, one per field and term
+const buildSearchTerms = (document) => {
+  const rows = [];
+
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    const hits = new Map();
+
+    tokenize(document[field]).forEach(({ term }) => {
+      if (!STOP_WORDS.has(term)) {
+        hits.set(term, (hits.get(term) || 0) + 1);
+      }
+    });
+
+    hits.forEach((count, term) => {
+      rows.push({ field, term, hits: count, weight: FIELD_WEIGHTS[field] * Math.min(count, MAX_COUNTED_HITS) });
+    });
+  });
+
+  return rows;
+};
+
+// Split a query into words, "phrases", - and OR, keeping the quotes
+const splitQuery = (text) => {
+  return String(text).match(/-?"[^"]*"?|\S+/g) || [];
+};
+
+// A phrase is matched as written; its terms are the words that are in the
+// index, i.e. not stop words
+const phraseItem = (phrase, words) => {
+  return { phrase, terms: words.filter(term => !STOP_WORDS.has(term)) };
+};
+
+const parseItem = (raw) => {
+  if (raw.startsWith('"')) {
+    const phrase = raw.replace(/^"|"$/g, '').trim();
+    const words = tokenize(phrase).map(token => token.term);
+
+    if (words.length === 0) {
+      return null;
+    }
+    return words.length === 1 ? { term: words[0], prefix: false } : phraseItem(phrase, words);
+  }
+
+  const prefix = raw.endsWith('*');
+  const terms = tokenize(raw).map(token => token.term);
+
+  // Punctuation-joined words like node.js are treated as a phrase
+  if (terms.length > 1) {
+    return phraseItem(raw.replace(/\*$/, ''), terms);
+  }
+  if (terms.length === 0 || (!prefix && STOP_WORDS.has(terms[0]))) {
+    return null;
+  }
+  return { term: terms[0], prefix };
+};
+
+// Parse a search query. Returns null when nothing in it can be searched for,
+// otherwise { required, excluded, terms }: required is a list of clauses that
+// must all match, each a list of alternatives; terms are the words to rank
+// and highlight by.
+const parseSearchQuery = (text) => {
+  if (!text || !String(text).trim()) {
+    return null;
+  }
+
+  const required = [];
+  const excluded = [];
+  let joinNext = false;
+
+  for (const raw of splitQuery(text).slice(0, MAX_QUERY_ITEMS)) {
+    if (raw === 'OR') {
+      joinNext = required.length > 0;
+      continue;
+    }
+
+    if (raw.startsWith('-') && raw.length > 1) {
+      const item = parseItem(raw.slice(1));
+      if (item) {
+        excluded.push(item);
+      }
+      joinNext = false;
+      continue;
+    }
+
+    const item = parseItem(raw);
+    if (!item) {
+      continue;
+    }
+
+    if (joinNext) {
+      required[required.length - 1].push(item);
+    } else {
+      required.push([item]);
+    }
+    joinNext = false;
+  }
+
+  if (required.length === 0 && excluded.length === 0) {
+    return null;
+  }
+
+  const terms = [...new Map(
+    required.flat().flatMap(item => item.terms
+      ? item.terms.map(term => [term, { term, prefix: false }])
+      : [[item.term, item]])
+  ).values()];
+
+  return { required, excluded, terms };
+};
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const matchesQueryTerm = (term, queryTerms) => {
+  return queryTerms.some(queryTerm => queryTerm.prefix ? term.startsWith(queryTerm.term) : term === queryTerm.term);
+};
+
+// HTML-escape text and wrap the words that matched in <mark>. With
+// maxWords, only the window of that many words with the most matches is
+// kept, with ellipses where text was cut.
+const highlight = (text, searchQuery, maxWords) => {
+  if (!text) {
+    return text || null;
+  }
+
+  const tokens = tokenize(text);
+  const matched = tokens.map(token => matchesQueryTerm(token.term, searchQuery.terms));
+
+  let first = 0;
+  let last = tokens.length;
+
+  if (maxWords && tokens.length > maxWords) {
+    let best = 0;
+    let count = matched.slice(0, maxWords).filter(Boolean).length;
+    let bestCount = count;
+
+    for (let start = 1; start + maxWords <= tokens.length; start++) {
+      count += (matched[start + maxWords - 1] ? 1 : 0) - (matched[start - 1] ? 1 : 0);
+      if (count > bestCount) {
+        best = start;
+        bestCount = count;
+      }
+    }
+
+    // Start a few words before the first match rather than right on it
+    const firstMatch = matched.indexOf(true, best);
+    first = firstMatch === -1 ? 0 : Math.max(0, Math.min(firstMatch - SNIPPET_LEAD_WORDS, tokens.length - maxWords));
+    last = first + maxWords;
+  }
+
+  const from = first === 0 ? 0 : tokens[first].start;
+  const to = last >= tokens.length ? text.length : tokens[last - 1].end;
+
+  let html = '';
+  let position = from;
+
+  for (let i = first; i < last; i++) {
+    if (matched[i]) {
+      html += escapeHtml(text.slice(position, tokens[i].start));
+      html += `<mark>${escapeHtml(text.slice(tokens[i].start, tokens[i].end))}</mark>`;
+      position = tokens[i].end;
+    }
+  }
+  html += escapeHtml(text.slice(position, to));
+
+  return `${from > 0 ? '…' : ''}${html.trim()}${to < text.length ? '…' : ''}`;
+};
+
+// Add highlighted snippets of the title, description and requirements to
+// each job. Text is HTML-escaped, so snippets can be rendered as HTML.
+const withSnippets = (jobs, searchQuery) => {
+  if (!searchQuery || searchQuery.terms.length === 0) {
+    return jobs;
+  }
+
+  return jobs.map(job => ({
+    ...job,
+    snippets: {
+      title: highlight(job.title, searchQuery),
+      description: highlight(job.description, searchQuery, SNIPPET_WORDS),
+      requirements: job.requirements !== undefined
+        ? highlight(job.requirements, searchQuery, SNIPPET_WORDS)
+        : undefined
+    }
+  }));
+};
+
+// Rebuild a job's search terms. Pass a job repository bound to a transaction
+// to index as part of it.
+const indexJob = async (jobId, jobs) => {
+  if (!jobs) {
+    return withTransaction(transactionQuery => indexJob(jobId, jobRepository.createJobRepository(transactionQuery)));
+  }
+
+  const document = await jobs.getSearchDocument(jobId);
+  await jobs.replaceSearchTerms(jobId, document ? buildSearchTerms(document) : []);
+};
+
+// Reindex every job of a company, after its name changed
+const indexCompanyJobs = async (companyId) => {
+  for (const jobId of await jobRepository.listIdsByCompany(companyId)) {
+    await indexJob(jobId);
+  }
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  tokenize,
+  buildSearchTerms,
+  parseSearchQuery,
+  highlight,
+  withSnippets,
+  indexJob,
+  indexCompanyJobs
+};
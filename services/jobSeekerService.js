@@ -0,0 +1,173 @@
+// services/jobSeekerService.js - Job seeker profiles, education, experience and saved jobs
+const { withTransaction } = require('../config/database');
+const { buildUpdate } = require('../config/updateBuilder');
+const jobRepository = require('../repositories/jobRepository');
+const jobSeekerRepository = require('../repositories/jobSeekerRepository');
+const { pageOffset, buildPagination } = require('./pagination');
+const { geocodeFirst } = require('./geocoder');
+
+// Get a job seeker's profile with skills, education and experience, or null if there is none
+const getProfile = async (userId) => {
+  const profile = await jobSeekerRepository.getProfile(userId);
+  if (!profile) {
+    return null;
+  }
+
+  const [skills, education, experience] = await Promise.all([
+    jobSeekerRepository.getSkills(profile.jobseeker_id),
+    jobSeekerRepository.listEducation(profile.jobseeker_id),
+    jobSeekerRepository.listExperience(profile.jobseeker_id)
+  ]);
+
+  return { ...profile, skills, education, experience };
+};
+
+// Replace the profile fields, geocoding the job seeker from their city or
+// address so job searches can default to jobs near them
+const updateProfile = (userId, profile) => {
+  const place = geocodeFirst([profile.city, profile.address], profile.country);
+  return jobSeekerRepository.updateProfile(userId, profile, place);
+};
+
+const setCvUrl = (userId, url) => jobSeekerRepository.setCvUrl(userId, url);
+
+const setProfilePictureUrl = (userId, url) => jobSeekerRepository.setProfilePictureUrl(userId, url);
+
+// Replace the skill list in one transaction so a failed insert keeps the old list
+const replaceSkills = async (jobseekerId, skills) => {
+  await withTransaction(async (transactionQuery) => {
+    const jobSeekers = jobSeekerRepository.createJobSeekerRepository(transactionQuery);
+    await jobSeekers.clearSkills(jobseekerId);
+
+    for (const skill of skills) {
+      await jobSeekers.addSkill(jobseekerId, skill);
+    }
+  });
+};
+
+const addEducation = (jobseekerId, education) => jobSeekerRepository.addEducation(jobseekerId, education);
+
+// Apply a partial update to a record the job seeker owns. Returns {} or
+// { status, message, errors } on refusal.
+const updateOwnRecord = async ({ table, find, update, notFoundMessage }, recordId, jobseekerId, changes) => {
+  if (!await find(recordId, jobseekerId)) {
+    return { status: 404, message: notFoundMessage };
+  }
+
+  const built = buildUpdate(table, changes);
+
+  if (built.errors.length > 0) {
+    return { status: 400, message: 'Validation failed', errors: built.errors };
+  }
+
+  if (!built.setClause) {
+    return { status: 400, message: 'No fields to update' };
+  }
+
+  await update(recordId, built);
+  return {};
+};
+
+const EDUCATION_RECORDS = {
+  table: 'Education',
+  find: jobSeekerRepository.findEducation,
+  update: jobSeekerRepository.updateEducation,
+  notFoundMessage: 'Education record not found'
+};
+
+const EXPERIENCE_RECORDS = {
+  table: 'WorkExperience',
+  find: jobSeekerRepository.findExperience,
+  update: jobSeekerRepository.updateExperience,
+  notFoundMessage: 'Work experience not found'
+};
+
+const updateEducation = (jobseekerId, educationId, changes) => {
+  return updateOwnRecord(EDUCATION_RECORDS, educationId, jobseekerId, changes);
+};
+
+// Soft-delete an education record; returns false if the job seeker has no such record
+const deleteEducation = async (jobseekerId, educationId) => {
+  if (!await jobSeekerRepository.findEducation(educationId, jobseekerId)) {
+    return false;
+  }
+
+  await jobSeekerRepository.deleteEducation(educationId);
+  return true;
+};
+
+// Bring back a deleted education record; returns false if there is no such deleted record
+const restoreEducation = (jobseekerId, educationId) => jobSeekerRepository.restoreEducation(educationId, jobseekerId);
+
+const addExperience = (jobseekerId, experience) => jobSeekerRepository.addExperience(jobseekerId, experience);
+
+const updateExperience = (jobseekerId, experienceId, changes) => {
+  return updateOwnRecord(EXPERIENCE_RECORDS, experienceId, jobseekerId, changes);
+};
+
+// Soft-delete a work experience record; returns false if the job seeker has no such record
+const deleteExperience = async (jobseekerId, experienceId) => {
+  if (!await jobSeekerRepository.findExperience(experienceId, jobseekerId)) {
+    return false;
+  }
+
+  await jobSeekerRepository.deleteExperience(experienceId);
+  return true;
+};
+
+// Bring back a deleted work experience record; returns false if there is no such deleted record
+const restoreExperience = (jobseekerId, experienceId) => jobSeekerRepository.restoreExperience(experienceId, jobseekerId);
+
+// Permanently remove education and experience deleted before the given time
+const purgeDeletedRecords = async (deletedBefore) => {
+  const education = await jobSeekerRepository.purgeDeletedEducation(deletedBefore);
+  const experience = await jobSeekerRepository.purgeDeletedExperience(deletedBefore);
+  return { education, experience };
+};
+
+// Save a job, or unsave it if it was already saved. Returns whether the job
+// is now saved, or null if the job doesn't exist.
+const toggleSavedJob = async (jobseekerId, jobId) => {
+  if (!await jobRepository.exists(jobId)) {
+    return null;
+  }
+
+  if (await jobSeekerRepository.isJobSaved(jobseekerId, jobId)) {
+    await jobSeekerRepository.unsaveJob(jobseekerId, jobId);
+    return false;
+  }
+
+  await jobSeekerRepository.saveJob(jobseekerId, jobId);
+  return true;
+};
+
+const listSavedJobs = async (jobseekerId, { page, limit }) => {
+  const jobs = await jobSeekerRepository.listSavedJobs(jobseekerId, {
+    offset: pageOffset(page, limit),
+    limit: parseInt(limit)
+  });
+
+  return { jobs, pagination: buildPagination(jobs, page, limit) };
+};
+
+const getDashboardStats = (jobseekerId) => jobSeekerRepository.getDashboardStats(jobseekerId);
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  setCvUrl,
+  setProfilePictureUrl,
+  replaceSkills,
+  addEducation,
+  updateEducation,
+  deleteEducation,
+  restoreEducation,
+  addExperience,
+  updateExperience,
+  deleteExperience,
+  restoreExperience,
+  purgeDeletedRecords,
+  toggleSavedJob,
+  listSavedJobs,
+  getDashboardStats
+};
@@ -0,0 +1,305 @@
+// services/jobService.js - Public job board and company job management
+const { withTransaction } = require('../config/database');
+const { buildUpdate } = require('../config/updateBuilder');
+const jobRepository = require('../repositories/jobRepository');
+const companyRepository = require('../repositories/companyRepository');
+const jobSeekerRepository = require('../repositories/jobSeekerRepository');
+const { pageOffset, buildPagination, pageRequest, buildCursorPagination } = require('./pagination');
+const { parseSearchQuery, withSnippets, indexJob } = require('./jobSearch');
+const { geocode, distanceKm } = require('./geocoder');
+
+// Count views without making the caller wait for it
+const countViews = (jobIds) => {
+  jobRepository.incrementViews(jobIds).catch(err =>
+    console.error('Failed to update view counts:', err)
+  );
+};
+
+// Add facet counts to a result when any were asked for
+const withFacets = (result, facetCounts) => {
+  return facetCounts ? { ...result, facets: facetCounts } : result;
+};
+
+// List open jobs. filters.search is a full-text query (see jobSearch.js);
+// matching jobs get highlighted snippets. facets names the facets (see
+// jobRepository.FACETS) to count jobs by. A cursor from an earlier page's
+// pagination continues from there in place of page (see pageRequest).
+// jobseekerId, when given, adds has_applied/is_saved to each job. Returns
+// { jobs, pagination, facets? } or { status, message } for an invalid cursor.
+const listJobs = async ({ filters, sortBy, sortOrder, page, limit, cursor, includeTotal, facets }, jobseekerId) => {
+  const textQuery = parseSearchQuery(filters.search);
+  const request = pageRequest({ page, limit, cursor, includeTotal });
+  const [result, facetCounts] = await Promise.all([
+    jobRepository.listOpen({
+      filters,
+      textQuery,
+      sortBy,
+      sortOrder,
+      page: request,
+      jobseekerId
+    }),
+    facets && facets.length > 0 ? jobRepository.countListFacets({ filters, textQuery, facets }) : null
+  ]);
+
+  if (!result) {
+    return { status: 400, message: 'Invalid cursor' };
+  }
+
+  const jobs = withSnippets(result.rows, textQuery);
+
+  if (jobs.length > 0) {
+    countViews(jobs.map(job => job.job_id));
+  }
+
+  return withFacets({ jobs, pagination: buildCursorPagination(result, request, page) }, facetCounts);
+};
+
+// Where a search is centred: the given coordinates, else the location text
+// if the gazetteer knows it, else (when jobseekerId is given) the job
+// seeker's own coordinates. Returns null when there is nowhere to measure from.
+const resolveSearchOrigin = async (criteria, jobseekerId) => {
+  if (criteria.latitude !== undefined && criteria.longitude !== undefined) {
+    return { latitude: parseFloat(criteria.latitude), longitude: parseFloat(criteria.longitude), source: 'coordinates' };
+  }
+
+  if (criteria.location) {
+    return geocode(criteria.location);
+  }
+
+  if (jobseekerId) {
+    const coordinates = await jobSeekerRepository.getCoordinates(jobseekerId);
+    if (coordinates) {
+      return { latitude: coordinates.latitude, longitude: coordinates.longitude, source: 'profile' };
+    }
+  }
+
+  return null;
+};
+
+// Add distance_km from origin to each job; null for jobs with no coordinates
+const withDistances = (jobs, origin) => {
+  if (!origin) {
+    return jobs;
+  }
+
+  return jobs.map(job => ({
+    ...job,
+    distance_km: job.latitude === null || job.latitude === undefined
+      ? null
+      : Math.round(distanceKm(origin, job) * 10) / 10
+  }));
+};
+
+// Search active jobs with the advanced criteria. criteria.keywords is a
+// full-text query; matching jobs get highlighted snippets. With a radius or
+// sort_by distance, jobs are measured from the search origin (see
+// resolveSearchOrigin) and fully remote jobs are kept unless
+// criteria.include_remote is false. facets and cursor work as for listJobs.
+// Returns { jobs, origin, pagination, facets? } or { status, message } when a
+// distance search has no origin or the cursor is invalid.
+const searchJobs = async ({ criteria, sortBy, page, limit, cursor, includeTotal, facets }, jobseekerId) => {
+  const radiusKm = criteria.radius ? parseInt(criteria.radius) : null;
+  const byDistance = !!radiusKm || sortBy === 'distance';
+  const origin = await resolveSearchOrigin(criteria, byDistance ? jobseekerId : null);
+
+  if (byDistance && !origin) {
+    return {
+      status: 400,
+      message: criteria.location
+        ? 'Location not recognised; use a city or postcode, or give latitude and longitude'
+        : 'A location, or latitude and longitude, is needed to search by distance'
+    };
+  }
+
+  // Within a radius, distance decides what is near: also matching the
+  // location text would leave out jobs in the next town
+  const filters = origin && radiusKm ? { ...criteria, location: undefined } : criteria;
+
+  const textQuery = parseSearchQuery(criteria.keywords);
+  const geo = origin ? { origin, radiusKm, includeRemote: criteria.include_remote !== false } : null;
+  const request = pageRequest({ page, limit, cursor, includeTotal });
+  const [result, facetCounts] = await Promise.all([
+    jobRepository.search({
+      criteria: filters,
+      textQuery,
+      geo,
+      sortBy,
+      page: request,
+      jobseekerId
+    }),
+    facets && facets.length > 0 ? jobRepository.countSearchFacets({ criteria: filters, textQuery, geo, facets }) : null
+  ]);
+
+  if (!result) {
+    return { status: 400, message: 'Invalid cursor' };
+  }
+
+  const jobs = withSnippets(withDistances(result.rows, origin), textQuery);
+
+  return withFacets({ jobs, origin, pagination: buildCursorPagination(result, request, page) }, facetCounts);
+};
+
+// Get an active job with its skills and similar jobs, or null if there is none
+const getJobDetails = async (jobId, jobseekerId) => {
+  const job = await jobRepository.findActiveById(jobId, jobseekerId);
+  if (!job) {
+    return null;
+  }
+
+  const [skills, similarJobs] = await Promise.all([
+    jobRepository.getSkills(jobId),
+    jobRepository.findSimilar(job)
+  ]);
+
+  countViews([job.job_id]);
+
+  return {
+    ...job,
+    skills,
+    similar_jobs: similarJobs
+  };
+};
+
+const getOverviewStats = () => jobRepository.getOverviewStats();
+
+const getFilterOptions = () => jobRepository.getFilterOptions();
+
+const getTrendingJobs = (limit) => jobRepository.getTrending(parseInt(limit));
+
+// Get a company's public profile and active jobs, or null if the company doesn't exist
+const getCompanyJobs = async (companyId, { page, limit }, jobseekerId) => {
+  const company = await companyRepository.findPublicById(companyId);
+  if (!company) {
+    return null;
+  }
+
+  const jobs = await jobRepository.listActiveByCompany(companyId, {
+    offset: pageOffset(page, limit),
+    limit: parseInt(limit),
+    jobseekerId
+  });
+
+  return { company, jobs, pagination: buildPagination(jobs, page, limit) };
+};
+
+// List skills, also grouped by category
+const getSkills = async (category) => {
+  const skills = await jobRepository.listSkills(category);
+
+  const skillsByCategory = skills.reduce((acc, skill) => {
+    const group = skill.category || 'Other';
+    if (!acc[group]) {
+      acc[group] = [];
+    }
+    acc[group].push({
+      skill_id: skill.skill_id,
+      skill_name: skill.skill_name
+    });
+    return acc;
+  }, {});
+
+  return { skills, skills_by_category: skillsByCategory };
+};
+
+// List all of a company's jobs, whatever their status
+const listCompanyJobs = async (companyId, { status, page, limit }) => {
+  const jobs = await jobRepository.listByCompany(companyId, {
+    status,
+    offset: pageOffset(page, limit),
+    limit: parseInt(limit)
+  });
+
+  return { jobs, pagination: buildPagination(jobs, page, limit) };
+};
+
+// Geocode a job's location, using the company's country to settle
+// ambiguous names. Null for remote or unknown locations.
+const locateJob = async (companyId, location) => {
+  return geocode(location, await companyRepository.getCountry(companyId));
+};
+
+// Create a job with its skills. The job and its skills are saved together or not at all.
+const createJob = async (companyId, job) => {
+  const place = await locateJob(companyId, job.location);
+
+  return withTransaction(async (transactionQuery) => {
+    const jobs = jobRepository.createJobRepository(transactionQuery);
+    const newJob = await jobs.create(companyId, job, place);
+
+    if (job.skills && Array.isArray(job.skills)) {
+      for (const skill of job.skills) {
+        await jobs.addSkill(newJob.job_id, skill);
+      }
+    }
+
+    await indexJob(newJob.job_id, jobs);
+    return newJob;
+  });
+};
+
+// Update one of a company's jobs. Returns { job } or { status, message, errors } on refusal.
+const updateJob = async (companyId, jobId, changes) => {
+  const job = await jobRepository.findCompanyJob(jobId, companyId);
+  if (!job) {
+    return { status: 404, message: 'Job not found' };
+  }
+
+  // Jobs closed by a moderator can't be reopened by the company
+  if (job.moderated_at && changes.status && changes.status !== 'closed') {
+    return { status: 403, message: 'This job was closed by a moderator and cannot be reopened' };
+  }
+
+  const update = buildUpdate('Jobs', changes);
+
+  if (update.errors.length > 0) {
+    return { status: 400, message: 'Validation failed', errors: update.errors };
+  }
+
+  if (!update.setClause) {
+    return { status: 400, message: 'No fields to update' };
+  }
+
+  await jobRepository.update(jobId, update);
+  if (changes.location !== undefined) {
+    await jobRepository.setCoordinates(jobId, await locateJob(companyId, changes.location));
+  }
+  await indexJob(jobId);
+  return { job };
+};
+
+// Soft-delete one of a company's jobs, keeping its applications; returns
+// false if the company has no such job
+const deleteJob = async (companyId, jobId) => {
+  const job = await jobRepository.findCompanyJob(jobId, companyId);
+  if (!job) {
+    return false;
+  }
+
+  await jobRepository.softDelete(jobId);
+  return true;
+};
+
+// Bring back a deleted job; returns false if the company has no such deleted job
+const restoreJob = (companyId, jobId) => jobRepository.restore(jobId, companyId);
+
+// Permanently remove jobs deleted before the given time, except those with
+// applications; returns how many went
+const purgeDeletedJobs = (deletedBefore) => jobRepository.purgeDeleted(deletedBefore);
+
+module.exports = {
+  FACETS: jobRepository.FACETS,
+  listJobs,
+  searchJobs,
+  getJobDetails,
+  getOverviewStats,
+  getFilterOptions,
+  getTrendingJobs,
+  getCompanyJobs,
+  getSkills,
+  listCompanyJobs,
+  createJob,
+  updateJob,
+  deleteJob,
+  restoreJob,
+  purgeDeletedJobs
+};
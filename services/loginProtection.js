@@ -0,0 +1,83 @@
+// services/loginProtection.js - Brute-force protection for login
+const crypto = require('crypto');
+const { dbHelpers } = require('../config/database');
+const { hashToken } = require('../middleware/auth');
+const { sendAccountLockedEmail } = require('./mailer');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+// Lockout length doubles with every lockout since the last successful login
+const getLockoutMinutes = (lockoutCount) => {
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockoutCount, LOCKOUT_MAX_MINUTES);
+};
+
+// Seconds until the account unlocks, or 0 if it is not locked
+const getLockRemainingSeconds = (user) => {
+  if (!user || !user.locked_until) {
+    return 0;
+  }
+  const remaining = new Date(user.locked_until).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Seconds until this IP may try again, or 0 if it is under the limit
+const getIpThrottleSeconds = async (ipAddress) => {
+  const failures = await dbHelpers.countRecentFailedLogins(ipAddress, IP_WINDOW_MINUTES);
+  return failures >= IP_MAX_FAILED_ATTEMPTS ? IP_WINDOW_MINUTES * 60 : 0;
+};
+
+// Record a failed attempt and lock the account once it reaches the limit
+const recordFailedLogin = async ({ email, user, req, reason }) => {
+  await dbHelpers.recordLoginAttempt({
+    email,
+    userId: user ? user.user_id : null,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') ? req.get('user-agent').substring(0, 500) : null,
+    succeeded: false,
+    failureReason: reason
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const counters = await dbHelpers.incrementFailedLogins(user.user_id);
+
+  if (counters.failed_login_count >= MAX_FAILED_ATTEMPTS) {
+    const lockoutMinutes = getLockoutMinutes(counters.lockout_count);
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+
+    await dbHelpers.lockUser(user.user_id, lockedUntil, hashToken(unlockToken));
+
+    sendAccountLockedEmail(user.email, unlockToken, lockoutMinutes)
+      .catch(err => console.error('Failed to send account locked email:', err));
+  }
+};
+
+// Record a successful login and clear the failure counters
+const recordSuccessfulLogin = async ({ user, req }) => {
+  await dbHelpers.recordLoginAttempt({
+    email: user.email,
+    userId: user.user_id,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') ? req.get('user-agent').substring(0, 500) : null,
+    succeeded: true,
+    failureReason: null
+  });
+
+  if (user.failed_login_count || user.lockout_count || user.locked_until) {
+    await dbHelpers.resetLoginFailures(user.user_id);
+  }
+};
+
+module.exports = {
+  getLockRemainingSeconds,
+  getIpThrottleSeconds,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
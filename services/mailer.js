@@ -0,0 +1,184 @@
+// services/mailer.js - Outgoing mail with pluggable transports
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Keypoint <no-reply@keypoint.local>';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Escape user-supplied values before putting them into HTML bodies
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Writes each message as a JSON file, used in development and tests
+const createFileTransport = (outboxDir) => {
+  if (!fs.existsSync(outboxDir)) {
+    fs.mkdirSync(outboxDir, { recursive: true });
+  }
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        messageId,
+        sentAt: new Date().toISOString(),
+        ...message
+      }, null, 2));
+      return { messageId };
+    }
+  };
+};
+
+// Sends through an SMTP server (a local stand-in such as MailHog in development)
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Logs messages instead of sending them
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: null };
+  }
+});
+
+// MAIL_TRANSPORT, or the file outbox outside production. Production has to
+// choose: defaulting there would quietly write every verification and
+// password reset link to disk instead of sending it.
+const configuredTransportType = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production (smtp or console)');
+  }
+  return 'file';
+};
+
+const createTransport = (type = configuredTransportType()) => {
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport(process.env.MAIL_OUTBOX_PATH || './outbox');
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport;
+
+// Replace the active transport (e.g. with a custom or in-memory one)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Send a message through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Email verification message
+const sendVerificationEmail = async (email, token, expiresInHours) => {
+  const link = `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: email,
+    subject: 'Verify your Keypoint account',
+    text: `Welcome to Keypoint!\n\nPlease confirm your email address by opening the link below. It expires in ${expiresInHours} hours:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Welcome to Keypoint!</p><p>Please confirm your email address by clicking the link below. It expires in ${expiresInHours} hours.</p><p><a href="${link}">Verify my email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+};
+
+// Password reset message
+const sendPasswordResetEmail = async (email, token, expiresInMinutes) => {
+  const link = `${CLIENT_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: email,
+    subject: 'Reset your Keypoint password',
+    text: `We received a request to reset your password.\n\nOpen the link below to choose a new one. It expires in ${expiresInMinutes} minutes and can only be used once:\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>We received a request to reset your password.</p><p>Click the link below to choose a new one. It expires in ${expiresInMinutes} minutes and can only be used once.</p><p><a href="${link}">Reset my password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+// Account locked after repeated failed logins
+const sendAccountLockedEmail = async (email, token, lockoutMinutes) => {
+  const link = `${CLIENT_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: email,
+    subject: 'Your Keypoint account has been locked',
+    text: `We locked your account for ${lockoutMinutes} minutes after several failed login attempts.\n\nIf this was you, open the link below to unlock it now:\n\n${link}\n\nIf it wasn't you, someone may be trying to guess your password. Consider resetting it once you are back in.`,
+    html: `<p>We locked your account for ${lockoutMinutes} minutes after several failed login attempts.</p><p>If this was you, click the link below to unlock it now:</p><p><a href="${link}">Unlock my account</a></p><p>If it wasn't you, someone may be trying to guess your password. Consider resetting it once you are back in.</p>`
+  });
+};
+
+// Account erasure scheduled; the user can cancel until it runs
+const sendErasureScheduledEmail = async (email, scheduledFor) => {
+  const link = `${CLIENT_URL}/settings/privacy`;
+  const date = scheduledFor.toUTCString();
+  return sendMail({
+    to: email,
+    subject: 'Your Keypoint account is scheduled for deletion',
+    text: `We received a request to delete your account. Your profile, documents and personal data will be erased on ${date}.\n\nChanged your mind? Log in and cancel the deletion before then:\n\n${link}`,
+    html: `<p>We received a request to delete your account. Your profile, documents and personal data will be erased on ${date}.</p><p>Changed your mind? Log in and cancel the deletion before then.</p><p><a href="${link}">Manage my account</a></p>`
+  });
+};
+
+// Invitation to join a company account
+const sendCompanyInvitationEmail = async (email, companyName, role, token, expiresInDays) => {
+  const link = `${CLIENT_URL}/accept-invitation?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: email,
+    subject: `You've been invited to join ${companyName} on Keypoint`,
+    text: `You have been invited to join ${companyName} on Keypoint as ${role}.\n\nOpen the link below to create your account. The invitation expires in ${expiresInDays} days:\n\n${link}`,
+    html: `<p>You have been invited to join <strong>${escapeHtml(companyName)}</strong> on Keypoint as ${role}.</p><p>Click the link below to create your account. The invitation expires in ${expiresInDays} days.</p><p><a href="${link}">Accept invitation</a></p>`
+  });
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendErasureScheduledEmail,
+  sendCompanyInvitationEmail
+};
@@ -0,0 +1,211 @@
+// services/oidc.js - OpenID Connect authorization code flow with PKCE
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and key sets, keyed by URL
+const metadataCache = new Map();
+
+// Read one provider's settings from OIDC_<NAME>_* variables
+const loadProvider = (name) => {
+  const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (key) => process.env[prefix + key];
+
+  if (!env('ISSUER') || !env('CLIENT_ID')) {
+    console.warn(`OIDC provider "${name}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID and was skipped`);
+    return null;
+  }
+
+  return {
+    name,
+    displayName: env('DISPLAY_NAME') || name,
+    issuer: env('ISSUER'),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET') || null,
+    tokenAuthMethod: env('TOKEN_AUTH_METHOD') || 'client_secret_basic',
+    scopes: env('SCOPES') || 'openid email profile',
+    redirectUri: env('REDIRECT_URI') || `${CLIENT_URL}/auth/oidc/${name}/callback`,
+    // Explicit endpoints skip discovery, which helps with non-standard providers
+    endpoints: {
+      authorization_endpoint: env('AUTHORIZATION_ENDPOINT'),
+      token_endpoint: env('TOKEN_ENDPOINT'),
+      userinfo_endpoint: env('USERINFO_ENDPOINT'),
+      jwks_uri: env('JWKS_URI')
+    }
+  };
+};
+
+// Providers listed in OIDC_PROVIDERS, e.g. "google,microsoft"
+const getProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(loadProvider)
+    .filter(Boolean);
+};
+
+const getProvider = (name) => {
+  return getProviders().find(provider => provider.name === name) || null;
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+};
+
+const fetchCached = async (url, forceRefresh = false) => {
+  const cached = metadataCache.get(url);
+  if (cached && !forceRefresh && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const value = await fetchJson(url);
+  metadataCache.set(url, { value, expiresAt: Date.now() + METADATA_TTL_MS });
+  return value;
+};
+
+// Provider endpoints, from discovery unless configured explicitly
+const getEndpoints = async (provider) => {
+  const configured = provider.endpoints;
+  if (configured.authorization_endpoint && configured.token_endpoint && configured.jwks_uri) {
+    return configured;
+  }
+
+  const discovery = await fetchCached(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  return {
+    authorization_endpoint: configured.authorization_endpoint || discovery.authorization_endpoint,
+    token_endpoint: configured.token_endpoint || discovery.token_endpoint,
+    userinfo_endpoint: configured.userinfo_endpoint || discovery.userinfo_endpoint,
+    jwks_uri: configured.jwks_uri || discovery.jwks_uri
+  };
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Build the authorization URL along with the secrets we must keep until the callback
+const createAuthorizationRequest = async (provider) => {
+  const endpoints = await getEndpoints(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(endpoints.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    state,
+    nonce,
+    codeVerifier,
+    redirectUri: provider.redirectUri
+  };
+};
+
+// Find the signing key for an ID token, refetching once in case keys were rotated
+const getSigningKey = async (jwksUri, kid) => {
+  for (const forceRefresh of [false, true]) {
+    const { keys = [] } = await fetchCached(jwksUri, forceRefresh);
+    const jwk = keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+  throw new Error(`No OIDC signing key found for kid "${kid}"`);
+};
+
+const verifyIdToken = async (provider, jwksUri, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  return claims;
+};
+
+// Exchange the authorization code and return the verified identity claims
+const completeAuthorization = async (provider, { code, codeVerifier, nonce, redirectUri }) => {
+  const endpoints = await getEndpoints(provider);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.clientSecret && provider.tokenAuthMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', provider.clientId);
+    if (provider.clientSecret) {
+      form.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(endpoints.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: form.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  const claims = await verifyIdToken(provider, endpoints.jwks_uri, tokens.id_token, nonce);
+
+  // Some providers only put email and profile claims in the userinfo response
+  if (!claims.email && endpoints.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(endpoints.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo.sub === claims.sub) {
+      return { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+    }
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization
+};
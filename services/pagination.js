@@ -0,0 +1,55 @@
+// services/pagination.js - Page/limit and cursor pagination for list endpoints
+
+// Number of rows to skip to reach a page
+const pageOffset = (page, limit) => (page - 1) * limit;
+
+// Pagination block for a page of rows selected with COUNT(*) OVER() as total_count
+const buildPagination = (rows, page, limit) => {
+  const total = rows.length > 0 ? rows[0].total_count : 0;
+
+  return {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+// The page a list endpoint was asked for, as repositories/keyset.js takes
+// it: the page after (or before) a cursor from an earlier response, else a
+// numbered page. Counting every matching row costs more than reading a page,
+// so pages reached by cursor only carry a total when includeTotal is set.
+const pageRequest = ({ page = 1, limit, cursor, includeTotal }) => {
+  if (cursor) {
+    return { cursor, limit: parseInt(limit), withTotal: !!includeTotal };
+  }
+  return { offset: pageOffset(page, limit), limit: parseInt(limit) };
+};
+
+// Pagination block for a page fetched with keyset.fetchPage: the numbered
+// page block, or just the limit (and total if asked for) for a cursor page,
+// plus the cursors for the pages either side
+const buildCursorPagination = (result, request, page) => {
+  let pagination;
+  if (!request.cursor) {
+    pagination = buildPagination(result.rows, page, request.limit);
+  } else {
+    pagination = { limit: request.limit };
+    if (request.withTotal) {
+      pagination.total = result.rows.length > 0 ? result.rows[0].total_count : 0;
+    }
+  }
+
+  return {
+    ...pagination,
+    next_cursor: result.nextCursor,
+    prev_cursor: result.prevCursor
+  };
+};
+
+module.exports = {
+  pageOffset,
+  buildPagination,
+  pageRequest,
+  buildCursorPagination
+};
@@ -0,0 +1,146 @@
+// services/privacy.js - Personal data export and account erasure for job seekers
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { dbHelpers, withTransaction } = require('../config/database');
+const privacyRepository = require('../repositories/privacyRepository');
+const { sendErasureScheduledEmail } = require('./mailer');
+
+const uploadDir = process.env.UPLOAD_PATH || './uploads';
+const ERASURE_GRACE_DAYS = parseInt(process.env.ERASURE_GRACE_DAYS) || 30;
+
+// Upload folders holding a job seeker's files, with the filename prefix routes/uploads.js uses
+const JOBSEEKER_FILE_TYPES = [
+  { type: 'cv', prefix: 'cv' },
+  { type: 'profiles', prefix: 'profile' }
+];
+
+// Every file the user has uploaded, including ones replaced by later uploads
+const listUserFiles = async (userId) => {
+  const files = [];
+
+  for (const { type, prefix } of JOBSEEKER_FILE_TYPES) {
+    const dir = path.join(uploadDir, type);
+    const names = await fs.promises.readdir(dir).catch(() => []);
+
+    names
+      .filter(name => name.startsWith(`${prefix}-${userId}-`))
+      .forEach(name => files.push({ type, filename: name, path: path.join(dir, name) }));
+  }
+
+  return files;
+};
+
+// Gather everything we store about a job seeker
+const collectJobSeekerData = async (user) => {
+  const userId = user.user_id;
+  const jobseekerId = user.jobseeker_id;
+
+  const [profile, skills, education, experience, applications, savedJobs, sessions, identities, loginAttempts] =
+    await Promise.all([
+      privacyRepository.getProfile(userId),
+      privacyRepository.listSkills(jobseekerId),
+      privacyRepository.listEducation(jobseekerId),
+      privacyRepository.listExperience(jobseekerId),
+      privacyRepository.listApplications(jobseekerId),
+      privacyRepository.listSavedJobs(jobseekerId),
+      privacyRepository.listSessions(userId),
+      dbHelpers.getUserIdentities(userId),
+      privacyRepository.listLoginAttempts(userId)
+    ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    account: {
+      user_id: user.user_id,
+      email: user.email,
+      user_type: user.user_type,
+      is_verified: !!user.is_verified,
+      created_at: user.created_at,
+      erasure_scheduled_for: user.erasure_scheduled_for || null
+    },
+    profile,
+    skills,
+    education,
+    work_experience: experience,
+    applications,
+    saved_jobs: savedJobs,
+    sessions,
+    linked_identities: identities,
+    login_attempts: loginAttempts
+  };
+};
+
+// Stream a zip with data.json and the user's uploaded files to the response
+const writeDataExport = async (user, output) => {
+  const data = await collectJobSeekerData(user);
+  const files = await listUserFiles(user.user_id);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+  files.forEach(file => archive.file(file.path, { name: `files/${file.type}/${file.filename}` }));
+
+  await archive.finalize();
+};
+
+// Start the grace period before erasure
+const scheduleErasure = async (user) => {
+  const scheduledFor = new Date(Date.now() + ERASURE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await dbHelpers.scheduleUserErasure(user.user_id, scheduledFor);
+
+  sendErasureScheduledEmail(user.email, scheduledFor)
+    .catch(err => console.error('Failed to send erasure scheduled email:', err));
+
+  return scheduledFor;
+};
+
+// Erase one job seeker's data and delete their files from disk
+const eraseJobSeeker = async (userId) => {
+  const files = await listUserFiles(userId);
+
+  // Everything goes in one transaction, so a failure leaves the account whole
+  await withTransaction(async (transactionQuery) => {
+    const privacy = privacyRepository.createPrivacyRepository(transactionQuery);
+    const target = await privacy.findErasureTarget(userId);
+    if (target) {
+      await privacy.eraseJobSeeker(target);
+    }
+  });
+
+  for (const file of files) {
+    await fs.promises.unlink(file.path).catch(err => {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to delete ${file.path}:`, err);
+      }
+    });
+  }
+};
+
+// Erase every account whose grace period has ended. Returns the number erased.
+const processDueErasures = async () => {
+  const dueUsers = await dbHelpers.getDueErasures();
+  let erased = 0;
+
+  for (const user of dueUsers) {
+    if (user.user_type !== 'jobseeker') {
+      continue;
+    }
+    try {
+      await eraseJobSeeker(user.user_id);
+      erased++;
+    } catch (error) {
+      console.error(`Failed to erase user ${user.user_id}:`, error);
+    }
+  }
+
+  return erased;
+};
+
+module.exports = {
+  writeDataExport,
+  scheduleErasure,
+  eraseJobSeeker,
+  processDueErasures
+};
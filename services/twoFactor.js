@@ -0,0 +1,81 @@
+// services/twoFactor.js - Two-factor enrollment and verification
+const QRCode = require('qrcode');
+const { dbHelpers } = require('../config/database');
+const { hashToken, isTwoFactorRequired } = require('../middleware/auth');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('./totp');
+
+// User types that may enroll in two-factor authentication
+const TWO_FACTOR_USER_TYPES = ['company', 'admin'];
+
+// Create a pending secret and the data an authenticator app needs to register it
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  await dbHelpers.setPendingTotpSecret(user.user_id, encryptSecret(secret));
+
+  const otpauthUri = buildOtpauthUri(secret, user.email);
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  return { secret, otpauthUri, qrCode };
+};
+
+// Confirm the pending secret with a code from the app. Returns fresh
+// recovery codes on success, or null if the code doesn't match.
+const completeEnrollment = async (user, code) => {
+  if (!user.totp_pending_secret) {
+    return null;
+  }
+
+  const step = verifyTotp(decryptSecret(user.totp_pending_secret), code);
+  if (step === null) {
+    return null;
+  }
+
+  await dbHelpers.enableTotp(user.user_id, step);
+  return regenerateRecoveryCodes(user.user_id);
+};
+
+// Issue a new set of recovery codes, invalidating the old ones
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await dbHelpers.replaceRecoveryCodes(
+    userId,
+    recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code)))
+  );
+  return recoveryCodes;
+};
+
+// Check a second factor: either a current TOTP code or an unused recovery code.
+// Each TOTP time step and each recovery code is accepted only once.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.totp_enabled || !user.totp_secret) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.totp_secret), code);
+    return step !== null && await dbHelpers.useTotpStep(user.user_id, step);
+  }
+
+  if (recoveryCode) {
+    return dbHelpers.consumeRecoveryCode(user.user_id, hashToken(normalizeRecoveryCode(recoveryCode)));
+  }
+
+  return false;
+};
+
+module.exports = {
+  TWO_FACTOR_USER_TYPES,
+  isTwoFactorRequired,
+  startEnrollment,
+  completeEnrollment,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,191 @@
+// test/api.smoke.test.js - End-to-end smoke test of the API on an in-memory SQLite database
+//
+// Walks the main flow through real HTTP requests: a company and a job seeker
+// register and verify their email, the company posts a job, the job seeker
+// finds it and applies, and the company and an administrator see the result.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypoint-smoke-'));
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'smoke-test-secret';
+process.env.UPLOAD_PATH = path.join(scratchDir, 'uploads');
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { queryContext } = require('../middleware/queryContext');
+const { setTransport } = require('../services/mailer');
+
+const PASSWORD = 'Passw0rd!';
+const sentMail = [];
+let server;
+let baseUrl;
+
+const request = async (method, url, body, token) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Verification mail is sent after the response, so wait for it to arrive
+const verificationTokenFor = async (email) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const mail = sentMail.find(message => message.to === email && /verify-email/.test(message.text));
+    if (mail) {
+      return decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No verification mail sent to ${email}`);
+};
+
+const login = async (email) => {
+  const { status, body } = await request('POST', '/auth/login', { email, password: PASSWORD });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data.token;
+};
+
+before(async () => {
+  setTransport({
+    name: 'memory',
+    send: async (message) => {
+      sentMail.push(message);
+      return { messageId: String(sentMail.length) };
+    }
+  });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use(queryContext);
+  app.use('/api/auth/2fa', require('../routes/twoFactor'));
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/companies', require('../routes/companies'));
+  app.use('/api/jobseekers', require('../routes/jobseekers'));
+  app.use('/api/jobs', require('../routes/jobs'));
+  app.use('/api/upload', require('../routes/uploads'));
+  app.use('/api/admin', require('../routes/admin'));
+
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+  fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+const state = {};
+
+test('a company and a job seeker register and verify their email', async () => {
+  const company = await request('POST', '/auth/register/company', {
+    email: 'owner@acme.test',
+    password: PASSWORD,
+    company_name: 'Acme',
+    industry: 'Tech',
+    city: 'Berlin',
+    country: 'DE'
+  });
+  assert.equal(company.status, 201, JSON.stringify(company.body));
+
+  const jobSeeker = await request('POST', '/auth/register/jobseeker', {
+    email: 'jane@seeker.test',
+    password: PASSWORD,
+    first_name: 'Jane',
+    last_name: 'Doe',
+    city: 'Hamburg',
+    country: 'DE'
+  });
+  assert.equal(jobSeeker.status, 201, JSON.stringify(jobSeeker.body));
+
+  for (const email of ['owner@acme.test', 'jane@seeker.test']) {
+    const token = await verificationTokenFor(email);
+    const verified = await request('POST', '/auth/verify-email', { token });
+    assert.equal(verified.status, 200, JSON.stringify(verified.body));
+
+    const reused = await request('POST', '/auth/verify-email', { token });
+    assert.equal(reused.status, 400);
+  }
+
+  state.companyToken = await login('owner@acme.test');
+  state.jobSeekerToken = await login('jane@seeker.test');
+});
+
+test('the company posts a job that the public can find', async () => {
+  const created = await request('POST', '/companies/jobs', {
+    title: 'Backend Engineer',
+    description: 'Build APIs with Node and SQL',
+    location: 'Berlin',
+    job_type: 'Full-time',
+    experience_level: 'Mid-level',
+    salary_min: 50000,
+    salary_max: 70000
+  }, state.companyToken);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  state.jobId = created.body.data.job_id;
+
+  const listed = await request('GET', '/jobs');
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.data.jobs.map(job => job.job_id), [state.jobId]);
+
+  const found = await request('GET', `/jobs?search=${encodeURIComponent('"node and sql" -php')}`);
+  assert.equal(found.status, 200);
+  assert.deepEqual(found.body.data.jobs.map(job => job.job_id), [state.jobId]);
+
+  const missed = await request('GET', '/jobs?search=php');
+  assert.deepEqual(missed.body.data.jobs, []);
+});
+
+test('the job seeker finds jobs by distance from the city they registered in', async () => {
+  const nearest = await request('POST', '/jobs/search', { sort_by: 'distance' }, state.jobSeekerToken);
+  assert.equal(nearest.status, 200, JSON.stringify(nearest.body));
+  assert.equal(nearest.body.data.origin.source, 'profile');
+  assert.deepEqual(nearest.body.data.jobs.map(job => job.job_id), [state.jobId]);
+
+  // Hamburg to Berlin is about 255 km
+  const distance = nearest.body.data.jobs[0].distance_km;
+  assert.ok(distance > 240 && distance < 270, String(distance));
+
+  const nearby = await request('POST', '/jobs/search', { radius: 100 }, state.jobSeekerToken);
+  assert.equal(nearby.status, 200, JSON.stringify(nearby.body));
+  assert.deepEqual(nearby.body.data.jobs, []);
+});
+
+test('the job seeker applies once and the company sees the application', async () => {
+  const applied = await request('POST', `/jobseekers/apply/${state.jobId}`, { cover_letter: 'Hire me' }, state.jobSeekerToken);
+  assert.equal(applied.status, 201, JSON.stringify(applied.body));
+
+  const again = await request('POST', `/jobseekers/apply/${state.jobId}`, { cover_letter: 'Again' }, state.jobSeekerToken);
+  assert.equal(again.status, 409);
+
+  const applications = await request('GET', `/companies/jobs/${state.jobId}/applications`, null, state.companyToken);
+  assert.equal(applications.status, 200, JSON.stringify(applications.body));
+  assert.deepEqual(applications.body.data.applications.map(application => application.first_name), ['Jane']);
+});
+
+test('only an administrator can see platform statistics', async () => {
+  const refused = await request('GET', '/admin/stats', null, state.companyToken);
+  assert.equal(refused.status, 403);
+
+  await executeQuery(`
+    INSERT INTO Users (email, password_hash, user_type, is_verified)
+    SELECT 'root@admin.test', password_hash, 'admin', 1 FROM Users WHERE email = 'owner@acme.test'
+  `);
+  const stats = await request('GET', '/admin/stats', null, await login('root@admin.test'));
+
+  assert.equal(stats.status, 200, JSON.stringify(stats.body));
+  assert.equal(stats.body.data.total_users, 3);
+  assert.equal(stats.body.data.active_jobs, 1);
+  assert.equal(stats.body.data.total_applications, 1);
+});
@@ -0,0 +1,161 @@
+// test/apiKeys.test.js - Company API keys: scopes, revocation and the members behind them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+
+const PASSWORD = 'Passw0rd!';
+const sentMail = [];
+let server;
+let baseUrl;
+let ownerToken;
+
+const request = async (method, url, body, auth = {}) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(auth.token ? { authorization: `Bearer ${auth.token}` } : {}),
+      ...(auth.apiKey ? { 'x-api-key': auth.apiKey } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const login = async (email) => {
+  const { status, body } = await request('POST', '/auth/login', { email, password: PASSWORD });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data.token;
+};
+
+const createKey = async (token, scopes) => {
+  const { status, body } = await request('POST', '/companies/api-keys', { name: 'ATS sync', scopes }, { token });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.data;
+};
+
+// Mail is sent after the response, so wait for it to arrive
+const mailTo = async (email) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const mail = sentMail.find(message => message.to === email);
+    if (mail) {
+      return mail;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No mail sent to ${email}`);
+};
+
+before(async () => {
+  setTransport({
+    name: 'memory',
+    send: async (message) => {
+      sentMail.push(message);
+      return { messageId: String(sentMail.length) };
+    }
+  });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/companies', require('../routes/companies'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const registered = await request('POST', '/auth/register/company', {
+    email: 'owner@acme.test',
+    password: PASSWORD,
+    company_name: 'Acme'
+  });
+  assert.equal(registered.status, 201, JSON.stringify(registered.body));
+  await executeQuery("UPDATE Users SET is_verified = 1 WHERE email = 'owner@acme.test'");
+  ownerToken = await login('owner@acme.test');
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+});
+
+test('a key can do what its scopes allow and nothing else', async () => {
+  const { api_key: apiKey } = await createKey(ownerToken, ['jobs:read']);
+
+  assert.equal((await request('GET', '/companies/jobs', null, { apiKey })).status, 200);
+
+  const posted = await request('POST', '/companies/jobs', {
+    title: 'Backend Engineer',
+    description: 'Build APIs',
+    location: 'Berlin',
+    job_type: 'Full-time',
+    experience_level: 'Mid-level'
+  }, { apiKey });
+  assert.equal(posted.status, 403);
+
+  assert.equal((await request('GET', '/companies/profile', null, { apiKey })).status, 403);
+});
+
+test('keys can never manage the company, its members or other keys', async () => {
+  const { api_key: apiKey } = await createKey(ownerToken, ['jobs:read', 'jobs:write', 'company:read']);
+
+  assert.equal((await request('GET', '/companies/api-keys', null, { apiKey })).status, 403);
+  assert.equal((await request('POST', '/companies/api-keys', { name: 'x', scopes: ['jobs:read'] }, { apiKey })).status, 403);
+  assert.equal((await request('GET', '/companies/members', null, { apiKey })).status, 403);
+  assert.equal((await request('PUT', '/companies/profile', { company_name: 'Evil' }, { apiKey })).status, 403);
+});
+
+test('unknown scopes are refused and keys are only shown once', async () => {
+  const refused = await request('POST', '/companies/api-keys', { name: 'x', scopes: ['admin'] }, { token: ownerToken });
+  assert.equal(refused.status, 400);
+
+  const listed = await request('GET', '/companies/api-keys', null, { token: ownerToken });
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.data.length > 0);
+  assert.ok(listed.body.data.every(key => !key.api_key && !key.key_hash));
+});
+
+test('a revoked key stops working', async () => {
+  const { api_key: apiKey, key_id: keyId } = await createKey(ownerToken, ['jobs:read']);
+
+  const revoked = await request('DELETE', `/companies/api-keys/${keyId}`, null, { token: ownerToken });
+  assert.equal(revoked.status, 200, JSON.stringify(revoked.body));
+
+  assert.equal((await request('GET', '/companies/jobs', null, { apiKey })).status, 401);
+  assert.equal((await request('GET', '/companies/jobs', null, { apiKey: 'kp_made_up' })).status, 401);
+});
+
+test('keys die with the member who created them', async () => {
+  const invited = await request('POST', '/companies/members/invitations', { email: 'admin@acme.test', role: 'admin' }, { token: ownerToken });
+  assert.equal(invited.status, 201, JSON.stringify(invited.body));
+
+  const token = decodeURIComponent((await mailTo('admin@acme.test')).text.match(/token=(\S+)/)[1]);
+  const accepted = await request('POST', '/auth/invitations/accept', { token, password: PASSWORD });
+  assert.equal(accepted.status, 201, JSON.stringify(accepted.body));
+
+  const { api_key: apiKey } = await createKey(await login('admin@acme.test'), ['jobs:read']);
+  assert.equal((await request('GET', '/companies/jobs', null, { apiKey })).status, 200);
+
+  const { body } = await request('GET', '/companies/members', null, { token: ownerToken });
+  const member = body.data.members.find(m => m.email === 'admin@acme.test');
+  const removed = await request('DELETE', `/companies/members/${member.member_id}`, null, { token: ownerToken });
+  assert.equal(removed.status, 200, JSON.stringify(removed.body));
+
+  assert.equal((await request('GET', '/companies/jobs', null, { apiKey })).status, 401);
+});
+
+test('keys stop working while the company owner is suspended', async () => {
+  const { api_key: apiKey } = await createKey(ownerToken, ['jobs:read']);
+
+  await executeQuery("UPDATE Users SET suspended_at = GETDATE() WHERE email = 'owner@acme.test'");
+  assert.equal((await request('GET', '/companies/jobs', null, { apiKey })).status, 401);
+
+  await executeQuery("UPDATE Users SET suspended_at = NULL WHERE email = 'owner@acme.test'");
+  assert.equal((await request('GET', '/companies/jobs', null, { apiKey })).status, 200);
+});
@@ -0,0 +1,113 @@
+// test/facets.test.js - Facet counts alongside job listings and searches
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+
+const PASSWORD = 'Passw0rd!';
+let server;
+let baseUrl;
+
+const request = async (method, url, body, token) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Facet buckets as { value: count }, leaving out empty ones
+const counts = (buckets) => Object.fromEntries(buckets.filter(bucket => bucket.count > 0).map(bucket => [bucket.value, bucket.count]));
+
+before(async () => {
+  setTransport({ name: 'memory', send: async () => ({ messageId: 'test' }) });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/companies', require('../routes/companies'));
+  app.use('/api/jobs', require('../routes/jobs'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  await request('POST', '/auth/register/company', { email: 'owner@acme.test', password: PASSWORD, company_name: 'Acme' });
+  await executeQuery('UPDATE Users SET is_verified = 1');
+  const loggedIn = await request('POST', '/auth/login', { email: 'owner@acme.test', password: PASSWORD });
+  const token = loggedIn.body.data.token;
+
+  const jobs = [
+    { title: 'Backend Engineer', job_type: 'Full-time', experience_level: 'Senior-level', salary_min: 80000 },
+    { title: 'Frontend Engineer', job_type: 'Full-time', experience_level: 'Mid-level', salary_min: 55000 },
+    { title: 'Data Analyst', job_type: 'Contract', experience_level: 'Mid-level', salary_min: 40000 },
+    { title: 'Support Intern', job_type: 'Internship', experience_level: 'Entry-level' }
+  ];
+  for (const job of jobs) {
+    const posted = await request('POST', '/companies/jobs', {
+      ...job,
+      description: 'Work with us',
+      location: 'Berlin'
+    }, token);
+    assert.equal(posted.status, 201, JSON.stringify(posted.body));
+  }
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+});
+
+test('facets are only counted when asked for', async () => {
+  const { body } = await request('GET', '/jobs');
+
+  assert.equal(body.data.jobs.length, 4);
+  assert.equal(body.data.facets, undefined);
+});
+
+test('facets=true counts every facet', async () => {
+  const { status, body } = await request('GET', '/jobs?facets=true');
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(Object.keys(body.data.facets).sort(), [
+    'company_size', 'experience_level', 'industry', 'job_type', 'posted_date', 'remote_work_option', 'salary'
+  ]);
+  assert.deepEqual(counts(body.data.facets.job_type), { 'Full-time': 2, Contract: 1, Internship: 1 });
+  assert.deepEqual(counts(body.data.facets.salary), { '30000_50000': 1, '50000_75000': 1, '75000_100000': 1, not_specified: 1 });
+  assert.deepEqual(counts(body.data.facets.posted_date), { last_1_days: 4, last_7_days: 4, last_30_days: 4, last_90_days: 4 });
+});
+
+test('a facet is counted against every filter but its own', async () => {
+  const { body } = await request('GET', '/jobs?job_type=Full-time&facets=job_type,experience_level');
+
+  assert.equal(body.data.jobs.length, 2);
+  assert.deepEqual(counts(body.data.facets.job_type), { 'Full-time': 2, Contract: 1, Internship: 1 });
+  assert.deepEqual(counts(body.data.facets.experience_level), { 'Senior-level': 1, 'Mid-level': 1 });
+});
+
+test('searches count facets the same way', async () => {
+  const { status, body } = await request('POST', '/jobs/search', {
+    keywords: 'engineer',
+    experience_levels: ['Mid-level'],
+    facets: ['job_type', 'experience_level']
+  });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(body.data.jobs.map(job => job.title), ['Frontend Engineer']);
+  assert.deepEqual(counts(body.data.facets.job_type), { 'Full-time': 1 });
+  assert.deepEqual(counts(body.data.facets.experience_level), { 'Senior-level': 1, 'Mid-level': 1 });
+});
+
+test('unknown facets are refused', async () => {
+  assert.equal((await request('GET', '/jobs?facets=title')).status, 400);
+  assert.equal((await request('POST', '/jobs/search', { facets: ['salary', 'title'] })).status, 400);
+});
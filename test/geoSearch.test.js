@@ -0,0 +1,102 @@
+// test/geoSearch.test.js - Searching jobs within a radius and by distance
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+
+const PASSWORD = 'Passw0rd!';
+let server;
+let baseUrl;
+
+const request = async (method, url, body, token) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const search = async (criteria) => {
+  const { status, body } = await request('POST', '/jobs/search', criteria);
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+};
+
+const titles = (jobs) => jobs.map(job => job.title);
+
+before(async () => {
+  setTransport({ name: 'memory', send: async () => ({ messageId: 'test' }) });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/companies', require('../routes/companies'));
+  app.use('/api/jobs', require('../routes/jobs'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  await request('POST', '/auth/register/company', { email: 'owner@acme.test', password: PASSWORD, company_name: 'Acme' });
+  await executeQuery('UPDATE Users SET is_verified = 1');
+  const loggedIn = await request('POST', '/auth/login', { email: 'owner@acme.test', password: PASSWORD });
+  const token = loggedIn.body.data.token;
+
+  const jobs = [
+    { title: 'Berlin Engineer', location: 'Berlin' },
+    { title: 'Potsdam Engineer', location: 'Potsdam' },
+    { title: 'Hamburg Engineer', location: 'Hamburg' },
+    { title: 'Remote Engineer', location: 'Remote', remote_work_option: 'Yes' }
+  ];
+  for (const job of jobs) {
+    const posted = await request('POST', '/companies/jobs', {
+      ...job,
+      description: 'Build APIs',
+      job_type: 'Full-time',
+      experience_level: 'Mid-level'
+    }, token);
+    assert.equal(posted.status, 201, JSON.stringify(posted.body));
+  }
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+});
+
+test('a radius search finds nearby jobs and remote ones', async () => {
+  const data = await search({ location: 'Berlin', radius: 50 });
+
+  assert.deepEqual(data.origin, { latitude: 52.52, longitude: 13.405, name: 'Berlin', country: 'DE', source: 'city' });
+  assert.deepEqual(titles(data.jobs).sort(), ['Berlin Engineer', 'Potsdam Engineer', 'Remote Engineer']);
+});
+
+test('remote jobs can be left out of a radius search', async () => {
+  const data = await search({ location: 'Berlin', radius: 50, include_remote: false });
+
+  assert.deepEqual(titles(data.jobs).sort(), ['Berlin Engineer', 'Potsdam Engineer']);
+});
+
+test('sorting by distance puts the nearest first and jobs with no place last', async () => {
+  const data = await search({ latitude: 52.39, longitude: 13.06, sort_by: 'distance' });
+
+  assert.equal(data.origin.source, 'coordinates');
+  assert.deepEqual(titles(data.jobs), ['Potsdam Engineer', 'Berlin Engineer', 'Hamburg Engineer', 'Remote Engineer']);
+  assert.ok(data.jobs[1].distance_km > 20 && data.jobs[1].distance_km < 35);
+  assert.equal(data.jobs[3].distance_km, null);
+});
+
+test('a distance search needs a place it can locate', async () => {
+  assert.equal((await request('POST', '/jobs/search', { location: 'Atlantis', radius: 50 })).status, 400);
+  assert.equal((await request('POST', '/jobs/search', { sort_by: 'distance' })).status, 400);
+  assert.equal((await request('POST', '/jobs/search', { location: 'Berlin', radius: 500 })).status, 400);
+});
@@ -0,0 +1,50 @@
+// test/geocoder.test.js - Locating places offline and measuring between them
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { KM_PER_DEGREE, geocode, geocodeFirst, distanceKm, boundingBox } = require('../services/geocoder');
+
+const near = (actual, expected, tolerance) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('cities are found by name, alias or within a longer location', () => {
+  assert.deepEqual(geocode('Berlin'), { latitude: 52.52, longitude: 13.405, name: 'Berlin', country: 'DE', source: 'city' });
+  assert.equal(geocode('München').name, 'Munich');
+  assert.equal(geocode('Cape Town, South Africa').country, 'ZA');
+});
+
+test('postcodes are found, bare ones only with a country', () => {
+  assert.equal(geocode('SW1A 1AA').source, 'postcode');
+  assert.equal(geocode('10115'), null);
+  assert.deepEqual(geocode('10115', 'DE'), { latitude: 52.52, longitude: 13.405, name: 'Berlin', country: 'DE', source: 'postcode' });
+});
+
+test('remote work and unknown places have no location', () => {
+  assert.equal(geocode('Remote'), null);
+  assert.equal(geocode('Atlantis'), null);
+  assert.equal(geocode(''), null);
+});
+
+test('geocodeFirst takes the first text that can be located', () => {
+  assert.equal(geocodeFirst(['Atlantis', 'Hamburg']).name, 'Hamburg');
+  assert.equal(geocodeFirst([null, 'Atlantis']), null);
+});
+
+test('distances are great-circle kilometres', () => {
+  near(distanceKm(geocode('Berlin'), geocode('Hamburg')), 255, 2);
+  near(distanceKm(geocode('Berlin'), geocode('Potsdam')), 27, 2);
+  assert.equal(distanceKm(geocode('Berlin'), geocode('Berlin')), 0);
+});
+
+test('the bounding box holds everything within the radius', () => {
+  const berlin = geocode('Berlin');
+  const box = boundingBox(berlin, 100);
+
+  near(box.maxLatitude - berlin.latitude, 100 / KM_PER_DEGREE, 1e-9);
+  assert.ok(box.maxLongitude - berlin.longitude > box.maxLatitude - berlin.latitude);
+
+  const potsdam = geocode('Potsdam');
+  assert.ok(potsdam.latitude > box.minLatitude && potsdam.longitude > box.minLongitude);
+  const hamburg = geocode('Hamburg');
+  assert.ok(hamburg.latitude > box.maxLatitude || hamburg.longitude < box.minLongitude);
+});
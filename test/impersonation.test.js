@@ -0,0 +1,140 @@
+// test/impersonation.test.js - Admin impersonation: read-only by default, audited and revocable
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+
+const PASSWORD = 'Passw0rd!';
+let server;
+let baseUrl;
+let adminToken;
+let jobSeekerId;
+
+const request = async (method, url, body, token) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const impersonate = async (body) => {
+  const { status, body: response } = await request('POST', `/admin/users/${jobSeekerId}/impersonate`, body, adminToken);
+  assert.equal(status, 201, JSON.stringify(response));
+  return response.data;
+};
+
+// Requests are written to the audit log once their response has been sent
+const auditLog = async (impersonationId, count) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await request('GET', `/admin/impersonations/${impersonationId}/requests`, null, adminToken);
+    if (body.data.length >= count) {
+      return body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Audit log of ${impersonationId} never reached ${count} entries`);
+};
+
+before(async () => {
+  setTransport({ name: 'memory', send: async () => ({ messageId: 'test' }) });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/jobseekers', require('../routes/jobseekers'));
+  app.use('/api/admin', require('../routes/admin'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const registered = await request('POST', '/auth/register/jobseeker', {
+    email: 'jane@seeker.test',
+    password: PASSWORD,
+    first_name: 'Jane',
+    last_name: 'Doe'
+  });
+  assert.equal(registered.status, 201, JSON.stringify(registered.body));
+  jobSeekerId = registered.body.data.user.userId;
+
+  await executeQuery('UPDATE Users SET is_verified = 1');
+  await executeQuery(`
+    INSERT INTO Users (email, password_hash, user_type, is_verified)
+    SELECT 'root@admin.test', password_hash, 'admin', 1 FROM Users WHERE email = 'jane@seeker.test'
+  `);
+  const loggedIn = await request('POST', '/auth/login', { email: 'root@admin.test', password: PASSWORD });
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  adminToken = loggedIn.body.data.token;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+});
+
+test('an impersonation reads as the user but cannot write', async () => {
+  const { token } = await impersonate({ reason: 'Support ticket 42' });
+
+  const profile = await request('GET', '/jobseekers/profile', null, token);
+  assert.equal(profile.status, 200, JSON.stringify(profile.body));
+  assert.equal(profile.body.data.first_name, 'Jane');
+
+  const update = await request('PUT', '/jobseekers/profile', { first_name: 'Mallory', last_name: 'Doe' }, token);
+  assert.equal(update.status, 403);
+  assert.equal(update.body.message, 'This action is blocked while impersonating a user');
+});
+
+test('writes need an explicit grant, and account-level actions stay blocked', async () => {
+  const { token } = await impersonate({ reason: 'Fix a typo for the user', allow_destructive: true });
+
+  const update = await request('PUT', '/jobseekers/profile', { first_name: 'Jane', last_name: 'Doe-Smith' }, token);
+  assert.equal(update.status, 200, JSON.stringify(update.body));
+
+  assert.equal((await request('GET', '/jobseekers/data-export', null, token)).status, 403);
+  assert.equal((await request('POST', '/auth/logout-all', {}, token)).status, 403);
+});
+
+test('every impersonated request is audited under the admin', async () => {
+  const { impersonationId, token } = await impersonate({ reason: 'Audit check' });
+
+  await request('GET', '/jobseekers/profile', null, token);
+  await request('PUT', '/jobseekers/profile', { first_name: 'Mallory', last_name: 'Doe' }, token);
+
+  const log = await auditLog(impersonationId, 2);
+  assert.deepEqual(log.map(entry => [entry.method, entry.path, entry.status_code]), [
+    ['GET', '/api/jobseekers/profile', 200],
+    ['PUT', '/api/jobseekers/profile', 403]
+  ]);
+  assert.ok(log.every(entry => entry.admin_email === 'root@admin.test'));
+});
+
+test('an ended impersonation token stops working', async () => {
+  const { impersonationId, token } = await impersonate({ reason: 'Short look' });
+
+  const ended = await request('POST', `/admin/impersonations/${impersonationId}/end`, {}, adminToken);
+  assert.equal(ended.status, 200, JSON.stringify(ended.body));
+
+  const profile = await request('GET', '/jobseekers/profile', null, token);
+  assert.equal(profile.status, 401);
+  assert.equal(profile.body.message, 'Impersonation has ended');
+});
+
+test('administrators cannot be impersonated and others cannot impersonate', async () => {
+  const admins = await executeQuery("SELECT user_id FROM Users WHERE email = 'root@admin.test'");
+  const refused = await request('POST', `/admin/users/${admins.recordset[0].user_id}/impersonate`, { reason: 'x' }, adminToken);
+  assert.equal(refused.status, 403);
+
+  const jobSeeker = await request('POST', '/auth/login', { email: 'jane@seeker.test', password: PASSWORD });
+  const notAdmin = await request('POST', `/admin/users/${jobSeekerId}/impersonate`, { reason: 'x' }, jobSeeker.body.data.token);
+  assert.equal(notAdmin.status, 403);
+});
@@ -0,0 +1,85 @@
+// test/jobSearch.test.js - Parsing job search queries
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery } = require('../services/jobSearch');
+
+const word = (term, prefix = false) => ({ term, prefix });
+
+test('nothing searchable gives null', () => {
+  assert.equal(parseSearchQuery(''), null);
+  assert.equal(parseSearchQuery('   '), null);
+  assert.equal(parseSearchQuery(undefined), null);
+  assert.equal(parseSearchQuery('the and of'), null);
+  assert.equal(parseSearchQuery('%_[]'), null);
+});
+
+test('every word is required', () => {
+  assert.deepEqual(parseSearchQuery('node developer'), {
+    required: [[word('node')], [word('developer')]],
+    excluded: [],
+    terms: [word('node'), word('developer')]
+  });
+});
+
+test('words are normalized like the index: case, accents and plurals', () => {
+  assert.deepEqual(parseSearchQuery('Résumés engineers'), {
+    required: [[word('resume')], [word('engineer')]],
+    excluded: [],
+    terms: [word('resume'), word('engineer')]
+  });
+});
+
+test('stop words are dropped outside phrases', () => {
+  assert.deepEqual(parseSearchQuery('the developer').required, [[word('developer')]]);
+});
+
+test('quoted words are a phrase, ranked by the words that are indexed', () => {
+  const parsed = parseSearchQuery('"node and sql"');
+
+  assert.deepEqual(parsed.required, [[{ phrase: 'node and sql', terms: ['node', 'sql'] }]]);
+  assert.deepEqual(parsed.terms, [word('node'), word('sql')]);
+});
+
+test('a quoted single word is a plain word', () => {
+  assert.deepEqual(parseSearchQuery('"react"').required, [[word('react')]]);
+});
+
+test('punctuation-joined words are a phrase', () => {
+  assert.deepEqual(parseSearchQuery('node.js').required, [[{ phrase: 'node.js', terms: ['node', 'js'] }]]);
+});
+
+test('a leading minus excludes a word or phrase', () => {
+  assert.deepEqual(parseSearchQuery('engineer -php -"team lead"'), {
+    required: [[word('engineer')]],
+    excluded: [word('php'), { phrase: 'team lead', terms: ['team', 'lead'] }],
+    terms: [word('engineer')]
+  });
+});
+
+test('a query of only exclusions is kept', () => {
+  assert.deepEqual(parseSearchQuery('-node'), { required: [], excluded: [word('node')], terms: [] });
+});
+
+test('OR joins alternatives into one clause', () => {
+  assert.deepEqual(parseSearchQuery('react OR vue developer').required, [
+    [word('react'), word('vue')],
+    [word('developer')]
+  ]);
+});
+
+test('a leading or trailing OR is ignored', () => {
+  assert.deepEqual(parseSearchQuery('OR react OR').required, [[word('react')]]);
+});
+
+test('a trailing star matches words starting with the prefix', () => {
+  assert.deepEqual(parseSearchQuery('dev*').required, [[word('dev', true)]]);
+  assert.deepEqual(parseSearchQuery('dev*').terms, [word('dev', true)]);
+});
+
+test('C++ and C# keep their symbols', () => {
+  assert.deepEqual(parseSearchQuery('c++ c#').required, [[word('c++')], [word('c#')]]);
+});
+
+test('repeated words are ranked once', () => {
+  assert.deepEqual(parseSearchQuery('node node "node api"').terms, [word('node'), word('api')]);
+});
@@ -0,0 +1,126 @@
+// test/keyset.test.js - Keyset pagination cursors, run against a stub query function
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sortKey, fetchPage } = require('../repositories/keyset');
+
+const KEYS = [sortKey('j.posted_date', 'DESC', 'date'), sortKey('j.job_id', 'DESC')];
+
+const row = (id, date) => ({ job_id: id, sort_0: new Date(date), sort_0_text: date, sort_1: id, total_count: 10 });
+
+// A query function that records each call and answers with the given rows
+const stubQuery = (rows) => {
+  const calls = [];
+  const query = async (text, params) => {
+    calls.push({ text, params: { ...params } });
+    return { recordset: rows };
+  };
+  return { query, calls };
+};
+
+const list = (query, page, keys = KEYS) => fetchPage(query, {
+  select: 'SELECT j.job_id',
+  from: 'FROM Jobs j',
+  keys,
+  page,
+  params: {}
+});
+
+const decode = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString());
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('a numbered page reads one row extra to tell whether the list goes on', async () => {
+  const { query, calls } = stubQuery([
+    row(3, '2030-01-03 00:00:00.000'),
+    row(2, '2030-01-02 00:00:00.000'),
+    row(1, '2030-01-01 00:00:00.000')
+  ]);
+  const result = await list(query, { offset: 0, limit: 2 });
+
+  assert.equal(calls[0].params.pageLimit, 3);
+  assert.equal(calls[0].params.pageOffset, 0);
+  assert.match(calls[0].text, /COUNT\(\*\) OVER\(\) as total_count/);
+  assert.deepEqual(result.rows, [{ job_id: 3, total_count: 10 }, { job_id: 2, total_count: 10 }]);
+  assert.equal(result.prevCursor, null);
+  assert.ok(result.nextCursor);
+});
+
+test('a cursor holds the last row position, taking dates as text', async () => {
+  const { query } = stubQuery([
+    row(3, '2030-01-03 00:00:00.000'),
+    row(2, '2030-01-02 00:00:00.1234567'),
+    row(1, '2030-01-01 00:00:00.000')
+  ]);
+  const { nextCursor } = await list(query, { offset: 0, limit: 2 });
+
+  // SQL Server keeps 100ns, which a JS Date would round away
+  assert.deepEqual(decode(nextCursor).v, ['2030-01-02 00:00:00.1234567', 2]);
+});
+
+test('the page after a cursor starts past its position', async () => {
+  const first = stubQuery([row(3, '2030-01-03'), row(2, '2030-01-02'), row(1, '2030-01-01')]);
+  const { nextCursor } = await list(first.query, { offset: 0, limit: 2 });
+
+  const second = stubQuery([row(1, '2030-01-01')]);
+  const result = await list(second.query, { cursor: nextCursor, limit: 2 });
+  const { text, params } = second.calls[0];
+
+  assert.equal(params.after0, '2030-01-02');
+  assert.equal(params.after1, 2);
+  assert.equal(params.pageOffset, 0);
+  assert.match(text, /\(sort_0 < @after0\) OR \(sort_0 = @after0 AND sort_1 < @after1\)/);
+  assert.doesNotMatch(text, /total_count/);
+  assert.deepEqual(result.rows, [{ job_id: 1, total_count: 10 }]);
+  assert.equal(result.nextCursor, null);
+  assert.ok(result.prevCursor);
+});
+
+test('paging back from a cursor reads in reverse and returns rows in list order', async () => {
+  const lastPage = stubQuery([row(1, '2030-01-01')]);
+  const { prevCursor } = await list(lastPage.query, { offset: 2, limit: 2 });
+
+  const { query, calls } = stubQuery([row(2, '2030-01-02'), row(3, '2030-01-03')]);
+  const result = await list(query, { cursor: prevCursor, limit: 2 });
+
+  assert.equal(decode(prevCursor).b, 1);
+  assert.match(calls[0].text, /ORDER BY sort_0 ASC, sort_1 ASC/);
+  assert.match(calls[0].text, /sort_0 > @after0/);
+  assert.deepEqual(result.rows.map(r => r.job_id), [3, 2]);
+  assert.ok(result.nextCursor);
+});
+
+test('a cursor from another sort order is refused without querying', async () => {
+  const { query: firstQuery } = stubQuery([row(3, '2030-01-03'), row(2, '2030-01-02'), row(1, '2030-01-01')]);
+  const { nextCursor } = await list(firstQuery, { offset: 0, limit: 2 });
+
+  const { query, calls } = stubQuery([]);
+  const ascending = [sortKey('j.posted_date', 'ASC', 'date'), sortKey('j.job_id', 'ASC')];
+
+  assert.equal(await list(query, { cursor: nextCursor, limit: 2 }, ascending), null);
+  assert.equal(calls.length, 0);
+});
+
+test('malformed and tampered cursors are refused', async () => {
+  const { query: firstQuery } = stubQuery([row(3, '2030-01-03'), row(2, '2030-01-02'), row(1, '2030-01-01')]);
+  const payload = decode((await list(firstQuery, { offset: 0, limit: 2 })).nextCursor);
+  const { query, calls } = stubQuery([]);
+
+  for (const cursor of [
+    'not a cursor',
+    encode({ ...payload, s: 'forged' }),
+    encode({ ...payload, v: [payload.v[0]] }),
+    encode({ ...payload, v: [{ injected: true }, 2] }),
+    encode(null)
+  ]) {
+    assert.equal(await list(query, { cursor, limit: 2 }), null, cursor);
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('a cursor page can ask for the total as well', async () => {
+  const { query: firstQuery } = stubQuery([row(3, '2030-01-03'), row(2, '2030-01-02'), row(1, '2030-01-01')]);
+  const { nextCursor } = await list(firstQuery, { offset: 0, limit: 2 });
+  const { query, calls } = stubQuery([row(1, '2030-01-01')]);
+
+  await list(query, { cursor: nextCursor, limit: 2, withTotal: true });
+  assert.match(calls[0].text, /COUNT\(\*\) OVER\(\) as total_count/);
+});
@@ -0,0 +1,138 @@
+// test/loginProtection.test.js - Account lockout with backoff, unlock links and IP throttling
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.LOGIN_MAX_FAILED_ATTEMPTS = '3';
+process.env.LOGIN_LOCKOUT_BASE_MINUTES = '5';
+process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS = '10';
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+
+const EMAIL = 'jane@seeker.test';
+const PASSWORD = 'Passw0rd!';
+const sentMail = [];
+let server;
+let baseUrl;
+
+const request = async (method, url, body) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const login = (password, email = EMAIL) => request('POST', '/auth/login', { email, password });
+
+// Lock mails are sent after the response, so wait for the next one to arrive
+const nextLockMail = async (count) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const mails = sentMail.filter(message => /locked/.test(message.subject));
+    if (mails.length >= count) {
+      return mails[count - 1];
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Lock mail ${count} was not sent`);
+};
+
+before(async () => {
+  setTransport({
+    name: 'memory',
+    send: async (message) => {
+      sentMail.push(message);
+      return { messageId: String(sentMail.length) };
+    }
+  });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const registered = await request('POST', '/auth/register/jobseeker', {
+    email: EMAIL,
+    password: PASSWORD,
+    first_name: 'Jane',
+    last_name: 'Doe'
+  });
+  assert.equal(registered.status, 201, JSON.stringify(registered.body));
+  await executeQuery('UPDATE Users SET is_verified = 1 WHERE email = @email', { email: EMAIL });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+});
+
+test('repeated wrong passwords lock the account and mail an unlock link', async () => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await login('wrong-password1')).status, 401);
+  }
+
+  const mail = await nextLockMail(1);
+  assert.equal(mail.to, EMAIL);
+  assert.match(mail.text, /for 5 minutes/);
+
+  const rows = await executeQuery('SELECT locked_until FROM Users WHERE email = @email', { email: EMAIL });
+  assert.ok(new Date(rows.recordset[0].locked_until) > new Date());
+});
+
+test('a locked account answers like an unknown one, even to the right password', async () => {
+  const locked = await login(PASSWORD);
+  const unknown = await login(PASSWORD, 'nobody@seeker.test');
+
+  assert.equal(locked.status, 401);
+  assert.deepEqual(locked.body, unknown.body);
+  assert.equal(locked.headers.get('retry-after'), null);
+});
+
+test('each lockout since the last good login lasts twice as long', async () => {
+  await executeQuery('UPDATE Users SET locked_until = @past WHERE email = @email', {
+    email: EMAIL,
+    past: new Date(Date.now() - 1000)
+  });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await login('wrong-password1');
+  }
+
+  assert.match((await nextLockMail(2)).text, /for 10 minutes/);
+});
+
+test('the unlock link works once and lets the owner back in', async () => {
+  const mail = await nextLockMail(2);
+  const token = decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+
+  const unlocked = await request('POST', '/auth/unlock-account', { token });
+  assert.equal(unlocked.status, 200, JSON.stringify(unlocked.body));
+  assert.equal((await request('POST', '/auth/unlock-account', { token })).status, 400);
+
+  const loggedIn = await login(PASSWORD);
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+
+  const rows = await executeQuery('SELECT failed_login_count, lockout_count, locked_until FROM Users WHERE email = @email', { email: EMAIL });
+  assert.deepEqual({ ...rows.recordset[0] }, { failed_login_count: 0, lockout_count: 0, locked_until: null });
+});
+
+test('an address with too many failures is throttled, whichever accounts it tries', async () => {
+  let throttled;
+  for (let attempt = 0; attempt < 10 && !throttled; attempt++) {
+    const response = await login('wrong-password1', `guess${attempt}@seeker.test`);
+    if (response.status === 429) {
+      throttled = response;
+    }
+  }
+
+  assert.ok(throttled, 'never throttled');
+  assert.equal(throttled.headers.get('retry-after'), String(15 * 60));
+  assert.equal((await login(PASSWORD)).status, 429);
+});
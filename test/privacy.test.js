@@ -0,0 +1,178 @@
+// test/privacy.test.js - Job seeker data export and scheduled account erasure
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypoint-privacy-'));
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+process.env.UPLOAD_PATH = scratchDir;
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+const { processDueErasures } = require('../services/privacy');
+
+const PASSWORD = 'Passw0rd!';
+const sentMail = [];
+const state = {};
+let server;
+let baseUrl;
+
+const send = (method, url, body, token) => fetch(baseUrl + url, {
+  method,
+  headers: {
+    'content-type': 'application/json',
+    ...(token ? { authorization: `Bearer ${token}` } : {})
+  },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+const request = async (method, url, body, token) => {
+  const response = await send(method, url, body, token);
+  return { status: response.status, body: await response.json() };
+};
+
+const login = async (email) => {
+  const { status, body } = await request('POST', '/auth/login', { email, password: PASSWORD });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data.token;
+};
+
+// Read the entries of a zip archive through its central directory
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entries = {};
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let count = buffer.readUInt16LE(end + 10); count > 0; count--) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerLength = 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries[buffer.toString('utf8', offset + 46, offset + 46 + nameLength)] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += headerLength;
+  }
+  return entries;
+};
+
+before(async () => {
+  setTransport({
+    name: 'memory',
+    send: async (message) => {
+      sentMail.push(message);
+      return { messageId: String(sentMail.length) };
+    }
+  });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/companies', require('../routes/companies'));
+  app.use('/api/jobseekers', require('../routes/jobseekers'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  await request('POST', '/auth/register/company', { email: 'owner@acme.test', password: PASSWORD, company_name: 'Acme' });
+  const registered = await request('POST', '/auth/register/jobseeker', {
+    email: 'jane@seeker.test',
+    password: PASSWORD,
+    first_name: 'Jane',
+    last_name: 'Doe',
+    city: 'Berlin'
+  });
+  assert.equal(registered.status, 201, JSON.stringify(registered.body));
+  state.userId = registered.body.data.user.userId;
+  await executeQuery('UPDATE Users SET is_verified = 1');
+
+  const job = await request('POST', '/companies/jobs', {
+    title: 'Backend Engineer',
+    description: 'Build APIs',
+    location: 'Berlin',
+    job_type: 'Full-time',
+    experience_level: 'Mid-level'
+  }, await login('owner@acme.test'));
+  assert.equal(job.status, 201, JSON.stringify(job.body));
+  state.jobId = job.body.data.job_id;
+
+  state.token = await login('jane@seeker.test');
+  const applied = await request('POST', `/jobseekers/apply/${state.jobId}`, { cover_letter: 'Hire me, Jane' }, state.token);
+  assert.equal(applied.status, 201, JSON.stringify(applied.body));
+
+  // An uploaded CV, named the way routes/uploads.js names it
+  fs.mkdirSync(path.join(scratchDir, 'cv'), { recursive: true });
+  state.cvPath = path.join(scratchDir, 'cv', `cv-${state.userId}-1700000000000.pdf`);
+  fs.writeFileSync(state.cvPath, 'Jane Doe CV');
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+  fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+test('the export holds the account, profile, applications and uploaded files', async () => {
+  const response = await send('GET', '/jobseekers/data-export', null, state.token);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/zip');
+
+  const entries = readZip(Buffer.from(await response.arrayBuffer()));
+  const data = JSON.parse(entries['data.json']);
+
+  assert.equal(data.account.email, 'jane@seeker.test');
+  assert.equal(data.profile.first_name, 'Jane');
+  assert.deepEqual(data.applications.map(application => [application.job_id, application.cover_letter]), [[state.jobId, 'Hire me, Jane']]);
+  assert.ok(data.login_attempts.length > 0);
+  assert.ok(!JSON.stringify(data).includes('password_hash'));
+  assert.equal(String(entries[`files/cv/${path.basename(state.cvPath)}`]), 'Jane Doe CV');
+});
+
+test('erasure needs the password, is mailed about and can be cancelled', async () => {
+  assert.equal((await request('POST', '/jobseekers/account/erasure', { password: 'wrong' }, state.token)).status, 401);
+
+  const scheduled = await request('POST', '/jobseekers/account/erasure', { password: PASSWORD }, state.token);
+  assert.equal(scheduled.status, 200, JSON.stringify(scheduled.body));
+  assert.equal((await request('POST', '/jobseekers/account/erasure', { password: PASSWORD }, state.token)).status, 409);
+
+  assert.equal((await request('DELETE', '/jobseekers/account/erasure', null, state.token)).status, 200);
+  const status = await request('GET', '/jobseekers/account/erasure', null, state.token);
+  assert.equal(status.body.data.scheduled, false);
+
+  // Nothing is erased before the grace period ends
+  assert.equal((await request('POST', '/jobseekers/account/erasure', { password: PASSWORD }, state.token)).status, 200);
+  assert.equal(await processDueErasures(), 0);
+  assert.ok(sentMail.some(message => message.to === 'jane@seeker.test' && /scheduled for deletion/.test(message.subject)));
+});
+
+test('a due erasure removes personal data but keeps an anonymous application', async () => {
+  await executeQuery('UPDATE Users SET erasure_scheduled_for = @past WHERE user_id = @userId', {
+    userId: state.userId,
+    past: new Date(Date.now() - 1000)
+  });
+
+  assert.equal(await processDueErasures(), 1);
+
+  const users = await executeQuery('SELECT email, password_hash, erased_at FROM Users WHERE user_id = @userId', { userId: state.userId });
+  assert.equal(users.recordset[0].email, `erased-${state.userId}@erased.invalid`);
+  assert.equal(users.recordset[0].password_hash, null);
+  assert.ok(users.recordset[0].erased_at);
+
+  const profiles = await executeQuery('SELECT first_name, last_name, city FROM JobSeekers WHERE user_id = @userId', { userId: state.userId });
+  assert.deepEqual({ ...profiles.recordset[0] }, { first_name: 'Deleted', last_name: 'User', city: null });
+
+  const applications = await executeQuery('SELECT job_id, cover_letter FROM Applications');
+  assert.deepEqual(applications.recordset.map(row => ({ ...row })), [{ job_id: state.jobId, cover_letter: null }]);
+
+  assert.equal(fs.existsSync(state.cvPath), false);
+  assert.equal((await request('POST', '/auth/login', { email: 'jane@seeker.test', password: PASSWORD })).status, 401);
+  assert.equal((await request('GET', '/jobseekers/profile', null, state.token)).status, 401);
+});
@@ -0,0 +1,119 @@
+// test/refreshTokens.test.js - Refresh token rotation, reuse detection and session revocation
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+
+const PASSWORD = 'Passw0rd!';
+let server;
+let baseUrl;
+
+const request = async (method, url, body, token) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const login = async () => {
+  const { status, body } = await request('POST', '/auth/login', { email: 'jane@seeker.test', password: PASSWORD });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+};
+
+const refresh = (refreshToken) => request('POST', '/auth/refresh', { refreshToken });
+
+before(async () => {
+  setTransport({ name: 'memory', send: async () => ({ messageId: 'test' }) });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const registered = await request('POST', '/auth/register/jobseeker', {
+    email: 'jane@seeker.test',
+    password: PASSWORD,
+    first_name: 'Jane',
+    last_name: 'Doe'
+  });
+  assert.equal(registered.status, 201, JSON.stringify(registered.body));
+  await executeQuery('UPDATE Users SET is_verified = 1 WHERE email = @email', { email: 'jane@seeker.test' });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+});
+
+test('a refresh token is exchanged for a new pair once', async () => {
+  const { refreshToken } = await login();
+
+  const rotated = await refresh(refreshToken);
+  assert.equal(rotated.status, 200, JSON.stringify(rotated.body));
+  assert.notEqual(rotated.body.data.refreshToken, refreshToken);
+
+  const me = await request('GET', '/auth/me', null, rotated.body.data.token);
+  assert.equal(me.status, 200);
+
+  const next = await refresh(rotated.body.data.refreshToken);
+  assert.equal(next.status, 200, JSON.stringify(next.body));
+});
+
+test('reusing a rotated token revokes the whole session', async () => {
+  const { refreshToken } = await login();
+  const rotated = await refresh(refreshToken);
+  assert.equal(rotated.status, 200);
+
+  const reused = await refresh(refreshToken);
+  assert.equal(reused.status, 401);
+
+  // The thief or the client holds the newer token; neither may keep using it
+  const latest = await refresh(rotated.body.data.refreshToken);
+  assert.equal(latest.status, 401);
+
+  const me = await request('GET', '/auth/me', null, rotated.body.data.token);
+  assert.equal(me.status, 401);
+  assert.equal(me.body.message, 'Session has been revoked');
+});
+
+test('reuse in one session leaves the others signed in', async () => {
+  const stolen = await login();
+  const other = await login();
+
+  await refresh(stolen.refreshToken);
+  await refresh(stolen.refreshToken);
+
+  const stillValid = await refresh(other.refreshToken);
+  assert.equal(stillValid.status, 200, JSON.stringify(stillValid.body));
+});
+
+test('logging out ends the refresh token family', async () => {
+  const { token, refreshToken } = await login();
+
+  const loggedOut = await request('POST', '/auth/logout', {}, token);
+  assert.equal(loggedOut.status, 200, JSON.stringify(loggedOut.body));
+
+  assert.equal((await refresh(refreshToken)).status, 401);
+});
+
+test('forged and malformed refresh tokens are refused', async () => {
+  const { token } = await login();
+
+  // An access token is signed with a different secret
+  assert.equal((await refresh(token)).status, 401);
+  assert.equal((await refresh('not-a-token')).status, 401);
+});
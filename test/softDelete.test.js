@@ -0,0 +1,161 @@
+// test/softDelete.test.js - Soft-deleted jobs and education, restore and the admin purge
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_SQLITE_FILE;
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const { connectDB, closeDB, executeQuery } = require('../config/database');
+const { setTransport } = require('../services/mailer');
+
+const PASSWORD = 'Passw0rd!';
+const state = {};
+let server;
+let baseUrl;
+
+const request = async (method, url, body, token) => {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const login = async (email) => {
+  const { status, body } = await request('POST', '/auth/login', { email, password: PASSWORD });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data.token;
+};
+
+const postJob = async (title) => {
+  const { status, body } = await request('POST', '/companies/jobs', {
+    title,
+    description: 'Build APIs',
+    location: 'Berlin',
+    job_type: 'Full-time',
+    experience_level: 'Mid-level'
+  }, state.companyToken);
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.data.job_id;
+};
+
+// Backdate deletions so they fall outside the purge retention period
+const deletedLongAgo = (table) => executeQuery(
+  `UPDATE ${table} SET deleted_at = @longAgo WHERE deleted_at IS NOT NULL`,
+  { longAgo: new Date(Date.now() - 400 * 24 * 60 * 60 * 1000) }
+);
+
+before(async () => {
+  setTransport({ name: 'memory', send: async () => ({ messageId: 'test' }) });
+  await connectDB();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/companies', require('../routes/companies'));
+  app.use('/api/jobseekers', require('../routes/jobseekers'));
+  app.use('/api/jobs', require('../routes/jobs'));
+  app.use('/api/admin', require('../routes/admin'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  await request('POST', '/auth/register/company', { email: 'owner@acme.test', password: PASSWORD, company_name: 'Acme' });
+  await request('POST', '/auth/register/jobseeker', { email: 'jane@seeker.test', password: PASSWORD, first_name: 'Jane', last_name: 'Doe' });
+  await executeQuery('UPDATE Users SET is_verified = 1');
+  await executeQuery(`
+    INSERT INTO Users (email, password_hash, user_type, is_verified)
+    SELECT 'root@admin.test', password_hash, 'admin', 1 FROM Users WHERE email = 'jane@seeker.test'
+  `);
+
+  state.companyToken = await login('owner@acme.test');
+  state.jobSeekerToken = await login('jane@seeker.test');
+  state.adminToken = await login('root@admin.test');
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDB();
+});
+
+test('a deleted job disappears from listings and can be restored', async () => {
+  const jobId = await postJob('Frontend Engineer');
+
+  assert.equal((await request('DELETE', `/companies/jobs/${jobId}`, null, state.companyToken)).status, 200);
+  assert.equal((await request('GET', `/jobs/${jobId}`)).status, 404);
+  assert.ok(!(await request('GET', '/jobs')).body.data.jobs.some(job => job.job_id === jobId));
+  assert.equal((await request('POST', `/jobseekers/apply/${jobId}`, {}, state.jobSeekerToken)).status, 404);
+
+  const restored = await request('POST', `/companies/jobs/${jobId}/restore`, null, state.companyToken);
+  assert.equal(restored.status, 200, JSON.stringify(restored.body));
+  assert.equal((await request('GET', `/jobs/${jobId}`)).status, 200);
+});
+
+test('a deleted job keeps its applications readable, but not reviewable', async () => {
+  const jobId = await postJob('Backend Engineer');
+  const applied = await request('POST', `/jobseekers/apply/${jobId}`, { cover_letter: 'Hire me' }, state.jobSeekerToken);
+  assert.equal(applied.status, 201, JSON.stringify(applied.body));
+  state.appliedJobId = jobId;
+
+  await request('DELETE', `/companies/jobs/${jobId}`, null, state.companyToken);
+
+  const listed = await request('GET', `/companies/jobs/${jobId}/applications`, null, state.companyToken);
+  assert.equal(listed.status, 200, JSON.stringify(listed.body));
+  assert.ok(listed.body.data.job_deleted_at);
+  assert.equal(listed.body.data.applications.length, 1);
+
+  const applicationId = listed.body.data.applications[0].application_id;
+  const reviewed = await request('PUT', `/companies/applications/${applicationId}`, { status: 'reviewed' }, state.companyToken);
+  assert.equal(reviewed.status, 409);
+
+  await request('POST', `/companies/jobs/${jobId}/restore`, null, state.companyToken);
+  const afterRestore = await request('PUT', `/companies/applications/${applicationId}`, { status: 'reviewed' }, state.companyToken);
+  assert.equal(afterRestore.status, 200, JSON.stringify(afterRestore.body));
+  await request('DELETE', `/companies/jobs/${jobId}`, null, state.companyToken);
+});
+
+test('deleted education is hidden from the profile until restored', async () => {
+  const added = await request('POST', '/jobseekers/education', { institution_name: 'TU Berlin' }, state.jobSeekerToken);
+  assert.equal(added.status, 201, JSON.stringify(added.body));
+  const educationId = added.body.data.education_id;
+
+  assert.equal((await request('DELETE', `/jobseekers/education/${educationId}`, null, state.jobSeekerToken)).status, 200);
+  let profile = await request('GET', '/jobseekers/profile', null, state.jobSeekerToken);
+  assert.deepEqual(profile.body.data.education, []);
+
+  assert.equal((await request('POST', `/jobseekers/education/${educationId}/restore`, null, state.jobSeekerToken)).status, 200);
+  profile = await request('GET', '/jobseekers/profile', null, state.jobSeekerToken);
+  assert.deepEqual(profile.body.data.education.map(education => education.institution_name), ['TU Berlin']);
+
+  await request('DELETE', `/jobseekers/education/${educationId}`, null, state.jobSeekerToken);
+});
+
+test('the purge keeps recent deletions and jobs that have applications', async () => {
+  const tooSoon = await request('POST', '/admin/purge-deleted', { older_than_days: 1 }, state.adminToken);
+  assert.equal(tooSoon.status, 400);
+
+  const recent = await request('POST', '/admin/purge-deleted', {}, state.adminToken);
+  assert.equal(recent.status, 200, JSON.stringify(recent.body));
+  assert.deepEqual([recent.body.data.jobs, recent.body.data.education], [0, 0]);
+
+  const unappliedJobId = await postJob('Data Engineer');
+  await request('DELETE', `/companies/jobs/${unappliedJobId}`, null, state.companyToken);
+  await deletedLongAgo('Jobs');
+  await deletedLongAgo('Education');
+
+  const purged = await request('POST', '/admin/purge-deleted', {}, state.adminToken);
+  assert.equal(purged.status, 200, JSON.stringify(purged.body));
+  assert.deepEqual([purged.body.data.jobs, purged.body.data.education], [1, 1]);
+
+  const remaining = await executeQuery('SELECT job_id FROM Jobs WHERE deleted_at IS NOT NULL');
+  assert.deepEqual(remaining.recordset.map(row => row.job_id), [state.appliedJobId]);
+});
+
+test('only administrators can purge', async () => {
+  assert.equal((await request('POST', '/admin/purge-deleted', {}, state.companyToken)).status, 403);
+});
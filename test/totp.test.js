@@ -0,0 +1,78 @@
+// test/totp.test.js - Time-based one-time passwords against the RFC 6238 test vectors
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  normalizeRecoveryCode
+} = require('../services/totp');
+
+// The RFC 6238 SHA-1 key "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B, SHA-1: Unix time and the 8-digit TOTP. Codes here are
+// 6 digits, which are the last 6 of the 8 (the value is taken mod 10^digits).
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code.slice(-6), `at T = ${seconds}`);
+  }
+});
+
+test('a code is accepted one time step either side of its own', () => {
+  const timestamp = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+  const code = generateTotp(RFC_SECRET, timestamp);
+
+  assert.equal(verifyTotp(RFC_SECRET, code, timestamp), step);
+  assert.equal(verifyTotp(RFC_SECRET, code, timestamp + 30 * 1000), step);
+  assert.equal(verifyTotp(RFC_SECRET, code, timestamp - 30 * 1000), step);
+  assert.equal(verifyTotp(RFC_SECRET, code, timestamp + 60 * 1000), null);
+});
+
+test('codes are accepted with spaces and refused when malformed', () => {
+  const timestamp = 1234567890 * 1000;
+
+  assert.notEqual(verifyTotp(RFC_SECRET, '005 924', timestamp), null);
+  assert.equal(verifyTotp(RFC_SECRET, '5924', timestamp), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', timestamp), null);
+  assert.equal(verifyTotp(RFC_SECRET, undefined, timestamp), null);
+});
+
+test('secrets are 160 bits of base32', () => {
+  assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+});
+
+test('encrypted secrets decrypt to the original and are not stored in the clear', () => {
+  const encrypted = encryptSecret(RFC_SECRET);
+
+  assert.ok(!encrypted.includes(RFC_SECRET));
+  assert.notEqual(encryptSecret(RFC_SECRET), encrypted);
+  assert.equal(decryptSecret(encrypted), RFC_SECRET);
+});
+
+test('the otpauth URI carries the secret and the code parameters', () => {
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, 'jane@example.com'));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+  assert.equal(uri.searchParams.get('algorithm'), 'SHA1');
+});
+
+test('recovery codes compare without case or separators', () => {
+  assert.equal(normalizeRecoveryCode(' 3F9A-c21b '), '3f9ac21b');
+});
@@ -0,0 +1,82 @@
+// test/tsqlToSqlite.test.js - T-SQL to SQLite translation
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { translate } = require('../config/adapters/tsqlToSqlite');
+
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Translate and collapse whitespace, which the rewrites don't preserve exactly
+const translated = (query) => translate(query).map(statement => statement.replace(/\s+/g, ' ').trim());
+
+test('GETDATE() becomes the current time as ISO 8601 UTC text', () => {
+  assert.deepEqual(translated('SELECT * FROM Users WHERE locked_until > GETDATE()'), [
+    `SELECT * FROM Users WHERE locked_until > ${NOW}`
+  ]);
+});
+
+test('DATEADD() becomes a strftime() modifier', () => {
+  assert.deepEqual(translated('SELECT COUNT(*) FROM Jobs WHERE posted_date >= DATEADD(day, -30, GETDATE())'), [
+    `SELECT COUNT(*) FROM Jobs WHERE posted_date >= strftime('%Y-%m-%dT%H:%M:%fZ', ${NOW}, (-30) || ' days')`
+  ]);
+  assert.deepEqual(translated('SELECT DATEADD(week, 2, d) FROM T'), [
+    "SELECT strftime('%Y-%m-%dT%H:%M:%fZ', d, ((2) * 7) || ' days') FROM T"
+  ]);
+  assert.deepEqual(translated('SELECT DATEADD(day, -@days, GETDATE())'), [
+    `SELECT strftime('%Y-%m-%dT%H:%M:%fZ', ${NOW}, (-@days) || ' days')`
+  ]);
+});
+
+test('DATEADD() with an unsupported unit is refused', () => {
+  assert.throws(() => translate('SELECT DATEADD(quarter, 1, d) FROM T'), /DATEADD unit 'quarter'/);
+});
+
+test('ISNULL() and LEN() become IFNULL() and LENGTH()', () => {
+  assert.deepEqual(translated('SELECT ISNULL(a, 0), LEN(b) FROM T'), ['SELECT IFNULL(a, 0), LENGTH(b) FROM T']);
+});
+
+test('CAST() to DATE and VARCHAR types is rewritten, other types are kept', () => {
+  assert.deepEqual(translated('SELECT CAST(d AS DATE), CAST(x AS NVARCHAR(20)), CAST(y AS INT) FROM T'), [
+    'SELECT date(d), CAST(x AS TEXT), CAST(y AS INT) FROM T'
+  ]);
+  assert.deepEqual(translated('SELECT CAST(GETDATE() AS DATE)'), [`SELECT date(${NOW})`]);
+});
+
+test('OFFSET ... FETCH NEXT becomes LIMIT ... OFFSET', () => {
+  assert.deepEqual(translated('SELECT * FROM T ORDER BY id OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY'), [
+    'SELECT * FROM T ORDER BY id LIMIT @limit OFFSET @offset'
+  ]);
+});
+
+test('TOP becomes a LIMIT at the end of its own SELECT', () => {
+  assert.deepEqual(translated('SELECT TOP (@limit) id FROM T WHERE x IN (SELECT TOP 1 y FROM U ORDER BY y) ORDER BY id'), [
+    'SELECT id FROM T WHERE x IN (SELECT y FROM U ORDER BY y LIMIT 1 ) ORDER BY id LIMIT @limit'
+  ]);
+  assert.deepEqual(translated('SELECT DISTINCT TOP 5 city FROM T'), ['SELECT DISTINCT city FROM T LIMIT 5']);
+});
+
+test('OUTPUT INSERTED columns become RETURNING', () => {
+  assert.deepEqual(translated('INSERT INTO T (a) OUTPUT INSERTED.id, INSERTED.a VALUES (@a)'), [
+    'INSERT INTO T (a) VALUES (@a) RETURNING id, a'
+  ]);
+  assert.deepEqual(translated('UPDATE T SET a = 1 OUTPUT INSERTED.id WHERE id = @id'), [
+    'UPDATE T SET a = 1 WHERE id = @id RETURNING id'
+  ]);
+});
+
+test('OUTPUT DELETED in an UPDATE is refused', () => {
+  assert.throws(() => translate('UPDATE T SET a = 1 OUTPUT DELETED.a WHERE id = 1'), /OUTPUT DELETED/);
+});
+
+test('string literals and comments are left alone', () => {
+  assert.deepEqual(translated("SELECT 'GETDATE() -- not a comment', N'caf''e' FROM T -- LEN(x)"), [
+    "SELECT 'GETDATE() -- not a comment', 'caf''e' FROM T"
+  ]);
+  assert.deepEqual(translated("SELECT 'a;b' /* ISNULL( */ FROM T"), ["SELECT 'a;b' FROM T"]);
+});
+
+test('a batch is split into its statements', () => {
+  assert.deepEqual(translated('DELETE FROM A WHERE id = 1; DELETE FROM B WHERE id = 1;'), [
+    'DELETE FROM A WHERE id = 1',
+    'DELETE FROM B WHERE id = 1'
+  ]);
+});
@@ -0,0 +1,91 @@
+// test/updateBuilder.test.js - Building UPDATE statements from request bodies
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildUpdate } = require('../config/updateBuilder');
+const { sql } = require('../config/database');
+
+const errorFor = (update, field) => update.errors.find(error => error.path === field);
+
+test('declared fields become typed parameters named after their columns', () => {
+  const update = buildUpdate('Jobs', { title: 'Backend Engineer', max_applications: 5 });
+
+  assert.equal(update.setClause, 'title = @title, max_applications = @max_applications');
+  assert.deepEqual(update.errors, []);
+  assert.equal(update.params.title.value, 'Backend Engineer');
+  assert.equal(update.params.title.type.type, sql.NVarChar);
+  assert.equal(update.params.title.type.length, 255);
+  assert.equal(update.params.max_applications.value, 5);
+  assert.equal(update.params.max_applications.type, sql.Int);
+});
+
+test('undefined fields are skipped and an empty body updates nothing', () => {
+  assert.deepEqual(buildUpdate('Jobs', { title: undefined }), { setClause: '', params: {}, errors: [] });
+  assert.deepEqual(buildUpdate('Jobs', undefined), { setClause: '', params: {}, errors: [] });
+});
+
+test('unknown fields are reported and never reach the statement', () => {
+  const update = buildUpdate('Jobs', { title: 'x', 'company_id = 1; --': 1, company_id: 2 });
+
+  assert.equal(update.setClause, 'title = @title');
+  assert.deepEqual(update.errors.map(error => [error.path, error.msg]), [
+    ['company_id = 1; --', 'Unknown field'],
+    ['company_id', 'Unknown field']
+  ]);
+  assert.equal(update.errors[0].location, 'body');
+});
+
+test('fields inherited from Object.prototype are unknown', () => {
+  const update = buildUpdate('Jobs', JSON.parse('{"constructor": "x", "__proto__": "y"}'));
+
+  assert.equal(update.setClause, '');
+  assert.equal(errorFor(update, 'constructor').msg, 'Unknown field');
+});
+
+test('null is only accepted for nullable columns', () => {
+  const update = buildUpdate('Jobs', { requirements: null, title: null });
+
+  assert.equal(update.setClause, 'requirements = @requirements');
+  assert.equal(update.params.requirements.value, null);
+  assert.equal(errorFor(update, 'title').msg, 'Cannot be null');
+});
+
+test('strings are checked for type, length and allowed values', () => {
+  const update = buildUpdate('Jobs', { title: 42, salary_currency: 'EURO', status: 'archived', job_type: 'Contract' });
+
+  assert.equal(update.setClause, 'job_type = @job_type');
+  assert.equal(errorFor(update, 'title').msg, 'Must be a string');
+  assert.equal(errorFor(update, 'salary_currency').msg, 'Must be at most 3 characters');
+  assert.equal(errorFor(update, 'status').msg, 'Must be one of: active, closed, draft, paused');
+});
+
+test('numbers are converted from strings', () => {
+  const update = buildUpdate('Jobs', { salary_min: '50000.50', max_applications: '10' });
+
+  assert.equal(update.params.salary_min.value, 50000.5);
+  assert.equal(update.params.max_applications.value, 10);
+});
+
+test('values that are not numbers are refused', () => {
+  const update = buildUpdate('Jobs', { salary_min: 'lots', salary_max: '', max_applications: 2.5 });
+
+  assert.equal(update.setClause, '');
+  assert.equal(errorFor(update, 'salary_min').msg, 'Must be a number');
+  assert.equal(errorFor(update, 'salary_max').msg, 'Must be a number');
+  assert.equal(errorFor(update, 'max_applications').msg, 'Must be an integer');
+});
+
+test('booleans accept true/false, 1/0 and their strings', () => {
+  for (const [value, expected] of [[true, true], ['true', true], [1, true], ['1', true], [false, false], ['false', false], [0, false], ['0', false]]) {
+    assert.equal(buildUpdate('Education', { is_current: value }).params.is_current.value, expected, String(value));
+  }
+  assert.equal(errorFor(buildUpdate('Education', { is_current: 'yes' }), 'is_current').msg, 'Must be a boolean');
+});
+
+test('dates must parse', () => {
+  assert.equal(buildUpdate('WorkExperience', { start_date: '2024-02-01' }).params.start_date.value, '2024-02-01');
+  assert.equal(errorFor(buildUpdate('WorkExperience', { start_date: 'yesterday' }), 'start_date').msg, 'Must be a date');
+});
+
+test('a table without declared columns is a programming error', () => {
+  assert.throws(() => buildUpdate('Users', { is_verified: true }), /No updatable columns declared for Users/);
+});